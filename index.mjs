@@ -1,65 +1,64 @@
+import fs from "fs";
+import path from "path";
 import mongoose from "mongoose";
 import dotenv from "dotenv";
 import { chromium } from "playwright-extra";
 import StealthPlugin from "puppeteer-extra-plugin-stealth";
 import Organisation from "./models/Organisation.js";
-import { scrapeOrganisation, retryPageGoto, ErrorSummary } from "./lib/enhanced-scraper.js";
-import { classifyWithAI, initializeKeyPools } from "./lib/multi-provider-classifier.js";
-import { validateOrganisation, addToReviewQueue, saveReviewQueue, clearReviewQueue } from "./lib/validator.js";
+import ScrapeRun from "./models/ScrapeRun.js";
+import RawPage from "./models/RawPage.js";
+import ScrapedCandidate from "./models/ScrapedCandidate.js";
+import RootMetadata from "./models/RootMetadata.js";
+import PageFingerprint from "./models/PageFingerprint.js";
+import { ErrorSummary } from "./lib/enhanced-scraper.js";
+import { loadProfiles, SelectorStats } from "./lib/source-profiles.js";
+import { createAiStats, selectTargets, targetsForUrls, scrapeTargets, classifyAndProcess, printRunSummary, storedRecord } from "./lib/pipeline.js";
+import { initializeKeyPools } from "./lib/multi-provider-classifier.js";
+import { validateOrganisation, addToReviewQueue, saveReviewQueue, clearReviewQueue, getReviewQueue } from "./lib/validator.js";
 import { generateReport } from "./lib/reporter.js";
+import { formatOrganisations } from "./lib/exporter.js";
+import { RunLedger } from "./lib/run-ledger.js";
+import { RawCapture, loadCandidates } from "./lib/raw-capture.js";
+import { HttpBrowser, lazyBrowser, FetchStats } from "./lib/tiered-fetcher.js";
+import { RootMetadataCache } from "./lib/root-metadata.js";
+import { CrawlPolicy } from "./lib/crawl-policy.js";
+import { PageCache } from "./lib/page-cache.js";
+import { AssetStore } from "./lib/asset-store.js";
+import { AboutPageDiscovery } from "./lib/about-pages.js";
+import { CircuitBreaker } from "./lib/retry-policy.js";
+import { NetworkRotation } from "./lib/network-rotation.js";
+import { parseCliArgs, USAGE } from "./lib/cli.js";
+import { runMigration } from "./scripts/migrate-schema.js";
 
 // Add stealth plugin to avoid bot detection
+// Only sources with "stealth": true keep the browser's identity; the others send the bot user agent (lib/crawl-policy.js)
 chromium.use(StealthPlugin());
 
-// Target URLs for scraping
-const TARGET_URLS = [
-  // Startup Emirates
-  "https://startupemirates.ae/en/start-journey/",
-  "https://startupemirates.ae/en/start-journey/#funding-support",
-  "https://startupemirates.ae/en/start-journey/#incubators-accelerators",
-  "https://startupemirates.ae/en/start-journey/#company-formation",
-  
-  // UAE Government
-  "https://u.ae/en/information-and-services/business/business-incubators",
-  "https://u.ae/en/information-and-services/business/small-and-medium-enterprises",
-  
-  // Dubai Chamber & Founders HQ
-  "https://www.dubaichamber.com/en/business-groups-and-councils",
-  "https://www.dubaifoundershq.com/en/launch-your-business/incubators-in-dubai",
-  "https://www.dubaifoundershq.com/en/network",
-  
-  // Female Fusion Network & Hub71
-  "https://www.femalefusionnetwork.com/",
-  "https://www.hub71.com/investors",
-  "https://www.hub71.com/partners",
-  
-  // Government Portal
-  "https://www.moet.gov.ae/en/entrepreneurship-support-entities"
-]; 
-
 // 1. CONFIGURATION
 dotenv.config();
 
-// Validate required environment variables
-const requiredEnvVars = ['MONGO_URI'];
-const missingEnvVars = requiredEnvVars.filter(varName => !process.env[varName]);
+// Validate required environment variables (commands that use the database)
+function requireEnv() {
+    const requiredEnvVars = ['MONGO_URI'];
+    const missingEnvVars = requiredEnvVars.filter(varName => !process.env[varName]);
 
-if (missingEnvVars.length > 0) {
-    console.error('❌ Missing required environment variables:');
-    missingEnvVars.forEach(varName => console.error(`   - ${varName}`));
-    console.error('\nPlease configure these in your .env file');
-    process.exit(1);
+    if (missingEnvVars.length > 0) {
+        console.error('❌ Missing required environment variables:');
+        missingEnvVars.forEach(varName => console.error(`   - ${varName}`));
+        console.error('\nPlease configure these in your .env file');
+        process.exit(1);
+    }
 }
 
-const MONGO_URI = process.env.MONGO_URI;
-
 // 2. DATABASE CONNECTION
-async function dbConnect() {
+// `quiet` keeps stdout clean when a command writes its output there
+async function dbConnect(quiet = false) {
     if (mongoose.connection.readyState >= 1) return;
-    
+    requireEnv();
+
     try {
-        await mongoose.connect(MONGO_URI, { dbName: "uae_ecosystem_db" });
-        console.log("✅ Connected to MongoDB Atlas");
+        await mongoose.connect(process.env.MONGO_URI, { dbName: "uae_ecosystem_db" });
+        (quiet ? console.error : console.log)("✅ Connected to MongoDB Atlas");
     } catch (error) {
         console.error("❌ Failed to connect to MongoDB:", error.message);
         console.error("   Please check your MONGO_URI in .env file");
@@ -67,297 +66,498 @@ async function dbConnect() {
     }
 }
 
-// 3. THE SMART PROCESSOR WITH VALIDATION
-async function processOrganisation(orgData, aiResult = null) {
-    // 1. Prepare the processed data fields
-    let finalCategory = aiResult?.category || 'GROWTH & INNOVATION';
-    let finalSubcategory = aiResult?.subcategory || 'General Entity';
-    let finalRole = aiResult?.role_summary || 'Organisation pending classification';
-    
-    // Default Status
-    let publishTier = 'C';
-    let isActive = false;
-    let trustScore = 10;
-    let needsReview = true;
-
-    // AI-Driven Status
-    if (aiResult && !aiResult.degraded) {
-        needsReview = aiResult.needsReview || aiResult.confidence < 0.7;
-        
-        if (aiResult.isEcosystemOrg) {
-            isActive = true;
-            if (aiResult.type === 'government' || aiResult.type === 'incubator') {
-                publishTier = 'A';
-                trustScore = 90;
-            } else if (aiResult.type === 'startup' || aiResult.type === 'vc') {
-                publishTier = 'B';
-                trustScore = 70;
-            }
-        }
-    }
-
-    // 2. Build organisation object for validation
-    const orgToValidate = {
-        name: orgData.name,
-        website: orgData.website,
-        country: orgData.country || "United Arab Emirates",
-        description: orgData.description || null,
-        twitter: orgData.twitter || null,
-        categories: [finalCategory],
-        subcategories: [finalSubcategory],
-        roles: [finalRole]
-    };
-
-    // 3. Validate before saving (Requirements 5.6, 5.7)
-    const validationResult = validateOrganisation(orgToValidate);
-    
-    if (!validationResult.valid) {
-        console.error(`❌ Validation failed for ${orgData.name}:`);
-        validationResult.errors.forEach(err => console.error(`   - ${err}`));
-        
-        // Add to review queue (Requirement 5.7)
-        addToReviewQueue(orgToValidate, validationResult.errors);
-        
-        // Do NOT save to database (Requirement 5.6)
-        return null;
-    }
+// Source names for --source (profile ids are mapped to their source names)
+async function sourceNamesFor(sources) {
+    if (sources.length === 0) return [];
+    const { profiles } = selectTargets(await loadProfiles(), { sources });
+    return profiles.map(profile => profile.sourceName);
+}
 
-    // 4. Deduplication Check (Update or Create)
-    let existing = await Organisation.findOne({
-        $or: [ { website: orgData.website }, { name: orgData.name } ]
-    });
+// Organisation filter for --source
+async function sourceFilter(sources) {
+    const sourceNames = await sourceNamesFor(sources);
+    return sourceNames.length > 0 ? { 'source.sourceName': { $in: sourceNames } } : {};
+}
 
-    if (existing) {
-        console.log(`🔄 Updating: ${orgData.name}`);
-        // Update fields with new data
-        existing.name = orgToValidate.name;
-        existing.website = orgToValidate.website;
-        existing.country = orgToValidate.country;
-        existing.description = orgToValidate.description;
-        existing.twitter = orgToValidate.twitter;
-        existing.categories = orgToValidate.categories;
-        existing.subcategories = orgToValidate.subcategories;
-        existing.roles = orgToValidate.roles;
-        existing.status = {
-            isActive: isActive,
-            publishTier: publishTier,
-            trustScore: trustScore,
-            trustReasons: aiResult ? [`AI Classified as ${aiResult.type}`] : ["Manual/Scraper Entry"],
-            confidence: aiResult?.confidence || null,
-            needsReview: needsReview,
-            aiResult: aiResult
-        };
-        existing.source.lastSyncedAt = new Date();
-        existing.source.aiProvider = aiResult?.provider || null;
-        existing.source.aiModel = aiResult?.model || null;
-        return await existing.save();
-    } 
-
-    // 5. Create New
-    console.log(`🆕 Creating: ${orgData.name}`);
-    const newDoc = new Organisation({
-        name: orgToValidate.name,
-        website: orgToValidate.website,
-        country: orgToValidate.country,
-        description: orgToValidate.description,
-        twitter: orgToValidate.twitter,
-        categories: orgToValidate.categories,
-        subcategories: orgToValidate.subcategories,
-        roles: orgToValidate.roles,
-        source: {
-            sourceName: "enhanced_scraper",
-            sourceUrl: orgData.website,
-            lastSyncedAt: new Date(),
-            aiProvider: aiResult?.provider || null,
-            aiModel: aiResult?.model || null
-        },
-        status: {
-            isActive: isActive,
-            publishTier: publishTier,
-            trustScore: trustScore,
-            trustReasons: aiResult ? [`AI Classified as ${aiResult.type}`] : ["Manual/Scraper Entry"],
-            confidence: aiResult?.confidence || null,
-            needsReview: needsReview,
-            aiResult: aiResult
-        }
-    });
+// 3. COMMANDS
 
-    return await newDoc.save();
+// Load the run to continue with --resume
+async function loadResumableRun(runId) {
+    const run = await ScrapeRun.findOne({ runId }).lean();
+    if (!run) throw new Error(`run ${runId} not found`);
+    if (!['running', 'failed'].includes(run.status)) {
+        throw new Error(`run ${runId} is ${run.status}, only running or failed runs can be resumed`);
+    }
+    return run;
 }
 
-// 4. MAIN EXECUTION
-async function main() {
+// scrape: the full pipeline (scrape → capture → classify → validate → save → report)
+// With --resume, URLs and candidates the run already finished are skipped
+async function runScrape(options) {
     let browser = null;
-    
+    let ledger = null;
+    let capture = null;
+    let errorSummary = null;
+    let aiStats = null;
+    let outcome = null;
+    let previousFailures = 0;
+
     try {
         await dbConnect();
-        
+        const resumed = options.resume ? await loadResumableRun(options.resume) : null;
+
         // Initialize AI provider key pools
-        initializeKeyPools();
-        
+        if (options.ai) initializeKeyPools();
+
         // Clear review queue from previous runs
         clearReviewQueue();
-        
+
         // Initialize error summary tracker
-        const errorSummary = new ErrorSummary();
-        
-        // Launch browser for scraping
-        console.log('🚀 Launching browser...');
-        browser = await chromium.launch({ headless: true });
-        
-        // Step 1: Scrape data from target URLs using enhanced scraper
-        console.log(`📡 Scraping ${TARGET_URLS.length} target URLs...`);
-        const scrapedData = [];
-        
-        for (const url of TARGET_URLS) {
-            try {
-                const page = await browser.newPage();
-                
-                // Use retry logic with exponential backoff (Requirements 8.1, 8.2)
-                // Wait for networkidle to ensure page is fully loaded
-                const response = await retryPageGoto(page, url, {
-                    waitUntil: 'networkidle',
-                    timeout: 45000
-                }, errorSummary);
-                
-                if (!response) {
-                    console.log(`⏭️  Skipping ${url} (failed to load)`);
-                    await page.close();
-                    continue;
-                }
-                
-                // Wait a bit more for dynamic content to load
-                await page.waitForTimeout(2000);
-                
-                // Extract data using enhanced scraper (pass browser instance)
-                const orgData = await scrapeOrganisation(url, page, browser);
-                
-                // Only process if we got a valid name
-                if (orgData.name) {
-                    scrapedData.push(orgData);
-                    console.log(`✅ Scraped: ${orgData.name}`);
-                } else {
-                    console.log(`⚠️  No valid name found for ${url}`);
-                    errorSummary.addExtractionWarning(url, 'name', 'No valid name extracted');
-                }
-                
-                await page.close();
-                
-            } catch (error) {
-                console.error(`❌ Error scraping ${url}: ${error.message}`);
-                errorSummary.addPageLoadError(url, error.message);
-            }
+        errorSummary = new ErrorSummary();
+
+        // Step 1: Pick the source profiles (sources/*.json) and URLs to scrape
+        const allProfiles = await loadProfiles();
+        const { profiles, targets } = resumed ? targetsForUrls(allProfiles, resumed.targetUrls) : selectTargets(allProfiles, options);
+        const targetUrls = targets.map(target => target.url);
+        const selectorStats = new SelectorStats();
+        const fetchStats = new FetchStats();
+
+        // robots.txt is fetched once per host; disallowed URLs are skipped (see lib/crawl-policy.js)
+        const crawlPolicy = new CrawlPolicy();
+        // Each homepage is loaded once per run; with --root-cache-ttl it is kept between runs
+        const rootCache = new RootMetadataCache({
+            Model: options.dryRun ? null : RootMetadata,
+            ttl: options.rootCacheTtl * 60 * 60 * 1000,
+            crawlPolicy
+        });
+        // Pages unchanged since their last scrape are skipped unless --refetch (see lib/page-cache.js)
+        const pageCache = new PageCache({ Model: PageFingerprint, refetch: options.refetch });
+        // Short descriptions are enriched from About pages, fetched as the bot (see lib/about-pages.js)
+        const aboutPages = options.about
+            ? new AboutPageDiscovery({ http: new HttpBrowser({ userAgent: crawlPolicy.userAgent }), crawlPolicy })
+            : null;
+        // Logos are downloaded into the content-addressed asset store (see lib/asset-store.js);
+        // a dry run writes no files
+        const assetStore = options.logos && !options.dryRun ? new AssetStore({ crawlPolicy }) : null;
+        // Hosts that keep failing are skipped for a while instead of retried (see lib/retry-policy.js)
+        const breaker = new CircuitBreaker();
+        // Sources with network settings use their proxies and rotate identities when blocked
+        // (see lib/network-rotation.js)
+        const network = new NetworkRotation();
+        const mergePolicies = new Map(profiles.map(profile => [profile.sourceName, profile.mergePolicy]));
+
+        // Record the run in the ScrapeRun ledger; every record it touches references the run id.
+        // A dry run writes nothing, so it has no ledger either
+        if (options.dryRun) {
+            console.log('🧪 Dry run: nothing will be written to the database');
+        } else {
+            ledger = resumed ? RunLedger.resume(ScrapeRun, resumed) : new RunLedger(ScrapeRun, { targetUrls });
+            await ledger.start();
+            console.log(`🆔 ${resumed ? 'Resuming run' : 'Run'} ${ledger.runId}`);
+
+            // Keep pages and extracted records so classification can be redone without re-scraping
+            capture = new RawCapture({ RawPage, ScrapedCandidate }, { runId: ledger.runId });
         }
-        
-        console.log(`\n📦 Scraped ${scrapedData.length} organisations from ${TARGET_URLS.length} URLs.`);
-        
-        // Step 2: Process & AI Classify
-        const processedResults = [];
-        const aiStats = {
-            total: 0,
-            successful: 0,
-            degraded: 0,
-            skipped: 0,
-            byProvider: {
-                cerebras: 0,
-                openrouter: 0,
-                moonshot: 0
-            }
-        };
-        let savedCount = 0;
-        let validationFailures = 0;
-
-        for (const item of scrapedData) {
-            try {
-                // AI Classification (only if we have enough description)
-                let aiResult = null;
-                
-                if (item.description && item.description.length > 10) {
-                    console.log(`   🧠 AI Classifying: ${item.name}...`);
-                    aiStats.total++;
-                    
-                    aiResult = await classifyWithAI(item);
-                    
-                    if (aiResult) {
-                        aiStats.successful++;
-                        
-                        if (aiResult.degraded) {
-                            aiStats.degraded++;
-                        } else if (aiResult.provider) {
-                            aiStats.byProvider[aiResult.provider]++;
-                        }
-                    }
-                } else {
-                    console.log(`   ⏩ Skipping AI for ${item.name} (Description too short)`);
-                    aiStats.skipped++;
-                }
-                
-                // Process with validation
-                const savedDoc = await processOrganisation(item, aiResult);
-                
-                if (savedDoc) {
-                    processedResults.push(savedDoc);
-                    savedCount++;
-                } else {
-                    validationFailures++;
-                }
-                
-            } catch (e) {
-                console.error(`⚠️ Could not save ${item.name}:`, e.message);
+        const runId = ledger ? ledger.runId : null;
+
+        // A resumed run skips the URLs it already scraped (failed ones are retried)
+        const done = resumed ? ledger.completedUrls() : new Set();
+        const remaining = targets.filter(target => !done.has(target.url));
+        if (resumed) {
+            console.log(`⏩ ${done.size} of ${targets.length} URLs already scraped`);
+        }
+
+        let uniqueData = [];
+        if (remaining.length > 0) {
+            // Pages are fetched over plain HTTP first; the browser is only launched
+            // when a page needs it (see lib/tiered-fetcher.js)
+            browser = lazyBrowser(() => {
+                console.log('🚀 Launching browser...');
+                return chromium.launch({ headless: true });
+            });
+
+            console.log(`📡 Scraping ${remaining.length} target URLs from ${profiles.length} source profiles (${options.concurrency} at a time, ${options.perHost} per host)...`);
+            uniqueData = await scrapeTargets(browser, remaining, {
+                errorSummary,
+                selectorStats,
+                ledger,
+                capture,
+                limit: options.limit,
+                concurrency: options.concurrency,
+                perHost: options.perHost,
+                hostDelay: options.hostDelay,
+                http: new HttpBrowser(),
+                fetchMode: options.fetchMode,
+                fetchStats,
+                rootCache,
+                crawlPolicy,
+                pageCache,
+                aboutPages,
+                assetStore,
+                breaker,
+                network
+            });
+        }
+        if (capture) {
+            await capture.saveCandidates(uniqueData);
+        }
+        // Fingerprints are only stored once the records are kept (a dry run keeps nothing)
+        if (!options.dryRun) {
+            await pageCache.save();
+        }
+
+        // A resumed run classifies every candidate it has not finished, reusing saved AI results
+        let records = uniqueData;
+        if (resumed) {
+            records = capture.track(await loadCandidates(ScrapedCandidate, { runId, unfinished: true, limit: options.limit }));
+            console.log(`♻️  ${records.length} candidates left to classify`);
+            previousFailures = resumed.validationFailures || 0;
+        }
+
+        if (options.captureOnly) {
+            errorSummary.printSummary();
+            selectorStats.printSummary();
+            fetchStats.printSummary();
+            rootCache.printSummary();
+            crawlPolicy.printSummary();
+            pageCache.printSummary();
+            if (aboutPages) aboutPages.printSummary();
+            if (assetStore) assetStore.printSummary();
+            breaker.printSummary();
+            network.printSummary();
+            if (ledger) {
+                ledger.printSummary();
+                await ledger.finish({ errorSummary });
             }
+            console.log(`\n✅ Capture Complete. ${capture ? capture.stats.candidates : 0} candidates pending, run \`node index.mjs classify\` to process them.`);
+            return 0;
         }
 
+        // Step 2: Process & AI Classify
+        // Candidates and AI results are checkpointed as they go, so the run can be resumed
+        aiStats = createAiStats(resumed?.aiStats);
+        outcome = await classifyAndProcess(records, {
+            ai: options.ai,
+            aiStats,
+            mergePolicies,
+            runId,
+            ledger,
+            dryRun: options.dryRun,
+            cachedClassification: capture ? record => capture.cachedClassification(record) : null,
+            onClassified: capture ? (record, aiResult) => capture.saveClassification(record, aiResult) : null,
+            onOutcome: capture ? async (record, result) => {
+                await capture.markOutcome(record, result);
+                await ledger.checkpoint({ aiStats, validationFailures: previousFailures + capture.stats.rejected });
+            } : null
+        });
+        outcome.validationFailures += previousFailures;
+
         // Step 3: Save review queue if there are validation failures
-        if (validationFailures > 0) {
+        if (outcome.validationFailures > 0) {
             await saveReviewQueue();
         }
-        
-        // Step 4: Print error summary
+
+        // Step 4: Print error summary, selector hit rates and fetch tiers
         errorSummary.printSummary();
-        
-        // Step 5: Print AI classification statistics
-        console.log('\n=== AI Classification Summary ===');
-        console.log(`Total organisations: ${scrapedData.length}`);
-        console.log(`AI classification attempts: ${aiStats.total}`);
-        console.log(`AI successful: ${aiStats.successful}`);
-        console.log(`AI degraded (default): ${aiStats.degraded}`);
-        console.log(`AI skipped (no description): ${aiStats.skipped}`);
-        console.log('\nBy Provider:');
-        console.log(`  - Cerebras: ${aiStats.byProvider.cerebras}`);
-        console.log(`  - OpenRouter: ${aiStats.byProvider.openrouter}`);
-        console.log(`  - Moonshot: ${aiStats.byProvider.moonshot}`);
-        console.log('================================\n');
-        
-        // Step 6: Print validation summary
-        console.log('=== Validation Summary ===');
-        console.log(`Validation failures: ${validationFailures}`);
-        console.log(`Successfully saved: ${savedCount}`);
-        console.log('==========================\n');
+        selectorStats.printSummary();
+        fetchStats.printSummary();
+        rootCache.printSummary();
+        crawlPolicy.printSummary();
+        pageCache.printSummary();
+        if (aboutPages) aboutPages.printSummary();
+        if (assetStore) assetStore.printSummary();
+        breaker.printSummary();
+        network.printSummary();
+
+        // Step 5: Print AI classification and validation statistics
+        printRunSummary(records.length, aiStats, outcome, options.dryRun);
+
+        // Step 6: Persist the run ledger
+        if (ledger) {
+            ledger.printSummary();
+            await ledger.finish({ aiStats, validationFailures: outcome.validationFailures, errorSummary });
+        }
+
+        // Step 7: Generate Report
+        if (outcome.processedResults.length > 0) {
+            generateReport(outcome.processedResults, targetUrls, { selectorStats, runId, format: options.format });
+        }
 
-        // Step 7: Generate Markdown Report
-        if (processedResults.length > 0) {
-            generateReport(processedResults, TARGET_URLS);
+        console.log(`\n✅ Run Complete. Processed ${outcome.savedCount} records.`);
+        return 0;
+
+    } catch (e) {
+        // Keep a record of the failed run (it can be continued with --resume)
+        if (ledger) {
+            const validationFailures = outcome ? outcome.validationFailures : previousFailures + (capture ? capture.stats.rejected : 0);
+            await ledger.fail(e, { aiStats, validationFailures, errorSummary });
+            console.error(`   Continue it with: node index.mjs scrape --resume ${ledger.runId}`);
         }
+        throw e;
 
-        console.log(`\n✅ Run Complete. Processed ${savedCount} records.`);
-        
+    } finally {
         // Close browser
         if (browser) {
             await browser.close();
         }
-        
-        process.exit(0);
+    }
+}
+
+// Stored organisations as records, keeping their provenance (classify --stored)
+async function loadStoredRecords(options) {
+    let query = Organisation.find(await sourceFilter(options.sources)).sort({ updatedAt: 1 });
+    if (options.limit) query = query.limit(options.limit);
+    const docs = await query;
+
+    const stored = new Map();
+    const records = docs.map(doc => {
+        const record = storedRecord(doc);
+        stored.set(record, doc);
+        return record;
+    });
+
+    return { records, findExisting: record => stored.get(record) };
+}
+
+// classify: classify captured candidates (unfinished ones, reusing saved AI results,
+// or every candidate of one run with --run) or reclassify stored organisations (--stored)
+async function runClassify(options) {
+    await dbConnect();
+    clearReviewQueue();
+
+    const profiles = await loadProfiles();
+    const mergePolicies = new Map(profiles.map(profile => [profile.sourceName, profile.mergePolicy]));
+
+    let ledger = null;
+    if (!options.dryRun) {
+        ledger = new RunLedger(ScrapeRun);
+    }
+    const runId = ledger ? ledger.runId : null;
+
+    let records;
+    let findExisting = null;
+    let capture = null;
+    if (options.stored) {
+        ({ records, findExisting } = await loadStoredRecords(options));
+        console.log(`🧠 Reclassifying ${records.length} stored organisations...`);
+    } else {
+        capture = new RawCapture({ RawPage, ScrapedCandidate }, { runId });
+        const candidates = await loadCandidates(ScrapedCandidate, {
+            runId: options.runId,
+            unfinished: !options.runId,
+            sourceNames: await sourceNamesFor(options.sources),
+            limit: options.limit
+        });
+        records = capture.track(candidates);
+        console.log(`🧠 Classifying ${records.length} ${options.runId ? `candidates captured by run ${options.runId}` : 'unfinished candidates'}...`);
+    }
 
+    if (records.length === 0) {
+        console.log('Nothing to classify');
+        return 0;
+    }
+
+    initializeKeyPools();
+    if (ledger) {
+        await ledger.start();
+        console.log(`🆔 Run ${runId}`);
+    } else {
+        console.log('🧪 Dry run: nothing will be written to the database');
+    }
+
+    const aiStats = createAiStats();
+    try {
+        const outcome = await classifyAndProcess(records, {
+            aiStats,
+            mergePolicies,
+            findExisting,
+            runId,
+            ledger,
+            dryRun: options.dryRun,
+            // Replaying a run (--run) classifies again on purpose, e.g. with a new prompt
+            cachedClassification: capture && !options.runId ? record => capture.cachedClassification(record) : null,
+            onClassified: capture && ledger ? (record, aiResult) => capture.saveClassification(record, aiResult) : null,
+            onOutcome: capture && ledger ? (record, outcome) => capture.markOutcome(record, outcome) : null
+        });
+
+        if (outcome.validationFailures > 0) {
+            await saveReviewQueue();
+        }
+        printRunSummary(records.length, aiStats, outcome, options.dryRun);
+
+        if (ledger) {
+            ledger.printSummary();
+            await ledger.finish({ aiStats, validationFailures: outcome.validationFailures });
+        }
+        if (outcome.processedResults.length > 0) {
+            generateReport(outcome.processedResults, [], { runId, format: options.format });
+        }
+        return 0;
     } catch (e) {
-        console.error("❌ Critical Error:", e);
-        
-        // Close browser on error
-        if (browser) {
-            await browser.close();
+        if (ledger) await ledger.fail(e, { aiStats });
+        throw e;
+    }
+}
+
+// validate: check stored organisations against the current rules
+async function runValidate(options) {
+    const asJson = options.format === 'json';
+    await dbConnect(asJson);
+    clearReviewQueue();
+
+    let query = Organisation.find(await sourceFilter(options.sources)).lean();
+    if (options.limit) query = query.limit(options.limit);
+    const docs = await query;
+
+    for (const doc of docs) {
+        const result = validateOrganisation(doc);
+        if (!result.valid) {
+            addToReviewQueue(doc, result.errors, { type: 'invalid_record' });
         }
-        
+    }
+
+    const failures = getReviewQueue();
+    if (asJson) {
+        process.stdout.write(`${JSON.stringify(failures.map(item => ({
+            _id: String(item.organisation._id),
+            name: item.organisation.name,
+            errors: item.errors
+        })), null, 2)}\n`);
+    } else {
+        failures.forEach(item => {
+            console.log(`❌ ${item.organisation.name}`);
+            item.errors.forEach(err => console.log(`   - ${err}`));
+        });
+        console.log(`\n=== Validation Summary ===`);
+        console.log(`Checked: ${docs.length}`);
+        console.log(`Invalid: ${failures.length}`);
+        console.log('==========================\n');
+    }
+
+    if (failures.length > 0) {
+        await saveReviewQueue();
+    }
+    return failures.length > 0 ? 1 : 0;
+}
+
+// report: regenerate a report from stored organisations
+async function runReport(options) {
+    await dbConnect();
+
+    const filter = await sourceFilter(options.sources);
+    let targetUrls = [];
+    if (options.runId) {
+        const run = await ScrapeRun.findOne({ runId: options.runId }).lean();
+        if (!run) throw new Error(`run ${options.runId} not found`);
+        filter.runIds = options.runId;
+        targetUrls = run.targetUrls || [];
+    }
+
+    let query = Organisation.find(filter).sort({ name: 1 });
+    if (options.limit) query = query.limit(options.limit);
+    const docs = await query;
+
+    if (docs.length === 0) {
+        console.log('No organisations match, no report generated');
+        return 0;
+    }
+    generateReport(docs, targetUrls, { runId: options.runId, format: options.format });
+    return 0;
+}
+
+// migrate: run the schema migration (connects on its own)
+async function runMigrate() {
+    const report = await runMigration();
+    return report.errors.length > 0 ? 1 : 0;
+}
+
+// review: show the latest review queue file
+async function runReview(options) {
+    const reportDir = 'reports';
+    const files = fs.existsSync(reportDir)
+        ? fs.readdirSync(reportDir).filter(file => /^review_queue_\d+\.json$/.test(file)).sort()
+        : [];
+
+    if (files.length === 0) {
+        console.log('No review queue found in reports/');
+        return 0;
+    }
+
+    const file = path.join(reportDir, files[files.length - 1]);
+    let items = JSON.parse(fs.readFileSync(file, 'utf8'));
+    if (options.limit) items = items.slice(0, options.limit);
+
+    if (options.format === 'json') {
+        process.stdout.write(`${JSON.stringify(items, null, 2)}\n`);
+        return 0;
+    }
+
+    const byType = {};
+    items.forEach(item => {
+        const type = item.type || 'validation_failure';
+        byType[type] = (byType[type] || 0) + 1;
+    });
+
+    console.log(`\n=== Review Queue: ${file} ===`);
+    Object.entries(byType).forEach(([type, count]) => console.log(`${type}: ${count}`));
+    items.forEach(item => {
+        console.log(`\n• ${item.organisation?.name} [${item.type || 'validation_failure'}]`);
+        (item.errors || []).forEach(err => console.log(`   - ${err}`));
+    });
+    console.log('====================================\n');
+    return 0;
+}
+
+// export: write stored organisations as JSON or CSV
+async function runExport(options) {
+    await dbConnect(!options.output);
+
+    let query = Organisation.find(await sourceFilter(options.sources)).sort({ name: 1 }).lean();
+    if (options.limit) query = query.limit(options.limit);
+    const docs = await query;
+    const output = formatOrganisations(docs, options.format);
+
+    if (options.output) {
+        fs.writeFileSync(options.output, output);
+        console.log(`📤 Exported ${docs.length} organisations to ${options.output}`);
+    } else {
+        process.stdout.write(output);
+    }
+    return 0;
+}
+
+const HANDLERS = {
+    scrape: runScrape,
+    classify: runClassify,
+    validate: runValidate,
+    report: runReport,
+    migrate: runMigrate,
+    review: runReview,
+    export: runExport,
+    help: async () => {
+        console.log(USAGE);
+        return 0;
+    }
+};
+
+// 4. MAIN EXECUTION
+async function main() {
+    let cli;
+    try {
+        cli = parseCliArgs(process.argv.slice(2));
+    } catch (e) {
+        console.error(`❌ ${e.message}`);
+        console.error(USAGE);
+        process.exit(1);
+    }
+
+    try {
+        const code = await HANDLERS[cli.command](cli.options);
+        process.exit(code);
+    } catch (e) {
+        console.error("❌ Critical Error:", e);
         process.exit(1);
     }
 }
 
-main();
\ No newline at end of file
+main();
@@ -0,0 +1,281 @@
+/**
+ * About Page Discovery Module
+ *
+ * Meta descriptions are often generic ("Welcome to our website") and the first
+ * paragraph of a page is often a cookie notice, so many organisations reach
+ * classification with a description too short or too vague to classify (and
+ * the AI is skipped entirely below 10 characters).
+ *
+ * For those records this step finds the About / Who we are / Mission pages
+ * linked from the organisation's homepage, reads their main content without
+ * boilerplate (see lib/content-extractor.js) and assembles a length-capped
+ * corpus for the classifier, recording the pages that contributed:
+ *
+ *   record.about = { text: 'Hub71 is ... Our mission ...', pages: ['https://hub71.com/about-us'] }
+ *
+ * A missing or short description is replaced by the opening passage of the
+ * corpus (extraction strategy "about-page").
+ *
+ * Pages are fetched over plain HTTP with the bot user agent and robots.txt is
+ * respected. Failures never stop a run: the record keeps what it had.
+ *
+ * Usage example:
+ * ```javascript
+ * const discovery = new AboutPageDiscovery({ http: new HttpBrowser({ userAgent: crawlPolicy.userAgent }), crawlPolicy });
+ * await discovery.enrichAll(records);
+ * discovery.printSummary();
+ * ```
+ */
+
+import { toDom } from './dom-adapter.js';
+import { HttpBrowser } from './tiered-fetcher.js';
+import { isSameSite } from './website-resolver.js';
+import { extractPassages, descriptionQuality } from './content-extractor.js';
+
+// Link texts of About pages, English and Arabic ("من نحن" = who we are, "نبذة عنا" = about us)
+const ABOUT_TEXT = /^(about|about us|who we are|our story|our mission|mission( (and|&) vision)?|vision( (and|&) mission)?|overview|company profile|our company|introduction)\b|\babout (us|the)\b|من نحن|نبذة|عن (الهيئة|المؤسسة|الشركة|المركز|الدائرة|الوزارة)|رؤيتنا|رسالتنا|قصتنا/i;
+
+// Path segments of About pages
+const ABOUT_PATH = /^(about|about-?us|who-?we-?are|our-?story|mission|vision|mission-?(and-)?vision|vision-?(and-)?mission|overview|company-?profile|من-نحن|نبذة-عنا)(\.html?|\.aspx|\.php)?$/i;
+
+// Descriptions shorter than this are enriched
+export const SHORT_DESCRIPTION = 150;
+
+// Longest corpus handed to the classifier
+export const MAX_CORPUS_LENGTH = 3000;
+
+// Longest description taken from an About page
+const MAX_DESCRIPTION_LENGTH = 500;
+
+const DEFAULT_MAX_PAGES = 2;
+const PAGE_TIMEOUT = 15000;
+
+/**
+ * Check whether a record needs a better description
+ * @param {Object} record - Scraped record
+ * @returns {boolean} True if the description is missing, short or a main-content guess
+ */
+export function needsAboutPages(record) {
+  const description = record.description || '';
+  return description.length < SHORT_DESCRIPTION || (record.extraction || {}).description === 'main-content';
+}
+
+/**
+ * About page links of a page, best first
+ * Links labelled "About us" rank above links that only have an About path
+ * @param {Page|StaticPage} page - Loaded page (usually the homepage)
+ * @param {number} max - Most links returned
+ * @returns {Promise<string[]>} Absolute URLs on the same site
+ */
+export async function findAboutLinks(page, max = DEFAULT_MAX_PAGES) {
+  const dom = toDom(page);
+  const pageUrl = page.url();
+  const hrefs = await dom.hrefs('a[href]');
+  const texts = await dom.texts('a[href]');
+
+  const found = new Map(); // url without fragment → score
+  hrefs.forEach((href, i) => {
+    if (!href || !isSameSite(href, pageUrl)) return;
+
+    const url = new URL(href);
+    url.hash = '';
+    if (url.href === pageUrl) return;
+
+    const segments = url.pathname.split('/').filter(Boolean).map(segment => {
+      try {
+        return decodeURIComponent(segment);
+      } catch {
+        return segment;
+      }
+    });
+    const score = (ABOUT_TEXT.test(texts[i].replace(/\s+/g, ' ').trim()) ? 2 : 0)
+      + (segments.length > 0 && ABOUT_PATH.test(segments[segments.length - 1]) ? 1 : 0);
+    if (score > 0 && score > (found.get(url.href) || 0)) found.set(url.href, score);
+  });
+
+  return [...found.entries()]
+    .sort(([a, scoreA], [b, scoreB]) => scoreB - scoreA || a.length - b.length)
+    .slice(0, max)
+    .map(([url]) => url);
+}
+
+/**
+ * Join the passages of several pages into one capped corpus
+ * Passages repeated across pages (shared intros, footers that slipped
+ * through) are used once; a page only counts if one of its passages made it in
+ * @param {Array<{url: string, passages: string[]}>} pages - Pages in order of preference
+ * @param {number} maxLength - Longest corpus
+ * @returns {{text: string, pages: string[]}|null} Corpus or null if no page had content
+ */
+export function assembleCorpus(pages, maxLength = MAX_CORPUS_LENGTH) {
+  const parts = [];
+  const contributed = [];
+  const seen = new Set();
+  let length = 0;
+  let full = false;
+
+  for (const { url, passages } of pages) {
+    let used = false;
+    for (const passage of passages) {
+      const key = passage.toLowerCase();
+      if (seen.has(key)) continue;
+      seen.add(key);
+
+      // The passage that reaches the cap is cut and ends the corpus
+      const room = maxLength - length - (parts.length > 0 ? 2 : 0);
+      const text = passage.length <= room ? passage : truncate(passage, room);
+      full = text !== passage;
+      if (text) {
+        parts.push(text);
+        length += text.length + (parts.length > 1 ? 2 : 0);
+        used = true;
+      }
+      if (full) break;
+    }
+    if (used) contributed.push(url);
+    if (full) break;
+  }
+
+  return parts.length > 0 ? { text: parts.join('\n\n'), pages: contributed } : null;
+}
+
+/**
+ * Cut text at the last sentence (or word) end that fits
+ * @param {string} text - Text
+ * @param {number} maxLength - Longest result
+ * @returns {string} Shortened text ('' if not even one word fits)
+ */
+function truncate(text, maxLength) {
+  if (text.length <= maxLength) return text;
+  if (maxLength <= 0) return '';
+  const cut = text.slice(0, maxLength);
+  const sentence = cut.match(/^[\s\S]*[.!?؟。](?=\s|$)/);
+  if (sentence && sentence[0].length >= maxLength / 2) return sentence[0];
+  const word = cut.slice(0, cut.lastIndexOf(' ') + 1).trim();
+  return word ? `${word}…` : '';
+}
+
+/**
+ * About page discovery for one run
+ */
+export class AboutPageDiscovery {
+  /**
+   * @param {Object} options - Discovery options
+   * @param {HttpBrowser} options.http - Fetches the pages (default: plain HTTP with the default user agent)
+   * @param {CrawlPolicy} options.crawlPolicy - Skips pages robots.txt disallows (optional)
+   * @param {number} options.maxPages - About pages read per organisation (default 2)
+   * @param {number} options.maxLength - Longest corpus (default 3000)
+   */
+  constructor(options = {}) {
+    this.http = options.http || new HttpBrowser();
+    this.crawlPolicy = options.crawlPolicy || null;
+    this.maxPages = options.maxPages || DEFAULT_MAX_PAGES;
+    this.maxLength = options.maxLength || MAX_CORPUS_LENGTH;
+    this.corpora = new Map(); // website → Promise<corpus|null>
+    this.stats = { records: 0, enriched: 0, pages: 0, failures: 0 };
+  }
+
+  /**
+   * Load a page over plain HTTP
+   * @param {string} url - Page URL
+   * @returns {Promise<StaticPage|null>} Loaded page, or null if disallowed or unusable
+   */
+  async load(url) {
+    if (this.crawlPolicy && !(await this.crawlPolicy.check(url)).allowed) return null;
+
+    const page = await this.http.newPage();
+    const response = await page.goto(url, { timeout: PAGE_TIMEOUT });
+    return response.ok() ? page : null;
+  }
+
+  /**
+   * About page corpus of a website (each website once per run)
+   * @param {string} website - Organisation homepage
+   * @returns {Promise<{text: string, pages: string[]}|null>} Corpus or null
+   */
+  async corpusFor(website) {
+    if (!this.corpora.has(website)) {
+      this.corpora.set(website, this.discover(website));
+    }
+    return this.corpora.get(website);
+  }
+
+  /**
+   * Find, fetch and read the About pages linked from a homepage
+   * @param {string} website - Organisation homepage
+   * @returns {Promise<{text: string, pages: string[]}|null>} Corpus or null
+   */
+  async discover(website) {
+    try {
+      const homepage = await this.load(website);
+      if (!homepage) return null;
+
+      const pages = [];
+      for (const url of await findAboutLinks(homepage, this.maxPages)) {
+        const page = await this.load(url);
+        if (!page) continue;
+        pages.push({ url: page.url(), passages: extractPassages(await page.content()) });
+        this.stats.pages++;
+      }
+      return assembleCorpus(pages, this.maxLength);
+    } catch (error) {
+      console.warn(`   ⚠️  Could not read About pages of ${website}: ${error.message}`);
+      this.stats.failures++;
+      return null;
+    }
+  }
+
+  /**
+   * Attach the About page corpus to a record and enrich a short description
+   * @param {Object} record - Scraped record (website resolved)
+   * @returns {Promise<boolean>} Whether About pages were found
+   */
+  async enrich(record) {
+    if (!record.website || !needsAboutPages(record)) return false;
+    this.stats.records++;
+
+    const corpus = await this.corpusFor(record.website);
+    if (!corpus) return false;
+
+    record.about = corpus;
+    const opening = truncate(corpus.text.split('\n\n')[0], MAX_DESCRIPTION_LENGTH);
+    if (opening.length > (record.description || '').length) {
+      record.description = opening;
+      record.extraction = { ...record.extraction, description: 'about-page' };
+      record.quality = { ...record.quality, description: descriptionQuality(opening) };
+    }
+    this.stats.enriched++;
+    return true;
+  }
+
+  /**
+   * Enrich every record that needs it
+   * @param {Object[]} records - Scraped records (websites resolved)
+   * @returns {Promise<number>} Number of records enriched
+   */
+  async enrichAll(records) {
+    const pending = records.filter(record => record.website && needsAboutPages(record));
+    if (pending.length === 0) return 0;
+
+    console.log(`\n📖 Reading About pages for ${pending.length} organisations with short descriptions...`);
+    let enriched = 0;
+    for (const record of pending) {
+      if (await this.enrich(record)) enriched++;
+    }
+    return enriched;
+  }
+
+  /**
+   * Print discovery statistics to console
+   */
+  printSummary() {
+    const { records, enriched, pages, failures } = this.stats;
+    if (records === 0) return;
+
+    console.log('\n=== About Pages ===');
+    console.log(`📖 Organisations with short descriptions: ${records}`);
+    console.log(`✅ Enriched from About pages: ${enriched} (${pages} pages read)`);
+    console.log(`❌ Failures: ${failures}`);
+    console.log('===================\n');
+  }
+}
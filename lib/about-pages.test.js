@@ -0,0 +1,158 @@
+/**
+ * Unit Tests for About Page Discovery
+ * Tests About link detection, boilerplate-free passages, corpus assembly and
+ * record enrichment (stubbed fetch, no network)
+ */
+
+import { describe, it } from 'mocha';
+import { expect } from 'chai';
+import { StaticPage } from './dom-adapter.js';
+import { HttpBrowser } from './tiered-fetcher.js';
+import { extractPassages } from './content-extractor.js';
+import { needsAboutPages, findAboutLinks, assembleCorpus, AboutPageDiscovery } from './about-pages.js';
+import { buildClassificationPrompt } from './multi-provider-classifier.js';
+
+const ROOT = 'https://www.example.ae/';
+
+const HOMEPAGE = `<html><body>
+  <header><nav>
+    <a href="/">Home</a>
+    <a href="/en/who-we-are">Who we are</a>
+    <a href="/programmes">Programmes</a>
+    <a href="/about-us#team">About</a>
+    <a href="https://www.linkedin.com/company/example/about/">LinkedIn</a>
+  </nav></header>
+  <main><p>Welcome to our website.</p></main>
+  <footer><a href="/mission">Read more</a></footer>
+</body></html>`;
+
+const ABOUT = `<html><body>
+  <div class="cookie-banner"><p>We use cookies to improve your experience on our website. Accept all cookies?</p></div>
+  <header><p>Subscribe to our newsletter for the latest startup news and events.</p></header>
+  <main>
+    <h1>About Example Hub</h1>
+    <p>Example Hub is an Abu Dhabi platform that helps early-stage founders build and scale technology companies.</p>
+    <p>Our programmes connect startups with investors, corporate partners and government entities across the UAE.</p>
+    <ul><li><a href="/a">Programme A</a> <a href="/b">Programme B</a> <a href="/c">Programme C</a> <a href="/d">Programme D</a></li></ul>
+  </main>
+  <footer><p>© 2026 Example Hub. All rights reserved. Terms and conditions apply.</p></footer>
+</body></html>`;
+
+const MISSION = `<html><body><article>
+  <p>Example Hub is an Abu Dhabi platform that helps early-stage founders build and scale technology companies.</p>
+  <p>Our mission is to make the UAE the best place in the world to start a technology company.</p>
+</article></body></html>`;
+
+/**
+ * fetch stub serving fixed HTML per URL and recording requests
+ */
+function createFetch(pages) {
+  const fetchImpl = async url => {
+    fetchImpl.calls.push(url);
+    const body = pages[url];
+    if (!body) return new Response('<title>404 Not Found</title>', { status: 404, headers: { 'content-type': 'text/html' } });
+    return new Response(body, { headers: { 'content-type': 'text/html' } });
+  };
+  fetchImpl.calls = [];
+  return fetchImpl;
+}
+
+describe('About Pages - content', () => {
+  it('should keep the main content and drop banners, headers, footers and link lists', () => {
+    expect(extractPassages(ABOUT)).to.deep.equal([
+      'Example Hub is an Abu Dhabi platform that helps early-stage founders build and scale technology companies.',
+      'Our programmes connect startups with investors, corporate partners and government entities across the UAE.'
+    ]);
+  });
+
+  it('should keep pages whose wrapper has a boilerplate-looking class', () => {
+    const html = `<body><div class="page has-header"><main><p>${'Example Hub supports founders. '.repeat(3)}</p></main></div></body>`;
+    expect(extractPassages(html)).to.have.length(1);
+  });
+});
+
+describe('About Pages - discovery', () => {
+  it('should only enrich missing, short or main-content descriptions', () => {
+    expect(needsAboutPages({ description: null })).to.be.true;
+    expect(needsAboutPages({ description: 'Welcome to our website' })).to.be.true;
+    expect(needsAboutPages({ description: 'x'.repeat(200), extraction: { description: 'main-content' } })).to.be.true;
+    expect(needsAboutPages({ description: 'x'.repeat(200), extraction: { description: 'meta-description' } })).to.be.false;
+  });
+
+  it('should find About links on the same site, labelled links first', async () => {
+    const page = new StaticPage({ html: HOMEPAGE, url: ROOT });
+    expect(await findAboutLinks(page, 3)).to.deep.equal([
+      'https://www.example.ae/about-us',
+      'https://www.example.ae/en/who-we-are',
+      'https://www.example.ae/mission'
+    ]);
+  });
+
+  it('should recognise Arabic About links', async () => {
+    const page = new StaticPage({ html: '<a href="/ar/%D9%85%D9%86-%D9%86%D8%AD%D9%86">من نحن</a>', url: ROOT });
+    expect(await findAboutLinks(page)).to.deep.equal(['https://www.example.ae/ar/%D9%85%D9%86-%D9%86%D8%AD%D9%86']);
+  });
+
+  it('should join pages into a capped corpus and record the pages that contributed', () => {
+    const corpus = assembleCorpus([
+      { url: `${ROOT}about-us`, passages: ['First passage about the hub.', 'Second passage. It goes on and on for a while.'] },
+      { url: `${ROOT}mission`, passages: ['First passage about the hub.'] },
+      { url: `${ROOT}vision`, passages: ['Never reached.'] }
+    ], 60);
+
+    expect(corpus).to.deep.equal({ text: 'First passage about the hub.\n\nSecond passage.', pages: [`${ROOT}about-us`] });
+    expect(corpus.text.length).to.be.at.most(60);
+    expect(assembleCorpus([{ url: ROOT, passages: [] }])).to.be.null;
+  });
+});
+
+describe('About Pages - AboutPageDiscovery', () => {
+  const pages = { [ROOT]: HOMEPAGE, [`${ROOT}about-us`]: ABOUT, [`${ROOT}en/who-we-are`]: MISSION };
+
+  it('should enrich a short description from the About pages', async () => {
+    const fetchImpl = createFetch(pages);
+    const discovery = new AboutPageDiscovery({ http: new HttpBrowser({ fetchImpl }) });
+    const record = { name: 'Example Hub', website: ROOT, description: 'Welcome', extraction: { description: 'meta-description' } };
+
+    expect(await discovery.enrich(record)).to.be.true;
+
+    expect(fetchImpl.calls).to.deep.equal([ROOT, `${ROOT}about-us`, `${ROOT}en/who-we-are`]);
+    expect(record.about.pages).to.deep.equal([`${ROOT}about-us`, `${ROOT}en/who-we-are`]);
+    expect(record.about.text.split('\n\n')).to.have.length(3);
+    expect(record.description).to.equal('Example Hub is an Abu Dhabi platform that helps early-stage founders build and scale technology companies.');
+    expect(record.extraction.description).to.equal('about-page');
+    expect(record.quality.description).to.be.above(0.8);
+    expect(buildClassificationPrompt(record)).to.include('About pages (from the organisation\'s own website): "Example Hub is');
+  });
+
+  it('should read each website once and leave good descriptions alone', async () => {
+    const fetchImpl = createFetch(pages);
+    const discovery = new AboutPageDiscovery({ http: new HttpBrowser({ fetchImpl }) });
+    const records = [
+      { website: ROOT, description: null },
+      { website: ROOT, description: '' },
+      { website: 'https://other.ae/', description: 'x'.repeat(200), extraction: { description: 'meta-description' } }
+    ];
+
+    expect(await discovery.enrichAll(records)).to.equal(2);
+    expect(fetchImpl.calls.filter(url => url === ROOT)).to.have.length(1);
+    expect(records[2].about).to.be.undefined;
+  });
+
+  it('should respect robots.txt and survive unreachable sites', async () => {
+    const fetchImpl = createFetch(pages);
+    const crawlPolicy = { check: async url => ({ allowed: !url.includes('about-us') }) };
+    const discovery = new AboutPageDiscovery({ http: new HttpBrowser({ fetchImpl }), crawlPolicy });
+    const record = { website: ROOT, description: null };
+
+    await discovery.enrich(record);
+    expect(fetchImpl.calls).not.to.include(`${ROOT}about-us`);
+    expect(record.about.pages).to.deep.equal([`${ROOT}en/who-we-are`]);
+
+    const offline = new AboutPageDiscovery({ http: new HttpBrowser({ fetchImpl: async () => { throw new Error('ENOTFOUND'); } }) });
+    const unreachable = { website: 'https://gone.ae/', description: 'Short' };
+    expect(await offline.enrich(unreachable)).to.be.false;
+    expect(unreachable.description).to.equal('Short');
+    expect(offline.stats.failures).to.equal(1);
+  });
+});
@@ -0,0 +1,305 @@
+/**
+ * Asset Store Module
+ *
+ * Downloads images (organisation logos) into a local content-addressed store:
+ * every file is named after the SHA-256 of its bytes, so the same logo served
+ * from several URLs or found again on a later run is stored once.
+ *
+ *   assets/3f/3f9a...c1.png
+ *
+ * The type and dimensions are read from the bytes themselves (servers often
+ * send the wrong Content-Type), and downloads that are not a usable image are
+ * skipped: error pages served with 200, tracking pixels, spacers and
+ * placeholder images of CMS themes.
+ *
+ * Download failures never stop a run: they are logged and counted.
+ *
+ * Usage example:
+ * ```javascript
+ * const assetStore = new AssetStore({ directory: 'assets', crawlPolicy });
+ * const asset = await assetStore.save('https://www.hub71.com/logo.png');
+ * // → { hash, path: 'assets/3f/3f9a...png', mimeType: 'image/png', width: 512, height: 512, bytes: 10240, sourceUrl }
+ * assetStore.printSummary();
+ * ```
+ */
+
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+import { BOT_USER_AGENT } from './crawl-policy.js';
+
+export const DEFAULT_ASSET_DIR = 'assets';
+
+// Smallest usable logo side in pixels (favicons are 16x16)
+export const MIN_IMAGE_SIZE = 16;
+
+const MAX_IMAGE_BYTES = 5 * 1024 * 1024;
+const DOWNLOAD_TIMEOUT = 15000;
+
+// File names of theme placeholders, spacers and tracking pixels
+const PLACEHOLDER_URL = /placeholder|no[-_]?(image|logo|photo)|default[-_]?(logo|image|avatar|thumb)|image[-_]?not[-_]?found|blank\.(gif|png)|spacer\.gif|pixel\.(gif|png)|transparent\.(gif|png)|1x1\.(gif|png)/i;
+
+const EXTENSIONS = {
+  'image/png': 'png',
+  'image/jpeg': 'jpg',
+  'image/gif': 'gif',
+  'image/webp': 'webp',
+  'image/x-icon': 'ico',
+  'image/svg+xml': 'svg'
+};
+
+/**
+ * Width and height of a JPEG (from its first start-of-frame marker)
+ * @param {Buffer} buffer - JPEG bytes
+ * @returns {{width: number, height: number}|null} Dimensions
+ */
+function jpegSize(buffer) {
+  let offset = 2;
+  while (offset + 9 < buffer.length) {
+    if (buffer[offset] !== 0xff) return null;
+    const marker = buffer[offset + 1];
+    if (marker === 0xff) {
+      offset++; // Fill byte
+      continue;
+    }
+    // SOF0-SOF15, except DHT (C4), JPG (C8) and DAC (CC)
+    if (marker >= 0xc0 && marker <= 0xcf && ![0xc4, 0xc8, 0xcc].includes(marker)) {
+      return { height: buffer.readUInt16BE(offset + 5), width: buffer.readUInt16BE(offset + 7) };
+    }
+    offset += 2 + buffer.readUInt16BE(offset + 2);
+  }
+  return null;
+}
+
+/**
+ * Width and height of a WebP image
+ * @param {Buffer} buffer - WebP bytes
+ * @returns {{width: number, height: number}|null} Dimensions
+ */
+function webpSize(buffer) {
+  const chunk = buffer.toString('ascii', 12, 16);
+  if (chunk === 'VP8 ' && buffer.length >= 30) {
+    return { width: buffer.readUInt16LE(26) & 0x3fff, height: buffer.readUInt16LE(28) & 0x3fff };
+  }
+  if (chunk === 'VP8L' && buffer.length >= 25) {
+    const bits = buffer.readUInt32LE(21);
+    return { width: (bits & 0x3fff) + 1, height: ((bits >> 14) & 0x3fff) + 1 };
+  }
+  if (chunk === 'VP8X' && buffer.length >= 30) {
+    return { width: buffer.readUIntLE(24, 3) + 1, height: buffer.readUIntLE(27, 3) + 1 };
+  }
+  return null;
+}
+
+/**
+ * Largest image of an ICO file (a width/height byte of 0 means 256)
+ * @param {Buffer} buffer - ICO bytes
+ * @returns {{width: number, height: number}|null} Dimensions
+ */
+function icoSize(buffer) {
+  const count = buffer.readUInt16LE(4);
+  let largest = null;
+  for (let i = 0; i < count && 6 + i * 16 + 2 <= buffer.length; i++) {
+    const width = buffer[6 + i * 16] || 256;
+    const height = buffer[6 + i * 16 + 1] || 256;
+    if (!largest || width * height > largest.width * largest.height) largest = { width, height };
+  }
+  return largest;
+}
+
+/**
+ * Width and height of an SVG from its width/height attributes or viewBox
+ * (null when it only scales to its container)
+ * @param {string} svg - Opening <svg> tag
+ * @returns {{width: number|null, height: number|null}} Dimensions
+ */
+function svgSize(svg) {
+  const length = name => {
+    const match = svg.match(new RegExp(`\\s${name}\\s*=\\s*["']\\s*([\\d.]+)(px)?\\s*["']`, 'i'));
+    return match ? Math.round(Number(match[1])) : null;
+  };
+  const width = length('width');
+  const height = length('height');
+  if (width && height) return { width, height };
+
+  const viewBox = svg.match(/\sviewBox\s*=\s*["']\s*[-\d.]+[\s,]+[-\d.]+[\s,]+([\d.]+)[\s,]+([\d.]+)\s*["']/i);
+  return viewBox
+    ? { width: Math.round(Number(viewBox[1])), height: Math.round(Number(viewBox[2])) }
+    : { width: null, height: null };
+}
+
+/**
+ * Identify an image from its bytes
+ * @param {Buffer} buffer - Downloaded bytes
+ * @returns {{mimeType: string, width: number|null, height: number|null}|null} Type and
+ *   dimensions, or null if the bytes are not a PNG, JPEG, GIF, WebP, ICO or SVG image
+ */
+export function sniffImage(buffer) {
+  if (!buffer || buffer.length < 12) return null;
+
+  let size = null;
+  let mimeType = null;
+
+  if (buffer.readUInt32BE(0) === 0x89504e47 && buffer.length >= 24) {
+    mimeType = 'image/png';
+    size = { width: buffer.readUInt32BE(16), height: buffer.readUInt32BE(20) };
+  } else if (buffer[0] === 0xff && buffer[1] === 0xd8) {
+    mimeType = 'image/jpeg';
+    size = jpegSize(buffer);
+  } else if (/^GIF8[79]a$/.test(buffer.toString('ascii', 0, 6))) {
+    mimeType = 'image/gif';
+    size = { width: buffer.readUInt16LE(6), height: buffer.readUInt16LE(8) };
+  } else if (buffer.toString('ascii', 0, 4) === 'RIFF' && buffer.toString('ascii', 8, 12) === 'WEBP') {
+    mimeType = 'image/webp';
+    size = webpSize(buffer);
+  } else if (buffer.readUInt32BE(0) === 0x00000100) {
+    mimeType = 'image/x-icon';
+    size = icoSize(buffer);
+  } else {
+    // SVG: markup whose root element is <svg> (after an XML declaration, doctype or comments)
+    const head = buffer.toString('utf8', 0, 4096).replace(/^\uFEFF/, '');
+    const svg = head.match(/^\s*(?:<\?xml[^>]*>\s*|<!DOCTYPE[^>]*>\s*|<!--[\s\S]*?-->\s*)*(<svg\b[^>]*>)/i);
+    if (svg) {
+      mimeType = 'image/svg+xml';
+      size = svgSize(svg[1]);
+    }
+  }
+
+  if (!mimeType) return null;
+  return { mimeType, width: size ? size.width : null, height: size ? size.height : null };
+}
+
+/**
+ * Why a downloaded image can't be used as a logo
+ * @param {string} url - Image URL
+ * @param {Object|null} image - sniffImage() result
+ * @returns {string|null} Reason, or null if the image looks usable
+ */
+export function unusableImageReason(url, image) {
+  if (!image) return 'not an image';
+  if (PLACEHOLDER_URL.test(new URL(url).pathname)) return 'placeholder image';
+  if ((image.width !== null && image.width < MIN_IMAGE_SIZE) || (image.height !== null && image.height < MIN_IMAGE_SIZE)) {
+    return `too small (${image.width}x${image.height})`;
+  }
+  return null;
+}
+
+/**
+ * Content-addressed image store for one run
+ */
+export class AssetStore {
+  /**
+   * @param {Object} options - Store options
+   * @param {string} options.directory - Root directory of the store (default: ASSET_DIR or "assets")
+   * @param {Function} options.fetchImpl - fetch implementation (default: global fetch)
+   * @param {string} options.userAgent - User agent of downloads (default: CRAWLER_USER_AGENT or BOT_USER_AGENT)
+   * @param {CrawlPolicy} options.crawlPolicy - Skips images robots.txt disallows (optional)
+   * @param {number} options.maxBytes - Largest accepted download (default 5MB)
+   * @param {number} options.timeout - Download timeout in ms (default 15000)
+   */
+  constructor(options = {}) {
+    this.directory = options.directory || process.env.ASSET_DIR || DEFAULT_ASSET_DIR;
+    this.fetchImpl = options.fetchImpl || fetch;
+    this.userAgent = options.userAgent || process.env.CRAWLER_USER_AGENT || BOT_USER_AGENT;
+    this.crawlPolicy = options.crawlPolicy || null;
+    this.maxBytes = options.maxBytes || MAX_IMAGE_BYTES;
+    this.timeout = options.timeout || DOWNLOAD_TIMEOUT;
+    this.downloads = new Map(); // url → Promise<asset|null>
+    this.stats = { stored: 0, existing: 0, skipped: 0, failed: 0 };
+  }
+
+  /**
+   * Download an image into the store (each URL once per run)
+   * @param {string} url - Image URL
+   * @returns {Promise<Object|null>} { hash, path, mimeType, width, height, bytes, sourceUrl },
+   *   or null if the image could not be downloaded or is not usable
+   */
+  async save(url) {
+    if (!this.downloads.has(url)) {
+      this.downloads.set(url, this.download(url));
+    }
+    return this.downloads.get(url);
+  }
+
+  /**
+   * Fetch, check and store one image
+   * @param {string} url - Image URL
+   * @returns {Promise<Object|null>} Asset or null
+   */
+  async download(url) {
+    try {
+      if (this.crawlPolicy && !(await this.crawlPolicy.check(url)).allowed) {
+        return this.skip(url, 'disallowed by robots.txt');
+      }
+
+      const response = await this.fetchImpl(url, {
+        redirect: 'follow',
+        headers: { 'user-agent': this.userAgent, accept: 'image/*' },
+        signal: AbortSignal.timeout(this.timeout)
+      });
+      if (!response.ok) return this.skip(url, `HTTP ${response.status}`);
+
+      const length = Number(response.headers.get('content-length'));
+      if (length > this.maxBytes) return this.skip(url, `too large (${length} bytes)`);
+
+      const buffer = Buffer.from(await response.arrayBuffer());
+      if (buffer.length > this.maxBytes) return this.skip(url, `too large (${buffer.length} bytes)`);
+
+      const image = sniffImage(buffer);
+      const reason = unusableImageReason(url, image);
+      if (reason) return this.skip(url, reason);
+
+      const hash = crypto.createHash('sha256').update(buffer).digest('hex');
+      const filePath = path.join(this.directory, hash.slice(0, 2), `${hash}.${EXTENSIONS[image.mimeType]}`);
+      await this.write(filePath, buffer);
+
+      return { hash, path: filePath, ...image, bytes: buffer.length, sourceUrl: url };
+    } catch (error) {
+      console.warn(`   ⚠️  Could not download image ${url}: ${error.message}`);
+      this.stats.failed++;
+      return null;
+    }
+  }
+
+  /**
+   * Write a file unless the store already has it
+   * @param {string} filePath - Content-addressed path
+   * @param {Buffer} buffer - File contents
+   */
+  async write(filePath, buffer) {
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    try {
+      await fs.writeFile(filePath, buffer, { flag: 'wx' });
+      this.stats.stored++;
+    } catch (error) {
+      if (error.code !== 'EEXIST') throw error;
+      this.stats.existing++;
+    }
+  }
+
+  /**
+   * Log and count an unusable image
+   * @param {string} url - Image URL
+   * @param {string} reason - Why it was skipped
+   * @returns {null}
+   */
+  skip(url, reason) {
+    console.log(`   🖼️  Skipped image ${url}: ${reason}`);
+    this.stats.skipped++;
+    return null;
+  }
+
+  /**
+   * Print store statistics to console
+   */
+  printSummary() {
+    const { stored, existing, skipped, failed } = this.stats;
+    if (stored + existing + skipped + failed === 0) return;
+
+    console.log('\n=== Asset Store ===');
+    console.log(`🖼️  Images stored: ${stored} (${existing} already in ${this.directory})`);
+    console.log(`⏭️  Skipped (broken or placeholder): ${skipped}`);
+    console.log(`❌ Download failures: ${failed}`);
+    console.log('===================\n');
+  }
+}
@@ -0,0 +1,182 @@
+/**
+ * Unit Tests for the Asset Store
+ * Tests image type and dimension sniffing, placeholder detection and the
+ * content-addressed store (temporary directory, stubbed fetch)
+ */
+
+import { describe, it, beforeEach, afterEach } from 'mocha';
+import { expect } from 'chai';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { sniffImage, unusableImageReason, AssetStore } from './asset-store.js';
+
+/**
+ * Minimal PNG header (signature + IHDR) of the given size
+ */
+function png(width, height) {
+  const buffer = Buffer.alloc(33);
+  buffer.writeUInt32BE(0x89504e47, 0);
+  buffer.writeUInt32BE(0x0d0a1a0a, 4);
+  buffer.writeUInt32BE(13, 8);
+  buffer.write('IHDR', 12, 'ascii');
+  buffer.writeUInt32BE(width, 16);
+  buffer.writeUInt32BE(height, 20);
+  return buffer;
+}
+
+function gif(width, height) {
+  const buffer = Buffer.alloc(16);
+  buffer.write('GIF89a', 0, 'ascii');
+  buffer.writeUInt16LE(width, 6);
+  buffer.writeUInt16LE(height, 8);
+  return buffer;
+}
+
+/**
+ * JPEG with an APP0 segment before the SOF0 frame header
+ */
+function jpeg(width, height) {
+  const app0 = Buffer.from([0xff, 0xe0, 0x00, 0x10, ...Buffer.from('JFIF\0'), 1, 1, 0, 0, 1, 0, 1, 0, 0]);
+  const sof0 = Buffer.alloc(19);
+  sof0.writeUInt16BE(0xffc0, 0);
+  sof0.writeUInt16BE(17, 2);
+  sof0[4] = 8;
+  sof0.writeUInt16BE(height, 5);
+  sof0.writeUInt16BE(width, 7);
+  return Buffer.concat([Buffer.from([0xff, 0xd8]), app0, sof0]);
+}
+
+function ico(sizes) {
+  const buffer = Buffer.alloc(6 + sizes.length * 16);
+  buffer.writeUInt16LE(1, 2);
+  buffer.writeUInt16LE(sizes.length, 4);
+  sizes.forEach((size, i) => {
+    buffer[6 + i * 16] = size % 256;
+    buffer[6 + i * 16 + 1] = size % 256;
+  });
+  return buffer;
+}
+
+/**
+ * fetch stub serving fixed bodies per URL and counting requests
+ */
+function createFetch(files) {
+  const fetchImpl = async url => {
+    fetchImpl.calls.push(url);
+    const body = files[url];
+    if (body === undefined) return new Response('<title>404 Not Found</title>', { status: 404, headers: { 'content-type': 'text/html' } });
+    return new Response(body, { headers: { 'content-type': 'image/png' } });
+  };
+  fetchImpl.calls = [];
+  return fetchImpl;
+}
+
+describe('Asset Store - sniffImage', () => {
+  it('should read the type and dimensions of PNG, JPEG, GIF and ICO files', () => {
+    expect(sniffImage(png(512, 256))).to.deep.equal({ mimeType: 'image/png', width: 512, height: 256 });
+    expect(sniffImage(jpeg(1200, 630))).to.deep.equal({ mimeType: 'image/jpeg', width: 1200, height: 630 });
+    expect(sniffImage(gif(1, 1))).to.deep.equal({ mimeType: 'image/gif', width: 1, height: 1 });
+    expect(sniffImage(ico([16, 32, 0]))).to.deep.equal({ mimeType: 'image/x-icon', width: 256, height: 256 });
+  });
+
+  it('should read SVG sizes from width/height or the viewBox', () => {
+    const sized = Buffer.from('<?xml version="1.0"?>\n<!-- logo --><svg xmlns="http://www.w3.org/2000/svg" width="120px" height="40"></svg>');
+    const boxed = Buffer.from('<svg viewBox="0 0 300 100" xmlns="http://www.w3.org/2000/svg"><path d="M0 0"/></svg>');
+    const scalable = Buffer.from('<svg xmlns="http://www.w3.org/2000/svg" width="100%"><path d="M0 0"/></svg>');
+
+    expect(sniffImage(sized)).to.deep.equal({ mimeType: 'image/svg+xml', width: 120, height: 40 });
+    expect(sniffImage(boxed)).to.deep.equal({ mimeType: 'image/svg+xml', width: 300, height: 100 });
+    expect(sniffImage(scalable)).to.deep.equal({ mimeType: 'image/svg+xml', width: null, height: null });
+  });
+
+  it('should not take HTML error pages or empty bodies for images', () => {
+    expect(sniffImage(Buffer.from('<!DOCTYPE html><html><title>404 Not Found</title></html>'))).to.be.null;
+    expect(sniffImage(Buffer.alloc(0))).to.be.null;
+  });
+});
+
+describe('Asset Store - unusableImageReason', () => {
+  it('should skip placeholders, spacers and tracking pixels', () => {
+    const image = { mimeType: 'image/png', width: 200, height: 200 };
+    expect(unusableImageReason('https://www.hub71.com/wp-content/themes/x/placeholder-logo.png', image)).to.equal('placeholder image');
+    expect(unusableImageReason('https://www.hub71.com/img/no_image.png', image)).to.equal('placeholder image');
+    expect(unusableImageReason('https://www.hub71.com/pixel.gif', { mimeType: 'image/gif', width: 1, height: 1 })).to.equal('placeholder image');
+    expect(unusableImageReason('https://www.hub71.com/t.gif', { mimeType: 'image/gif', width: 1, height: 1 })).to.equal('too small (1x1)');
+    expect(unusableImageReason('https://www.hub71.com/favicon.ico', null)).to.equal('not an image');
+  });
+
+  it('should accept favicons and logos', () => {
+    expect(unusableImageReason('https://www.hub71.com/favicon.ico', { mimeType: 'image/x-icon', width: 16, height: 16 })).to.be.null;
+    expect(unusableImageReason('https://www.hub71.com/logo.svg', { mimeType: 'image/svg+xml', width: null, height: null })).to.be.null;
+  });
+});
+
+describe('Asset Store - AssetStore', () => {
+  let directory;
+
+  beforeEach(async () => {
+    directory = await fs.mkdtemp(path.join(os.tmpdir(), 'assets-'));
+  });
+
+  afterEach(async () => {
+    await fs.rm(directory, { recursive: true, force: true });
+  });
+
+  it('should store images under the SHA-256 of their bytes with type and dimensions', async () => {
+    const fetchImpl = createFetch({ 'https://www.hub71.com/logo.png': png(512, 512) });
+    const store = new AssetStore({ directory, fetchImpl });
+
+    const asset = await store.save('https://www.hub71.com/logo.png');
+
+    expect(asset.hash).to.match(/^[0-9a-f]{64}$/);
+    expect(asset).to.deep.equal({
+      hash: asset.hash,
+      path: path.join(directory, asset.hash.slice(0, 2), `${asset.hash}.png`),
+      mimeType: 'image/png',
+      width: 512,
+      height: 512,
+      bytes: 33,
+      sourceUrl: 'https://www.hub71.com/logo.png'
+    });
+    expect(await fs.readFile(asset.path)).to.deep.equal(png(512, 512));
+  });
+
+  it('should store the same image once and download each URL once per run', async () => {
+    const fetchImpl = createFetch({ 'https://a.ae/logo.png': png(64, 64), 'https://cdn.a.ae/logo.png': png(64, 64) });
+    const store = new AssetStore({ directory, fetchImpl });
+
+    const [first, again] = await Promise.all([store.save('https://a.ae/logo.png'), store.save('https://a.ae/logo.png')]);
+    const mirror = await store.save('https://cdn.a.ae/logo.png');
+
+    expect(fetchImpl.calls).to.deep.equal(['https://a.ae/logo.png', 'https://cdn.a.ae/logo.png']);
+    expect(again).to.equal(first);
+    expect(mirror.path).to.equal(first.path);
+    expect(store.stats).to.include({ stored: 1, existing: 1 });
+  });
+
+  it('should skip broken, oversized and disallowed images', async () => {
+    const fetchImpl = createFetch({
+      'https://a.ae/soft-404.png': '<html><title>Page not found</title></html>',
+      'https://a.ae/huge.png': Buffer.concat([png(4000, 4000), Buffer.alloc(2048)])
+    });
+    const crawlPolicy = { check: async url => ({ allowed: !url.includes('/private/') }) };
+    const store = new AssetStore({ directory, fetchImpl, crawlPolicy, maxBytes: 1024 });
+
+    expect(await store.save('https://a.ae/missing.png')).to.be.null;
+    expect(await store.save('https://a.ae/soft-404.png')).to.be.null;
+    expect(await store.save('https://a.ae/huge.png')).to.be.null;
+    expect(await store.save('https://a.ae/private/logo.png')).to.be.null;
+
+    expect(fetchImpl.calls).not.to.include('https://a.ae/private/logo.png');
+    expect(store.stats).to.include({ stored: 0, skipped: 4 });
+    expect(await fs.readdir(directory)).to.deep.equal([]);
+  });
+
+  it('should count network errors as failures without throwing', async () => {
+    const store = new AssetStore({ directory, fetchImpl: async () => { throw new Error('ECONNRESET'); } });
+
+    expect(await store.save('https://a.ae/logo.png')).to.be.null;
+    expect(store.stats.failed).to.equal(1);
+  });
+});
@@ -0,0 +1,225 @@
+/**
+ * CLI Module
+ *
+ * Parses `node index.mjs <command> [flags]` so single stages of the pipeline
+ * can be re-run without editing code (e.g. one source, or reclassify only).
+ * Running without a command keeps the old behaviour: a full scrape.
+ */
+
+import { parseArgs } from 'util';
+import { DEFAULT_CONCURRENCY, DEFAULT_PER_HOST, DEFAULT_HOST_DELAY } from './worker-pool.js';
+
+export const COMMANDS = {
+  scrape: 'Scrape sources, classify, validate and save (default)',
+  classify: 'Classify captured candidates (pending, or one run\'s with --run) without re-scraping',
+  validate: 'Validate stored organisations and write failures to the review queue',
+  report: 'Generate a report from stored organisations (optionally one run)',
+  migrate: 'Run the schema migration',
+  review: 'Show the latest review queue',
+  export: 'Export stored organisations',
+  help: 'Show this help'
+};
+
+// Output formats accepted per command (first one is the default)
+// Fetch tiers accepted by --fetch (see lib/tiered-fetcher.js)
+export const FETCH_MODES = ['auto', 'http', 'browser'];
+
+export const FORMATS = {
+  scrape: ['md', 'json', 'csv'],
+  classify: ['md', 'json', 'csv'],
+  report: ['md', 'json', 'csv'],
+  validate: ['text', 'json'],
+  review: ['text', 'json'],
+  export: ['json', 'csv']
+};
+
+// Commands that can be limited to some source profiles with --source
+export const SOURCE_COMMANDS = ['scrape', 'classify', 'validate', 'report', 'export'];
+
+const OPTIONS = {
+  source: { type: 'string', short: 's', multiple: true },
+  url: { type: 'string', short: 'u' },
+  'dry-run': { type: 'boolean' },
+  'capture-only': { type: 'boolean' },
+  stored: { type: 'boolean' },
+  'no-ai': { type: 'boolean' },
+  limit: { type: 'string', short: 'n' },
+  format: { type: 'string', short: 'f' },
+  output: { type: 'string', short: 'o' },
+  run: { type: 'string' },
+  resume: { type: 'string' },
+  concurrency: { type: 'string', short: 'c' },
+  'per-host': { type: 'string' },
+  'host-delay': { type: 'string' },
+  fetch: { type: 'string' },
+  'root-cache-ttl': { type: 'string' },
+  refetch: { type: 'boolean' },
+  'no-about': { type: 'boolean' },
+  'no-logos': { type: 'boolean' },
+  help: { type: 'boolean', short: 'h' }
+};
+
+export const USAGE = `
+Usage: node index.mjs [command] [flags]
+
+Commands:
+${Object.entries(COMMANDS).map(([name, description]) => `  ${name.padEnd(10)}${description}`).join('\n')}
+
+Flags:
+  -s, --source <id>    Only this source profile (file name or sourceName); repeatable
+                       (scrape, classify, validate, report, export)
+  -u, --url <url>      Only this URL (scrape)
+      --dry-run        Don't write to the database (scrape, classify)
+      --no-ai          Skip AI classification (scrape)
+      --capture-only   Scrape and store candidates, classify later (scrape)
+      --resume <runId> Continue an interrupted run from its checkpoints (scrape)
+  -c, --concurrency <n> Pages scraped at once (scrape, default ${DEFAULT_CONCURRENCY})
+      --per-host <n>   Pages scraped at once per host (scrape, default ${DEFAULT_PER_HOST})
+      --host-delay <ms> Pause between page loads on the same host (scrape, default ${DEFAULT_HOST_DELAY})
+      --fetch <mode>   Fetch tier for every source: auto|http|browser (scrape,
+                       default: each profile's "fetch", auto)
+      --root-cache-ttl <h> Keep homepage titles/metadata between runs for h hours
+                       (scrape, default 0: this run only)
+      --refetch        Scrape pages even when unchanged since their last scrape (scrape)
+      --no-about       Don't read About pages to enrich short descriptions (scrape)
+      --no-logos       Don't download logos into the asset store (scrape)
+      --stored         Reclassify stored organisations instead of candidates (classify)
+  -n, --limit <n>      Process at most n organisations
+  -f, --format <fmt>   Output format: scrape/classify/report md|json|csv,
+                       export json|csv, validate/review text|json
+  -o, --output <file>  Write the output to a file instead of stdout (export)
+      --run <runId>    Report on the organisations of one run (report) or
+                       re-classify the candidates captured by one run (classify)
+  -h, --help           Show this help
+
+Examples:
+  node index.mjs scrape --source hub71 --dry-run
+  node index.mjs scrape --url https://www.hub71.com/partners --no-ai
+  node index.mjs scrape --capture-only
+  node index.mjs scrape --resume <runId>
+  node index.mjs classify --source dubai_chamber --limit 20
+  node index.mjs classify --run <runId>
+  node index.mjs export --format csv --output organisations.csv
+`;
+
+/**
+ * Parse an integer flag
+ * @param {Object} values - Parsed flag values
+ * @param {string} name - Flag name
+ * @param {number} min - Smallest accepted value
+ * @param {number|null} fallback - Value when the flag is absent
+ * @returns {number|null} Parsed value
+ * @throws {Error} If the value is not an integer >= min
+ */
+function parseInteger(values, name, min, fallback = null) {
+  if (values[name] === undefined) return fallback;
+  const value = Number(values[name]);
+  if (!Number.isInteger(value) || value < min) {
+    throw new Error(`--${name} must be ${min === 1 ? 'a positive integer' : `an integer >= ${min}`}, got "${values[name]}"`);
+  }
+  return value;
+}
+
+/**
+ * Parse command line arguments
+ * @param {string[]} argv - Arguments after `node index.mjs`
+ * @returns {{command: string, options: Object}} Command and normalised options
+ * @throws {Error} On unknown commands, flags or invalid values
+ */
+export function parseCliArgs(argv) {
+  const { values, positionals } = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true, strict: true });
+
+  const command = positionals[0] || 'scrape';
+  if (!(command in COMMANDS)) {
+    throw new Error(`unknown command "${command}" (expected ${Object.keys(COMMANDS).join(', ')})`);
+  }
+  if (positionals.length > 1) {
+    throw new Error(`unexpected argument "${positionals[1]}"`);
+  }
+
+  const limit = parseInteger(values, 'limit', 1);
+  const concurrency = parseInteger(values, 'concurrency', 1, DEFAULT_CONCURRENCY);
+  const perHost = parseInteger(values, 'per-host', 1, DEFAULT_PER_HOST);
+  const hostDelay = parseInteger(values, 'host-delay', 0, DEFAULT_HOST_DELAY);
+  const rootCacheTtl = parseInteger(values, 'root-cache-ttl', 0, 0);
+
+  const formats = FORMATS[command] || [];
+  const format = values.format || formats[0] || null;
+  if (values.format && !formats.includes(values.format)) {
+    throw new Error(`--format "${values.format}" is not supported by ${command}${formats.length ? ` (expected ${formats.join(', ')})` : ''}`);
+  }
+
+  if (values.url && !/^https?:\/\/.+\..+/.test(values.url)) {
+    throw new Error(`--url must be an http(s) URL, got "${values.url}"`);
+  }
+  if (values.url && command !== 'scrape') {
+    throw new Error('--url is only supported by scrape');
+  }
+  if (values['no-ai'] && command === 'classify') {
+    throw new Error('--no-ai makes no sense for classify');
+  }
+  if (values['capture-only'] && command !== 'scrape') {
+    throw new Error('--capture-only is only supported by scrape');
+  }
+  if (values.stored && command !== 'classify') {
+    throw new Error('--stored is only supported by classify');
+  }
+  if (values.run && !['classify', 'report'].includes(command)) {
+    throw new Error('--run is only supported by classify and report');
+  }
+  if (values.output && command !== 'export') {
+    throw new Error('--output is only supported by export');
+  }
+  if (values.source && !SOURCE_COMMANDS.includes(command)) {
+    throw new Error(`--source is only supported by ${SOURCE_COMMANDS.join(', ')}`);
+  }
+  if (values.stored && values.run) {
+    throw new Error('--stored and --run cannot be combined');
+  }
+  if (values.fetch && !FETCH_MODES.includes(values.fetch)) {
+    throw new Error(`--fetch must be one of ${FETCH_MODES.join(', ')}, got "${values.fetch}"`);
+  }
+  if (values.fetch && command !== 'scrape') {
+    throw new Error('--fetch is only supported by scrape');
+  }
+  if (values.refetch && command !== 'scrape') {
+    throw new Error('--refetch is only supported by scrape');
+  }
+  if (values['no-about'] && command !== 'scrape') {
+    throw new Error('--no-about is only supported by scrape');
+  }
+  if (values['no-logos'] && command !== 'scrape') {
+    throw new Error('--no-logos is only supported by scrape');
+  }
+  if (values.resume && command !== 'scrape') {
+    throw new Error('--resume is only supported by scrape');
+  }
+  if (values.resume && (values.source || values.url || values['dry-run'])) {
+    throw new Error('--resume scrapes the URLs of the original run and cannot be combined with --source, --url or --dry-run');
+  }
+
+  return {
+    command: values.help ? 'help' : command,
+    options: {
+      sources: values.source || [],
+      url: values.url || null,
+      dryRun: Boolean(values['dry-run']),
+      captureOnly: Boolean(values['capture-only']),
+      stored: Boolean(values.stored),
+      ai: !values['no-ai'],
+      limit,
+      concurrency,
+      perHost,
+      hostDelay,
+      fetchMode: values.fetch || null,
+      rootCacheTtl,
+      refetch: Boolean(values.refetch),
+      about: !values['no-about'],
+      logos: !values['no-logos'],
+      format,
+      output: values.output || null,
+      runId: values.run || null,
+      resume: values.resume || null
+    }
+  };
+}
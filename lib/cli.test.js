@@ -0,0 +1,101 @@
+/**
+ * Unit Tests for the CLI
+ * Tests command and flag parsing, defaults and validation errors
+ */
+
+import { describe, it } from 'mocha';
+import { expect } from 'chai';
+import { parseCliArgs, COMMANDS } from './cli.js';
+
+describe('CLI - parseCliArgs', () => {
+  it('should default to a full scrape', () => {
+    expect(parseCliArgs([])).to.deep.equal({
+      command: 'scrape',
+      options: { sources: [], url: null, dryRun: false, captureOnly: false, stored: false, ai: true, limit: null, concurrency: 4, perHost: 1, hostDelay: 1000, fetchMode: null, rootCacheTtl: 0, refetch: false, about: true, logos: true, format: 'md', output: null, runId: null, resume: null }
+    });
+  });
+
+  it('should parse scrape flags', () => {
+    const { command, options } = parseCliArgs(['scrape', '-s', 'hub71', '--source', 'moet', '--dry-run', '--no-ai', '--limit', '5', '--format', 'csv']);
+    expect(command).to.equal('scrape');
+    expect(options).to.include({ dryRun: true, ai: false, limit: 5, format: 'csv' });
+    expect(options.sources).to.deep.equal(['hub71', 'moet']);
+  });
+
+  it('should parse the worker pool flags', () => {
+    expect(parseCliArgs(['-c', '8', '--per-host', '2', '--host-delay', '0']).options).to.include({ concurrency: 8, perHost: 2, hostDelay: 0 });
+    expect(() => parseCliArgs(['--concurrency', '0'])).to.throw(/--concurrency must be a positive integer/);
+    expect(() => parseCliArgs(['--host-delay=-5'])).to.throw(/--host-delay must be an integer >= 0/);
+  });
+
+  it('should parse the root cache TTL in hours', () => {
+    expect(parseCliArgs(['--root-cache-ttl', '24']).options.rootCacheTtl).to.equal(24);
+    expect(() => parseCliArgs(['--root-cache-ttl', '1.5'])).to.throw(/--root-cache-ttl must be an integer >= 0/);
+  });
+
+  it('should parse --refetch for scrape only', () => {
+    expect(parseCliArgs(['scrape', '--refetch']).options.refetch).to.be.true;
+    expect(() => parseCliArgs(['classify', '--refetch'])).to.throw(/--refetch is only supported by scrape/);
+  });
+
+  it('should parse --no-about for scrape only', () => {
+    expect(parseCliArgs(['scrape', '--no-about']).options.about).to.be.false;
+    expect(() => parseCliArgs(['classify', '--no-about'])).to.throw(/--no-about is only supported by scrape/);
+  });
+
+  it('should parse --no-logos for scrape only', () => {
+    expect(parseCliArgs(['scrape']).options.logos).to.be.true;
+    expect(parseCliArgs(['scrape', '--no-logos']).options.logos).to.be.false;
+    expect(() => parseCliArgs(['export', '--no-logos'])).to.throw(/--no-logos is only supported by scrape/);
+  });
+
+  it('should parse the fetch tier', () => {
+    expect(parseCliArgs(['--fetch', 'http']).options.fetchMode).to.equal('http');
+    expect(() => parseCliArgs(['--fetch', 'curl'])).to.throw(/--fetch must be one of auto, http, browser/);
+    expect(() => parseCliArgs(['report', '--fetch', 'browser'])).to.throw(/--fetch is only supported by scrape/);
+  });
+
+  it('should pick the default format of each command', () => {
+    expect(parseCliArgs(['export']).options.format).to.equal('json');
+    expect(parseCliArgs(['review']).options.format).to.equal('text');
+    expect(parseCliArgs(['migrate']).options.format).to.be.null;
+  });
+
+  it('should accept every command and --help', () => {
+    Object.keys(COMMANDS).forEach(command => expect(parseCliArgs([command]).command).to.equal(command));
+    expect(parseCliArgs(['export', '-h']).command).to.equal('help');
+  });
+
+  it('should parse the capture and classify stage flags', () => {
+    expect(parseCliArgs(['scrape', '--capture-only']).options.captureOnly).to.be.true;
+    expect(parseCliArgs(['classify', '--stored']).options.stored).to.be.true;
+    expect(parseCliArgs(['classify', '--run', 'run-1']).options.runId).to.equal('run-1');
+    expect(parseCliArgs(['--resume', 'run-1', '--no-ai']).options).to.include({ resume: 'run-1', ai: false });
+  });
+
+  it('should parse export output and report run flags', () => {
+    expect(parseCliArgs(['export', '-f', 'csv', '-o', 'orgs.csv']).options).to.include({ format: 'csv', output: 'orgs.csv' });
+    expect(parseCliArgs(['report', '--run', 'run-1']).options.runId).to.equal('run-1');
+  });
+
+  it('should reject invalid input', () => {
+    expect(() => parseCliArgs(['crawl'])).to.throw(/unknown command "crawl"/);
+    expect(() => parseCliArgs(['scrape', 'extra'])).to.throw(/unexpected argument/);
+    expect(() => parseCliArgs(['--verbose'])).to.throw(/Unknown option/);
+    expect(() => parseCliArgs(['--limit', '0'])).to.throw(/positive integer/);
+    expect(() => parseCliArgs(['--limit', '2.5'])).to.throw(/positive integer/);
+    expect(() => parseCliArgs(['export', '--format', 'md'])).to.throw(/not supported by export/);
+    expect(() => parseCliArgs(['--url', 'hub71'])).to.throw(/http\(s\) URL/);
+    expect(() => parseCliArgs(['export', '--url', 'https://hub71.com'])).to.throw(/only supported by scrape/);
+    expect(() => parseCliArgs(['classify', '--no-ai'])).to.throw(/no-ai/);
+    expect(() => parseCliArgs(['classify', '--capture-only'])).to.throw(/only supported by scrape/);
+    expect(() => parseCliArgs(['scrape', '--stored'])).to.throw(/only supported by classify/);
+    expect(() => parseCliArgs(['classify', '--stored', '--run', 'run-1'])).to.throw(/cannot be combined/);
+    expect(() => parseCliArgs(['classify', '--resume', 'run-1'])).to.throw(/only supported by scrape/);
+    expect(() => parseCliArgs(['--resume', 'run-1', '--source', 'hub71'])).to.throw(/cannot be combined/);
+    expect(() => parseCliArgs(['scrape', '--run', 'run-1'])).to.throw(/only supported by classify and report/);
+    expect(() => parseCliArgs(['report', '--output', 'report.md'])).to.throw(/only supported by export/);
+    expect(() => parseCliArgs(['review', '--source', 'hub71'])).to.throw(/--source is only supported by/);
+    expect(() => parseCliArgs(['migrate', '-s', 'hub71'])).to.throw(/--source is only supported by/);
+  });
+});
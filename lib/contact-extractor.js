@@ -0,0 +1,354 @@
+/**
+ * Contact Extractor Module
+ *
+ * Extracts an organisation's social profiles (LinkedIn, Instagram, Facebook,
+ * YouTube) and contact details (email, phone, address, emirate) with the
+ * strategies extractTwitter uses:
+ *
+ * - Links in social media sections (footer icons) before other links on the page
+ * - JSON-LD / microdata: `sameAs`, `email`, `telephone`, `address`
+ * - The root domain's JSON-LD (already loaded for the name)
+ *
+ * Every value is normalised to one canonical form, so the same profile found
+ * on different pages (m.facebook.com/Hub71/?ref=..., facebook.com/hub71)
+ * compares equal and validator.js can check it:
+ *
+ *   linkedin   https://www.linkedin.com/company/hub71
+ *   instagram  https://www.instagram.com/hub71ad
+ *   facebook   https://www.facebook.com/hub71ad
+ *   youtube    https://www.youtube.com/@hub71
+ *   email      info@hub71.com
+ *   phone      +97125551234 (E.164; UAE toll-free/unified numbers stay 800xxxx / 600xxxxxx)
+ *   emirate    Abu Dhabi, Dubai, Sharjah, Ajman, Umm Al Quwain, Ras Al Khaimah or Fujairah
+ *
+ * Usage example:
+ * ```javascript
+ * const extraction = {};
+ * const socials = await extractSocials(page, extraction, root);
+ * // → { linkedin: 'https://www.linkedin.com/company/hub71', instagram: null, ... }
+ * const contact = await extractContact(page, extraction);
+ * // → { email: 'info@hub71.com', phone: '+97125551234', address: '...', emirate: 'Abu Dhabi' }
+ * ```
+ */
+
+import { toDom } from './dom-adapter.js';
+import { cleanText } from './listing-extractor.js';
+
+export const SOCIAL_NETWORKS = ['linkedin', 'instagram', 'facebook', 'youtube'];
+export const CONTACT_FIELDS = ['email', 'phone', 'address', 'emirate'];
+
+export const EMIRATES = ['Abu Dhabi', 'Dubai', 'Sharjah', 'Ajman', 'Umm Al Quwain', 'Ras Al Khaimah', 'Fujairah'];
+
+// Spellings of each emirate in addresses (English and Arabic)
+const EMIRATE_PATTERNS = {
+  'Abu Dhabi': /abu\s*dhabi|[أا]بو\s*ظبي/i,
+  'Dubai': /dubai|دبي/i,
+  'Sharjah': /sharjah|الشارقة/i,
+  'Ajman': /ajman|عجمان/i,
+  'Umm Al Quwain': /umm\s*al[\s-]*quwain|\buaq\b|أم\s*القيوين/i,
+  'Ras Al Khaimah': /ras\s*al[\s-]*khaimah|\brak\b|رأس\s*الخيمة/i,
+  'Fujairah': /fujairah|fujeirah|الفجيرة/i
+};
+
+// Hosts of each network, and path segments that are never a profile
+const NETWORK_HOSTS = {
+  linkedin: /(^|\.)linkedin\.com$/,
+  instagram: /(^|\.)instagram\.com$/,
+  facebook: /(^|\.)(facebook\.com|fb\.com)$/,
+  youtube: /(^|\.)youtube\.com$/
+};
+const INSTAGRAM_RESERVED = ['p', 'reel', 'reels', 'explore', 'accounts', 'stories', 'tv', 'share', 'direct'];
+const FACEBOOK_RESERVED = ['sharer', 'sharer.php', 'share', 'share.php', 'dialog', 'plugins', 'login', 'login.php', 'tr', 'events', 'groups', 'watch', 'hashtag'];
+
+const MAX_ADDRESS_LENGTH = 300;
+
+// Containers of social media links (common class names)
+export const SOCIAL_SECTIONS = ['[class*="social"]', '[class*="footer-social"]', '[class*="connect"]', '[id*="social"]'];
+
+// Schema.org types describing the organisation itself
+const ORGANISATION_TYPE = /Organization$|^(LocalBusiness|Corporation|NGO|CollegeOrUniversity|GovernmentOffice)$/;
+
+/**
+ * Canonical profile URL of a social network link
+ * @param {string} network - 'linkedin', 'instagram', 'facebook' or 'youtube'
+ * @param {string} url - Link URL
+ * @returns {string|null} Canonical URL, or null for share buttons, posts and other non-profile links
+ */
+export function canonicalSocialUrl(network, url) {
+  let parsed;
+  let segments;
+  try {
+    parsed = new URL(url);
+    segments = parsed.pathname.split('/').filter(Boolean).map(segment => decodeURIComponent(segment));
+  } catch {
+    return null;
+  }
+  if (!NETWORK_HOSTS[network] || !NETWORK_HOSTS[network].test(parsed.hostname.toLowerCase())) return null;
+
+  const [first, second] = segments;
+
+  switch (network) {
+    case 'linkedin':
+      // Company, school and showcase pages; personal profiles (/in/) are not the organisation's
+      if (['company', 'school', 'showcase'].includes(first) && second) {
+        return `https://www.linkedin.com/${first}/${second.toLowerCase()}`;
+      }
+      return null;
+
+    case 'instagram':
+      if (first && /^[A-Za-z0-9._]{1,30}$/.test(first) && !INSTAGRAM_RESERVED.includes(first.toLowerCase())) {
+        return `https://www.instagram.com/${first.toLowerCase()}`;
+      }
+      return null;
+
+    case 'facebook':
+      if (first === 'profile.php' && /^\d+$/.test(parsed.searchParams.get('id') || '')) {
+        return `https://www.facebook.com/profile.php?id=${parsed.searchParams.get('id')}`;
+      }
+      // /pages/<name>/<id>
+      if (first === 'pages' && /^\d+$/.test(segments[2] || '')) {
+        return `https://www.facebook.com/${segments[2]}`;
+      }
+      if (first && /^[A-Za-z0-9.-]+$/.test(first) && !FACEBOOK_RESERVED.includes(first.toLowerCase())) {
+        return `https://www.facebook.com/${first.toLowerCase()}`;
+      }
+      return null;
+
+    case 'youtube':
+      if (first && /^@[\w.-]+$/.test(first)) return `https://www.youtube.com/${first.toLowerCase()}`;
+      // Channel ids are case-sensitive
+      if (['channel', 'c', 'user'].includes(first) && second) return `https://www.youtube.com/${first}/${second}`;
+      return null;
+
+    default:
+      return null;
+  }
+}
+
+/**
+ * Canonical email address
+ * @param {string} value - Address, or mailto: link
+ * @returns {string|null} Lower-cased address, or null if invalid
+ */
+export function normalizeEmail(value) {
+  if (!value || typeof value !== 'string') return null;
+  let email = value.trim().replace(/^mailto:/i, '').split('?')[0];
+  try {
+    email = decodeURIComponent(email);
+  } catch {
+    return null;
+  }
+  email = email.trim().toLowerCase();
+
+  // "logo@2x.png" in srcsets looks like an address
+  if (!/^[a-z0-9._%+-]+@[a-z0-9.-]+\.[a-z]{2,}$/.test(email) || /\.(png|jpe?g|gif|svg|webp)$/.test(email)) {
+    return null;
+  }
+  return email;
+}
+
+/**
+ * Canonical phone number
+ * UAE national numbers (04 123 4567, 050 123 4567) get the +971 country code
+ * @param {string} value - Number, or tel: link
+ * @returns {string|null} E.164 number (+97141234567), a UAE toll-free or
+ *   unified number (8001234, 600522222), or null if not a phone number
+ */
+export function normalizePhone(value) {
+  if (!value || typeof value !== 'string') return null;
+  const raw = value.trim().replace(/^tel:/i, '');
+  let digits = raw.replace(/[^\d+]/g, '');
+  if (digits.lastIndexOf('+') > 0) return null;
+
+  if (digits.startsWith('00')) digits = `+${digits.slice(2)}`;
+  if (!digits.startsWith('+')) {
+    if (/^(800|600)\d{4,7}$/.test(digits)) return digits;
+    if (/^971\d{8,9}$/.test(digits)) digits = `+${digits}`;
+    else if (/^0\d{8,9}$/.test(digits)) digits = `+971${digits.slice(1)}`;
+    else return null;
+  }
+
+  return /^\+\d{8,15}$/.test(digits) ? digits : null;
+}
+
+/**
+ * Emirate named in an address
+ * Addresses run from street to city, so the last emirate mentioned wins
+ * ("Dubai Silicon Oasis, Dubai"; "Sharjah Road, Ajman")
+ * @param {string} text - Address
+ * @returns {string|null} Emirate (one of EMIRATES) or null
+ */
+export function detectEmirate(text) {
+  if (!text || typeof text !== 'string') return null;
+
+  let best = null;
+  for (const [emirate, pattern] of Object.entries(EMIRATE_PATTERNS)) {
+    const global = new RegExp(pattern.source, 'gi');
+    for (const match of text.matchAll(global)) {
+      if (!best || match.index > best.index) best = { emirate, index: match.index };
+    }
+  }
+  return best ? best.emirate : null;
+}
+
+/**
+ * Organisation items of the page's JSON-LD (including @graph entries)
+ * @param {Object} dom - DOM adapter (see toDom)
+ * @returns {Promise<Object[]>} Schema.org organisation objects
+ */
+export async function jsonLdOrganisations(dom) {
+  const organisations = [];
+  for (const script of await dom.texts('script[type="application/ld+json"]')) {
+    let data;
+    try {
+      data = JSON.parse(script);
+    } catch {
+      continue; // Skip malformed JSON
+    }
+
+    const items = (Array.isArray(data) ? data : [data]).flatMap(item => item && item['@graph'] ? item['@graph'] : [item]);
+    for (const item of items) {
+      const types = item ? [].concat(item['@type'] || []) : [];
+      if (types.some(type => ORGANISATION_TYPE.test(type))) organisations.push(item);
+    }
+  }
+  return organisations;
+}
+
+/**
+ * One-line address of a schema.org address (PostalAddress or text)
+ * @param {Object|string} address - schema.org `address`
+ * @returns {string|null} "street, locality, region, country" or null
+ */
+function formatAddress(address) {
+  if (!address) return null;
+  if (typeof address === 'string') return cleanText(address) || null;
+  if (Array.isArray(address)) return formatAddress(address[0]);
+
+  const country = address.addressCountry && typeof address.addressCountry === 'object'
+    ? address.addressCountry.name
+    : address.addressCountry;
+  const parts = [address.streetAddress, address.addressLocality, address.addressRegion, address.postOfficeBoxNumber && `P.O. Box ${address.postOfficeBoxNumber}`, country]
+    .filter(part => typeof part === 'string' && part.trim())
+    .map(part => cleanText(part));
+  return parts.length > 0 ? [...new Set(parts)].join(', ') : null;
+}
+
+/**
+ * First canonical profile of a network among links
+ * @param {string} network - Social network
+ * @param {Array<string|null>} urls - Link URLs
+ * @returns {string|null} Canonical URL or null
+ */
+function findProfile(network, urls) {
+  for (const url of urls) {
+    const canonical = url ? canonicalSocialUrl(network, url) : null;
+    if (canonical) return canonical;
+  }
+  return null;
+}
+
+/**
+ * Links listed in structured data sameAs
+ * @param {Object|null} structuredData - Result of extractStructuredData
+ * @returns {string[]} sameAs URLs
+ */
+function sameAsLinks(structuredData) {
+  if (!structuredData || !structuredData.sameAs) return [];
+  return [].concat(structuredData.sameAs).filter(url => typeof url === 'string');
+}
+
+/**
+ * Extract social media profiles using multiple strategies
+ * Priority per network: social section links > other page links > JSON-LD
+ * sameAs > root domain JSON-LD sameAs. Links in social sections come first
+ * because pages also link to partners' profiles in their content.
+ * @param {Page|StaticPage} page - Playwright page or StaticPage (see lib/dom-adapter.js)
+ * @param {Object} trace - Receives the strategies used as trace.socials, e.g. "social-section+json-ld-sameAs" (optional)
+ * @param {Object} root - Root domain metadata (optional, see fetchRootMetadata)
+ * @returns {Promise<Object>} { linkedin, instagram, facebook, youtube } (null where not found)
+ */
+export async function extractSocials(page, trace = null, root = null) {
+  const socials = Object.fromEntries(SOCIAL_NETWORKS.map(network => [network, null]));
+  try {
+    const dom = toDom(page);
+    const sources = [
+      ['social-section', () => dom.hrefs(SOCIAL_SECTIONS.map(section => `${section} a[href]`).join(', '))],
+      ['social-link', () => dom.hrefs('a[href]')],
+      ['json-ld-sameAs', async () => sameAsLinks(await jsonLdOrganisations(dom).then(items => items[0] || null))],
+      ['root-json-ld', async () => sameAsLinks(root ? root.structuredData : null)]
+    ];
+
+    const strategies = new Set();
+    for (const [strategy, load] of sources) {
+      const missing = SOCIAL_NETWORKS.filter(network => !socials[network]);
+      if (missing.length === 0) break;
+
+      const urls = await load();
+      for (const network of missing) {
+        socials[network] = findProfile(network, urls);
+        if (socials[network]) strategies.add(strategy);
+      }
+    }
+
+    if (trace && strategies.size > 0) trace.socials = [...strategies].join('+');
+    return socials;
+
+  } catch (error) {
+    console.warn(`Social profile extraction failed: ${error.message}`);
+    return socials;
+  }
+}
+
+/**
+ * Extract contact details using multiple strategies
+ * - email: mailto: link > JSON-LD email > address in the page text
+ * - phone: tel: link > JSON-LD telephone
+ * - address: JSON-LD address > <address> / itemprop="address"
+ * - emirate: from the address
+ * @param {Page|StaticPage} page - Playwright page or StaticPage (see lib/dom-adapter.js)
+ * @param {Object} trace - Receives the strategies used as trace.contact, e.g. "mailto-link+json-ld" (optional)
+ * @returns {Promise<Object>} { email, phone, address, emirate } (null where not found)
+ */
+export async function extractContact(page, trace = null) {
+  const contact = Object.fromEntries(CONTACT_FIELDS.map(field => [field, null]));
+  try {
+    const dom = toDom(page);
+    const strategies = new Set();
+    const organisation = (await jsonLdOrganisations(dom))[0] || {};
+
+    contact.email = normalizeEmail(await dom.attr('a[href^="mailto:" i]', 'href'));
+    if (contact.email) strategies.add('mailto-link');
+    if (!contact.email && (contact.email = normalizeEmail(organisation.email))) strategies.add('json-ld');
+    if (!contact.email) {
+      const match = (await dom.bodyText()).match(/[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}/);
+      if ((contact.email = normalizeEmail(match ? match[0] : null))) strategies.add('page-text');
+    }
+
+    contact.phone = normalizePhone(await dom.attr('a[href^="tel:" i]', 'href'));
+    if (contact.phone) strategies.add('tel-link');
+    if (!contact.phone && (contact.phone = normalizePhone(organisation.telephone))) strategies.add('json-ld');
+
+    contact.address = formatAddress(organisation.address);
+    if (contact.address) {
+      strategies.add('json-ld');
+    } else {
+      const text = cleanText(await dom.text('[itemprop="address"]') || await dom.text('address'));
+      if (text) {
+        contact.address = text;
+        strategies.add('address-element');
+      }
+    }
+    if (contact.address && contact.address.length > MAX_ADDRESS_LENGTH) {
+      contact.address = `${contact.address.slice(0, MAX_ADDRESS_LENGTH - 3)}...`;
+    }
+    contact.emirate = detectEmirate(contact.address);
+
+    if (trace && strategies.size > 0) trace.contact = [...strategies].join('+');
+    return contact;
+
+  } catch (error) {
+    console.warn(`Contact extraction failed: ${error.message}`);
+    return contact;
+  }
+}
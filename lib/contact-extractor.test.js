@@ -0,0 +1,191 @@
+/**
+ * Unit Tests for the Contact Extractor
+ * Tests canonical forms of social profiles, emails and phone numbers, emirate
+ * detection and the extraction strategies on StaticPages (no browser)
+ */
+
+import { describe, it } from 'mocha';
+import { expect } from 'chai';
+import fc from 'fast-check';
+import { StaticPage } from './dom-adapter.js';
+import {
+  canonicalSocialUrl,
+  normalizeEmail,
+  normalizePhone,
+  detectEmirate,
+  extractSocials,
+  extractContact
+} from './contact-extractor.js';
+
+const PAGE_URL = 'https://www.hub71.com/';
+
+const HTML = `
+  <html>
+    <head>
+      <script type="application/ld+json">{
+        "@context": "https://schema.org",
+        "@graph": [
+          { "@type": "WebSite", "name": "Hub71" },
+          {
+            "@type": "Organization",
+            "name": "Hub71",
+            "sameAs": ["https://www.youtube.com/@Hub71", "https://www.linkedin.com/company/hub71-news/"],
+            "telephone": "+971 2 555 1234",
+            "address": {
+              "@type": "PostalAddress",
+              "streetAddress": "Al Khatem Tower, ADGM Square, Al Maryah Island",
+              "addressLocality": "Abu Dhabi",
+              "addressCountry": "AE"
+            }
+          }
+        ]
+      }</script>
+    </head>
+    <body>
+      <article>
+        <p>Our partner <a href="https://www.linkedin.com/company/partner-co">Partner Co</a> joined this week.</p>
+        <a href="https://www.facebook.com/sharer/sharer.php?u=https://hub71.com">Share</a>
+      </article>
+      <footer>
+        <ul class="footer-social">
+          <li><a href="https://ae.linkedin.com/company/Hub71/?originalSubdomain=ae">LinkedIn</a></li>
+          <li><a href="https://instagram.com/Hub71ad/">Instagram</a></li>
+          <li><a href="https://m.facebook.com/Hub71ad?ref=footer">Facebook</a></li>
+        </ul>
+        <a href="mailto:Info@Hub71.com?subject=Hello">Email us</a>
+      </footer>
+    </body>
+  </html>
+`;
+
+describe('Contact Extractor - canonicalSocialUrl', () => {
+  it('should reduce profile links to one canonical URL per network', () => {
+    expect(canonicalSocialUrl('linkedin', 'https://ae.linkedin.com/company/Hub71/about/?trk=x')).to.equal('https://www.linkedin.com/company/hub71');
+    expect(canonicalSocialUrl('instagram', 'http://instagram.com/Hub71ad?igshid=abc')).to.equal('https://www.instagram.com/hub71ad');
+    expect(canonicalSocialUrl('facebook', 'https://fb.com/Hub71ad/')).to.equal('https://www.facebook.com/hub71ad');
+    expect(canonicalSocialUrl('facebook', 'https://www.facebook.com/profile.php?id=100064&sk=about')).to.equal('https://www.facebook.com/profile.php?id=100064');
+    expect(canonicalSocialUrl('facebook', 'https://www.facebook.com/pages/Hub71/123456789')).to.equal('https://www.facebook.com/123456789');
+    expect(canonicalSocialUrl('youtube', 'https://youtube.com/@Hub71/videos')).to.equal('https://www.youtube.com/@hub71');
+    expect(canonicalSocialUrl('youtube', 'https://www.youtube.com/channel/UCx5XG1OV2P6uZZ5FSM9Ttw')).to.equal('https://www.youtube.com/channel/UCx5XG1OV2P6uZZ5FSM9Ttw');
+  });
+
+  it('should reject share buttons, posts, personal profiles and other hosts', () => {
+    expect(canonicalSocialUrl('facebook', 'https://www.facebook.com/sharer/sharer.php?u=x')).to.be.null;
+    expect(canonicalSocialUrl('instagram', 'https://www.instagram.com/p/Cx1/')).to.be.null;
+    expect(canonicalSocialUrl('linkedin', 'https://www.linkedin.com/in/someone')).to.be.null;
+    expect(canonicalSocialUrl('linkedin', 'https://www.linkedin.com/shareArticle?url=x')).to.be.null;
+    expect(canonicalSocialUrl('youtube', 'https://www.youtube.com/watch?v=abc')).to.be.null;
+    expect(canonicalSocialUrl('facebook', 'https://notfacebook.com/hub71')).to.be.null;
+    expect(canonicalSocialUrl('instagram', 'not a url')).to.be.null;
+  });
+
+  it('should be idempotent (property)', () => {
+    const handle = fc.string({ unit: fc.constantFrom(...'abcXYZ019_.'), minLength: 1, maxLength: 20 });
+    fc.assert(fc.property(fc.constantFrom('instagram', 'facebook'), handle, (network, name) => {
+      const canonical = canonicalSocialUrl(network, `https://${network}.com/${name}`);
+      return canonical === null || canonicalSocialUrl(network, canonical) === canonical;
+    }));
+  });
+});
+
+describe('Contact Extractor - emails and phone numbers', () => {
+  it('should normalise email addresses and mailto links', () => {
+    expect(normalizeEmail('mailto:Info@Hub71.com?subject=Hi')).to.equal('info@hub71.com');
+    expect(normalizeEmail(' partners@moet.gov.ae ')).to.equal('partners@moet.gov.ae');
+    expect(normalizeEmail('logo@2x.png')).to.be.null;
+    expect(normalizeEmail('not an email')).to.be.null;
+  });
+
+  it('should write phone numbers in E.164 with the UAE country code', () => {
+    expect(normalizePhone('tel:+971-2-555-1234')).to.equal('+97125551234');
+    expect(normalizePhone('04 123 4567')).to.equal('+97141234567');
+    expect(normalizePhone('050 123 4567')).to.equal('+971501234567');
+    expect(normalizePhone('00971 4 123 4567')).to.equal('+97141234567');
+    expect(normalizePhone('971 4 123 4567')).to.equal('+97141234567');
+    expect(normalizePhone('+44 20 7946 0958')).to.equal('+442079460958');
+  });
+
+  it('should keep UAE toll-free and unified numbers and reject everything else', () => {
+    expect(normalizePhone('800 4671')).to.equal('8004671');
+    expect(normalizePhone('600 522222')).to.equal('600522222');
+    expect(normalizePhone('12345')).to.be.null;
+    expect(normalizePhone('call us')).to.be.null;
+  });
+
+  it('should be idempotent (property)', () => {
+    fc.assert(fc.property(fc.string({ unit: fc.constantFrom(...'+0123456789 -()'), maxLength: 20 }), value => {
+      const phone = normalizePhone(value);
+      return phone === null || normalizePhone(phone) === phone;
+    }));
+  });
+});
+
+describe('Contact Extractor - detectEmirate', () => {
+  it('should name the emirate of an address, English or Arabic', () => {
+    expect(detectEmirate('Al Khatem Tower, Al Maryah Island, Abu Dhabi, UAE')).to.equal('Abu Dhabi');
+    expect(detectEmirate('Dubai Silicon Oasis, Dubai')).to.equal('Dubai');
+    expect(detectEmirate('Sharjah Road, Industrial Area, Ajman')).to.equal('Ajman');
+    expect(detectEmirate('RAKEZ, Ras Al-Khaimah')).to.equal('Ras Al Khaimah');
+    expect(detectEmirate('برج خليفة، دبي')).to.equal('Dubai');
+    expect(detectEmirate('London, UK')).to.be.null;
+  });
+});
+
+describe('Contact Extractor - extraction strategies', () => {
+  const page = new StaticPage({ html: HTML, url: PAGE_URL });
+
+  it('should prefer social section links, then other links, then JSON-LD sameAs', async () => {
+    const trace = {};
+    expect(await extractSocials(page, trace)).to.deep.equal({
+      linkedin: 'https://www.linkedin.com/company/hub71',
+      instagram: 'https://www.instagram.com/hub71ad',
+      facebook: 'https://www.facebook.com/hub71ad',
+      youtube: 'https://www.youtube.com/@hub71'
+    });
+    expect(trace.socials).to.equal('social-section+json-ld-sameAs');
+  });
+
+  it('should fall back to the root domain JSON-LD', async () => {
+    const bare = new StaticPage({ html: '<p>Programmes</p>', url: `${PAGE_URL}programmes` });
+    const root = { structuredData: { sameAs: ['https://www.instagram.com/hub71ad'] } };
+    const trace = {};
+
+    const socials = await extractSocials(bare, trace, root);
+    expect(socials).to.include({ instagram: 'https://www.instagram.com/hub71ad', linkedin: null });
+    expect(trace.socials).to.equal('root-json-ld');
+  });
+
+  it('should extract email, phone, address and emirate', async () => {
+    const trace = {};
+    expect(await extractContact(page, trace)).to.deep.equal({
+      email: 'info@hub71.com',
+      phone: '+97125551234',
+      address: 'Al Khatem Tower, ADGM Square, Al Maryah Island, Abu Dhabi, AE',
+      emirate: 'Abu Dhabi'
+    });
+    expect(trace.contact).to.equal('mailto-link+json-ld');
+  });
+
+  it('should read tel: links, <address> elements and addresses in the page text', async () => {
+    const contactPage = new StaticPage({
+      url: PAGE_URL,
+      html: `<body><p>Write to partners@dubaifuture.ae</p>
+        <a href="tel:04 123 4567">Call</a>
+        <address>Emirates Towers,
+          Sheikh Zayed Road, Dubai</address></body>`
+    });
+
+    expect(await extractContact(contactPage)).to.deep.equal({
+      email: 'partners@dubaifuture.ae',
+      phone: '+97141234567',
+      address: 'Emirates Towers, Sheikh Zayed Road, Dubai',
+      emirate: 'Dubai'
+    });
+  });
+
+  it('should return empty fields when nothing is found', async () => {
+    const empty = new StaticPage({ html: '<p>Nothing here</p>', url: PAGE_URL });
+    expect(await extractSocials(empty)).to.deep.equal({ linkedin: null, instagram: null, facebook: null, youtube: null });
+    expect(await extractContact(empty)).to.deep.equal({ email: null, phone: null, address: null, emirate: null });
+  });
+});
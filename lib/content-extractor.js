@@ -0,0 +1,201 @@
+/**
+ * Content Extractor Module
+ *
+ * Reads the main content of a page from its HTML, leaving out boilerplate:
+ * site headers, navigation, footers, cookie/consent banners, newsletter
+ * sign-ups, share buttons and forms. What remains is split into passages
+ * (paragraphs, quotes, list items) in page order.
+ *
+ * For pages without a usable meta description, `extractMainContent` picks
+ * the single most descriptive block, readability-style: blocks are ranked by
+ * text density (characters per tag), link density and whether they sit in
+ * the page's main content, and the winner comes with a quality score from 0
+ * (boilerplate, fragments) to 1 (a full descriptive passage). The score is
+ * stored with the description so a later scrape only replaces it with a
+ * better one (see the preferHigherQuality merge strategy).
+ *
+ * Usage example:
+ * ```javascript
+ * const passages = extractPassages(await page.content());
+ * // → ['Hub71 is Abu Dhabi's global tech ecosystem...', 'Our mission is...']
+ *
+ * const best = extractMainContent(await page.content());
+ * // → { text: 'Hub71 is Abu Dhabi's global tech ecosystem...', score: 0.94 }
+ * ```
+ */
+
+import * as cheerio from 'cheerio';
+import { cleanText } from './listing-extractor.js';
+
+// Elements that never hold the page's own content
+const BOILERPLATE_ELEMENTS = [
+  'script', 'style', 'noscript', 'template', 'svg', 'iframe', 'form', 'button', 'select',
+  'header', 'footer', 'nav', 'aside', 'dialog',
+  '[role="navigation"]', '[role="banner"]', '[role="contentinfo"]', '[role="dialog"]',
+  '[aria-hidden="true"]', '[hidden]'
+].join(', ');
+
+// Words in class names and ids of banners, menus and widgets ("cookie-notice", "site_header")
+const BOILERPLATE_WORDS = new Set([
+  'cookie', 'cookies', 'consent', 'gdpr', 'banner', 'newsletter', 'subscribe', 'subscription',
+  'popup', 'modal', 'overlay', 'breadcrumb', 'breadcrumbs', 'menu', 'navbar', 'nav', 'navigation',
+  'share', 'sharing', 'social', 'header', 'footer', 'sidebar', 'widget', 'related', 'comments'
+]);
+
+// Containers that hold the main content when a page marks it up
+const MAIN_CONTENT = 'main, [role="main"], article';
+
+// Shorter passages are labels, buttons and captions
+export const MIN_PASSAGE_LENGTH = 40;
+
+// Passages that are mostly link text are menus or tag lists
+const MAX_LINK_DENSITY = 0.5;
+
+// Blocks that may hold a descriptive passage; containers only count when
+// they hold text directly (page builders that skip <p>)
+const CONTENT_BLOCKS = 'p, blockquote, li:not(:has(p)), div, section, td';
+const NESTED_BLOCKS = 'p, div, section, article, ul, ol, table, blockquote, h1, h2, h3, h4, h5, h6';
+
+// Class names and ids of content containers ("entry-content", "about_intro")
+const CONTENT_WORDS = new Set(['content', 'article', 'about', 'intro', 'introduction', 'description', 'summary', 'overview', 'entry', 'story', 'mission']);
+
+// Phrases of notices and calls to action that slip past the markup checks
+const BOILERPLATE_PHRASES = /\b(we use cookies|cookie (policy|settings)|accept (all )?cookies|subscribe to|sign up (for|to)|newsletter|enable javascript|javascript (is )?(disabled|required)|all rights reserved|privacy policy|terms (of use|and conditions)|page not found|click here|read more|log ?in to)\b|©/i;
+
+// Passages at least this long get the full length score
+const IDEAL_DESCRIPTION_LENGTH = 120;
+
+// Texts shorter than this are not descriptions at all
+const MIN_DESCRIPTION_LENGTH = 20;
+
+// Main-content passages below this score are not used as descriptions
+export const MIN_CONTENT_QUALITY = 0.3;
+
+/**
+ * Check whether an element's class names or id mark it as boilerplate
+ * @param {Element} el - DOM element (cheerio)
+ * @returns {boolean} True for cookie banners, menus, share bars, ...
+ */
+function hasBoilerplateName(el) {
+  const names = `${el.attribs.class || ''} ${el.attribs.id || ''}`.toLowerCase();
+  return names.split(/[\s_-]+/).some(word => BOILERPLATE_WORDS.has(word));
+}
+
+/**
+ * Remove boilerplate elements from a loaded document
+ * An element is kept when it wraps the main content (some themes give the
+ * page wrapper a "has-header" class)
+ * @param {CheerioAPI} $ - Loaded document (modified in place)
+ * @returns {CheerioAPI} The same document
+ */
+export function removeBoilerplate($) {
+  $(BOILERPLATE_ELEMENTS).remove();
+  $('[class], [id]').each((_, el) => {
+    const $el = $(el);
+    if ($el.is('html, body') || !hasBoilerplateName(el)) return;
+    if ($el.is(MAIN_CONTENT) || $el.find(MAIN_CONTENT).length > 0) return;
+    $el.remove();
+  });
+  return $;
+}
+
+/**
+ * Share of an element's text that sits inside links
+ * @param {CheerioAPI} $ - Loaded document
+ * @param {Cheerio} $el - Element
+ * @param {number} length - Length of the element's text
+ * @returns {number} 0 (no links) to 1 (all links)
+ */
+export function linkDensity($, $el, length) {
+  if (length === 0) return 0;
+  const linked = $el.find('a').toArray().reduce((sum, a) => sum + cleanText($(a).text()).length, 0);
+  return linked / length;
+}
+
+/**
+ * Main-content passages of a page, without boilerplate
+ * @param {string} html - Page HTML
+ * @returns {string[]} Passages in page order (duplicates removed)
+ */
+export function extractPassages(html) {
+  const $ = removeBoilerplate(cheerio.load(html || ''));
+  const $main = $(MAIN_CONTENT).first();
+  const $scope = $main.length > 0 ? $main : $('body');
+
+  const passages = [];
+  const seen = new Set();
+  $scope.find('p, blockquote, li:not(:has(p))').each((_, el) => {
+    const $el = $(el);
+    const text = cleanText($el.text());
+    if (text.length < MIN_PASSAGE_LENGTH || linkDensity($, $el, text.length) > MAX_LINK_DENSITY) return;
+
+    const key = text.toLowerCase();
+    if (seen.has(key)) return;
+    seen.add(key);
+    passages.push(text);
+  });
+
+  return passages;
+}
+
+/**
+ * Score how well a text reads as a description of an organisation
+ * Long, complete sentences score high; fragments, menus and cookie or
+ * newsletter notices score low. Works on any description (meta tags,
+ * listing cards, About pages) so scores can be compared across sources
+ * @param {string|null} text - Description
+ * @returns {number} 0 (unusable) to 1, two decimals
+ */
+export function descriptionQuality(text) {
+  const clean = cleanText(text || '');
+  if (clean.length < MIN_DESCRIPTION_LENGTH) return 0;
+
+  let score = Math.min(1, clean.length / IDEAL_DESCRIPTION_LENGTH);
+  if (!/[.!?؟。]/.test(clean)) score *= 0.7;
+  if (BOILERPLATE_PHRASES.test(clean)) score *= 0.2;
+  return Math.round(score * 100) / 100;
+}
+
+/**
+ * Check whether an element's class names or id mark it as a content container
+ * @param {Element} el - DOM element (cheerio)
+ * @returns {boolean} True for "entry-content", "about-intro", ...
+ */
+function hasContentName(el) {
+  const names = `${el.attribs.class || ''} ${el.attribs.id || ''}`.toLowerCase();
+  return names.split(/[\s_-]+/).some(word => CONTENT_WORDS.has(word));
+}
+
+/**
+ * The most descriptive passage of a page, without boilerplate
+ * Each block is ranked by its description quality, text density and link
+ * density, with a bonus inside the main content or a content container and
+ * a small one for coming early in the page (introductions come first)
+ * @param {string} html - Page HTML
+ * @returns {{text: string, score: number}|null} Best passage and its quality
+ *   score (0-1), or null if the page has no passage
+ */
+export function extractMainContent(html) {
+  const $ = removeBoilerplate(cheerio.load(html || ''));
+
+  let best = null;
+  $('body').find(CONTENT_BLOCKS).each((index, el) => {
+    const $el = $(el);
+    if ($el.is('div, section, td') && $el.find(NESTED_BLOCKS).length > 0) return;
+
+    const text = cleanText($el.text());
+    if (text.length < MIN_PASSAGE_LENGTH) return;
+    const links = linkDensity($, $el, text.length);
+    if (links > MAX_LINK_DENSITY) return;
+
+    const score = Math.round(descriptionQuality(text) * (1 - links) * 100) / 100;
+    const textDensity = Math.min(1, text.length / ($el.find('*').length + 1) / 50);
+    const inContent = $el.closest(MAIN_CONTENT).length > 0
+      || [el, ...$el.parents('[class], [id]').toArray()].some(hasContentName);
+    const rank = score * (0.5 + 0.5 * textDensity) + (inContent ? 0.2 : 0) - Math.min(0.1, index * 0.005);
+
+    if (!best || rank > best.rank) best = { text, score, rank };
+  });
+
+  return best ? { text: best.text, score: best.score } : null;
+}
@@ -0,0 +1,63 @@
+/**
+ * Unit Tests for the Content Extractor
+ * Tests boilerplate removal, description quality scores and the choice of
+ * the main-content passage
+ */
+
+import { describe, it } from 'mocha';
+import { expect } from 'chai';
+import { removeBoilerplate, descriptionQuality, extractMainContent, MIN_CONTENT_QUALITY } from './content-extractor.js';
+import * as cheerio from 'cheerio';
+
+const DESCRIPTION = 'Example Hub is an Abu Dhabi platform that helps early-stage founders build and scale technology companies across the Middle East.';
+
+describe('Content Extractor - removeBoilerplate', () => {
+  it('should drop navigation, consent banners and widgets but keep the main content', () => {
+    const $ = removeBoilerplate(cheerio.load(`<body class="has-header">
+      <nav><a href="/">Home</a></nav>
+      <div id="cookie_banner">Accept cookies</div>
+      <div class="share-buttons">Share</div>
+      <div class="site-header"><main><p>${DESCRIPTION}</p></main></div>
+    </body>`));
+    expect($('body').text().replace(/\s+/g, ' ').trim()).to.equal(DESCRIPTION);
+  });
+});
+
+describe('Content Extractor - descriptionQuality', () => {
+  it('should score full sentences above fragments and notices', () => {
+    expect(descriptionQuality(DESCRIPTION)).to.equal(1);
+    expect(descriptionQuality('Startups, investors and partners in Abu Dhabi')).to.be.below(descriptionQuality('Supports startups, investors and partners in Abu Dhabi.'));
+    expect(descriptionQuality('We use cookies to improve your experience on our website. By continuing you agree to our privacy policy.')).to.be.below(MIN_CONTENT_QUALITY);
+    expect(descriptionQuality('Subscribe to our newsletter for the latest startup news and events.')).to.be.below(MIN_CONTENT_QUALITY);
+    expect(descriptionQuality('Home')).to.equal(0);
+    expect(descriptionQuality(null)).to.equal(0);
+  });
+});
+
+describe('Content Extractor - extractMainContent', () => {
+  it('should pick the descriptive passage over banners, link lists and legal lines', () => {
+    const html = `<html><body>
+      <div class="top-bar"><p>Subscribe to our newsletter for the latest startup news and events!</p></div>
+      <div class="links"><a href="/a">Programmes for founders</a> <a href="/b">Investors and partners</a> <a href="/c">Events</a></div>
+      <div class="about-intro">${DESCRIPTION}</div>
+      <p>© 2026 Example Hub. All rights reserved. Terms and conditions apply to all programmes.</p>
+    </body></html>`;
+
+    const best = extractMainContent(html);
+    expect(best.text).to.equal(DESCRIPTION);
+    expect(best.score).to.be.above(0.8);
+  });
+
+  it('should prefer passages inside the main content', () => {
+    const sidebarText = 'Our partners include leading banks, universities and government entities in the UAE.';
+    const html = `<body><div class="column"><p>${sidebarText}</p></div><main><p>${DESCRIPTION}</p></main></body>`;
+    expect(extractMainContent(html).text).to.equal(DESCRIPTION);
+  });
+
+  it('should lower the score of link-heavy passages and return null for empty pages', () => {
+    const linked = extractMainContent(`<p><a href="/about">Example Hub is an Abu Dhabi platform</a> that helps early-stage founders build companies.</p>`);
+    expect(linked.score).to.be.below(0.7);
+    expect(extractMainContent('<body><nav><p>Home, About, Programmes, Contact, Careers</p></nav></body>')).to.be.null;
+    expect(extractMainContent('')).to.be.null;
+  });
+});
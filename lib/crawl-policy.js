@@ -0,0 +1,260 @@
+/**
+ * Crawl Policy Module
+ *
+ * Fetches each host's robots.txt once per run and decides whether the
+ * scraper may load a URL. Many of our sources are government portals
+ * (u.ae, moet.gov.ae), so every target and every followed pagination link is
+ * checked before it is requested:
+ *
+ * - Disallowed URLs are skipped and listed in ErrorSummary (robotsDisallowed)
+ * - Crawl-delay raises the per-host delay between page loads
+ * - Pages are requested with the bot's own user agent, unless the source
+ *   profile sets "stealth": true (then the browser keeps its stealth identity)
+ *
+ * robots.txt handling follows RFC 9309: the group naming our product token
+ * wins over "*", the longest matching rule wins (Allow on a tie), "*" and "$"
+ * are supported. A missing robots.txt (4xx) allows everything; an unreachable
+ * one (5xx, network error) disallows the host for the run.
+ *
+ * Usage example:
+ * ```javascript
+ * const crawlPolicy = new CrawlPolicy();
+ * const { allowed, rule, crawlDelay } = await crawlPolicy.check('https://u.ae/en/information-and-services');
+ * const context = await browser.newContext(crawlPolicy.contextOptions(profile));
+ * crawlPolicy.printSummary();
+ * ```
+ */
+
+// Identifies the scraper to site owners; override with CRAWLER_USER_AGENT
+export const BOT_USER_AGENT = 'UAEEcosystemBot/1.0 (+https://github.com/cofoundpro/Ecosystem-scraper)';
+
+const ROBOTS_TIMEOUT = 10000;
+
+/**
+ * Product token of a user agent, matched against robots.txt User-agent lines
+ * @param {string} userAgent - User agent, e.g. "UAEEcosystemBot/1.0 (+https://...)"
+ * @returns {string} Lowercase token, e.g. "uaeecosystembot"
+ */
+export function agentToken(userAgent) {
+  return userAgent.split(/[\/\s]/)[0].toLowerCase();
+}
+
+/**
+ * Parse robots.txt into groups
+ * Consecutive User-agent lines share one group; unknown lines are ignored
+ * @param {string} text - robots.txt content
+ * @returns {Array<{agents: string[], rules: Array<{allow: boolean, path: string}>, crawlDelay: number|null}>} Groups
+ */
+export function parseRobots(text) {
+  const groups = [];
+  let group = null;
+
+  for (const line of String(text).split(/\r?\n/)) {
+    const match = line.replace(/#.*$/, '').match(/^\s*([A-Za-z-]+)\s*:\s*(.*?)\s*$/);
+    if (!match) continue;
+    const key = match[1].toLowerCase();
+    const value = match[2];
+
+    if (key === 'user-agent') {
+      if (!group || group.rules.length > 0 || group.crawlDelay !== null) {
+        group = { agents: [], rules: [], crawlDelay: null };
+        groups.push(group);
+      }
+      group.agents.push(value.toLowerCase());
+    } else if (!group) {
+      continue;
+    } else if ((key === 'allow' || key === 'disallow') && value) {
+      group.rules.push({ allow: key === 'allow', path: value });
+    } else if (key === 'disallow') {
+      // "Disallow:" with no path allows everything, but still closes the agent list
+      group.rules.push({ allow: true, path: '' });
+    } else if (key === 'crawl-delay') {
+      const seconds = parseFloat(value);
+      if (Number.isFinite(seconds) && seconds >= 0) group.crawlDelay = seconds;
+    }
+  }
+
+  return groups;
+}
+
+/**
+ * Rules and crawl delay that apply to a user agent
+ * Groups naming the agent are combined; otherwise the "*" groups apply
+ * @param {Object[]} groups - Result of parseRobots
+ * @param {string} userAgent - User agent or product token
+ * @returns {{rules: Object[], crawlDelay: number|null}} Applicable policy
+ */
+export function selectGroup(groups, userAgent) {
+  const token = agentToken(userAgent);
+  let matching = groups.filter(group => group.agents.includes(token));
+  if (matching.length === 0) matching = groups.filter(group => group.agents.includes('*'));
+
+  const delays = matching.map(group => group.crawlDelay).filter(delay => delay !== null);
+  return {
+    rules: matching.flatMap(group => group.rules),
+    crawlDelay: delays.length > 0 ? Math.max(...delays) : null
+  };
+}
+
+/**
+ * Regular expression of a robots.txt path pattern ("*" wildcard, "$" end anchor)
+ * @param {string} pattern - Rule path
+ * @returns {RegExp} Expression matching from the start of the path
+ */
+function patternToRegExp(pattern) {
+  const anchored = pattern.endsWith('$');
+  const body = (anchored ? pattern.slice(0, -1) : pattern)
+    .split('*')
+    .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+    .join('.*');
+  return new RegExp(`^${body}${anchored ? '$' : ''}`);
+}
+
+/**
+ * Whether rules allow a path
+ * @param {Object[]} rules - Applicable rules (selectGroup)
+ * @param {string} path - Path and query, e.g. "/en/search?q=hub"
+ * @returns {{allowed: boolean, rule: string|null}} Verdict and the deciding rule ("Disallow: /search")
+ */
+export function matchRules(rules, path) {
+  let best = null;
+  for (const rule of rules) {
+    if (!rule.path || !patternToRegExp(rule.path).test(path)) continue;
+    const longer = !best || rule.path.length > best.path.length;
+    const allowOnTie = best && rule.path.length === best.path.length && rule.allow && !best.allow;
+    if (longer || allowOnTie) best = rule;
+  }
+
+  if (!best) return { allowed: true, rule: null };
+  return { allowed: best.allow, rule: `${best.allow ? 'Allow' : 'Disallow'}: ${best.path}` };
+}
+
+/**
+ * robots.txt cache and checks for one run
+ */
+export class CrawlPolicy {
+  /**
+   * @param {Object} options - Policy options
+   * @param {string} options.userAgent - Bot user agent (default: CRAWLER_USER_AGENT or BOT_USER_AGENT)
+   * @param {Function} options.fetchImpl - fetch implementation (default: global fetch)
+   * @param {number} options.timeout - robots.txt request timeout in ms (default 10000)
+   */
+  constructor(options = {}) {
+    this.userAgent = options.userAgent || process.env.CRAWLER_USER_AGENT || BOT_USER_AGENT;
+    this.fetchImpl = options.fetchImpl || fetch;
+    this.timeout = options.timeout || ROBOTS_TIMEOUT;
+    this.pending = new Map(); // origin → Promise<policy>
+    this.policies = new Map(); // origin → { rules, crawlDelay, unavailable } (loaded)
+    this.stats = { loaded: 0, missing: 0, unreachable: 0, disallowed: 0 };
+  }
+
+  /**
+   * Policy of a URL's origin, fetching its robots.txt on first use
+   * Concurrent checks on the same origin share one request
+   * @param {string} url - Any URL on the origin
+   * @returns {Promise<{rules: Object[], crawlDelay: number|null, unavailable: boolean}>} Policy
+   */
+  async policyFor(url) {
+    const { origin } = new URL(url);
+    if (!this.pending.has(origin)) {
+      this.pending.set(origin, this.load(origin).then(policy => {
+        this.policies.set(origin, policy);
+        return policy;
+      }));
+    }
+    return this.pending.get(origin);
+  }
+
+  /**
+   * Fetch and parse an origin's robots.txt
+   * @param {string} origin - e.g. https://u.ae
+   * @returns {Promise<{rules: Object[], crawlDelay: number|null, unavailable: boolean}>} Policy
+   */
+  async load(origin) {
+    try {
+      const response = await this.fetchImpl(`${origin}/robots.txt`, {
+        redirect: 'follow',
+        headers: { 'user-agent': this.userAgent, accept: 'text/plain' },
+        signal: AbortSignal.timeout(this.timeout)
+      });
+
+      if (response.status >= 400 && response.status < 500) {
+        // No robots.txt: everything is allowed
+        this.stats.missing++;
+        return { rules: [], crawlDelay: null, unavailable: false };
+      }
+      if (!response.ok) throw new Error(`HTTP ${response.status}`);
+
+      this.stats.loaded++;
+      return { ...selectGroup(parseRobots(await response.text()), this.userAgent), unavailable: false };
+
+    } catch (error) {
+      console.warn(`   ⚠️  robots.txt of ${origin} unreachable (${error.message}), not crawling it this run`);
+      this.stats.unreachable++;
+      return { rules: [{ allow: false, path: '/' }], crawlDelay: null, unavailable: true };
+    }
+  }
+
+  /**
+   * Whether the bot may fetch a URL
+   * @param {string} url - URL to fetch
+   * @returns {Promise<{allowed: boolean, rule: string|null, crawlDelay: number|null}>} Verdict; `rule`
+   *   is the deciding robots.txt line (or "robots.txt unreachable")
+   */
+  async check(url) {
+    let parsed;
+    try {
+      parsed = new URL(url);
+    } catch {
+      return { allowed: true, rule: null, crawlDelay: null };
+    }
+
+    const policy = await this.policyFor(url);
+    const verdict = policy.unavailable
+      ? { allowed: false, rule: 'robots.txt unreachable' }
+      : matchRules(policy.rules, `${parsed.pathname}${parsed.search}`);
+
+    if (!verdict.allowed) this.stats.disallowed++;
+    return { ...verdict, crawlDelay: policy.crawlDelay };
+  }
+
+  /**
+   * Crawl-delay of a URL's origin, if its robots.txt is already loaded (never fetches)
+   * @param {string} url - Any URL on the origin
+   * @returns {number} Seconds between requests (0 when none)
+   */
+  crawlDelay(url) {
+    try {
+      return this.policies.get(new URL(url).origin)?.crawlDelay || 0;
+    } catch {
+      return 0;
+    }
+  }
+
+  /**
+   * Browser context / HttpBrowser options for a source profile
+   * Non-stealth sources are fetched with the bot's user agent
+   * @param {Object} profile - Normalised source profile
+   * @returns {Object} { userAgent } or {} to keep the default identity
+   */
+  contextOptions(profile) {
+    return profile.stealth ? {} : { userAgent: this.userAgent };
+  }
+
+  /**
+   * Print robots.txt statistics to console
+   */
+  printSummary() {
+    const { loaded, missing, unreachable, disallowed } = this.stats;
+    if (loaded + missing + unreachable === 0) return;
+
+    console.log('\n=== Crawl Policy ===');
+    console.log(`🤖 User agent: ${this.userAgent}`);
+    console.log(`📜 robots.txt: ${loaded} loaded, ${missing} missing, ${unreachable} unreachable`);
+    console.log(`🚫 URLs disallowed: ${disallowed}`);
+    for (const [origin, policy] of this.policies) {
+      if (policy.crawlDelay) console.log(`🐢 Crawl-delay ${origin}: ${policy.crawlDelay}s`);
+    }
+    console.log('====================\n');
+  }
+}
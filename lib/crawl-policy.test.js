@@ -0,0 +1,161 @@
+/**
+ * Unit Tests for the Crawl Policy
+ * Tests robots.txt parsing, rule precedence, unavailable robots.txt files and
+ * the per-origin cache (fetch stubs, no network)
+ */
+
+import { describe, it } from 'mocha';
+import { expect } from 'chai';
+import fc from 'fast-check';
+import { normalizeProfile } from './source-profiles.js';
+import { CrawlPolicy, parseRobots, selectGroup, matchRules, agentToken, BOT_USER_AGENT } from './crawl-policy.js';
+
+const ROBOTS = `
+# Government portal
+User-agent: *
+Disallow: /en/search
+Disallow: /*.pdf$
+Allow: /en/search/help
+Crawl-delay: 5
+
+User-agent: UAEEcosystemBot
+User-agent: OtherBot
+Disallow: /private/
+Crawl-delay: 2
+
+Sitemap: https://u.ae/sitemap.xml
+`;
+
+/**
+ * fetch stub answering robots.txt requests per origin and counting them
+ */
+function createFetch(responses) {
+  const fetchImpl = async url => {
+    fetchImpl.calls.push(url);
+    const response = responses[new URL(url).origin];
+    if (response instanceof Error) throw response;
+    const { status = 200, body = '' } = response || { status: 404 };
+    return new Response(body, { status, headers: { 'content-type': 'text/plain' } });
+  };
+  fetchImpl.calls = [];
+  return fetchImpl;
+}
+
+describe('Crawl Policy - parseRobots', () => {
+  it('should group consecutive user agents with their rules and crawl delay', () => {
+    const groups = parseRobots(ROBOTS);
+
+    expect(groups).to.have.length(2);
+    expect(groups[0]).to.deep.equal({
+      agents: ['*'],
+      rules: [
+        { allow: false, path: '/en/search' },
+        { allow: false, path: '/*.pdf$' },
+        { allow: true, path: '/en/search/help' }
+      ],
+      crawlDelay: 5
+    });
+    expect(groups[1].agents).to.deep.equal(['uaeecosystembot', 'otherbot']);
+    expect(groups[1].crawlDelay).to.equal(2);
+  });
+
+  it('should ignore rules before the first user agent and malformed lines', () => {
+    expect(parseRobots('Disallow: /\nnonsense\nUser-agent: *\nCrawl-delay: soon')).to.deep.equal([
+      { agents: ['*'], rules: [], crawlDelay: null }
+    ]);
+  });
+});
+
+describe('Crawl Policy - selectGroup', () => {
+  it('should prefer the group naming the bot over "*"', () => {
+    const { rules, crawlDelay } = selectGroup(parseRobots(ROBOTS), BOT_USER_AGENT);
+    expect(rules).to.deep.equal([{ allow: false, path: '/private/' }]);
+    expect(crawlDelay).to.equal(2);
+  });
+
+  it('should fall back to "*" for other agents', () => {
+    const { rules, crawlDelay } = selectGroup(parseRobots(ROBOTS), 'SomeCrawler/3.0');
+    expect(rules).to.have.length(3);
+    expect(crawlDelay).to.equal(5);
+  });
+
+  it('should match the product token case-insensitively', () => {
+    expect(agentToken('UAEEcosystemBot/1.0 (+https://example.ae)')).to.equal('uaeecosystembot');
+  });
+});
+
+describe('Crawl Policy - matchRules', () => {
+  const { rules } = selectGroup(parseRobots(ROBOTS), '*');
+
+  it('should let the longest matching rule win', () => {
+    expect(matchRules(rules, '/en/search?q=hub71')).to.deep.equal({ allowed: false, rule: 'Disallow: /en/search' });
+    expect(matchRules(rules, '/en/search/help')).to.deep.equal({ allowed: true, rule: 'Allow: /en/search/help' });
+    expect(matchRules(rules, '/en/about')).to.deep.equal({ allowed: true, rule: null });
+  });
+
+  it('should support "*" wildcards and "$" anchors', () => {
+    expect(matchRules(rules, '/docs/guide.pdf').allowed).to.be.false;
+    expect(matchRules(rules, '/docs/guide.pdf?download=1').allowed).to.be.true;
+  });
+
+  it('should prefer Allow when rules are equally long', () => {
+    const tie = [{ allow: false, path: '/page' }, { allow: true, path: '/page' }];
+    expect(matchRules(tie, '/page').allowed).to.be.true;
+  });
+
+  it('should allow every path when nothing is disallowed (property)', () => {
+    fc.assert(fc.property(fc.webPath(), path => matchRules([{ allow: true, path: '' }], `/${path}`).allowed));
+  });
+});
+
+describe('Crawl Policy - CrawlPolicy', () => {
+  it('should fetch robots.txt once per origin and check URLs against it', async () => {
+    const fetchImpl = createFetch({ 'https://u.ae': { body: ROBOTS } });
+    const policy = new CrawlPolicy({ fetchImpl });
+
+    const verdicts = await Promise.all([
+      policy.check('https://u.ae/private/report'),
+      policy.check('https://u.ae/en/search'),
+      policy.check('https://u.ae/en/information-and-services')
+    ]);
+
+    expect(verdicts.map(v => v.allowed)).to.deep.equal([false, true, true]);
+    expect(verdicts[0]).to.deep.equal({ allowed: false, rule: 'Disallow: /private/', crawlDelay: 2 });
+    expect(fetchImpl.calls).to.deep.equal(['https://u.ae/robots.txt']);
+    expect(policy.crawlDelay('https://u.ae/anything')).to.equal(2);
+    expect(policy.stats).to.deep.include({ loaded: 1, disallowed: 1 });
+  });
+
+  it('should allow everything when robots.txt is missing', async () => {
+    const policy = new CrawlPolicy({ fetchImpl: createFetch({ 'https://moet.gov.ae': { status: 404 } }) });
+    expect((await policy.check('https://moet.gov.ae/en/about')).allowed).to.be.true;
+    expect(policy.crawlDelay('https://moet.gov.ae/')).to.equal(0);
+    expect(policy.stats.missing).to.equal(1);
+  });
+
+  it('should not crawl hosts whose robots.txt is unreachable', async () => {
+    const originalWarn = console.warn;
+    console.warn = () => {};
+    try {
+      const policy = new CrawlPolicy({ fetchImpl: createFetch({
+        'https://down.ae': { status: 503 },
+        'https://offline.ae': new Error('ECONNREFUSED')
+      }) });
+
+      expect(await policy.check('https://down.ae/')).to.deep.equal({ allowed: false, rule: 'robots.txt unreachable', crawlDelay: null });
+      expect((await policy.check('https://offline.ae/page')).allowed).to.be.false;
+      expect(policy.stats.unreachable).to.equal(2);
+    } finally {
+      console.warn = originalWarn;
+    }
+  });
+
+  it('should only override the user agent of non-stealth profiles', () => {
+    const policy = new CrawlPolicy({ userAgent: 'TestBot/1.0', fetchImpl: createFetch({}) });
+    const profile = raw => normalizeProfile({ url: 'https://u.ae/', ...raw }, 'u-ae');
+
+    expect(policy.contextOptions(profile())).to.deep.equal({ userAgent: 'TestBot/1.0' });
+    expect(policy.contextOptions(profile({ stealth: true }))).to.deep.equal({});
+    expect(() => profile({ stealth: 'yes' })).to.throw(/stealth must be true or false/);
+  });
+});
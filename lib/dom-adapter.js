@@ -0,0 +1,194 @@
+/**
+ * DOM Adapter Module
+ *
+ * One query interface over the two page backends, so the extraction
+ * strategies in enhanced-scraper.js run unchanged on both:
+ * - a Playwright page (rendered in headless Chromium)
+ * - a StaticPage: HTML fetched over plain HTTP and parsed with cheerio
+ *
+ * Query interface (all async):
+ * - title()                → document title
+ * - attr(selector, name)   → attribute of the first match, trimmed, or null
+ * - text(selector)         → text of the first match, trimmed, or null
+ * - texts(selector)        → trimmed text of every match
+ * - hrefs(selector)        → absolute href of every match (null when missing)
+ * - bodyText()             → visible text of the page
+ *
+ * StaticPage also implements the subset of the Playwright Page API the
+ * pipeline uses (goto, content, title, url, waitForSelector, waitForTimeout,
+ * close), so the scrape, pagination and capture code accept either backend.
+ * Anything that needs a live DOM (evaluate, clicks, scrolling) throws.
+ *
+ * Usage example:
+ * ```javascript
+ * const page = new StaticPage();
+ * const response = await page.goto('https://hub71.ae/');
+ * if (response.ok()) {
+ *   const dom = toDom(page);
+ *   const ogTitle = await dom.attr('meta[property="og:title"]', 'content');
+ * }
+ * ```
+ */
+
+import * as cheerio from 'cheerio';
+import { cleanText, resolveUrl } from './listing-extractor.js';
+
+// Sent with plain HTTP requests; many sites reject the default Node user agent
+export const HTTP_USER_AGENT = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/124.0 Safari/537.36';
+
+const DEFAULT_TIMEOUT = 15000;
+
+// Elements whose text is never visible
+const INVISIBLE = 'script, style, noscript, template, svg';
+
+/**
+ * Query interface over a Playwright page
+ * @param {Page} page - Playwright page object
+ * @returns {Object} DOM adapter
+ */
+export function playwrightDom(page) {
+  return {
+    title: () => page.title(),
+    attr: (selector, name) => page.evaluate(({ selector, name }) => {
+      const el = document.querySelector(selector);
+      const value = el ? el.getAttribute(name) : null;
+      return value ? value.trim() : null;
+    }, { selector, name }),
+    text: selector => page.evaluate(selector => {
+      const el = document.querySelector(selector);
+      return el ? el.textContent.trim() : null;
+    }, selector),
+    texts: selector => page.evaluate(selector => {
+      return Array.from(document.querySelectorAll(selector), el => el.textContent.trim());
+    }, selector),
+    hrefs: selector => page.evaluate(selector => {
+      return Array.from(document.querySelectorAll(selector), el => el.href || null);
+    }, selector),
+    bodyText: () => page.evaluate(() => (document.body ? document.body.innerText : ''))
+  };
+}
+
+/**
+ * Query interface for any page backend
+ * @param {Page|StaticPage} page - Playwright page or StaticPage
+ * @returns {Object} DOM adapter
+ */
+export function toDom(page) {
+  return page instanceof StaticPage ? page : playwrightDom(page);
+}
+
+/**
+ * Page fetched over plain HTTP and parsed with cheerio
+ */
+export class StaticPage {
+  /**
+   * @param {Object} options - Request options
+   * @param {Function} options.fetchImpl - fetch implementation (default: global fetch)
+   * @param {string} options.html - Start with this HTML instead of fetching (optional)
+   * @param {string} options.url - URL of that HTML (optional)
+   * @param {string} options.userAgent - User agent header (default: HTTP_USER_AGENT)
+   */
+  constructor(options = {}) {
+    this.fetchImpl = options.fetchImpl || fetch;
+    this.userAgent = options.userAgent || HTTP_USER_AGENT;
+    this.isStatic = true;
+    this.currentUrl = options.url || 'about:blank';
+    this.html = options.html || '';
+    this.$ = cheerio.load(this.html);
+  }
+
+  /**
+   * Fetch a URL and load its HTML
+   * Throws on network errors, like page.goto
+   * @param {string} url - Page URL
+   * @param {Object} options - { timeout, headers } (headers: extra request headers, e.g. If-None-Match)
+   * @returns {Promise<Object>} Response with the Playwright accessors status(), ok(), url(), headers()
+   */
+  async goto(url, options = {}) {
+    const response = await this.fetchImpl(url, {
+      redirect: 'follow',
+      headers: { 'user-agent': this.userAgent, accept: 'text/html,application/xhtml+xml', ...options.headers },
+      signal: AbortSignal.timeout(options.timeout || DEFAULT_TIMEOUT)
+    });
+
+    const headers = Object.fromEntries(response.headers ? response.headers.entries() : []);
+    const contentType = headers['content-type'] || 'text/html';
+    const body = await response.text();
+
+    this.currentUrl = response.url || url;
+    this.html = /html|xml/i.test(contentType) ? body : '';
+    this.$ = cheerio.load(this.html);
+
+    return {
+      status: () => response.status,
+      ok: () => response.ok,
+      url: () => this.currentUrl,
+      headers: () => headers
+    };
+  }
+
+  /**
+   * Copy of the page as it is now (the original moves on with the next goto)
+   * @returns {StaticPage} Snapshot
+   */
+  snapshot() {
+    return new StaticPage({ fetchImpl: this.fetchImpl, html: this.html, url: this.currentUrl });
+  }
+
+  url() {
+    return this.currentUrl;
+  }
+
+  async content() {
+    return this.html;
+  }
+
+  async title() {
+    return cleanText(this.$('title').first().text());
+  }
+
+  /**
+   * Resolve when the selector is in the HTML
+   * Static HTML never changes, so a missing selector fails at once
+   * @param {string} selector - CSS selector
+   * @throws {Error} If nothing matches
+   */
+  async waitForSelector(selector) {
+    if (this.$(selector).length === 0) {
+      throw new Error(`Selector "${selector}" not found in static HTML`);
+    }
+  }
+
+  // Nothing renders after the HTML arrived
+  async waitForTimeout() {}
+
+  async evaluate() {
+    throw new Error('evaluate() needs a browser page');
+  }
+
+  async close() {}
+
+  async attr(selector, name) {
+    const value = this.$(selector).first().attr(name);
+    return value ? value.trim() : null;
+  }
+
+  async text(selector) {
+    const $match = this.$(selector).first();
+    return $match.length > 0 ? $match.text().trim() : null;
+  }
+
+  async texts(selector) {
+    return this.$(selector).toArray().map(el => this.$(el).text().trim());
+  }
+
+  async hrefs(selector) {
+    return this.$(selector).toArray().map(el => resolveUrl(this.$(el).attr('href'), this.currentUrl));
+  }
+
+  async bodyText() {
+    const $body = this.$('body').clone();
+    $body.find(INVISIBLE).remove();
+    return $body.text().replace(/[ \t]+/g, ' ').replace(/\s*\n\s*/g, '\n').trim();
+  }
+}
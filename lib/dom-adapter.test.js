@@ -0,0 +1,188 @@
+/**
+ * Unit Tests for the DOM Adapter
+ * Tests StaticPage (plain HTTP + cheerio) and runs the enhanced-scraper
+ * extraction strategies on it without a browser
+ */
+
+import { describe, it } from 'mocha';
+import { expect } from 'chai';
+import { StaticPage, toDom, playwrightDom } from './dom-adapter.js';
+import { extractName, extractDescription, extractTwitter, extractStructuredData, scrapeOrganisation } from './enhanced-scraper.js';
+
+const PAGE_URL = 'https://www.example.ae/';
+
+const HTML = `
+  <html>
+    <head>
+      <title>Example Hub</title>
+      <meta property="og:title" content=" Example Hub OG ">
+      <meta name="description" content="Example Hub supports founders across the UAE.">
+      <script type="application/ld+json">{"@type": "Organization", "name": "Example Hub LLC", "sameAs": ["https://x.com/examplehub"]}</script>
+      <style>.hidden { display: none; }</style>
+    </head>
+    <body>
+      <h1>Welcome to Example Hub</h1>
+      <p>Short.</p>
+      <p>Example Hub runs accelerator programmes for startups.</p>
+      <footer class="social"><a href="/contact">Contact</a><a href="https://twitter.com/examplehub">Twitter</a></footer>
+      <script>window.tracking = true;</script>
+    </body>
+  </html>
+`;
+
+/**
+ * fetch stub serving fixed responses per URL
+ */
+function createFetch(pages) {
+  const calls = [];
+  const fetchImpl = async (url, init) => {
+    calls.push({ url, init });
+    const { body = '', status = 200, type = 'text/html; charset=utf-8' } = pages[url] || { status: 404 };
+    return new Response(body, { status, headers: { 'content-type': type } });
+  };
+  fetchImpl.calls = calls;
+  return fetchImpl;
+}
+
+describe('DOM Adapter - StaticPage', () => {
+  it('should fetch a page and expose Playwright-style response accessors', async () => {
+    const fetchImpl = createFetch({ [PAGE_URL]: { body: HTML } });
+    const page = new StaticPage({ fetchImpl });
+    const response = await page.goto(PAGE_URL);
+
+    expect(response.status()).to.equal(200);
+    expect(response.ok()).to.be.true;
+    expect(page.url()).to.equal(PAGE_URL);
+    expect(await page.content()).to.equal(HTML);
+    expect(fetchImpl.calls[0].init.headers['user-agent']).to.match(/Mozilla/);
+  });
+
+  it('should ignore non-HTML responses', async () => {
+    const page = new StaticPage({ fetchImpl: createFetch({ [PAGE_URL]: { body: '%PDF-1.7', type: 'application/pdf' } }) });
+    await page.goto(PAGE_URL);
+    expect(await page.content()).to.equal('');
+  });
+
+  it('should query the HTML like the browser would', async () => {
+    const page = new StaticPage({ html: HTML, url: PAGE_URL });
+
+    expect(await page.title()).to.equal('Example Hub');
+    expect(await page.attr('meta[property="og:title"]', 'content')).to.equal('Example Hub OG');
+    expect(await page.attr('meta[name="keywords"]', 'content')).to.be.null;
+    expect(await page.text('h1')).to.equal('Welcome to Example Hub');
+    expect(await page.texts('p')).to.deep.equal(['Short.', 'Example Hub runs accelerator programmes for startups.']);
+    expect(await page.hrefs('footer a')).to.deep.equal(['https://www.example.ae/contact', 'https://twitter.com/examplehub']);
+  });
+
+  it('should return visible text without scripts and styles', async () => {
+    const text = await new StaticPage({ html: HTML, url: PAGE_URL }).bodyText();
+    expect(text).to.include('Welcome to Example Hub');
+    expect(text).not.to.include('window.tracking');
+    expect(text).not.to.include('display: none');
+  });
+
+  it('should fail fast on missing selectors and browser-only calls', async () => {
+    const page = new StaticPage({ html: HTML, url: PAGE_URL });
+    await page.waitForSelector('h1');
+
+    let error = null;
+    await page.waitForSelector('.grid').catch(e => { error = e; });
+    expect(error.message).to.match(/not found in static HTML/);
+    error = null;
+    await page.evaluate(() => 1).catch(e => { error = e; });
+    expect(error.message).to.match(/needs a browser/);
+  });
+
+  it('should keep snapshots when the page moves on', async () => {
+    const fetchImpl = createFetch({ [PAGE_URL]: { body: HTML }, 'https://www.example.ae/2': { body: '<title>Two</title>' } });
+    const page = new StaticPage({ fetchImpl });
+    await page.goto(PAGE_URL);
+    const first = page.snapshot();
+    await page.goto('https://www.example.ae/2');
+
+    expect(await first.title()).to.equal('Example Hub');
+    expect(first.url()).to.equal(PAGE_URL);
+    expect(await page.title()).to.equal('Two');
+  });
+});
+
+describe('DOM Adapter - toDom', () => {
+  it('should use a StaticPage as is and wrap Playwright pages', async () => {
+    const page = new StaticPage({ html: HTML, url: PAGE_URL });
+    expect(toDom(page)).to.equal(page);
+
+    const evaluated = [];
+    const fakePage = { title: async () => 'T', evaluate: async (fn, arg) => { evaluated.push(arg); return 'value'; } };
+    const dom = toDom(fakePage);
+    expect(await dom.title()).to.equal('T');
+    expect(await dom.attr('meta', 'content')).to.equal('value');
+    expect(evaluated).to.deep.equal([{ selector: 'meta', name: 'content' }]);
+    expect(Object.keys(playwrightDom(fakePage))).to.have.members(['title', 'attr', 'text', 'texts', 'hrefs', 'bodyText']);
+  });
+});
+
+describe('DOM Adapter - extraction strategies on a StaticPage', () => {
+  const page = new StaticPage({ html: HTML, url: PAGE_URL });
+
+  it('should extract the name, description and Twitter handle', async () => {
+    const trace = {};
+    expect(await extractName(page, PAGE_URL, null, trace)).to.equal('Example Hub');
+    expect(await extractDescription(page, trace)).to.equal('Example Hub supports founders across the UAE.');
+    expect(await extractTwitter(page, trace)).to.equal('@examplehub');
+    expect(trace).to.deep.equal({ name: 'page-title', description: 'meta-description', twitter: 'twitter-link' });
+  });
+
+  it('should pick the main-content passage over cookie notices and record its quality', async () => {
+    const bare = new StaticPage({
+      url: PAGE_URL,
+      html: `<body>
+        <div class="cookie-consent"><p>We use cookies to give you the best experience. Accept all cookies?</p></div>
+        <p>Subscribe to our newsletter for the latest startup news and events.</p>
+        <section class="intro">Example Hub runs accelerator programmes for technology startups across the UAE.</section>
+      </body>`
+    });
+    const trace = {};
+    const quality = {};
+
+    expect(await extractDescription(bare, trace, quality)).to.equal('Example Hub runs accelerator programmes for technology startups across the UAE.');
+    expect(trace.description).to.equal('main-content');
+    expect(quality.description).to.be.within(0.5, 1);
+
+    const notice = new StaticPage({ url: PAGE_URL, html: '<p>This website uses cookies. Read more in our privacy policy.</p>' });
+    expect(await extractDescription(notice)).to.be.null;
+  });
+
+  it('should read JSON-LD and microdata', async () => {
+    expect(await extractStructuredData(page)).to.deep.equal({
+      name: 'Example Hub LLC', description: null, sameAs: ['https://x.com/examplehub'], url: null, logo: null
+    });
+
+    const microdata = new StaticPage({
+      url: PAGE_URL,
+      html: '<div itemscope itemtype="https://schema.org/Organization"><span itemprop="name">Micro Org</span><a itemprop="sameAs" href="https://x.com/micro">X</a></div>'
+    });
+    expect(await extractStructuredData(microdata)).to.deep.equal({
+      name: 'Micro Org', description: null, sameAs: ['https://x.com/micro'], url: null, logo: null
+    });
+  });
+
+  it('should keep Arabic names and reject Arabic error pages', async () => {
+    const arabic = new StaticPage({ url: PAGE_URL, html: '<html dir="rtl"><head><title>وزارة الاقتصاد</title></head></html>' });
+    expect(await extractName(arabic, PAGE_URL)).to.equal('وزارة الاقتصاد');
+
+    for (const title of ['الصفحة غير موجودة', 'خطأ ٤٠٤', 'تم رفض الوصول']) {
+      const errorPage = new StaticPage({ url: PAGE_URL, html: `<html><head><title>${title}</title></head></html>` });
+      expect(await extractName(errorPage, PAGE_URL)).to.be.null;
+    }
+  });
+
+  it('should fetch the root domain title through an HTTP page factory', async () => {
+    const fetchImpl = createFetch({ [PAGE_URL]: { body: HTML } });
+    const http = { newPage: async () => new StaticPage({ fetchImpl }) };
+    const detail = new StaticPage({ html: '<h1>Programmes</h1>', url: `${PAGE_URL}programmes` });
+
+    const data = await scrapeOrganisation(`${PAGE_URL}programmes`, detail, http);
+    expect(data.name).to.equal('Example Hub');
+    expect(data.extraction.name).to.equal('root-title');
+  });
+});
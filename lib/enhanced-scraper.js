@@ -7,10 +7,34 @@
  * - Semantic HTML elements
  * - JSON-LD structured data
  * - Microdata
+ *
+ * Extractors query the page through lib/dom-adapter.js, so they run on a
+ * Playwright page and on plain HTTP + cheerio (StaticPage) alike.
  * 
  * Requirements: 2.1, 2.2, 2.3, 2.4, 2.6, 8.1, 8.2, 9.1, 9.2
  */
 
+import { toDom } from './dom-adapter.js';
+import { staticPageProblem } from './tiered-fetcher.js';
+import { isArabic } from './language.js';
+import { extractSocials, extractContact, SOCIAL_SECTIONS } from './contact-extractor.js';
+import { extractLogoCandidates, jsonLdImageUrl } from './logo-extractor.js';
+import { extractMainContent, descriptionQuality, MIN_CONTENT_QUALITY } from './content-extractor.js';
+import { dismissOverlays } from './overlay-dismisser.js';
+import { normalizeRetryPolicy, classifyStatus, parseRetryAfter, retryDelay } from './retry-policy.js';
+
+// Status texts of the responses retryPageGoto reports
+const STATUS_TEXT = {
+  403: 'Forbidden',
+  404: 'Not Found',
+  410: 'Gone',
+  429: 'Too Many Requests',
+  500: 'Internal Server Error',
+  502: 'Bad Gateway',
+  503: 'Service Unavailable',
+  504: 'Gateway Timeout'
+};
+
 /**
  * Error summary tracker for scraping runs
  * Tracks all errors encountered during scraping for reporting
@@ -20,6 +44,8 @@ export class ErrorSummary {
     this.pageLoadErrors = [];
     this.extractionWarnings = [];
     this.httpErrors = [];
+    this.robotsDisallowed = [];
+    this.overlaysNotCleared = [];
   }
 
   /**
@@ -51,6 +77,41 @@ export class ErrorSummary {
     this.httpErrors.push({ url, statusCode, statusText, timestamp: new Date() });
   }
 
+  /**
+   * Add a URL skipped because robots.txt disallows it (see lib/crawl-policy.js)
+   * Not an error: the URL was deliberately not fetched
+   * @param {string} url - URL that was skipped
+   * @param {string} rule - Matching robots.txt rule, e.g. "Disallow: /admin"
+   */
+  addRobotsDisallowed(url, rule) {
+    this.robotsDisallowed.push({ url, rule, timestamp: new Date() });
+  }
+
+  /**
+   * Add a page whose consent banner or overlay couldn't be cleared (see lib/overlay-dismisser.js)
+   * @param {string} url - Page URL
+   * @param {string} overlay - What still covers the page, e.g. "OneTrust, div#newsletter-popup"
+   */
+  addOverlayNotCleared(url, overlay) {
+    this.overlaysNotCleared.push({ url, overlay, timestamp: new Date() });
+  }
+
+  /**
+   * Append the entries of another summary
+   * Concurrent tasks each collect their own summary and are merged in target
+   * order, so the combined summary doesn't depend on which task finished first
+   * @param {ErrorSummary} other - Summary to append
+   * @returns {ErrorSummary} This summary
+   */
+  merge(other) {
+    this.pageLoadErrors.push(...other.pageLoadErrors);
+    this.extractionWarnings.push(...other.extractionWarnings);
+    this.httpErrors.push(...other.httpErrors);
+    this.robotsDisallowed.push(...other.robotsDisallowed);
+    this.overlaysNotCleared.push(...other.overlaysNotCleared);
+    return this;
+  }
+
   /**
    * Get summary report
    * @returns {Object} Summary report object
@@ -60,8 +121,12 @@ export class ErrorSummary {
       pageLoadErrors: this.pageLoadErrors,
       extractionWarnings: this.extractionWarnings,
       httpErrors: this.httpErrors,
+      robotsDisallowed: this.robotsDisallowed,
+      overlaysNotCleared: this.overlaysNotCleared,
       totalErrors: this.pageLoadErrors.length + this.httpErrors.length,
-      totalWarnings: this.extractionWarnings.length
+      totalWarnings: this.extractionWarnings.length,
+      totalDisallowed: this.robotsDisallowed.length,
+      totalOverlaysNotCleared: this.overlaysNotCleared.length
     };
   }
 
@@ -73,6 +138,8 @@ export class ErrorSummary {
     console.log(`Total HTTP Errors: ${this.httpErrors.length}`);
     console.log(`Total Page Load Errors: ${this.pageLoadErrors.length}`);
     console.log(`Total Extraction Warnings: ${this.extractionWarnings.length}`);
+    console.log(`Total Disallowed by robots.txt: ${this.robotsDisallowed.length}`);
+    console.log(`Total Overlays Not Cleared: ${this.overlaysNotCleared.length}`);
     
     if (this.httpErrors.length > 0) {
       console.log('\nHTTP Errors:');
@@ -95,14 +162,34 @@ export class ErrorSummary {
       });
     }
     
+    if (this.robotsDisallowed.length > 0) {
+      console.log('\nDisallowed by robots.txt:');
+      this.robotsDisallowed.forEach(skip => {
+        console.log(`  - ${skip.url}: ${skip.rule}`);
+      });
+    }
+    
+    if (this.overlaysNotCleared.length > 0) {
+      console.log('\nOverlays Not Cleared:');
+      this.overlaysNotCleared.forEach(entry => {
+        console.log(`  - ${entry.url}: ${entry.overlay}`);
+      });
+    }
+    
     console.log('=============================\n');
   }
 }
 
 /**
  * Retry wrapper for page.goto with exponential backoff
- * Attempts up to 3 times with delays of 1s, 2s, 4s
- * Handles HTTP error codes 403/429/503 by logging and returning null
+ * By default attempts up to 3 times with delays of 1s, 2s (plus jitter);
+ * see lib/retry-policy.js for how each status is handled:
+ * - 404/410 and 403 are logged and return null at once
+ * - 429/503 are retried after the server's Retry-After, other 5xx and
+ *   network errors with backoff; null once the attempts run out
+ * - a host whose circuit breaker is open is not requested at all
+ * With `dismissOverlays: true`, consent banners and popups are dismissed once
+ * the page has loaded (see lib/overlay-dismisser.js)
  * 
  * Usage example:
  * ```javascript
@@ -111,7 +198,9 @@ export class ErrorSummary {
  * const errorSummary = new ErrorSummary();
  * const response = await retryPageGoto(page, 'https://example.com', { 
  *   waitUntil: 'domcontentloaded', 
- *   timeout: 30000 
+ *   timeout: 30000,
+ *   retry: { attempts: 5 },
+ *   breaker: new CircuitBreaker()
  * }, errorSummary);
  * if (response) {
  *   // Page loaded successfully
@@ -124,150 +213,162 @@ export class ErrorSummary {
  * 
  * @param {Page} page - Playwright page object
  * @param {string} url - URL to navigate to
- * @param {Object} options - Navigation options (waitUntil, timeout, etc.)
+ * @param {Object} options - Navigation options (waitUntil, timeout, etc.), plus:
+ *   `retry` (retry policy overrides), `breaker` (CircuitBreaker), `dismissOverlays`,
+ *   and for tests `sleep` (async ms => void) and `random` (jitter source)
  * @param {ErrorSummary} errorSummary - Error summary tracker (optional)
  * @returns {Promise<Response|null>} Navigation response or null on failure
  * Requirements: 8.1, 8.2
  */
 export async function retryPageGoto(page, url, options = {}, errorSummary = null) {
-  const maxAttempts = 3;
-  const delays = [1000, 2000, 4000]; // Exponential backoff: 1s, 2s, 4s
-  
+  const {
+    dismissOverlays: dismiss = false,
+    retry = null,
+    breaker = null,
+    sleep = ms => new Promise(resolve => setTimeout(resolve, ms)),
+    random = Math.random,
+    ...gotoOptions
+  } = options;
+  const policy = normalizeRetryPolicy(retry);
+  const maxAttempts = policy.attempts;
+
+  if (breaker && !breaker.allows(url)) {
+    const message = 'Skipped: circuit open after repeated failures on this host';
+    console.warn(`🔌 ${url}: ${message}`);
+    if (errorSummary) {
+      errorSummary.addPageLoadError(url, message);
+    }
+    return null;
+  }
+
   for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+    let failure; // Retryable failure: { message, status, statusText, retryAfter }
+
     try {
       console.log(`Attempting to load ${url} (attempt ${attempt}/${maxAttempts})`);
-      const response = await page.goto(url, options);
-      
-      // Check for HTTP error status codes
-      if (response) {
-        const status = response.status();
-        
-        // Handle 403 Forbidden
-        if (status === 403) {
-          const message = 'Access denied (403 Forbidden)';
-          console.error(`${url}: ${message}`);
-          if (errorSummary) {
-            errorSummary.addHttpError(url, status, 'Forbidden');
-          }
-          return null;
-        }
-        
-        // Handle 429 Rate Limited
-        if (status === 429) {
-          const message = 'Rate limited (429 Too Many Requests)';
-          console.error(`${url}: ${message}`);
+      const response = await page.goto(url, gotoOptions);
+      const status = response ? response.status() : null;
+      const statusText = STATUS_TEXT[status] || 'Server Error';
+
+      switch (classifyStatus(status)) {
+        case 'ok':
+          if (breaker) breaker.recordSuccess(url);
+          console.log(`Successfully loaded ${url} on attempt ${attempt}`);
+          if (dismiss) await dismissOverlays(page, url, errorSummary);
+          return response;
+
+        // The host answered: nothing to retry, nothing against the host
+        case 'not-found':
+          if (breaker) breaker.recordSuccess(url);
+          console.warn(`🔍 ${url}: Not found (${status} ${statusText})`);
           if (errorSummary) {
-            errorSummary.addHttpError(url, status, 'Too Many Requests');
+            errorSummary.addHttpError(url, status, statusText);
           }
           return null;
-        }
-        
-        // Handle 503 Service Unavailable
-        if (status === 503) {
-          const message = 'Service unavailable (503)';
-          console.error(`${url}: ${message}`);
+
+        case 'forbidden':
+          if (breaker) breaker.recordFailure(url);
+          console.error(`${url}: Access denied (403 Forbidden)`);
           if (errorSummary) {
-            errorSummary.addHttpError(url, status, 'Service Unavailable');
+            errorSummary.addHttpError(url, status, statusText);
           }
           return null;
+
+        case 'throttled': {
+          const headers = response.headers ? response.headers() : {};
+          const message = status === 429 ? 'Rate limited (429 Too Many Requests)' : 'Service unavailable (503)';
+          failure = { message, status, statusText, retryAfter: parseRetryAfter(headers['retry-after']) };
+          break;
         }
+
+        default:
+          failure = { message: `Server error (${status} ${statusText})`, status, statusText, retryAfter: null };
       }
-      
-      console.log(`Successfully loaded ${url} on attempt ${attempt}`);
-      return response;
     } catch (error) {
-      console.warn(`Attempt ${attempt} failed for ${url}: ${error.message}`);
-      
-      if (attempt < maxAttempts) {
-        const delay = delays[attempt - 1];
-        console.log(`Retrying in ${delay}ms...`);
-        await new Promise(resolve => setTimeout(resolve, delay));
+      failure = { message: error.message, status: null, statusText: null, retryAfter: null };
+    }
+
+    if (breaker) breaker.recordFailure(url);
+    const delay = attempt < maxAttempts ? retryDelay(policy, attempt, failure.retryAfter, random) : null;
+    const circuitOpen = breaker ? breaker.isOpen(url) : false;
+
+    if (delay === null || circuitOpen) {
+      const reason = circuitOpen ? 'circuit open'
+        : attempt < maxAttempts ? `Retry-After of ${Math.round(failure.retryAfter / 1000)}s is too long`
+        : null;
+
+      if (failure.status) {
+        console.error(`${url}: ${failure.message}${reason ? `, giving up (${reason})` : ''}`);
+        if (errorSummary) {
+          errorSummary.addHttpError(url, failure.status, failure.statusText);
+        }
       } else {
-        const message = `Failed after ${maxAttempts} attempts: ${error.message}`;
+        const message = `Failed after ${attempt} attempt${attempt === 1 ? '' : 's'}: ${failure.message}${reason ? ` (${reason})` : ''}`;
         console.error(`${url}: ${message}`);
         if (errorSummary) {
           errorSummary.addPageLoadError(url, message);
         }
-        return null;
       }
+      return null;
     }
+
+    console.warn(`Attempt ${attempt} failed for ${url}: ${failure.message}`);
+    console.log(`Retrying in ${delay}ms...`);
+    await sleep(delay);
   }
-  
-  return null;
 }
 
 /**
  * Extract structured data from JSON-LD and microdata
- * @param {Page} page - Playwright page object
+ * @param {Page|StaticPage} page - Playwright page or StaticPage (see lib/dom-adapter.js)
  * @returns {Promise<Object|null>} Structured data object or null
  */
 export async function extractStructuredData(page) {
   try {
+    const dom = toDom(page);
+
     // Try to extract JSON-LD structured data
-    const jsonLdData = await page.evaluate(() => {
-      const scripts = Array.from(document.querySelectorAll('script[type="application/ld+json"]'));
-      
-      for (const script of scripts) {
-        try {
-          const data = JSON.parse(script.textContent);
-          
-          // Handle both single objects and arrays
-          const items = Array.isArray(data) ? data : [data];
-          
-          // Look for Organization schema
-          for (const item of items) {
-            if (item['@type'] === 'Organization' || 
-                (Array.isArray(item['@type']) && item['@type'].includes('Organization'))) {
-              return {
-                name: item.name || null,
-                description: item.description || null,
-                sameAs: item.sameAs || null,
-                url: item.url || null
-              };
-            }
+    const scripts = await dom.texts('script[type="application/ld+json"]');
+    for (const script of scripts) {
+      try {
+        const data = JSON.parse(script);
+        
+        // Handle both single objects and arrays
+        const items = Array.isArray(data) ? data : [data];
+        
+        // Look for Organization schema
+        for (const item of items) {
+          if (item['@type'] === 'Organization' || 
+              (Array.isArray(item['@type']) && item['@type'].includes('Organization'))) {
+            return {
+              name: item.name || null,
+              description: item.description || null,
+              sameAs: item.sameAs || null,
+              url: item.url || null,
+              logo: jsonLdImageUrl(item.logo)
+            };
           }
-        } catch (e) {
-          // Skip malformed JSON
-          continue;
         }
+      } catch (e) {
+        // Skip malformed JSON
+        continue;
       }
-      
-      return null;
-    });
-    
-    if (jsonLdData) {
-      return jsonLdData;
     }
     
     // Try to extract microdata (basic support)
-    const microdataOrg = await page.evaluate(() => {
-      const orgElement = document.querySelector('[itemtype*="schema.org/Organization"]');
-      if (!orgElement) return null;
-      
-      const getName = () => {
-        const nameEl = orgElement.querySelector('[itemprop="name"]');
-        return nameEl ? nameEl.textContent.trim() : null;
-      };
-      
-      const getDescription = () => {
-        const descEl = orgElement.querySelector('[itemprop="description"]');
-        return descEl ? descEl.textContent.trim() : null;
-      };
-      
-      const getSameAs = () => {
-        const links = Array.from(orgElement.querySelectorAll('[itemprop="sameAs"]'));
-        return links.length > 0 ? links.map(l => l.href || l.textContent.trim()) : null;
-      };
-      
-      return {
-        name: getName(),
-        description: getDescription(),
-        sameAs: getSameAs(),
-        url: null
-      };
-    });
+    const org = '[itemtype*="schema.org/Organization"]';
+    if ((await dom.texts(org)).length === 0) return null;
+
+    const sameAsTexts = await dom.texts(`${org} [itemprop="sameAs"]`);
+    const sameAsLinks = await dom.hrefs(`${org} [itemprop="sameAs"]`);
     
-    return microdataOrg;
+    return {
+      name: await dom.text(`${org} [itemprop="name"]`),
+      description: await dom.text(`${org} [itemprop="description"]`),
+      sameAs: sameAsTexts.length > 0 ? sameAsTexts.map((text, i) => sameAsLinks[i] || text) : null,
+      url: null,
+      logo: await dom.attr(`${org} [itemprop="logo"]`, 'src') || await dom.attr(`${org} [itemprop="logo"]`, 'content')
+    };
     
   } catch (error) {
     console.warn(`Structured data extraction failed: ${error.message}`);
@@ -302,7 +403,21 @@ function isInvalidTitle(title) {
     'gateway timeout',
     '504',
     'too many requests',
-    '429'
+    '429',
+    // Arabic error pages (incl. Arabic-Indic digits)
+    'غير موجود',
+    'خطأ',
+    'الوصول مرفوض',
+    'تم رفض الوصول',
+    'غير مصرح',
+    'غير متاح',
+    'طلبات كثيرة',
+    'محظور',
+    'ممنوع',
+    '٤٠٣',
+    '٤٠٤',
+    '٥٠٠',
+    '٥٠٣'
   ];
   
   return invalidPatterns.some(pattern => lowerTitle.includes(pattern));
@@ -323,89 +438,144 @@ function extractRootDomain(url) {
   }
 }
 
+/**
+ * Load a root domain page and read its metadata
+ * Failed loads (and blocks or bot checks over plain HTTP) return null, as do
+ * homepages robots.txt disallows
+ * @param {string} rootUrl - Root domain URL (https://host/)
+ * @param {Browser|BrowserContext|HttpBrowser} browser - Opens the root domain page
+ * @param {Object} options - Load options
+ * @param {CrawlPolicy} options.crawlPolicy - Checks the homepage against robots.txt first (optional)
+ * @returns {Promise<Object|null>} { rootUrl, title, ogTitle, ogDescription, ogImage, siteName, favicon, appleTouchIcon, structuredData, fetchMode }
+ */
+export async function fetchRootMetadata(rootUrl, browser, options = {}) {
+  const { crawlPolicy = null } = options;
+  let rootPage = null;
+  try {
+    if (crawlPolicy) {
+      const { allowed, rule } = await crawlPolicy.check(rootUrl);
+      if (!allowed) {
+        console.log(`   🚫 Root domain disallowed by robots.txt (${rule}): ${rootUrl}`);
+        return null;
+      }
+    }
+
+    console.log(`   🌐 Fetching root domain title from: ${rootUrl}`);
+    
+    // Create a new page from the browser (not from page.context())
+    rootPage = await browser.newPage();
+    
+    // Wait longer for page to load completely
+    const response = await rootPage.goto(rootUrl, { 
+      waitUntil: 'networkidle', 
+      timeout: 30000 
+    });
+    
+    // Over plain HTTP a block or bot check page has a misleading title; leave it to the browser
+    if (rootPage.isStatic) {
+      const problem = staticPageProblem(response, await rootPage.bodyText(), await rootPage.content());
+      if (['blocked', 'bot check', 'not HTML'].includes(problem)) {
+        console.log(`   ⚠️  Could not fetch root domain title: ${problem}`);
+        return null;
+      }
+    }
+    
+    // Wait a bit more for dynamic content
+    await rootPage.waitForTimeout(2000);
+    
+    const dom = toDom(rootPage);
+    const [favicon] = await dom.hrefs('link[rel~="icon"]');
+    const [appleTouchIcon] = await dom.hrefs('link[rel~="apple-touch-icon"], link[rel~="apple-touch-icon-precomposed"]');
+    return {
+      rootUrl,
+      title: await dom.title(),
+      ogTitle: await dom.attr('meta[property="og:title"]', 'content'),
+      ogDescription: await dom.attr('meta[property="og:description"]', 'content'),
+      ogImage: await dom.attr('meta[property="og:image"]', 'content'),
+      siteName: await dom.attr('meta[property="og:site_name"]', 'content'),
+      favicon: favicon || `${rootUrl}favicon.ico`,
+      appleTouchIcon: appleTouchIcon || null,
+      structuredData: await extractStructuredData(rootPage),
+      fetchMode: rootPage.isStatic ? 'http' : 'browser'
+    };
+    
+  } catch (error) {
+    console.log(`   ⚠️  Could not fetch root domain title: ${error.message}`);
+    return null;
+  } finally {
+    if (rootPage) await rootPage.close().catch(() => {});
+  }
+}
+
 /**
  * Extract organization name using multiple strategies
  * Priority: root domain title > og:title > h1 > JSON-LD
- * @param {Page} page - Playwright page object
+ * @param {Page|StaticPage} page - Playwright page or StaticPage (see lib/dom-adapter.js)
  * @param {string} url - Current page URL
- * @param {Browser} browser - Playwright browser instance (optional, for root domain fetching)
+ * @param {Browser|BrowserContext|HttpBrowser} browser - Opens the root domain page (optional, see lib/tiered-fetcher.js)
+ * @param {Object} trace - Receives the winning strategy as trace.name (optional)
+ * @param {RootMetadataCache} rootCache - Root domain metadata shared by the run (optional, see lib/root-metadata.js)
  * @returns {Promise<string|null>} Organization name or null
  */
-export async function extractName(page, url, browser = null) {
+export async function extractName(page, url, browser = null, trace = null, rootCache = null) {
   try {
+    const dom = toDom(page);
+
     // Strategy 1: Try to get root domain title
     const rootDomain = extractRootDomain(url);
     
-    // If we're not already on the root domain, navigate to it
+    // If we're not already on the root domain, use its title (cached per host when a cache is given)
     if (rootDomain !== url && browser) {
-      try {
-        console.log(`   🌐 Fetching root domain title from: ${rootDomain}`);
-        
-        // Create a new page from the browser (not from page.context())
-        const rootPage = await browser.newPage();
-        
-        // Wait longer for page to load completely
-        await rootPage.goto(rootDomain, { 
-          waitUntil: 'networkidle', 
-          timeout: 30000 
-        });
-        
-        // Wait a bit more for dynamic content
-        await rootPage.waitForTimeout(2000);
-        
-        const rootTitle = await rootPage.title();
-        await rootPage.close();
-        
-        if (rootTitle && rootTitle.trim().length > 0) {
-          // Check if title is invalid (error page, access denied, etc.)
-          if (isInvalidTitle(rootTitle)) {
-            console.log(`   ❌ Invalid title detected: "${rootTitle}" - skipping`);
-            return null;
-          }
-          
-          console.log(`   ✅ Using root domain title: ${rootTitle.trim()}`);
-          return rootTitle.trim();
+      const root = rootCache
+        ? await rootCache.get(rootDomain, browser)
+        : await fetchRootMetadata(rootDomain, browser);
+      const rootTitle = root ? root.title : null;
+      
+      if (rootTitle && rootTitle.trim().length > 0) {
+        // Check if title is invalid (error page, access denied, etc.)
+        if (isInvalidTitle(rootTitle)) {
+          console.log(`   ❌ Invalid title detected: "${rootTitle}" - skipping`);
+          return null;
         }
-      } catch (error) {
-        console.log(`   ⚠️  Could not fetch root domain title: ${error.message}`);
-        // Continue to fallback strategies
+        
+        console.log(`   ✅ Using root domain title: ${rootTitle.trim()}`);
+        if (trace) trace.name = 'root-title';
+        return rootTitle.trim();
       }
     } else {
       // We're already on root domain, use current page title
-      const pageTitle = await page.title();
+      const pageTitle = await dom.title();
       if (pageTitle && pageTitle.trim().length > 0) {
         // Check if title is invalid
         if (isInvalidTitle(pageTitle)) {
           console.log(`   ❌ Invalid title detected: "${pageTitle}" - skipping`);
           return null;
         }
+        if (trace) trace.name = 'page-title';
         return pageTitle.trim();
       }
     }
     
     // Strategy 2: Try Open Graph title from current page
-    const ogTitle = await page.evaluate(() => {
-      const ogTitleMeta = document.querySelector('meta[property="og:title"]');
-      return ogTitleMeta ? ogTitleMeta.content.trim() : null;
-    });
+    const ogTitle = await dom.attr('meta[property="og:title"]', 'content');
     
     if (ogTitle && ogTitle.length > 0 && !isInvalidTitle(ogTitle)) {
+      if (trace) trace.name = 'og:title';
       return ogTitle;
     }
     
     // Strategy 3: Try first H1 element from current page
-    const h1Text = await page.evaluate(() => {
-      const h1 = document.querySelector('h1');
-      return h1 ? h1.textContent.trim() : null;
-    });
+    const h1Text = await dom.text('h1');
     
     if (h1Text && h1Text.length > 0 && !isInvalidTitle(h1Text)) {
+      if (trace) trace.name = 'h1';
       return h1Text;
     }
     
     // Strategy 4: Try JSON-LD structured data from current page
     const structuredData = await extractStructuredData(page);
     if (structuredData && structuredData.name && !isInvalidTitle(structuredData.name)) {
+      if (trace) trace.name = 'json-ld';
       return structuredData.name;
     }
     
@@ -418,53 +588,81 @@ export async function extractName(page, url, browser = null) {
   }
 }
 
+/**
+ * Extract the Arabic name of an organization from the page itself
+ * Arabic pages usually take the (English) root domain title as their name,
+ * so their own og:title, title or h1 supplies name_ar
+ * @param {Page|StaticPage} page - Playwright page or StaticPage (see lib/dom-adapter.js)
+ * @returns {Promise<string|null>} Arabic name (first segment of a "Name | Tagline" title) or null
+ */
+export async function extractArabicName(page) {
+  try {
+    const dom = toDom(page);
+    const candidates = [
+      await dom.attr('meta[property="og:title"]', 'content'),
+      await dom.title(),
+      await dom.text('h1')
+    ];
+
+    for (const candidate of candidates) {
+      if (!candidate || !isArabic(candidate) || isInvalidTitle(candidate)) continue;
+      const segment = candidate.split(/\s[|\-–—]\s/).map(part => part.trim()).find(isArabic);
+      if (segment) return segment;
+    }
+    return null;
+
+  } catch (error) {
+    console.warn(`Arabic name extraction failed: ${error.message}`);
+    return null;
+  }
+}
+
 /**
  * Extract organization description using multiple strategies
- * Priority: meta description > og:description > first p > JSON-LD
- * @param {Page} page - Playwright page object
+ * Priority: meta description > og:description > main content > JSON-LD
+ * @param {Page|StaticPage} page - Playwright page or StaticPage (see lib/dom-adapter.js)
+ * @param {Object} trace - Receives the winning strategy as trace.description (optional)
+ * @param {Object} quality - Receives the quality score (0-1) of the description
+ *   as quality.description (optional, see lib/content-extractor.js)
  * @returns {Promise<string|null>} Organization description or null
  */
-export async function extractDescription(page) {
+export async function extractDescription(page, trace = null, quality = null) {
   try {
+    const dom = toDom(page);
+
     // Strategy 1: Try meta description tag
-    const metaDescription = await page.evaluate(() => {
-      const metaDesc = document.querySelector('meta[name="description"]');
-      return metaDesc ? metaDesc.content.trim() : null;
-    });
+    const metaDescription = await dom.attr('meta[name="description"]', 'content');
     
     if (metaDescription && metaDescription.length > 20) {
+      if (trace) trace.description = 'meta-description';
+      if (quality) quality.description = descriptionQuality(metaDescription);
       return metaDescription;
     }
     
     // Strategy 2: Try Open Graph description
-    const ogDescription = await page.evaluate(() => {
-      const ogDesc = document.querySelector('meta[property="og:description"]');
-      return ogDesc ? ogDesc.content.trim() : null;
-    });
+    const ogDescription = await dom.attr('meta[property="og:description"]', 'content');
     
     if (ogDescription && ogDescription.length > 20) {
+      if (trace) trace.description = 'og:description';
+      if (quality) quality.description = descriptionQuality(ogDescription);
       return ogDescription;
     }
     
-    // Strategy 3: Try first substantial paragraph
-    const firstParagraph = await page.evaluate(() => {
-      const paragraphs = Array.from(document.querySelectorAll('p'));
-      for (const p of paragraphs) {
-        const text = p.textContent.trim();
-        if (text.length > 20) {
-          return text;
-        }
-      }
-      return null;
-    });
+    // Strategy 3: Try the most descriptive main-content passage
+    // (skips cookie notices, navigation and newsletter sign-ups)
+    const mainContent = extractMainContent(await page.content());
     
-    if (firstParagraph && firstParagraph.length > 20) {
-      return firstParagraph;
+    if (mainContent && mainContent.score >= MIN_CONTENT_QUALITY) {
+      if (trace) trace.description = 'main-content';
+      if (quality) quality.description = mainContent.score;
+      return mainContent.text;
     }
     
     // Strategy 4: Try JSON-LD structured data
     const structuredData = await extractStructuredData(page);
     if (structuredData && structuredData.description && structuredData.description.length > 20) {
+      if (trace) trace.description = 'json-ld';
+      if (quality) quality.description = descriptionQuality(structuredData.description);
       return structuredData.description;
     }
     
@@ -477,87 +675,100 @@ export async function extractDescription(page) {
   }
 }
 
+/**
+ * Find the first Twitter/X handle in a list of links
+ * @param {Array<string|null>} hrefs - Absolute link URLs
+ * @returns {string|null} Handle without @, or null
+ */
+function findTwitterHandle(hrefs) {
+  for (const href of hrefs) {
+    const match = href && href.match(/(?:twitter\.com|x\.com)\/(?:intent\/user\?screen_name=)?([A-Za-z0-9_]{1,15})(?:\/|$|\?)/);
+    if (match && match[1]) {
+      return match[1];
+    }
+  }
+  return null;
+}
+
+/**
+ * Find a Twitter/X handle in the sameAs links of structured data
+ * @param {Object|null} structuredData - Result of extractStructuredData
+ * @returns {string|null} Twitter handle (with @) or null
+ */
+function twitterFromSameAs(structuredData) {
+  if (!structuredData || !structuredData.sameAs) return null;
+
+  const sameAsArray = Array.isArray(structuredData.sameAs) 
+    ? structuredData.sameAs 
+    : [structuredData.sameAs];
+  
+  for (const url of sameAsArray) {
+    if (typeof url === 'string' && (url.includes('twitter.com') || url.includes('x.com'))) {
+      const match = url.match(/(?:twitter\.com|x\.com)\/(?:intent\/user\?screen_name=)?([A-Za-z0-9_]{1,15})(?:\/|$|\?)/);
+      if (match && match[1]) {
+        const handle = `@${match[1]}`;
+        if (/^@[A-Za-z0-9_]{1,15}$/.test(handle)) {
+          return handle;
+        }
+      }
+    }
+  }
+  return null;
+}
+
 /**
  * Extract Twitter handle using multiple strategies
  * Validates handle matches pattern @[A-Za-z0-9_]{1,15}
- * @param {Page} page - Playwright page object
+ * @param {Page|StaticPage} page - Playwright page or StaticPage (see lib/dom-adapter.js)
+ * @param {Object} trace - Receives the winning strategy as trace.twitter (optional)
+ * @param {Object} root - Root domain metadata (optional, see fetchRootMetadata)
  * @returns {Promise<string|null>} Twitter handle (with @) or null
  */
-export async function extractTwitter(page) {
+export async function extractTwitter(page, trace = null, root = null) {
   try {
+    const dom = toDom(page);
+
     // Strategy 1: Search for Twitter/X links in anchor tags
-    const twitterFromLinks = await page.evaluate(() => {
-      const links = Array.from(document.querySelectorAll('a[href*="twitter.com"], a[href*="x.com"]'));
-      
-      for (const link of links) {
-        const href = link.href;
-        // Extract handle from URL patterns like:
-        // https://twitter.com/username
-        // https://x.com/username
-        // https://twitter.com/intent/user?screen_name=username
-        
-        const match = href.match(/(?:twitter\.com|x\.com)\/(?:intent\/user\?screen_name=)?([A-Za-z0-9_]{1,15})(?:\/|$|\?)/);
-        if (match && match[1]) {
-          return match[1];
-        }
-      }
-      
-      return null;
-    });
+    // Handles URL patterns like:
+    // https://twitter.com/username
+    // https://x.com/username
+    // https://twitter.com/intent/user?screen_name=username
+    const twitterFromLinks = findTwitterHandle(await dom.hrefs('a[href*="twitter.com"], a[href*="x.com"]'));
     
     if (twitterFromLinks) {
       const handle = twitterFromLinks.startsWith('@') ? twitterFromLinks : `@${twitterFromLinks}`;
       // Validate pattern
       if (/^@[A-Za-z0-9_]{1,15}$/.test(handle)) {
+        if (trace) trace.twitter = 'twitter-link';
         return handle;
       }
     }
     
     // Strategy 2: Search in social media sections (common class names)
-    const twitterFromSocial = await page.evaluate(() => {
-      const socialSections = document.querySelectorAll(
-        '[class*="social"], [class*="footer-social"], [class*="connect"], [id*="social"]'
-      );
-      
-      for (const section of socialSections) {
-        const links = section.querySelectorAll('a[href*="twitter.com"], a[href*="x.com"]');
-        for (const link of links) {
-          const href = link.href;
-          const match = href.match(/(?:twitter\.com|x\.com)\/(?:intent\/user\?screen_name=)?([A-Za-z0-9_]{1,15})(?:\/|$|\?)/);
-          if (match && match[1]) {
-            return match[1];
-          }
-        }
-      }
-      
-      return null;
-    });
+    const twitterFromSocial = findTwitterHandle(await dom.hrefs(SOCIAL_SECTIONS
+      .map(section => `${section} a[href*="twitter.com"], ${section} a[href*="x.com"]`)
+      .join(', ')));
     
     if (twitterFromSocial) {
       const handle = twitterFromSocial.startsWith('@') ? twitterFromSocial : `@${twitterFromSocial}`;
       if (/^@[A-Za-z0-9_]{1,15}$/.test(handle)) {
+        if (trace) trace.twitter = 'social-section';
         return handle;
       }
     }
     
     // Strategy 3: Try JSON-LD structured data sameAs array
-    const structuredData = await extractStructuredData(page);
-    if (structuredData && structuredData.sameAs) {
-      const sameAsArray = Array.isArray(structuredData.sameAs) 
-        ? structuredData.sameAs 
-        : [structuredData.sameAs];
-      
-      for (const url of sameAsArray) {
-        if (typeof url === 'string' && (url.includes('twitter.com') || url.includes('x.com'))) {
-          const match = url.match(/(?:twitter\.com|x\.com)\/(?:intent\/user\?screen_name=)?([A-Za-z0-9_]{1,15})(?:\/|$|\?)/);
-          if (match && match[1]) {
-            const handle = `@${match[1]}`;
-            if (/^@[A-Za-z0-9_]{1,15}$/.test(handle)) {
-              return handle;
-            }
-          }
-        }
-      }
+    const twitterFromJsonLd = twitterFromSameAs(await extractStructuredData(page));
+    if (twitterFromJsonLd) {
+      if (trace) trace.twitter = 'json-ld-sameAs';
+      return twitterFromJsonLd;
+    }
+    
+    // Strategy 4: Try the root domain's JSON-LD (already loaded for the name)
+    const twitterFromRoot = twitterFromSameAs(root ? root.structuredData : null);
+    if (twitterFromRoot) {
+      if (trace) trace.twitter = 'root-json-ld';
+      return twitterFromRoot;
     }
     
     // All strategies failed or no valid handle found
@@ -572,20 +783,35 @@ export async function extractTwitter(page) {
 /**
  * Main scraping orchestrator
  * Extracts comprehensive organization data from a web page
+ * `extraction` records which strategy produced each field (e.g. { name: 'og:title' })
+ * and `quality` the quality score of the description (e.g. { description: 0.88 })
  * @param {string} url - URL to scrape
- * @param {Page} page - Playwright page object (already navigated)
- * @param {Browser} browser - Playwright browser instance (for root domain fetching)
+ * @param {Page|StaticPage} page - Playwright page or StaticPage (already navigated)
+ * @param {Browser|BrowserContext|HttpBrowser} browser - Opens the root domain page (optional)
+ * @param {Object} options - { rootCache } root domain metadata shared by the run (optional)
  * @returns {Promise<Object>} Organization data object
  */
-export async function scrapeOrganisation(url, page, browser = null) {
+export async function scrapeOrganisation(url, page, browser = null, options = {}) {
+  const { rootCache = null } = options;
   try {
+    const extraction = { website: 'page-url' };
+    const quality = {};
+    const name = await extractName(page, url, browser, extraction, rootCache);
+    const root = rootCache ? rootCache.peek(url) : null;
     const data = {
-      name: await extractName(page, url, browser),
+      name,
+      name_ar: isArabic(name) ? name : await extractArabicName(page),
       website: url,
-      description: await extractDescription(page),
-      twitter: await extractTwitter(page),
+      description: await extractDescription(page, extraction, quality),
+      twitter: await extractTwitter(page, extraction, root),
+      socials: await extractSocials(page, extraction, root),
+      contact: await extractContact(page, extraction),
+      logo: null, // Downloaded from logoCandidates once the website is resolved (see lib/logo-extractor.js)
+      logoCandidates: await extractLogoCandidates(page),
       country: "United Arab Emirates",
-      structuredData: await extractStructuredData(page)
+      structuredData: await extractStructuredData(page),
+      extraction,
+      quality
     };
     
     return data;
@@ -595,11 +821,18 @@ export async function scrapeOrganisation(url, page, browser = null) {
     // Return minimal data with nulls
     return {
       name: null,
+      name_ar: null,
       website: url,
       description: null,
       twitter: null,
+      socials: null,
+      contact: null,
+      logo: null,
+      logoCandidates: [],
       country: "United Arab Emirates",
-      structuredData: null
+      structuredData: null,
+      extraction: {},
+      quality: {}
     };
   }
 }
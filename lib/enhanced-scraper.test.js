@@ -578,6 +578,29 @@ describe('Enhanced Scraper - scrapeOrganisation', () => {
     await context.close();
   });
 
+  it('should record which strategy produced each field', async () => {
+    const html = `
+      <html>
+        <head>
+          <meta property="og:title" content="Example Organization" />
+          <meta property="og:description" content="We are a leading organization in the UAE." />
+        </head>
+        <body>
+          <div class="social"><a href="https://x.com/exampleorg">X</a></div>
+        </body>
+      </html>
+    `;
+    const { page, context } = await createPageWithHTML(browser, html);
+    const data = await scrapeOrganisation('https://example.com/about', page);
+    
+    assert.strictEqual(data.extraction.name, 'og:title');
+    assert.strictEqual(data.extraction.description, 'og:description');
+    assert.strictEqual(data.extraction.twitter, 'twitter-link');
+    assert.strictEqual(data.extraction.website, 'page-url');
+    
+    await context.close();
+  });
+
   it('should always set country to United Arab Emirates', async () => {
     const html = `
       <html>
@@ -1222,7 +1245,7 @@ describe('Enhanced Scraper - retryPageGoto', () => {
     };
     
     const url = 'https://invalid-url.test';
-    await retryPageGoto(page, url);
+    await retryPageGoto(page, url, { random: () => 0 }); // No jitter
     
     // Verify we have 3 attempts
     assert.strictEqual(attemptTimes.length, 3, 'Should have 3 attempts');
@@ -1390,7 +1413,7 @@ describe('Property-Based Tests - Retry Logic', () => {
           };
           
           const url = 'https://test-url.test';
-          const response = await retryPageGoto(page, url);
+          const response = await retryPageGoto(page, url, { random: () => 0 }); // No jitter
           
           // Property 1: Should attempt exactly the right number of times
           if (failureCount < 3) {
@@ -1454,6 +1477,9 @@ import { ErrorSummary } from './enhanced-scraper.js';
 describe('Enhanced Scraper - HTTP Error Handling', () => {
   let browser;
 
+  // Retries of 429/503 return at once and without jitter
+  const NO_WAIT = { sleep: async () => {}, random: () => 0 };
+
   before(async () => {
     browser = await chromium.launch({ headless: true });
   });
@@ -1487,13 +1513,15 @@ describe('Enhanced Scraper - HTTP Error Handling', () => {
     await context.close();
   });
 
-  it('should handle 429 Rate Limited and return null', async () => {
+  it('should retry 429 Rate Limited and return null once attempts run out', async () => {
     const context = await browser.newContext();
     const page = await context.newPage();
     const errorSummary = new ErrorSummary();
+    let attemptCount = 0;
     
     // Mock page.goto to return 429 response
     page.goto = async (url, options) => {
+      attemptCount++;
       return {
         ok: false,
         status: () => 429,
@@ -1502,22 +1530,25 @@ describe('Enhanced Scraper - HTTP Error Handling', () => {
     };
     
     const url = 'https://test-url.test';
-    const response = await retryPageGoto(page, url, {}, errorSummary);
+    const response = await retryPageGoto(page, url, NO_WAIT, errorSummary);
     
     assert.strictEqual(response, null, 'Should return null for 429');
+    assert.strictEqual(attemptCount, 3, 'Should retry up to 3 attempts');
     assert.strictEqual(errorSummary.httpErrors.length, 1, 'Should record HTTP error');
     assert.strictEqual(errorSummary.httpErrors[0].statusCode, 429);
     
     await context.close();
   });
 
-  it('should handle 503 Service Unavailable and return null', async () => {
+  it('should retry 503 Service Unavailable and return null once attempts run out', async () => {
     const context = await browser.newContext();
     const page = await context.newPage();
     const errorSummary = new ErrorSummary();
+    let attemptCount = 0;
     
     // Mock page.goto to return 503 response
     page.goto = async (url, options) => {
+      attemptCount++;
       return {
         ok: false,
         status: () => 503,
@@ -1526,9 +1557,10 @@ describe('Enhanced Scraper - HTTP Error Handling', () => {
     };
     
     const url = 'https://test-url.test';
-    const response = await retryPageGoto(page, url, {}, errorSummary);
+    const response = await retryPageGoto(page, url, NO_WAIT, errorSummary);
     
     assert.strictEqual(response, null, 'Should return null for 503');
+    assert.strictEqual(attemptCount, 3, 'Should retry up to 3 attempts');
     assert.strictEqual(errorSummary.httpErrors.length, 1, 'Should record HTTP error');
     assert.strictEqual(errorSummary.httpErrors[0].statusCode, 503);
     
@@ -1559,7 +1591,7 @@ describe('Enhanced Scraper - HTTP Error Handling', () => {
     await context.close();
   });
 
-  it('should not retry on HTTP error codes 403/429/503', async () => {
+  it('should not retry on 403 Forbidden', async () => {
     const context = await browser.newContext();
     const page = await context.newPage();
     const errorSummary = new ErrorSummary();
@@ -1579,7 +1611,7 @@ describe('Enhanced Scraper - HTTP Error Handling', () => {
     const url = 'https://test-url.test';
     const response = await retryPageGoto(page, url, {}, errorSummary);
     
-    assert.strictEqual(attemptCount, 1, 'Should only attempt once for HTTP errors');
+    assert.strictEqual(attemptCount, 1, 'Should only attempt once for 403');
     assert.strictEqual(response, null, 'Should return null');
     
     await context.close();
@@ -1633,6 +1665,32 @@ describe('ErrorSummary Class', () => {
     assert.strictEqual(summary.totalWarnings, 1); // extractionWarnings
   });
 
+  it('should merge another summary after its own entries', () => {
+    const errorSummary = new ErrorSummary();
+    const task = new ErrorSummary();
+    
+    errorSummary.addPageLoadError('https://example.com', 'Timeout');
+    task.addPageLoadError('https://example2.com', 'Network error');
+    task.addHttpError('https://example2.com', 429, 'Too Many Requests');
+    
+    const summary = errorSummary.merge(task).getSummary();
+    assert.deepStrictEqual(summary.pageLoadErrors.map(e => e.url), ['https://example.com', 'https://example2.com']);
+    assert.strictEqual(summary.httpErrors.length, 1);
+    assert.strictEqual(task.pageLoadErrors.length, 1);
+  });
+
+  it('should track robots.txt skips apart from errors and warnings', () => {
+    const errorSummary = new ErrorSummary();
+    
+    errorSummary.addRobotsDisallowed('https://u.ae/en/search', 'Disallow: /en/search');
+    
+    const summary = errorSummary.getSummary();
+    assert.deepStrictEqual(summary.robotsDisallowed.map(s => s.rule), ['Disallow: /en/search']);
+    assert.strictEqual(summary.totalDisallowed, 1);
+    assert.strictEqual(summary.totalErrors, 0);
+    assert.strictEqual(summary.totalWarnings, 0);
+  });
+
   it('should print summary to console', () => {
     const errorSummary = new ErrorSummary();
     const logs = [];
@@ -1666,6 +1724,9 @@ describe('ErrorSummary Class', () => {
 describe('Property-Based Tests - HTTP Error Handling', () => {
   let browser;
 
+  // Retries of 429/503 return at once and without jitter
+  const NO_WAIT = { sleep: async () => {}, random: () => 0 };
+
   before(async () => {
     browser = await chromium.launch({ headless: true });
   });
@@ -1726,7 +1787,7 @@ describe('Property-Based Tests - HTTP Error Handling', () => {
             };
           };
           
-          const response = await retryPageGoto(page, url, {}, errorSummary);
+          const response = await retryPageGoto(page, url, NO_WAIT, errorSummary);
           
           // Property 1: Should return null for error status codes
           assert.strictEqual(
@@ -1735,11 +1796,11 @@ describe('Property-Based Tests - HTTP Error Handling', () => {
             `Should return null for status ${statusCode}`
           );
           
-          // Property 2: Should only attempt once (no retries for HTTP errors)
+          // Property 2: 403 is not retried; 429/503 are retried up to 3 attempts
           assert.strictEqual(
             attemptCount,
-            1,
-            `Should not retry for HTTP error ${statusCode}`
+            statusCode === 403 ? 1 : 3,
+            `Should attempt ${statusCode === 403 ? 'once' : '3 times'} for HTTP error ${statusCode}`
           );
           
           // Property 3: Should log the error in error summary
@@ -1823,7 +1884,7 @@ describe('Property-Based Tests - HTTP Error Handling', () => {
               }
             };
             
-            const response = await retryPageGoto(page, url, {}, errorSummary);
+            const response = await retryPageGoto(page, url, NO_WAIT, errorSummary);
             results.push({ url, response, statusCode });
           }
           
@@ -0,0 +1,435 @@
+/**
+ * Entity Resolution Module
+ *
+ * Decides whether a scraped organisation is the same entity as one already
+ * stored, beyond exact name/website equality. "Hub71",
+ * "Hub71 | Abu Dhabi's Global Tech Ecosystem" and "hub71.com" all resolve to
+ * the same organisation.
+ *
+ * - Names are normalised: taglines after | - – : are dropped, legal
+ *   suffixes (LLC, FZE, ذ.م.م ...) removed, Arabic letters unified, and
+ *   domain-style names reduced to their label
+ * - Websites are compared by registrable domain (hub71.com, moet.gov.ae);
+ *   shared hosts (linktr.ee, u.ae, ...) are not a website of their own
+ * - Each candidate gets a 0-1 score; above MERGE_THRESHOLD the records are
+ *   merged automatically, above REVIEW_THRESHOLD they go to the review queue.
+ *   A shared domain raises the name score but never merges different names
+ */
+
+import { isArabic } from './language.js';
+import { isNonHomepageUrl } from './website-resolver.js';
+
+// Scores at or above these thresholds auto-merge / go to manual review
+export const MERGE_THRESHOLD = 0.9;
+export const REVIEW_THRESHOLD = 0.75;
+
+// Second-level public suffixes used by sources we scrape (domain = label + suffix)
+const MULTI_PART_SUFFIXES = [
+  'co.ae', 'gov.ae', 'ac.ae', 'net.ae', 'org.ae', 'sch.ae', 'mil.ae', 'name.ae', 'pro.ae',
+  'com.sa', 'gov.sa', 'edu.sa', 'org.sa', 'com.qa', 'gov.qa', 'edu.qa', 'com.bh', 'gov.bh',
+  'com.kw', 'gov.kw', 'com.om', 'gov.om', 'com.eg', 'gov.eg', 'com.jo', 'com.lb',
+  'co.uk', 'org.uk', 'ac.uk', 'gov.uk', 'com.au', 'co.in', 'co.za', 'com.sg', 'com.tr', 'com.pk'
+];
+
+// Legal-form suffixes (English + Arabic) that don't distinguish organisations
+const LEGAL_SUFFIXES = [
+  'l\\.?l\\.?c\\.?', 'fz-?llc', 'fz-?co', 'fzco', 'fze', 'fz', 'dmcc', 'p\\.?j\\.?s\\.?c\\.?', 'p\\.?s\\.?c\\.?',
+  'ltd\\.?', 'limited', 'inc\\.?', 'incorporated', 'corp\\.?', 'corporation', 'co\\.?', 'company',
+  'plc', 'gmbh', 'est\\.?', 'establishment', 'holding', 'holdings',
+  'ذ\\.?م\\.?م', 'ش\\.?م\\.?ع', 'ش\\.?م\\.?خ', 'ش\\.?ذ\\.?م\\.?م', 'م\\.?د\\.?ح'
+];
+const LEGAL_SUFFIX_PATTERN = new RegExp(`(?:^|\\s)(?:${LEGAL_SUFFIXES.join('|')})(?=\\s|$)`, 'giu');
+
+// Tagline separators: "Name | Tagline", "Name - Tagline", "Name: Tagline"
+const TAGLINE_SEPARATOR = /\s+[|\-–—·•]\s+|\s*\|\s*|\s*:\s+/;
+
+const DOMAIN_NAME_PATTERN = /^(?:https?:\/\/)?(?:www\.)?([a-z0-9-]+(?:\.[a-z0-9-]+)+)\/?$/i;
+
+/**
+ * Unify Arabic spelling variants: drop diacritics/tatweel and normalise
+ * alef, taa marbuta and alef maqsura forms
+ * @param {string} text - Text possibly containing Arabic
+ * @returns {string} Normalised text
+ */
+export function normalizeArabic(text) {
+  return text
+    .replace(/[\u064B-\u065F\u0670\u0640]/g, '')
+    .replace(/[\u0622\u0623\u0625\u0671]/g, '\u0627')
+    .replace(/\u0629/g, '\u0647')
+    .replace(/\u0649/g, '\u064A');
+}
+
+/**
+ * Get the registrable domain of a URL or hostname
+ * @param {string} urlOrHost - URL or bare hostname
+ * @returns {string|null} e.g. "hub71.com", "moet.gov.ae" or null if invalid
+ */
+export function registrableDomain(urlOrHost) {
+  if (!urlOrHost || typeof urlOrHost !== 'string') return null;
+
+  let hostname;
+  try {
+    hostname = new URL(/^https?:\/\//i.test(urlOrHost) ? urlOrHost : `https://${urlOrHost}`).hostname.toLowerCase();
+  } catch (error) {
+    return null;
+  }
+
+  const labels = hostname.replace(/^www\./, '').split('.');
+  if (labels.length < 2) return null;
+
+  const lastTwo = labels.slice(-2).join('.');
+  if (MULTI_PART_SUFFIXES.includes(lastTwo) && labels.length >= 3) {
+    return labels.slice(-3).join('.');
+  }
+  return lastTwo;
+}
+
+/**
+ * Normalise an organisation name for comparison
+ * @param {string} name - Display name
+ * @returns {string} Normalised name (lower-case, no tagline, no legal suffix)
+ */
+export function normalizeName(name) {
+  if (!name || typeof name !== 'string') return '';
+  let value = name.trim();
+
+  // "hub71.com" → "hub71"
+  const domainMatch = value.match(DOMAIN_NAME_PATTERN);
+  if (domainMatch) {
+    const domain = registrableDomain(domainMatch[1]);
+    if (domain) value = domain.split('.')[0];
+  }
+
+  // Drop taglines, keeping the first meaningful segment
+  const segments = value.split(TAGLINE_SEPARATOR).map(s => s.trim()).filter(s => s.length > 1);
+  if (segments.length > 0) value = segments[0];
+
+  value = normalizeArabic(value.toLowerCase());
+
+  // Bilingual names without a separator: keep the Latin part
+  if (/[a-z]/.test(value) && /[\u0600-\u06FF]/.test(value)) {
+    value = value.replace(/[\u0600-\u06FF]+/g, ' ');
+  }
+
+  value = value
+    .replace(/&/g, ' and ')
+    .replace(LEGAL_SUFFIX_PATTERN, ' ')
+    .replace(/[^\p{L}\p{N}\s]/gu, ' ')
+    .replace(/^the\s+/, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+
+  // A second pass catches suffixes exposed by punctuation removal ("Acme, L.L.C.")
+  return value.replace(LEGAL_SUFFIX_PATTERN, ' ').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Levenshtein edit distance
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @returns {number} Edit distance
+ */
+function levenshtein(a, b) {
+  if (a === b) return 0;
+  if (!a.length) return b.length;
+  if (!b.length) return a.length;
+
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+/**
+ * Similarity of two organisation names (0-1)
+ * Takes the best of edit-distance similarity and token overlap
+ * @param {string} a - First name
+ * @param {string} b - Second name
+ * @returns {number} Similarity score
+ */
+export function nameSimilarity(a, b) {
+  const left = normalizeName(a);
+  const right = normalizeName(b);
+  if (!left || !right) return 0;
+
+  const compactLeft = left.replace(/\s/g, '');
+  const compactRight = right.replace(/\s/g, '');
+  if (compactLeft === compactRight) return 1;
+
+  const editSimilarity = 1 - levenshtein(compactLeft, compactRight) / Math.max(compactLeft.length, compactRight.length);
+
+  const leftTokens = new Set(left.split(' '));
+  const rightTokens = new Set(right.split(' '));
+  const shared = [...leftTokens].filter(t => rightTokens.has(t)).length;
+  const tokenSimilarity = shared / new Set([...leftTokens, ...rightTokens]).size;
+
+  return Math.max(editSimilarity, tokenSimilarity);
+}
+
+/**
+ * Registrable domain identifying a record, if any
+ * A domain-style name ("hub71.com") counts as a website; shared hosts don't
+ * @param {Object} record - Organisation ({ name, website })
+ * @returns {string|null} Registrable domain or null
+ */
+function recordDomain(record) {
+  const name = (record.name || '').trim();
+  const sources = [record.website, DOMAIN_NAME_PATTERN.test(name) ? name : null];
+  for (const value of sources) {
+    if (typeof value !== 'string' || !value) continue;
+    const url = /^https?:\/\//i.test(value) ? value : `https://${value}`;
+    const domain = isNonHomepageUrl(url) ? null : registrableDomain(value);
+    if (domain) return domain;
+  }
+  return null;
+}
+
+/**
+ * Score how likely two records describe the same organisation
+ * @param {Object} candidate - Incoming organisation ({ name, name_ar, website })
+ * @param {Object} existing - Stored organisation ({ name, name_ar, website })
+ * @returns {{score: number, reasons: string[]}} Match score (0-1) and explanation
+ */
+export function scoreMatch(candidate, existing) {
+  const reasons = [];
+  // Bilingual records match on either name ("Ministry of Economy" / "وزارة الاقتصاد")
+  const similarity = Math.max(...[candidate.name, candidate.name_ar].flatMap(left =>
+    [existing.name, existing.name_ar].map(right => nameSimilarity(left, right))));
+
+  const candidateDomain = recordDomain(candidate);
+  const existingDomain = recordDomain(existing);
+
+  let score;
+  if (candidateDomain && existingDomain && candidateDomain === existingDomain) {
+    // The domain adds to the name similarity: different names on one domain go to review
+    reasons.push(`same domain (${candidateDomain})`);
+    score = 0.75 + 0.25 * similarity;
+  } else if (candidateDomain && existingDomain) {
+    // Same name on different sites is suspicious but not proof
+    score = 0.8 * similarity;
+  } else {
+    score = 0.95 * similarity;
+  }
+
+  if (similarity === 1) {
+    reasons.push('same normalised name');
+  } else if (similarity > 0) {
+    reasons.push(`name similarity ${similarity.toFixed(2)}`);
+  }
+  if (candidateDomain && existingDomain && candidateDomain !== existingDomain) {
+    reasons.push(`different domains (${candidateDomain} vs ${existingDomain})`);
+  }
+
+  return { score: Math.round(score * 1000) / 1000, reasons };
+}
+
+/**
+ * Resolve an incoming organisation against candidate records
+ * @param {Object} candidate - Incoming organisation
+ * @param {Object[]} existingRecords - Possible matches
+ * @param {Object} thresholds - { merge, review } overrides
+ * @returns {{action: 'merge'|'review'|'new', match: Object|null, score: number, reasons: string[]}}
+ */
+export function resolveEntity(candidate, existingRecords, thresholds = {}) {
+  const merge = thresholds.merge ?? MERGE_THRESHOLD;
+  const review = thresholds.review ?? REVIEW_THRESHOLD;
+
+  let best = { match: null, score: 0, reasons: [] };
+  for (const existing of existingRecords) {
+    const { score, reasons } = scoreMatch(candidate, existing);
+    if (score > best.score) {
+      best = { match: existing, score, reasons };
+    }
+  }
+
+  let action = 'new';
+  if (best.score >= merge) action = 'merge';
+  else if (best.score >= review) action = 'review';
+
+  return { action, ...(action === 'new' ? { match: null } : { match: best.match }), score: best.score, reasons: best.reasons };
+}
+
+/**
+ * Escape a string for use in a RegExp
+ * @param {string} text - Raw text
+ * @returns {string} Escaped text
+ */
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Load stored organisations that could match an incoming one:
+ * same registrable domain, the same name or Arabic name, or a name starting
+ * with the same normalised token
+ * Exact matches are loaded in full and come first; only the fuzzy name
+ * matches are capped, so common first tokens ("al", "dubai") can't push the
+ * exact record out of the candidates
+ * @param {Model} Model - Organisation mongoose model
+ * @param {Object} candidate - Incoming organisation ({ name, website })
+ * @param {number} limit - Maximum fuzzy candidates to load
+ * @returns {Promise<Document[]>} Candidate documents, exact matches first
+ */
+export async function findCandidates(Model, candidate, limit = 50) {
+  const exact = [];
+
+  const domain = registrableDomain(candidate.website);
+  if (domain) {
+    exact.push({ website: new RegExp(`^https?://([a-z0-9-]+\\.)*${escapeRegExp(domain)}(/|$)`, 'i') });
+  }
+  if (candidate.name) {
+    exact.push({ name: candidate.name });
+  }
+  if (candidate.name_ar) {
+    // Stored records may carry the Arabic name in either field
+    exact.push({ name_ar: candidate.name_ar });
+    if (candidate.name_ar !== candidate.name) exact.push({ name: candidate.name_ar });
+  }
+
+  // Names starting with the first token as a whole word ("hub71 ..." but not "hub710" or "...hub71")
+  const firstToken = normalizeName(candidate.name).split(' ')[0];
+  const fuzzy = firstToken && firstToken.length >= 2
+    ? { name: new RegExp(`^${escapeRegExp(firstToken)}(?![a-z0-9])`, 'i') }
+    : null;
+
+  const found = [
+    ...(exact.length > 0 ? await Model.find({ $or: exact }) : []),
+    ...(fuzzy ? await Model.find(fuzzy).limit(limit) : [])
+  ];
+
+  const seen = new Set();
+  return found.filter(doc => {
+    const id = String(doc._id);
+    if (seen.has(id)) return false;
+    seen.add(id);
+    return true;
+  });
+}
+
+/**
+ * Build a merge plan for a collection of organisations
+ *
+ * Records are visited oldest first; each one is compared with the records
+ * kept so far. Matches above the merge threshold are planned as merges into
+ * the older record, near-matches as review items.
+ *
+ * @param {Object[]} records - Organisation records (plain objects with _id, name, website, createdAt)
+ * @param {Object} thresholds - { merge, review } overrides
+ * @returns {{merges: Object[], reviews: Object[]}} Merge plan
+ */
+export function buildMergePlan(records, thresholds = {}) {
+  const ordered = [...records].sort((a, b) => new Date(a.createdAt || 0) - new Date(b.createdAt || 0));
+  const kept = [];
+  const merges = [];
+  const reviews = [];
+
+  for (const record of ordered) {
+    const resolution = resolveEntity(record, kept, thresholds);
+
+    const summary = (doc) => ({ _id: String(doc._id), name: doc.name, website: doc.website || null });
+
+    if (resolution.action === 'merge') {
+      merges.push({
+        primary: summary(resolution.match),
+        duplicate: summary(record),
+        score: resolution.score,
+        reasons: resolution.reasons,
+        duplicateSnapshot: record
+      });
+      continue;
+    }
+
+    if (resolution.action === 'review') {
+      reviews.push({
+        existing: summary(resolution.match),
+        candidate: summary(record),
+        score: resolution.score,
+        reasons: resolution.reasons
+      });
+    }
+
+    kept.push(record);
+  }
+
+  return { merges, reviews };
+}
+
+/**
+ * Choose between two names of the same organisation
+ * The current name is kept unless it is missing, carries a tagline the
+ * incoming name doesn't ("Hub71 | Abu Dhabi's ..." → "Hub71"), or is Arabic
+ * while the incoming one isn't (the Arabic name is kept in name_ar)
+ * @param {string|null} current - Stored name
+ * @param {string|null} incoming - Newly scraped name
+ * @returns {string|null} Name to keep
+ */
+export function preferredName(current, incoming) {
+  const hasTagline = name => typeof name === 'string' && name.split(TAGLINE_SEPARATOR).length > 1;
+  if (!current) return incoming || null;
+  if (incoming && hasTagline(current) && !hasTagline(incoming)) return incoming;
+  if (incoming && isArabic(current) && !isArabic(incoming)) return incoming;
+  return current;
+}
+
+/**
+ * Combine a duplicate record into the primary one
+ * Missing primary fields are filled from the duplicate, list fields are
+ * unioned and a tagline-free name is preferred
+ * @param {Object} primary - Record that is kept
+ * @param {Object} duplicate - Record that is merged away
+ * @returns {Object} Field updates for the primary record
+ */
+export function mergeRecords(primary, duplicate) {
+  const updates = {};
+
+  const name = preferredName(primary.name, duplicate.name);
+  if (name !== primary.name) {
+    updates.name = name;
+  }
+
+  for (const field of ['website', 'description', 'name_ar', 'description_ar', 'twitter']) {
+    const current = primary[field];
+    const incoming = duplicate[field];
+    if ((current === null || current === undefined || current === '') && incoming) {
+      updates[field] = incoming;
+    }
+  }
+
+  for (const field of ['description', 'description_ar']) {
+    if (duplicate[field] && primary[field] && duplicate[field].length > primary[field].length) {
+      updates[field] = duplicate[field];
+    }
+  }
+
+  // Sub-documents: fill the keys the primary record is missing
+  for (const field of ['socials', 'contact']) {
+    const current = primary[field] || {};
+    const filled = Object.entries(duplicate[field] || {}).filter(([key, value]) => value && !current[key]);
+    if (filled.length > 0) {
+      updates[field] = { ...current, ...Object.fromEntries(filled) };
+    }
+  }
+
+  if (!(primary.about && primary.about.text) && duplicate.about && duplicate.about.text) {
+    updates.about = duplicate.about;
+  }
+
+  if (!(primary.logo && primary.logo.hash) && duplicate.logo && duplicate.logo.hash) {
+    updates.logo = duplicate.logo;
+  }
+
+  for (const field of ['categories', 'subcategories', 'roles']) {
+    const union = [...new Set([...(primary[field] || []), ...(duplicate[field] || [])])];
+    if (union.length !== (primary[field] || []).length) {
+      updates[field] = union;
+    }
+  }
+
+  return updates;
+}
@@ -0,0 +1,253 @@
+/**
+ * Unit Tests for Entity Resolution
+ * Tests name normalisation, domain comparison, match scoring, merge plans
+ * and record merging
+ */
+
+import fc from 'fast-check';
+import { describe, it } from 'mocha';
+import { expect } from 'chai';
+import {
+  MERGE_THRESHOLD,
+  REVIEW_THRESHOLD,
+  normalizeName,
+  registrableDomain,
+  nameSimilarity,
+  scoreMatch,
+  resolveEntity,
+  findCandidates,
+  buildMergePlan,
+  preferredName,
+  mergeRecords
+} from './entity-resolver.js';
+
+describe('Entity Resolver - normalizeName', () => {
+  it('should strip taglines after separators', () => {
+    expect(normalizeName("Hub71 | Abu Dhabi's Global Tech Ecosystem")).to.equal('hub71');
+    expect(normalizeName('M42 - Home')).to.equal('m42');
+    expect(normalizeName('Dubai Chamber: Business Groups')).to.equal('dubai chamber');
+  });
+
+  it('should reduce domain-style names to their label', () => {
+    expect(normalizeName('hub71.com')).to.equal('hub71');
+    expect(normalizeName('www.moet.gov.ae')).to.equal('moet');
+  });
+
+  it('should strip legal suffixes', () => {
+    expect(normalizeName('Acme Ventures LLC')).to.equal('acme ventures');
+    expect(normalizeName('Acme Ventures, L.L.C.')).to.equal('acme ventures');
+    expect(normalizeName('Acme Ventures FZ-LLC')).to.equal('acme ventures');
+    expect(normalizeName('Acme Ventures FZE')).to.equal('acme ventures');
+    expect(normalizeName('شركة أكمي ذ.م.م')).to.equal('شركه اكمي');
+  });
+
+  it('should unify Arabic spelling variants', () => {
+    expect(normalizeName('غُرفة دبى')).to.equal(normalizeName('غرفة دبي'));
+  });
+
+  it('should keep the Latin part of bilingual names', () => {
+    expect(normalizeName('Dubai Chamber غرفة دبي')).to.equal('dubai chamber');
+  });
+
+  it('should return an empty string for missing names', () => {
+    expect(normalizeName(null)).to.equal('');
+  });
+});
+
+describe('Entity Resolver - registrableDomain', () => {
+  it('should drop subdomains', () => {
+    expect(registrableDomain('https://www.hub71.com/partners')).to.equal('hub71.com');
+    expect(registrableDomain('https://apply.hub71.com/')).to.equal('hub71.com');
+  });
+
+  it('should keep second-level public suffixes', () => {
+    expect(registrableDomain('https://www.moet.gov.ae/en')).to.equal('moet.gov.ae');
+    expect(registrableDomain('https://khalifafund.co.ae')).to.equal('khalifafund.co.ae');
+  });
+
+  it('should accept bare hostnames and reject invalid input', () => {
+    expect(registrableDomain('hub71.com')).to.equal('hub71.com');
+    expect(registrableDomain(null)).to.be.null;
+    expect(registrableDomain('localhost')).to.be.null;
+  });
+});
+
+describe('Entity Resolver - scoring', () => {
+  it('should give identical names a similarity of 1', () => {
+    expect(nameSimilarity('Hub 71', 'HUB71')).to.equal(1);
+  });
+
+  it('should be symmetric', () => {
+    fc.assert(
+      fc.property(fc.string({ maxLength: 30 }), fc.string({ maxLength: 30 }), (a, b) => {
+        expect(nameSimilarity(a, b)).to.equal(nameSimilarity(b, a));
+      }),
+      { numRuns: 50 }
+    );
+  });
+
+  it('should score the Hub71 variants above the merge threshold', () => {
+    const stored = { name: 'Hub71', website: 'https://www.hub71.com/' };
+    expect(scoreMatch({ name: "Hub71 | Abu Dhabi's Global Tech Ecosystem", website: 'https://hub71.com/' }, stored).score)
+      .to.be.at.least(MERGE_THRESHOLD);
+    expect(scoreMatch({ name: 'hub71.com', website: null }, stored).score).to.be.at.least(MERGE_THRESHOLD);
+  });
+
+  it('should explain a same-domain match', () => {
+    const { reasons } = scoreMatch({ name: 'ADGM', website: 'https://www.adgm.com/' }, { name: 'Abu Dhabi Global Market', website: 'https://adgm.com/' });
+    expect(reasons).to.include('same domain (adgm.com)');
+  });
+
+  it('should send unrelated names on the same domain to review, never merge them', () => {
+    const sameSite = scoreMatch({ name: 'Acme Robotics', website: 'https://acme.ae/' }, { name: 'Zeta Ventures', website: 'https://www.acme.ae/' });
+    expect(sameSite.score).to.be.at.least(REVIEW_THRESHOLD).and.below(MERGE_THRESHOLD);
+    expect(sameSite.reasons).to.include('same domain (acme.ae)');
+
+    const linkInBio = resolveEntity({ name: 'Acme Robotics', website: 'https://linktr.ee/' }, [{ name: 'Zeta Ventures', website: 'https://linktr.ee/' }]);
+    expect(linkInBio.action).to.equal('new');
+    const portal = resolveEntity({ name: 'Ministry of Economy', website: 'https://u.ae/' }, [{ name: 'TDRA', website: 'https://u.ae/' }]);
+    expect(portal.action).to.equal('new');
+  });
+
+  it('should keep similar names on different domains below the merge threshold', () => {
+    const { score } = scoreMatch(
+      { name: 'Dubai Chamber', website: 'https://dubaichamber.com/' },
+      { name: 'Dubai Chambers', website: 'https://dubaichambers.com/' }
+    );
+    expect(score).to.be.below(MERGE_THRESHOLD);
+  });
+
+  it('should match bilingual records on their Arabic names', () => {
+    const { score } = scoreMatch(
+      { name: 'وزارة الاقتصاد', name_ar: 'وزارة الاقتصاد', website: null },
+      { name: 'Ministry of Economy', name_ar: 'وزاره الاقتصاد', website: 'https://moet.gov.ae/' }
+    );
+    expect(score).to.be.at.least(MERGE_THRESHOLD);
+  });
+});
+
+describe('Entity Resolver - resolveEntity', () => {
+  const stored = [
+    { _id: '1', name: 'Hub71', website: 'https://www.hub71.com/' },
+    { _id: '2', name: 'Dubai Chambers', website: 'https://dubaichambers.com/' },
+    { _id: '3', name: 'Abu Dhabi Investment Office', website: null }
+  ];
+
+  it('should merge confident matches', () => {
+    const result = resolveEntity({ name: 'Hub71 | Home', website: 'https://hub71.com/' }, stored);
+    expect(result.action).to.equal('merge');
+    expect(result.match._id).to.equal('1');
+  });
+
+  it('should send near-matches to review', () => {
+    const result = resolveEntity({ name: 'Dubai Chamber', website: null }, stored);
+    expect(result.action).to.equal('review');
+    expect(result.score).to.be.within(REVIEW_THRESHOLD, MERGE_THRESHOLD);
+    expect(result.match._id).to.equal('2');
+  });
+
+  it('should create new records when nothing matches', () => {
+    const result = resolveEntity({ name: 'Female Fusion Network', website: 'https://femalefusionnetwork.com/' }, stored);
+    expect(result).to.include({ action: 'new', match: null });
+  });
+
+  it('should honour threshold overrides', () => {
+    const result = resolveEntity({ name: 'Dubai Chamber', website: null }, stored, { merge: 0.85 });
+    expect(result.action).to.equal('merge');
+  });
+});
+
+describe('Entity Resolver - findCandidates', () => {
+  /**
+   * Model stub recording queries; exact queries resolve directly, fuzzy ones through limit()
+   */
+  function createModel(exactDocs = [], fuzzyDocs = []) {
+    const Model = { queries: [], limits: [] };
+    Model.find = (query) => {
+      Model.queries.push(query);
+      if (query.$or) return Promise.resolve(exactDocs);
+      return { limit: async (n) => { Model.limits.push(n); return fuzzyDocs; } };
+    };
+    return Model;
+  }
+
+  it('should query by registrable domain, exact name and anchored first name token', async () => {
+    const Model = createModel();
+
+    await findCandidates(Model, { name: 'Hub71 | Home', website: 'https://www.hub71.com/' });
+
+    const [{ $or: [byWebsite, byName] }, byToken] = Model.queries;
+    expect(byWebsite.website.test('https://apply.hub71.com/')).to.be.true;
+    expect(byWebsite.website.test('https://nothub71.com/')).to.be.false;
+    expect(byName).to.deep.equal({ name: 'Hub71 | Home' });
+    expect(byToken.name.test('HUB71 Abu Dhabi')).to.be.true;
+    expect(byToken.name.test('Hub710')).to.be.false;
+    expect(byToken.name.test('Startups at Hub71')).to.be.false;
+    expect(Model.limits).to.deep.equal([50]);
+  });
+
+  it('should also query the Arabic name', async () => {
+    const Model = createModel();
+
+    await findCandidates(Model, { name: 'Ministry of Economy', name_ar: 'وزارة الاقتصاد', website: null });
+
+    expect(Model.queries[0].$or.slice(-2)).to.deep.equal([{ name_ar: 'وزارة الاقتصاد' }, { name: 'وزارة الاقتصاد' }]);
+  });
+
+  it('should put exact matches first, uncapped, and drop them from the fuzzy results', async () => {
+    const exactMatch = { _id: 'exact', name: 'Dubai Chamber' };
+    const fuzzy = Array.from({ length: 50 }, (_, i) => ({ _id: `f${i}`, name: `Dubai Startup ${i}` }));
+    const Model = createModel([exactMatch], [...fuzzy, { _id: 'exact', name: 'Dubai Chamber' }]);
+
+    const candidates = await findCandidates(Model, { name: 'Dubai Chamber', website: null });
+
+    expect(candidates[0]).to.equal(exactMatch);
+    expect(candidates).to.have.length(51);
+  });
+});
+
+describe('Entity Resolver - buildMergePlan', () => {
+  it('should merge newer duplicates into the oldest record and list near-matches', () => {
+    const records = [
+      { _id: 'b', name: "Hub71 | Abu Dhabi's Global Tech Ecosystem", website: 'https://hub71.com/', createdAt: '2026-02-01' },
+      { _id: 'a', name: 'Hub71', website: 'https://www.hub71.com/', createdAt: '2026-01-01' },
+      { _id: 'c', name: 'hub71.com', website: null, createdAt: '2026-03-01' },
+      { _id: 'd', name: 'Dubai Chambers', website: 'https://dubaichambers.com/', createdAt: '2026-01-05' },
+      { _id: 'e', name: 'Dubai Chamber', website: null, createdAt: '2026-01-06' }
+    ];
+
+    const plan = buildMergePlan(records);
+
+    expect(plan.merges.map(m => [m.duplicate._id, m.primary._id])).to.deep.equal([['b', 'a'], ['c', 'a']]);
+    expect(plan.merges[0].duplicateSnapshot).to.equal(records[0]);
+    expect(plan.reviews).to.have.length(1);
+    expect(plan.reviews[0].candidate._id).to.equal('e');
+    expect(plan.reviews[0].existing._id).to.equal('d');
+  });
+});
+
+describe('Entity Resolver - merging', () => {
+  it('should prefer the name without a tagline', () => {
+    expect(preferredName('Hub71 | Home', 'Hub71')).to.equal('Hub71');
+    expect(preferredName('Hub71', 'Hub71 | Home')).to.equal('Hub71');
+    expect(preferredName(null, 'Hub71')).to.equal('Hub71');
+  });
+
+  it('should replace an Arabic-only name with the English one', () => {
+    expect(preferredName('وزارة الاقتصاد', 'Ministry of Economy')).to.equal('Ministry of Economy');
+    expect(preferredName('Ministry of Economy', 'وزارة الاقتصاد')).to.equal('Ministry of Economy');
+  });
+
+  it('should fill missing fields, keep the longer description and union lists', () => {
+    const updates = mergeRecords(
+      { name: 'Hub71', website: 'https://hub71.com/', description: 'Tech hub', twitter: null, categories: ['SUPPORT INFRASTRUCTURE'], roles: ['Incubator'] },
+      { name: 'hub71.com', website: null, description: 'Global tech ecosystem in Abu Dhabi', twitter: '@Hub71ad', categories: ['SUPPORT INFRASTRUCTURE', 'GROWTH & INNOVATION'], roles: ['Incubator'] }
+    );
+
+    expect(updates).to.deep.equal({
+      description: 'Global tech ecosystem in Abu Dhabi',
+      twitter: '@Hub71ad',
+      categories: ['SUPPORT INFRASTRUCTURE', 'GROWTH & INNOVATION']
+    });
+  });
+});
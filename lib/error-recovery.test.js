@@ -94,7 +94,8 @@ describe('Property-Based Tests - Error Recovery', () => {
             };
             
             // Attempt to load the page
-            const response = await retryPageGoto(page, urlResult.url, {}, errorSummary);
+            // 429/503 are retried; return at once and without jitter
+            const response = await retryPageGoto(page, urlResult.url, { sleep: async () => {}, random: () => 0 }, errorSummary);
             
             // Track that we processed this URL (didn't stop)
             processedUrls.push(urlResult.url);
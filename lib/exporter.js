@@ -0,0 +1,126 @@
+/**
+ * Exporter Module
+ *
+ * Flattens stored organisations into rows for `export` and for JSON/CSV
+ * reports. Array fields stay arrays in JSON and are joined with "; " in CSV.
+ *
+ * Usage example:
+ * ```javascript
+ * const csv = formatOrganisations(await Organisation.find({}).lean(), 'csv');
+ * ```
+ */
+
+// Exported columns, in CSV column order
+export const EXPORT_COLUMNS = [
+  'id',
+  'name',
+  'website',
+  'country',
+  'description',
+  'name_ar',
+  'description_ar',
+  'twitter',
+  'linkedin',
+  'instagram',
+  'facebook',
+  'youtube',
+  'email',
+  'phone',
+  'address',
+  'emirate',
+  'logo',
+  'categories',
+  'subcategories',
+  'roles',
+  'publishTier',
+  'isActive',
+  'confidence',
+  'needsReview',
+  'sourceName',
+  'sourceUrl',
+  'lastSyncedAt'
+];
+
+/**
+ * Flatten one organisation into an export row
+ * @param {Object} org - Organisation document or plain object
+ * @returns {Object} Row keyed by EXPORT_COLUMNS
+ */
+export function toExportRow(org) {
+  const plain = typeof org.toObject === 'function' ? org.toObject() : org;
+  const status = plain.status || {};
+  const source = plain.source || {};
+  const socials = plain.socials || {};
+  const contact = plain.contact || {};
+  const logo = plain.logo || {};
+  const lastSyncedAt = source.lastSyncedAt ? new Date(source.lastSyncedAt).toISOString() : null;
+
+  return {
+    id: plain._id ? String(plain._id) : null,
+    name: plain.name,
+    website: plain.website ?? null,
+    country: plain.country ?? null,
+    description: plain.description ?? null,
+    name_ar: plain.name_ar ?? null,
+    description_ar: plain.description_ar ?? null,
+    twitter: plain.twitter ?? null,
+    linkedin: socials.linkedin ?? null,
+    instagram: socials.instagram ?? null,
+    facebook: socials.facebook ?? null,
+    youtube: socials.youtube ?? null,
+    email: contact.email ?? null,
+    phone: contact.phone ?? null,
+    address: contact.address ?? null,
+    emirate: contact.emirate ?? null,
+    logo: logo.path ?? null,
+    categories: plain.categories || [],
+    subcategories: plain.subcategories || [],
+    roles: plain.roles || [],
+    publishTier: status.publishTier ?? null,
+    isActive: status.isActive ?? null,
+    confidence: status.confidence ?? null,
+    needsReview: status.needsReview ?? null,
+    sourceName: source.sourceName ?? null,
+    sourceUrl: source.sourceUrl ?? null,
+    lastSyncedAt
+  };
+}
+
+/**
+ * Escape one CSV cell (RFC 4180)
+ * @param {*} value - Cell value
+ * @returns {string} Escaped cell
+ */
+function csvCell(value) {
+  if (value === null || value === undefined) return '';
+  const text = Array.isArray(value) ? value.join('; ') : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Render rows as CSV with a header line
+ * @param {Object[]} rows - Export rows
+ * @param {string[]} columns - Columns to include
+ * @returns {string} CSV text
+ */
+export function toCsv(rows, columns = EXPORT_COLUMNS) {
+  const lines = [columns.join(',')];
+  for (const row of rows) {
+    lines.push(columns.map(column => csvCell(row[column])).join(','));
+  }
+  return `${lines.join('\n')}\n`;
+}
+
+/**
+ * Format organisations for export
+ * @param {Object[]} organisations - Organisation documents or plain objects
+ * @param {string} format - 'json' or 'csv'
+ * @returns {string} Formatted output
+ * @throws {Error} On an unsupported format
+ */
+export function formatOrganisations(organisations, format = 'json') {
+  const rows = organisations.map(toExportRow);
+  if (format === 'csv') return toCsv(rows);
+  if (format === 'json') return `${JSON.stringify(rows, null, 2)}\n`;
+  throw new Error(`unsupported export format "${format}" (expected json, csv)`);
+}
@@ -0,0 +1,76 @@
+/**
+ * Unit Tests for the Exporter
+ * Tests export rows, CSV escaping and output formats
+ */
+
+import fc from 'fast-check';
+import { describe, it } from 'mocha';
+import { expect } from 'chai';
+import { EXPORT_COLUMNS, toExportRow, toCsv, formatOrganisations } from './exporter.js';
+
+const org = {
+  _id: '65a000000000000000000001',
+  name: 'Hub71',
+  website: 'https://hub71.com/',
+  country: 'United Arab Emirates',
+  description: 'Abu Dhabi\'s "global" tech ecosystem, for startups',
+  twitter: '@Hub71ad',
+  categories: ['SUPPORT INFRASTRUCTURE'],
+  subcategories: ['Incubators/Accelerators', 'Venture Building'],
+  roles: ['Supports startups'],
+  status: { publishTier: 'A', isActive: true, confidence: 0.9, needsReview: false },
+  source: { sourceName: 'hub71', sourceUrl: 'https://www.hub71.com/partners', lastSyncedAt: new Date('2026-04-01T10:00:00Z') }
+};
+
+describe('Exporter - toExportRow', () => {
+  it('should flatten status and source', () => {
+    const row = toExportRow(org);
+    expect(Object.keys(row)).to.deep.equal(EXPORT_COLUMNS);
+    expect(row).to.include({ id: org._id, publishTier: 'A', confidence: 0.9, sourceName: 'hub71', lastSyncedAt: '2026-04-01T10:00:00.000Z' });
+  });
+
+  it('should fill missing fields with null', () => {
+    const row = toExportRow({ name: 'Bare' });
+    expect(row).to.include({ id: null, website: null, publishTier: null, sourceUrl: null, lastSyncedAt: null });
+    expect(row.categories).to.deep.equal([]);
+  });
+
+  it('should flatten sub-documents and export the stored logo path', () => {
+    const row = toExportRow({
+      ...org,
+      socials: { linkedin: 'https://www.linkedin.com/company/hub71' },
+      contact: { emirate: 'Abu Dhabi' },
+      logo: { hash: 'ab12', path: 'assets/ab/ab12.png', mimeType: 'image/png' }
+    });
+    expect(row).to.include({ linkedin: 'https://www.linkedin.com/company/hub71', instagram: null, emirate: 'Abu Dhabi', logo: 'assets/ab/ab12.png' });
+  });
+});
+
+describe('Exporter - CSV', () => {
+  it('should escape quotes and commas and join arrays', () => {
+    const [header, line] = toCsv([toExportRow(org)]).trim().split('\n');
+    expect(header).to.equal(EXPORT_COLUMNS.join(','));
+    expect(line).to.include('"Abu Dhabi\'s ""global"" tech ecosystem, for startups"');
+    expect(line).to.include(',Incubators/Accelerators; Venture Building,');
+  });
+
+  it('should keep one line per record whatever the text contains', () => {
+    fc.assert(fc.property(fc.string(), description => {
+      const csv = toCsv([{ name: 'X', description }], ['name', 'description']);
+      // Unquoted newlines only separate records
+      const unquoted = csv.replace(/"(?:[^"]|"")*"/g, '');
+      expect(unquoted.split('\n').filter(Boolean)).to.have.length(2);
+    }));
+  });
+});
+
+describe('Exporter - formatOrganisations', () => {
+  it('should format JSON with arrays intact', () => {
+    const rows = JSON.parse(formatOrganisations([org], 'json'));
+    expect(rows[0].subcategories).to.deep.equal(['Incubators/Accelerators', 'Venture Building']);
+  });
+
+  it('should reject unknown formats', () => {
+    expect(() => formatOrganisations([org], 'xml')).to.throw(/unsupported export format/);
+  });
+});
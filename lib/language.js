@@ -0,0 +1,134 @@
+/**
+ * Language Module
+ *
+ * Many UAE entities publish Arabic-first pages, often as /ar/ and /en/
+ * variants of the same site (u.ae/ar/..., moet.gov.ae/ar/...). Extracted
+ * records are tagged with the language of their text, Arabic names and
+ * descriptions are kept in name_ar / description_ar, and the Arabic and
+ * English variants of one page are paired into a single record:
+ *
+ * - detectLanguage        - 'ar' or 'en' from the share of Arabic letters
+ * - urlLanguage           - language from the URL (/ar/ segment, ?lang=ar, ar. host)
+ * - annotateLanguage      - set language, name_ar and description_ar on a record
+ * - mergeLanguageVariants - dedupe records, pairing /ar/ and /en/ variants
+ *                           (the English record is kept, with the Arabic fields)
+ *
+ * Usage example:
+ * ```javascript
+ * const records = mergeLanguageVariants(scraped.map(annotateLanguage), recordKey);
+ * // → [{ name: 'Ministry of Economy', name_ar: 'وزارة الاقتصاد', language: 'en', ... }]
+ * ```
+ */
+
+// Arabic script blocks (letters, supplements and presentation forms)
+const ARABIC_LETTER = /[ؠ-يٮ-ۓۺ-ۿݐ-ݿࢠ-ࣿﭐ-﷿ﹰ-ﻼ]/g;
+const LATIN_LETTER = /[A-Za-zÀ-ɏ]/g;
+
+// Path segments and query values naming a page language: ar, en, ar-ae, en-us
+const LANGUAGE_CODE = /^(ar|en)(-[a-z]{2})?$/i;
+const LANGUAGE_PARAMS = ['lang', 'language', 'locale', 'hl'];
+
+/**
+ * Language of a text
+ * @param {string} text - Extracted text
+ * @returns {'ar'|'en'|null} 'ar' when most letters are Arabic, 'en' for Latin text, null without letters
+ */
+export function detectLanguage(text) {
+  if (!text || typeof text !== 'string') return null;
+  const arabic = (text.match(ARABIC_LETTER) || []).length;
+  const latin = (text.match(LATIN_LETTER) || []).length;
+  if (arabic + latin === 0) return null;
+  return arabic >= latin ? 'ar' : 'en';
+}
+
+/**
+ * Whether a text is mostly Arabic
+ * @param {string} text - Extracted text
+ * @returns {boolean} True for Arabic text
+ */
+export function isArabic(text) {
+  return detectLanguage(text) === 'ar';
+}
+
+/**
+ * Language a URL points to
+ * @param {string} url - Page URL
+ * @returns {'ar'|'en'|null} From a /ar/ or /en/ path segment, a lang query parameter or an ar./en. host
+ */
+export function urlLanguage(url) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch {
+    return null;
+  }
+
+  const codes = [
+    ...parsed.pathname.split('/'),
+    ...LANGUAGE_PARAMS.map(param => parsed.searchParams.get(param)),
+    parsed.hostname.split('.')[0]
+  ];
+  const code = codes.find(value => value && LANGUAGE_CODE.test(value));
+  return code ? code.slice(0, 2).toLowerCase() : null;
+}
+
+/**
+ * URL without its language markers, shared by the /ar/ and /en/ variants of a page
+ * @param {string} url - Page URL
+ * @returns {string} URL without language path segments and query parameters (unchanged if invalid)
+ */
+export function languageNeutralUrl(url) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch {
+    return url;
+  }
+
+  parsed.pathname = parsed.pathname.split('/').filter(segment => !LANGUAGE_CODE.test(segment)).join('/') || '/';
+  LANGUAGE_PARAMS.forEach(param => parsed.searchParams.delete(param));
+  return parsed.toString();
+}
+
+/**
+ * Tag a scraped record with its language and Arabic fields
+ * The text decides; the URL is only used when the text has no letters
+ * @param {Object} record - Scraped organisation (name, description, website, sourceUrl)
+ * @returns {Object} The same record with language, name_ar and description_ar set
+ */
+export function annotateLanguage(record) {
+  record.language = detectLanguage(record.description)
+    || detectLanguage(record.name)
+    || urlLanguage(record.sourceUrl || record.website);
+  record.name_ar = record.name_ar || (isArabic(record.name) ? record.name : null);
+  record.description_ar = record.description_ar || (isArabic(record.description) ? record.description : null);
+  return record;
+}
+
+/**
+ * Remove duplicate records, pairing the Arabic and English variants of a page
+ * Records match on the key of their language-neutral website. Of each group
+ * the first non-Arabic record is kept, in the position of the group's first
+ * record, and takes the Arabic name and description of the others
+ * @param {Object[]} records - Records tagged by annotateLanguage
+ * @param {Function} keyOf - Deduplication key of a record (pagination's recordKey)
+ * @returns {Object[]} Unique records
+ */
+export function mergeLanguageVariants(records, keyOf) {
+  const groups = new Map();
+  for (const record of records) {
+    const key = keyOf({ ...record, website: record.website ? languageNeutralUrl(record.website) : record.website });
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(record);
+  }
+
+  return [...groups.values()].map(group => {
+    const primary = group.find(record => record.language !== 'ar') || group[0];
+    for (const variant of group) {
+      if (variant === primary) continue;
+      primary.name_ar = primary.name_ar || variant.name_ar || null;
+      primary.description_ar = primary.description_ar || variant.description_ar || null;
+    }
+    return primary;
+  });
+}
@@ -0,0 +1,112 @@
+/**
+ * Unit Tests for Language Support
+ * Tests language detection, language markers in URLs, pairing of Arabic and
+ * English records and the Arabic input of the classification prompt
+ */
+
+import { describe, it } from 'mocha';
+import { expect } from 'chai';
+import fc from 'fast-check';
+import { recordKey } from './pagination.js';
+import { buildClassificationPrompt } from './multi-provider-classifier.js';
+import {
+  detectLanguage,
+  isArabic,
+  urlLanguage,
+  languageNeutralUrl,
+  annotateLanguage,
+  mergeLanguageVariants
+} from './language.js';
+
+describe('Language - detectLanguage', () => {
+  it('should tell Arabic from English text', () => {
+    expect(detectLanguage('وزارة الاقتصاد')).to.equal('ar');
+    expect(detectLanguage('Ministry of Economy')).to.equal('en');
+    expect(detectLanguage('Hub71 - مركز أبوظبي للتكنولوجيا')).to.equal('ar');
+    expect(detectLanguage('Hub71 | The global tech ecosystem - مركز')).to.equal('en');
+    expect(detectLanguage('٢٠٢٦ - 71')).to.be.null;
+    expect(detectLanguage(null)).to.be.null;
+  });
+
+  it('should never call Latin-only text Arabic (property)', () => {
+    fc.assert(fc.property(fc.string({ unit: fc.constantFrom(...'abcXYZ 0123-|é') }), text => !isArabic(text)));
+  });
+});
+
+describe('Language - URLs', () => {
+  it('should read the language from path segments, query parameters and subdomains', () => {
+    expect(urlLanguage('https://u.ae/ar/information-and-services')).to.equal('ar');
+    expect(urlLanguage('https://moet.gov.ae/en-us/startups')).to.equal('en');
+    expect(urlLanguage('https://www.example.ae/partners?lang=ar')).to.equal('ar');
+    expect(urlLanguage('https://ar.example.ae/')).to.equal('ar');
+    expect(urlLanguage('https://www.hub71.com/partners')).to.be.null;
+    expect(urlLanguage('not a url')).to.be.null;
+  });
+
+  it('should give both language variants the same neutral URL', () => {
+    expect(languageNeutralUrl('https://u.ae/ar/about?lang=ar')).to.equal('https://u.ae/about');
+    expect(languageNeutralUrl('https://u.ae/en/about')).to.equal('https://u.ae/about');
+    expect(languageNeutralUrl('https://u.ae/ar/')).to.equal('https://u.ae/');
+    expect(languageNeutralUrl('https://www.arabian.ae/area/')).to.equal('https://www.arabian.ae/area/');
+  });
+});
+
+describe('Language - records', () => {
+  it('should tag records and copy Arabic text into the Arabic fields', () => {
+    const arabic = annotateLanguage({ name: 'وزارة الاقتصاد', description: 'وزارة اتحادية تدعم ريادة الأعمال', website: 'https://moet.gov.ae/ar/' });
+    expect(arabic).to.include({ language: 'ar', name_ar: 'وزارة الاقتصاد', description_ar: 'وزارة اتحادية تدعم ريادة الأعمال' });
+
+    const english = annotateLanguage({ name: 'Ministry of Economy', description: null, website: 'https://moet.gov.ae/en/' });
+    expect(english).to.include({ language: 'en', name_ar: null, description_ar: null });
+
+    const unlabelled = annotateLanguage({ name: '٧١', description: null, website: 'https://u.ae/ar/' });
+    expect(unlabelled.language).to.equal('ar');
+  });
+
+  it('should pair /ar/ and /en/ variants, keeping the English record', () => {
+    const records = [
+      { name: 'وزارة الاقتصاد', description: 'وزارة اتحادية', website: 'https://moet.gov.ae/ar/about' },
+      { name: 'Hub71', description: 'Tech ecosystem', website: 'https://hub71.com/' },
+      { name: 'Ministry of Economy', description: 'Federal ministry', website: 'https://moet.gov.ae/en/about' }
+    ].map(annotateLanguage);
+
+    const merged = mergeLanguageVariants(records, recordKey);
+
+    expect(merged.map(r => r.name)).to.deep.equal(['Ministry of Economy', 'Hub71']);
+    expect(merged[0]).to.include({ name_ar: 'وزارة الاقتصاد', description_ar: 'وزارة اتحادية', description: 'Federal ministry' });
+  });
+
+  it('should keep Arabic-only organisations and drop plain duplicates', () => {
+    const records = [
+      { name: 'دبي للمستقبل', description: null, website: 'https://dubaifuture.ae/ar/' },
+      { name: 'Hub71', description: null, website: 'https://hub71.com/' },
+      { name: 'Hub71 | Home', description: null, website: 'https://www.hub71.com' }
+    ].map(annotateLanguage);
+
+    expect(mergeLanguageVariants(records, recordKey).map(r => r.name)).to.deep.equal(['دبي للمستقبل', 'Hub71']);
+  });
+});
+
+describe('Language - classification prompt', () => {
+  it('should pass Arabic names and descriptions and ask for English output', () => {
+    const prompt = buildClassificationPrompt({
+      name: 'Ministry of Economy',
+      name_ar: 'وزارة الاقتصاد',
+      description: 'Federal ministry supporting SMEs',
+      description_ar: 'وزارة اتحادية تدعم المشاريع الصغيرة',
+      website: 'https://moet.gov.ae/'
+    });
+
+    expect(prompt).to.include('Arabic name: "وزارة الاقتصاد"');
+    expect(prompt).to.include('Arabic description: "وزارة اتحادية تدعم المشاريع الصغيرة"');
+    expect(prompt).to.include('Write role_summary in English');
+  });
+
+  it('should use the Arabic description when there is no English one', () => {
+    const prompt = buildClassificationPrompt({ name: 'وزارة الاقتصاد', name_ar: 'وزارة الاقتصاد', description_ar: 'وزارة اتحادية' });
+
+    expect(prompt).to.include('Description: "وزارة اتحادية"');
+    expect(prompt).not.to.include('Arabic name:');
+    expect(prompt).not.to.include('Arabic description:');
+  });
+});
@@ -0,0 +1,328 @@
+/**
+ * Listing Extractor Module
+ *
+ * Extracts many organisations from a single directory page (partner grids,
+ * investor lists, network directories) instead of collapsing the page into
+ * one record named after the site.
+ *
+ * Detection works on the rendered HTML (page.content()) with cheerio:
+ * - Siblings sharing the same tag + class signature are grouped
+ * - Groups are scored by size and by how "card-like" their members are
+ *   (heading, link, logo, blurb)
+ * - The best scoring group is treated as the listing
+ *
+ * Each card yields: name, outbound link, logo and blurb.
+ * scrapeWithProfile (lib/source-profiles.js) turns the entries into records.
+ */
+
+import * as cheerio from 'cheerio';
+
+// Minimum number of repeated siblings before a group counts as a listing
+const DEFAULT_MIN_ITEMS = 3;
+
+// Containers that repeat links but never hold directory entries
+const IGNORED_CONTAINERS = 'header, nav, footer, [role="navigation"], [class*="menu"], [class*="breadcrumb"], [class*="cookie"]';
+
+const MAX_NAME_LENGTH = 120;
+const MAX_DESCRIPTION_LENGTH = 1000;
+
+/**
+ * Collapse whitespace and trim text
+ * @param {string} text - Raw text
+ * @returns {string} Cleaned text
+ */
+export function cleanText(text) {
+  return (text || '').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Resolve a (possibly relative) URL against the page URL
+ * Ignores javascript:, mailto:, tel: and fragment-only links
+ * @param {string} href - Raw href/src attribute
+ * @param {string} baseUrl - Page URL
+ * @returns {string|null} Absolute URL or null
+ */
+export function resolveUrl(href, baseUrl) {
+  if (!href) return null;
+  const value = href.trim();
+  if (!value || value.startsWith('#') || /^(javascript|mailto|tel|data):/i.test(value)) {
+    return null;
+  }
+
+  try {
+    return new URL(value, baseUrl).href;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Build a grouping signature for an element: tag name plus sorted classes
+ * Digits are stripped from class names so "item-1", "item-2" group together
+ * @param {Element} el - DOM element (cheerio)
+ * @returns {string} Signature
+ */
+function elementSignature(el) {
+  const classes = (el.attribs?.class || '')
+    .split(/\s+/)
+    .map(c => c.replace(/\d+/g, ''))
+    .filter(c => c.length > 0 && !/^(active|current|selected|odd|even|first|last)$/i.test(c))
+    .sort();
+
+  return `${el.tagName}.${[...new Set(classes)].join('.')}`;
+}
+
+/**
+ * Describe how card-like a candidate element is
+ * @param {CheerioAPI} $ - Loaded document
+ * @param {Element} el - Candidate element
+ * @returns {Object} Feature flags and text length
+ */
+function cardFeatures($, el) {
+  const $el = $(el);
+  const isLink = el.tagName === 'a' && !!$el.attr('href');
+
+  return {
+    hasLink: isLink || $el.find('a[href]').length > 0,
+    hasImage: $el.find('img').length > 0 || /background-image/i.test($el.attr('style') || ''),
+    hasHeading: $el.find('h1, h2, h3, h4, h5, h6, [class*="title"], [class*="name"]').length > 0,
+    textLength: cleanText($el.text()).length
+  };
+}
+
+/**
+ * Score a group of repeated siblings
+ * Menus (short text links, no heading or logo) score close to zero
+ * @param {CheerioAPI} $ - Loaded document
+ * @param {Element[]} members - Elements sharing the same signature
+ * @returns {number} Score (0 = not a listing)
+ */
+function scoreGroup($, members) {
+  const features = members.map(el => cardFeatures($, el));
+
+  const withContent = features.filter(f => f.hasLink || f.hasImage || f.hasHeading);
+  if (withContent.length / members.length < 0.6) return 0;
+
+  const richness = features.reduce((sum, f) => {
+    let value = 0;
+    if (f.hasLink) value += 1;
+    if (f.hasImage) value += 1;
+    if (f.hasHeading) value += 1.5;
+    value += Math.min(f.textLength, 200) / 200;
+    return sum + value;
+  }, 0) / features.length;
+
+  // Bare text links are navigation, not directory cards
+  const richCards = features.filter(f => f.hasImage || f.hasHeading || f.textLength > 40);
+  if (richCards.length / members.length < 0.5) return 0;
+
+  return members.length * richness;
+}
+
+/**
+ * Find the element group that most likely represents a directory listing
+ * @param {CheerioAPI} $ - Loaded document
+ * @param {Object} options - Detection options
+ * @param {number} options.minItems - Minimum group size
+ * @returns {Element[]} Listing items (empty if none detected)
+ */
+export function detectListingItems($, options = {}) {
+  const minItems = options.minItems || DEFAULT_MIN_ITEMS;
+  let best = { score: 0, members: [] };
+
+  $('body *').each((_, parent) => {
+    const children = parent.children.filter(c => c.type === 'tag');
+    if (children.length < minItems) return;
+    if ($(parent).closest(IGNORED_CONTAINERS).length > 0) return;
+
+    const groups = new Map();
+    for (const child of children) {
+      const signature = elementSignature(child);
+      if (!groups.has(signature)) groups.set(signature, []);
+      groups.get(signature).push(child);
+    }
+
+    for (const members of groups.values()) {
+      if (members.length < minItems) continue;
+      const score = scoreGroup($, members);
+      if (score > best.score) {
+        best = { score, members };
+      }
+    }
+  });
+
+  return best.members;
+}
+
+/**
+ * Extract the display name of a listing card
+ * Priority: heading > title/name class > image alt > link title/aria-label > link text
+ * @param {CheerioAPI} $ - Loaded document
+ * @param {Cheerio} $item - Card element
+ * @returns {string|null} Entry name or null
+ */
+function extractEntryName($, $item) {
+  const candidates = [
+    $item.find('h1, h2, h3, h4, h5, h6').first().text(),
+    $item.find('[class*="title"], [class*="name"]').first().text(),
+    ($item.find('img[alt]').first().attr('alt') || '').replace(/\blogo\b/gi, ''),
+    $item.find('a[title]').first().attr('title') || $item.attr('title'),
+    $item.find('a[aria-label]').first().attr('aria-label') || $item.attr('aria-label'),
+    $item.is('a') ? $item.text() : $item.find('a').first().text()
+  ];
+
+  for (const candidate of candidates) {
+    const name = cleanText(candidate).replace(/^[-|:•\s]+|[-|:•\s]+$/g, '');
+    if (name.length > 1 && name.length <= MAX_NAME_LENGTH) {
+      return name;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Extract the outbound link of a listing card
+ * Links leaving the source site are preferred over internal detail pages
+ * @param {CheerioAPI} $ - Loaded document
+ * @param {Cheerio} $item - Card element
+ * @param {string} pageUrl - Listing page URL
+ * @returns {string|null} Absolute URL or null
+ */
+function extractEntryLink($, $item, pageUrl) {
+  const anchors = $item.is('a') ? [$item.get(0), ...$item.find('a[href]').toArray()] : $item.find('a[href]').toArray();
+  const links = anchors
+    .map(a => resolveUrl($(a).attr('href'), pageUrl))
+    .filter(Boolean);
+
+  if (links.length === 0) return null;
+
+  const pageHost = new URL(pageUrl).hostname;
+  const external = links.find(link => new URL(link).hostname !== pageHost);
+  return external || links[0];
+}
+
+/**
+ * Extract the logo image of a listing card
+ * Handles lazy-loading attributes and CSS background images
+ * @param {CheerioAPI} $ - Loaded document
+ * @param {Cheerio} $item - Card element
+ * @param {string} pageUrl - Listing page URL
+ * @returns {string|null} Absolute image URL or null
+ */
+function extractEntryLogo($, $item, pageUrl) {
+  const $img = $item.find('img').first();
+  if ($img.length > 0) {
+    const srcset = ($img.attr('srcset') || $img.attr('data-srcset') || '').split(',')[0].trim().split(/\s+/)[0];
+    const src = $img.attr('data-src') || $img.attr('data-lazy-src') || $img.attr('src') || srcset;
+    const resolved = resolveUrl(src, pageUrl);
+    if (resolved) return resolved;
+  }
+
+  const styled = [$item.get(0), ...$item.find('[style*="background"]').toArray()];
+  for (const el of styled) {
+    const match = ($(el).attr('style') || '').match(/url\(\s*['"]?([^'")]+)['"]?\s*\)/i);
+    if (match) {
+      return resolveUrl(match[1], pageUrl);
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Extract the blurb of a listing card
+ * Priority: first substantial paragraph > card text without the name
+ * @param {CheerioAPI} $ - Loaded document
+ * @param {Cheerio} $item - Card element
+ * @param {string|null} name - Already extracted entry name
+ * @returns {string|null} Blurb or null
+ */
+function extractEntryDescription($, $item, name) {
+  let description = null;
+
+  $item.find('p').each((_, p) => {
+    const text = cleanText($(p).text());
+    if (!description && text.length > 20) {
+      description = text;
+    }
+  });
+
+  if (!description) {
+    let text = cleanText($item.text());
+    if (name && text.startsWith(name)) {
+      text = text.slice(name.length).trim();
+    }
+    if (text.length > 20) {
+      description = text;
+    }
+  }
+
+  return description ? description.slice(0, MAX_DESCRIPTION_LENGTH) : null;
+}
+
+/**
+ * Extract all generic fields of a single listing card
+ * @param {CheerioAPI} $ - Loaded document
+ * @param {Cheerio} $item - Card element
+ * @param {string} pageUrl - Listing page URL
+ * @returns {{name: string|null, link: string|null, logo: string|null, description: string|null}}
+ */
+export function extractEntry($, $item, pageUrl) {
+  const name = extractEntryName($, $item);
+  return {
+    name,
+    link: extractEntryLink($, $item, pageUrl),
+    logo: extractEntryLogo($, $item, pageUrl),
+    description: extractEntryDescription($, $item, name)
+  };
+}
+
+/**
+ * Extract listing entries from page HTML
+ *
+ * @param {string} html - Rendered page HTML
+ * @param {string} pageUrl - URL the HTML was loaded from (used to resolve links)
+ * @param {Object} options - Detection options
+ * @param {number} options.minItems - Minimum number of repeated cards (default 3)
+ * @returns {Array<{name: string, link: string|null, logo: string|null, description: string|null}>}
+ */
+export function extractListingEntries(html, pageUrl, options = {}) {
+  const $ = cheerio.load(html);
+  $('script, style, noscript, template').remove();
+
+  const items = detectListingItems($, options);
+  const entries = [];
+  const seen = new Set();
+
+  for (const item of items) {
+    const entry = extractEntry($, $(item), pageUrl);
+    if (!entry.name) continue;
+
+    const key = `${entry.name.toLowerCase()}|${entry.link || ''}`;
+    if (seen.has(key)) continue;
+    seen.add(key);
+
+    entries.push(entry);
+  }
+
+  return entries;
+}
+
+/**
+ * Check whether a URL points at a site root (listing mode is skipped there,
+ * a homepage describes the organisation itself)
+ * @param {string} url - URL to check
+ * @returns {boolean} True for root URLs
+ */
+export function isRootUrl(url) {
+  try {
+    const { pathname, hash } = new URL(url);
+    return (pathname === '/' || pathname === '') && !hash;
+  } catch (error) {
+    return false;
+  }
+}
+
+// Strategy recorded for fields taken from a generic listing card
+export const LISTING_EXTRACTION = { name: 'listing-card', description: 'listing-card', website: 'listing-link' };
@@ -0,0 +1,135 @@
+/**
+ * Unit Tests for Listing Extractor
+ * Tests detection of repeated cards and per-entry field extraction
+ */
+
+import { describe, it } from 'mocha';
+import { expect } from 'chai';
+import { extractListingEntries, isRootUrl } from './listing-extractor.js';
+
+const PAGE_URL = 'https://www.hub71.com/partners';
+
+const PARTNERS_HTML = `
+  <html>
+    <body>
+      <header>
+        <nav>
+          <ul class="menu">
+            <li><a href="/about">About</a></li>
+            <li><a href="/programs">Programs</a></li>
+            <li><a href="/partners">Partners</a></li>
+            <li><a href="/contact">Contact</a></li>
+          </ul>
+        </nav>
+      </header>
+      <main>
+        <h1>Our Partners</h1>
+        <div class="grid">
+          <div class="partner-card card-1">
+            <img src="/logos/mubadala.png" alt="Mubadala logo">
+            <h3>Mubadala</h3>
+            <p>Sovereign investor managing a global portfolio across sectors.</p>
+            <a href="https://www.mubadala.com/">Visit website</a>
+          </div>
+          <div class="partner-card card-2">
+            <img data-src="https://cdn.example.com/adgm.svg" src="placeholder.gif" alt="ADGM">
+            <h3>ADGM</h3>
+            <p>International financial centre located in Abu Dhabi.</p>
+            <a href="https://www.adgm.com">Visit website</a>
+          </div>
+          <div class="partner-card card-3">
+            <div class="logo" style="background-image: url('/logos/m42.png')"></div>
+            <h3>M42</h3>
+            <p>Health technology company powered by genomics and AI.</p>
+            <a href="/partners/m42">Read more</a>
+          </div>
+        </div>
+      </main>
+      <footer>
+        <ul class="footer-links">
+          <li><a href="/privacy">Privacy</a></li>
+          <li><a href="/terms">Terms</a></li>
+          <li><a href="/cookies">Cookies</a></li>
+        </ul>
+      </footer>
+    </body>
+  </html>
+`;
+
+describe('Listing Extractor - extractListingEntries', () => {
+  it('should extract one entry per repeated card', () => {
+    const entries = extractListingEntries(PARTNERS_HTML, PAGE_URL);
+    expect(entries.map(e => e.name)).to.deep.equal(['Mubadala', 'ADGM', 'M42']);
+  });
+
+  it('should prefer outbound links and resolve relative ones', () => {
+    const entries = extractListingEntries(PARTNERS_HTML, PAGE_URL);
+    expect(entries[0].link).to.equal('https://www.mubadala.com/');
+    expect(entries[2].link).to.equal('https://www.hub71.com/partners/m42');
+  });
+
+  it('should extract logos from src, lazy-load attributes and background images', () => {
+    const entries = extractListingEntries(PARTNERS_HTML, PAGE_URL);
+    expect(entries[0].logo).to.equal('https://www.hub71.com/logos/mubadala.png');
+    expect(entries[1].logo).to.equal('https://cdn.example.com/adgm.svg');
+    expect(entries[2].logo).to.equal('https://www.hub71.com/logos/m42.png');
+  });
+
+  it('should extract the card blurb', () => {
+    const entries = extractListingEntries(PARTNERS_HTML, PAGE_URL);
+    expect(entries[1].description).to.equal('International financial centre located in Abu Dhabi.');
+  });
+
+  it('should ignore navigation menus and plain link lists', () => {
+    const html = `
+      <html><body>
+        <nav><ul><li><a href="/a">A</a></li><li><a href="/b">B</a></li><li><a href="/c">C</a></li></ul></nav>
+        <ul class="links"><li><a href="/x">X</a></li><li><a href="/y">Y</a></li><li><a href="/z">Z</a></li></ul>
+        <p>Single organisation homepage with no directory.</p>
+      </body></html>
+    `;
+    expect(extractListingEntries(html, PAGE_URL)).to.deep.equal([]);
+  });
+
+  it('should use image alt text when cards have no heading', () => {
+    const html = `
+      <html><body><div class="logos">
+        <a href="https://one.ae"><img src="/1.png" alt="One Ventures logo"></a>
+        <a href="https://two.ae"><img src="/2.png" alt="Two Capital"></a>
+        <a href="https://three.ae"><img src="/3.png" alt="Three Labs"></a>
+      </div></body></html>
+    `;
+    const entries = extractListingEntries(html, PAGE_URL);
+    expect(entries.map(e => e.name)).to.deep.equal(['One Ventures', 'Two Capital', 'Three Labs']);
+    expect(entries[0].link).to.equal('https://one.ae/');
+  });
+
+  it('should drop duplicate cards', () => {
+    const card = '<div class="item"><h4>Same Org</h4><a href="https://same.ae">Go</a></div>';
+    const html = `<html><body><div>${card}${card}${card}<div class="item"><h4>Other Org</h4><a href="https://other.ae">Go</a></div></div></body></html>`;
+    const entries = extractListingEntries(html, PAGE_URL);
+    expect(entries.map(e => e.name)).to.deep.equal(['Same Org', 'Other Org']);
+  });
+
+  it('should respect the minItems option', () => {
+    const html = `<html><body><div>
+      <div class="item"><h4>Alpha</h4><a href="https://alpha.ae">Go</a></div>
+      <div class="item"><h4>Beta</h4><a href="https://beta.ae">Go</a></div>
+    </div></body></html>`;
+    expect(extractListingEntries(html, PAGE_URL)).to.have.length(0);
+    expect(extractListingEntries(html, PAGE_URL, { minItems: 2 })).to.have.length(2);
+  });
+});
+
+describe('Listing Extractor - isRootUrl', () => {
+  it('should detect root URLs', () => {
+    expect(isRootUrl('https://www.femalefusionnetwork.com/')).to.be.true;
+    expect(isRootUrl('https://www.hub71.com')).to.be.true;
+  });
+
+  it('should treat paths and anchors as non-root', () => {
+    expect(isRootUrl('https://www.hub71.com/partners')).to.be.false;
+    expect(isRootUrl('https://startupemirates.ae/#funding-support')).to.be.false;
+    expect(isRootUrl('not a url')).to.be.false;
+  });
+});
@@ -0,0 +1,158 @@
+/**
+ * Logo Extractor Module
+ *
+ * Finds an organisation's logo and downloads it into the asset store (see
+ * lib/asset-store.js). Candidate images, in order of preference:
+ *
+ * 1. The image of the organisation's directory card (listing records)
+ * 2. JSON-LD / microdata `logo` of the Organization
+ * 3. og:image
+ * 4. apple-touch-icon (a square icon, usually 180x180)
+ * 5. favicon
+ *
+ * Each kind is read from the scraped page first, then from the root domain's
+ * cached metadata (strategy "root-json-ld", "root-og:image", ...). The first
+ * candidate that downloads as a usable image wins; broken and placeholder
+ * images fall through to the next one.
+ *
+ * Usage example:
+ * ```javascript
+ * const record = { ..., logoCandidates: await extractLogoCandidates(page) };
+ * await captureLogos([record], assetStore, rootCache);
+ * // record.logo → { hash, path, mimeType, width, height, bytes, sourceUrl }
+ * // record.extraction.logo → 'json-ld'
+ * ```
+ */
+
+import { toDom } from './dom-adapter.js';
+import { resolveUrl } from './listing-extractor.js';
+import { jsonLdOrganisations } from './contact-extractor.js';
+
+export const LOGO_STRATEGIES = ['json-ld', 'og:image', 'apple-touch-icon', 'favicon'];
+
+const APPLE_TOUCH_ICON = 'link[rel~="apple-touch-icon"], link[rel~="apple-touch-icon-precomposed"]';
+const FAVICON = 'link[rel~="icon"]';
+
+/**
+ * URL of a schema.org image (URL text, ImageObject or a list of either)
+ * @param {string|Object|Array} value - schema.org `logo` or `image`
+ * @returns {string|null} Image URL (may be relative) or null
+ */
+export function jsonLdImageUrl(value) {
+  if (!value) return null;
+  if (typeof value === 'string') return value.trim() || null;
+  if (Array.isArray(value)) return jsonLdImageUrl(value[0]);
+  if (typeof value === 'object') return jsonLdImageUrl(value.url || value.contentUrl || null);
+  return null;
+}
+
+/**
+ * Candidate list entries for the URLs that resolve
+ * @param {Array<[string, string|null]>} found - [strategy, url] pairs
+ * @param {string} baseUrl - URL relative links are resolved against
+ * @returns {Array<{url: string, strategy: string}>} Candidates
+ */
+function toCandidates(found, baseUrl) {
+  return found
+    .map(([strategy, url]) => ({ url: resolveUrl(url, baseUrl), strategy }))
+    .filter(candidate => candidate.url);
+}
+
+/**
+ * Logo candidates of a scraped page, in order of preference
+ * @param {Page|StaticPage} page - Playwright page or StaticPage (already navigated)
+ * @returns {Promise<Array<{url: string, strategy: string}>>} Candidates (empty on failure)
+ */
+export async function extractLogoCandidates(page) {
+  try {
+    const dom = toDom(page);
+    const [organisation] = await jsonLdOrganisations(dom);
+    const microdata = '[itemtype*="schema.org/Organization"] [itemprop="logo"]';
+
+    return toCandidates([
+      ['json-ld', jsonLdImageUrl(organisation ? organisation.logo : null)],
+      ['json-ld', await dom.attr(microdata, 'src') || await dom.attr(microdata, 'content')],
+      ['og:image', await dom.attr('meta[property="og:image"]', 'content')],
+      ['apple-touch-icon', (await dom.hrefs(APPLE_TOUCH_ICON))[0]],
+      ['favicon', (await dom.hrefs(FAVICON))[0]]
+    ], page.url());
+  } catch (error) {
+    console.warn(`   ⚠️  Logo extraction failed: ${error.message}`);
+    return [];
+  }
+}
+
+/**
+ * Logo candidates of a root domain's cached metadata (see lib/root-metadata.js)
+ * @param {Object|null} root - Root domain metadata
+ * @returns {Array<{url: string, strategy: string}>} Candidates
+ */
+export function rootLogoCandidates(root) {
+  if (!root) return [];
+  return toCandidates([
+    ['root-json-ld', jsonLdImageUrl(root.structuredData ? root.structuredData.logo : null)],
+    ['root-og:image', root.ogImage],
+    ['root-apple-touch-icon', root.appleTouchIcon],
+    ['root-favicon', root.favicon]
+  ], root.rootUrl);
+}
+
+/**
+ * Combine candidates into one list, best first
+ * Listing card images come first; then each kind in LOGO_STRATEGIES order,
+ * the page before the root domain. Repeated URLs are dropped.
+ * @param {Array<{url: string, strategy: string}>} candidates - Page candidates, then root candidates
+ * @returns {Array<{url: string, strategy: string}>} Ordered candidates
+ */
+export function orderLogoCandidates(candidates) {
+  const rank = ({ strategy }) => LOGO_STRATEGIES.indexOf(strategy.replace(/^root-/, ''));
+  const seen = new Set();
+
+  return candidates
+    .map((candidate, index) => ({ candidate, index }))
+    .sort((a, b) => rank(a.candidate) - rank(b.candidate) || a.index - b.index)
+    .map(({ candidate }) => candidate)
+    .filter(({ url }) => !seen.has(url) && seen.add(url));
+}
+
+/**
+ * Download the best usable logo of a record
+ * Sets record.logo to the stored asset and record.extraction.logo to the winning strategy
+ * @param {Object} record - Scraped record with `logoCandidates`
+ * @param {AssetStore} store - Asset store
+ * @param {Object|null} root - Root domain metadata of the record's website (optional)
+ * @returns {Promise<Object|null>} Stored asset or null if no candidate was usable
+ */
+export async function captureLogo(record, store, root = null) {
+  const candidates = orderLogoCandidates([...(record.logoCandidates || []), ...rootLogoCandidates(root)]);
+
+  for (const { url, strategy } of candidates) {
+    const asset = await store.save(url);
+    if (asset) {
+      record.logo = asset;
+      record.extraction = { ...record.extraction, logo: strategy };
+      return asset;
+    }
+  }
+  return null;
+}
+
+/**
+ * Download the logos of scraped records
+ * @param {Object[]} records - Scraped records (websites already resolved)
+ * @param {AssetStore} store - Asset store
+ * @param {RootMetadataCache} rootCache - Root domain metadata loaded during the run (optional)
+ * @returns {Promise<number>} Number of records that got a logo
+ */
+export async function captureLogos(records, store, rootCache = null) {
+  console.log(`\n🖼️  Capturing logos for ${records.length} organisations...`);
+  let captured = 0;
+
+  for (const record of records) {
+    const root = rootCache && record.website ? rootCache.peek(record.website) : null;
+    if (await captureLogo(record, store, root)) captured++;
+  }
+
+  console.log(`🖼️  ${captured} of ${records.length} organisations have a logo`);
+  return captured;
+}
@@ -0,0 +1,133 @@
+/**
+ * Unit Tests for the Logo Extractor
+ * Tests candidate extraction from pages and root metadata, their order of
+ * preference and the fall-through past unusable images (stubbed asset store)
+ */
+
+import { describe, it } from 'mocha';
+import { expect } from 'chai';
+import { StaticPage } from './dom-adapter.js';
+import {
+  jsonLdImageUrl,
+  extractLogoCandidates,
+  rootLogoCandidates,
+  orderLogoCandidates,
+  captureLogo,
+  captureLogos
+} from './logo-extractor.js';
+
+const PAGE_URL = 'https://www.hub71.com/about/';
+
+const HTML = `<html><head>
+  <meta property="og:image" content="/media/og-card.jpg">
+  <link rel="apple-touch-icon" sizes="180x180" href="/apple-touch-icon.png">
+  <link rel="shortcut icon" href="/favicon.ico">
+  <script type="application/ld+json">{
+    "@graph": [{ "@type": "Organization", "name": "Hub71", "logo": { "@type": "ImageObject", "url": "https://www.hub71.com/logo.svg" } }]
+  }</script>
+</head><body><h1>About Hub71</h1></body></html>`;
+
+/**
+ * Asset store stub that accepts the given URLs and records every download
+ */
+function createStore(usable) {
+  const saved = [];
+  return {
+    saved,
+    save: async url => {
+      saved.push(url);
+      return usable.includes(url) ? { hash: 'abc', path: 'assets/ab/abc.png', mimeType: 'image/png', width: 64, height: 64, bytes: 100, sourceUrl: url } : null;
+    }
+  };
+}
+
+describe('Logo Extractor - candidates', () => {
+  it('should read schema.org image values', () => {
+    expect(jsonLdImageUrl('https://a.ae/logo.png')).to.equal('https://a.ae/logo.png');
+    expect(jsonLdImageUrl({ '@type': 'ImageObject', contentUrl: '/logo.png' })).to.equal('/logo.png');
+    expect(jsonLdImageUrl([{ url: '/one.png' }, '/two.png'])).to.equal('/one.png');
+    expect(jsonLdImageUrl(null)).to.be.null;
+  });
+
+  it('should find the JSON-LD logo, og:image, apple-touch-icon and favicon of a page', async () => {
+    const page = new StaticPage({ html: HTML, url: PAGE_URL });
+    expect(await extractLogoCandidates(page)).to.deep.equal([
+      { url: 'https://www.hub71.com/logo.svg', strategy: 'json-ld' },
+      { url: 'https://www.hub71.com/media/og-card.jpg', strategy: 'og:image' },
+      { url: 'https://www.hub71.com/apple-touch-icon.png', strategy: 'apple-touch-icon' },
+      { url: 'https://www.hub71.com/favicon.ico', strategy: 'favicon' }
+    ]);
+  });
+
+  it('should read microdata logos and return nothing for bare pages', async () => {
+    const microdata = new StaticPage({
+      url: PAGE_URL,
+      html: '<div itemscope itemtype="https://schema.org/Organization"><img itemprop="logo" src="/img/logo.png"></div>'
+    });
+    expect(await extractLogoCandidates(microdata)).to.deep.equal([{ url: 'https://www.hub71.com/img/logo.png', strategy: 'json-ld' }]);
+    expect(await extractLogoCandidates(new StaticPage({ html: '<p>Hi</p>', url: PAGE_URL }))).to.deep.equal([]);
+  });
+
+  it('should resolve root metadata candidates against the homepage', () => {
+    const root = {
+      rootUrl: 'https://www.hub71.com/',
+      ogImage: '/og.png',
+      appleTouchIcon: null,
+      favicon: 'https://www.hub71.com/favicon.ico',
+      structuredData: { name: 'Hub71', logo: '/logo.png' }
+    };
+    expect(rootLogoCandidates(root)).to.deep.equal([
+      { url: 'https://www.hub71.com/logo.png', strategy: 'root-json-ld' },
+      { url: 'https://www.hub71.com/og.png', strategy: 'root-og:image' },
+      { url: 'https://www.hub71.com/favicon.ico', strategy: 'root-favicon' }
+    ]);
+    expect(rootLogoCandidates(null)).to.deep.equal([]);
+  });
+
+  it('should put card images first, then each kind with the page before the root domain', () => {
+    const ordered = orderLogoCandidates([
+      { url: 'https://a.ae/favicon.ico', strategy: 'favicon' },
+      { url: 'https://a.ae/og.png', strategy: 'og:image' },
+      { url: 'https://a.ae/logo.png', strategy: 'root-json-ld' },
+      { url: 'https://a.ae/root-og.png', strategy: 'root-og:image' },
+      { url: 'https://a.ae/favicon.ico', strategy: 'root-favicon' },
+      { url: 'https://dir.ae/cards/a.png', strategy: 'listing-card' }
+    ]);
+    expect(ordered.map(c => c.strategy)).to.deep.equal(['listing-card', 'root-json-ld', 'og:image', 'root-og:image', 'favicon']);
+  });
+});
+
+describe('Logo Extractor - capture', () => {
+  it('should store the first usable candidate and record its strategy', async () => {
+    const record = {
+      name: 'Hub71',
+      extraction: { name: 'page-title' },
+      logoCandidates: [
+        { url: 'https://www.hub71.com/logo.svg', strategy: 'json-ld' },
+        { url: 'https://www.hub71.com/favicon.ico', strategy: 'favicon' }
+      ]
+    };
+    const store = createStore(['https://www.hub71.com/favicon.ico']);
+
+    const asset = await captureLogo(record, store);
+
+    expect(store.saved).to.deep.equal(['https://www.hub71.com/logo.svg', 'https://www.hub71.com/favicon.ico']);
+    expect(record.logo).to.equal(asset);
+    expect(record.extraction).to.deep.equal({ name: 'page-title', logo: 'favicon' });
+  });
+
+  it('should fall back to the root domain of listing records and leave records without logos alone', async () => {
+    const listed = { name: 'Mubadala', website: 'https://www.mubadala.com/', logo: null, logoCandidates: [], extraction: {} };
+    const bare = { name: 'Unknown', website: 'https://unknown.ae/', logo: null, logoCandidates: [], extraction: {} };
+    const rootCache = {
+      peek: url => url.includes('mubadala') ? { rootUrl: 'https://www.mubadala.com/', favicon: 'https://www.mubadala.com/favicon.png' } : null
+    };
+
+    const captured = await captureLogos([listed, bare], createStore(['https://www.mubadala.com/favicon.png']), rootCache);
+
+    expect(captured).to.equal(1);
+    expect(listed.logo.sourceUrl).to.equal('https://www.mubadala.com/favicon.png');
+    expect(listed.extraction.logo).to.equal('root-favicon');
+    expect(bare.logo).to.be.null;
+  });
+});
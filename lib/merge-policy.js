@@ -0,0 +1,379 @@
+/**
+ * Merge Policy Module
+ *
+ * Decides, field by field, what happens when a scrape updates an existing
+ * organisation, so a worse scrape (missing twitter, shorter description) or a
+ * degraded AI result can't destroy good data.
+ *
+ * Strategies:
+ * - overwrite:              always take the incoming value (even if empty)
+ * - preferNonNull:          take the incoming value unless it is empty
+ * - preferLonger:           keep whichever text is longer
+ * - preferHigherQuality:    take the incoming text only if its quality score
+ *                           (see lib/content-extractor.js) is at least the
+ *                           stored one; the longer text breaks a tie
+ * - preferHigherConfidence: take the incoming classification only if its AI
+ *                           confidence is at least the stored one
+ * - union:                  combine both lists (placeholders from a failed
+ *                           classification are not added)
+ * - cleanName:              keep the stored name unless it carries a tagline
+ * - mergeKeys:              sub-documents (socials, contact): each key takes
+ *                           the incoming value unless it is empty
+ * - keepExisting:           only fill an empty field
+ *
+ * Every field remembers who last set it in `fieldMeta`:
+ *   { source, sourceUrl, strategy, aiProvider, aiModel, runId, setAt, confidence, quality, manual, hash }
+ * `strategy` is the extractor strategy that produced the value (og:title,
+ * json-ld, selector, ...) or "ai-classification" for classification fields.
+ *
+ * Manual edits always win: a field is treated as manually edited when its
+ * meta is flagged `manual`, or when its current value no longer matches the
+ * hash of the value the bot last wrote (i.e. someone edited it in the
+ * database). Such fields are never overwritten by the bot.
+ */
+
+import crypto from 'crypto';
+import { preferredName } from './entity-resolver.js';
+import { descriptionQuality } from './content-extractor.js';
+
+export const MERGE_STRATEGIES = [
+  'overwrite',
+  'preferNonNull',
+  'preferLonger',
+  'preferHigherQuality',
+  'preferHigherConfidence',
+  'union',
+  'cleanName',
+  'mergeKeys',
+  'keepExisting'
+];
+
+// Fields set by the AI classifier rather than an extractor
+export const CLASSIFICATION_FIELDS = ['categories', 'subcategories', 'roles'];
+
+export const DEFAULT_FIELD_POLICIES = {
+  name: 'cleanName',
+  website: 'preferNonNull',
+  country: 'preferNonNull',
+  description: 'preferHigherQuality',
+  name_ar: 'preferNonNull',
+  description_ar: 'preferLonger',
+  twitter: 'preferNonNull',
+  socials: 'mergeKeys',
+  contact: 'mergeKeys',
+  logo: 'preferNonNull',
+  about: 'preferNonNull',
+  categories: 'preferHigherConfidence',
+  subcategories: 'preferHigherConfidence',
+  roles: 'union'
+};
+
+/**
+ * Merge policy overrides with the defaults and validate them
+ * @param {Object|null} overrides - { field: strategy } (e.g. from a source profile)
+ * @returns {Object} Complete field policy
+ * @throws {Error} If a field or strategy is unknown
+ */
+export function normalizeMergePolicy(overrides) {
+  const policy = { ...DEFAULT_FIELD_POLICIES };
+
+  for (const [field, strategy] of Object.entries(overrides || {})) {
+    if (!(field in DEFAULT_FIELD_POLICIES)) {
+      throw new Error(`merge policy for unknown field "${field}" (expected ${Object.keys(DEFAULT_FIELD_POLICIES).join(', ')})`);
+    }
+    if (!MERGE_STRATEGIES.includes(strategy)) {
+      throw new Error(`invalid merge strategy "${strategy}" for "${field}" (expected ${MERGE_STRATEGIES.join(', ')})`);
+    }
+    policy[field] = strategy;
+  }
+
+  return policy;
+}
+
+/**
+ * Check whether a value is a sub-document (plain object, not a list or date)
+ * @param {*} value - Field value
+ * @returns {boolean} True for objects such as socials and contact
+ */
+function isSubDocument(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value) && !(value instanceof Date);
+}
+
+/**
+ * Check whether a field value is empty (null, blank string, empty list or
+ * sub-document without values)
+ * @param {*} value - Field value
+ * @returns {boolean} True if empty
+ */
+function isEmpty(value) {
+  if (value === null || value === undefined) return true;
+  if (typeof value === 'string') return value.trim() === '';
+  if (Array.isArray(value)) return value.length === 0;
+  if (isSubDocument(value)) return Object.values(value).every(isEmpty);
+  return false;
+}
+
+/**
+ * Read a field from a mongoose document or plain object
+ * @param {Object} record - Document or object
+ * @param {string} field - Field name
+ * @returns {*} Field value
+ */
+function readField(record, field) {
+  const value = typeof record.get === 'function' ? record.get(field) : record[field];
+  return Array.isArray(value) ? [...value] : value;
+}
+
+/**
+ * Read the stored meta of a field
+ * @param {Object} record - Document or object with `fieldMeta` (Map or object)
+ * @param {string} field - Field name
+ * @returns {Object|null} Field meta
+ */
+export function getFieldMeta(record, field) {
+  const meta = record.fieldMeta;
+  if (!meta) return null;
+  return (meta instanceof Map ? meta.get(field) : meta[field]) || null;
+}
+
+/**
+ * Store the meta of a field
+ * @param {Object} record - Document or object
+ * @param {string} field - Field name
+ * @param {Object} meta - Field meta
+ */
+function setFieldMeta(record, field, meta) {
+  if (!record.fieldMeta) record.fieldMeta = {};
+  if (record.fieldMeta instanceof Map) {
+    record.fieldMeta.set(field, meta);
+  } else {
+    record.fieldMeta[field] = meta;
+  }
+}
+
+/**
+ * Hash a field value so later runs can tell whether it was edited by hand
+ * @param {*} value - Field value
+ * @returns {string} Short hash
+ */
+export function valueHash(value) {
+  // Sub-document keys are sorted: mongoose keeps them in the order they were set
+  const normalized = Array.isArray(value) ? [...value]
+    : isSubDocument(value) ? Object.fromEntries(Object.entries(value).sort(([a], [b]) => a.localeCompare(b)))
+    : (value ?? null);
+  return crypto.createHash('sha1').update(JSON.stringify(normalized)).digest('hex').slice(0, 16);
+}
+
+/**
+ * Check whether a stored value was set (or changed) by hand
+ * @param {*} value - Current stored value
+ * @param {Object|null} meta - Field meta
+ * @returns {boolean} True if the bot must not touch the field
+ */
+export function isManualValue(value, meta) {
+  if (!meta) return false;
+  if (meta.manual) return true;
+  return Boolean(meta.hash) && valueHash(value) !== meta.hash;
+}
+
+/**
+ * Apply one strategy to a field
+ * @param {string} strategy - Merge strategy
+ * @param {*} current - Stored value
+ * @param {*} incoming - Newly scraped value
+ * @param {Object} confidence - { current, incoming } AI confidence of both values
+ * @param {Object} quality - { current, incoming } quality scores of both texts
+ *   (computed from the text when missing)
+ * @returns {{value: *, winner: 'incoming'|'existing'|'union'}} Merged value and which side it came from
+ */
+export function mergeField(strategy, current, incoming, confidence = {}, quality = {}) {
+  const currentConfidence = confidence.current ?? 0;
+  const incomingConfidence = confidence.incoming ?? 0;
+  const take = value => ({ value, winner: value === incoming ? 'incoming' : 'existing' });
+
+  switch (strategy) {
+    case 'overwrite':
+      return take(incoming);
+
+    case 'preferNonNull':
+      return take(isEmpty(incoming) ? current : incoming);
+
+    case 'preferLonger':
+      if (isEmpty(incoming)) return take(current);
+      if (isEmpty(current)) return take(incoming);
+      return take(incoming.length >= current.length ? incoming : current);
+
+    case 'preferHigherQuality': {
+      if (isEmpty(incoming)) return take(current);
+      if (isEmpty(current)) return take(incoming);
+      const currentQuality = quality.current ?? descriptionQuality(current);
+      const incomingQuality = quality.incoming ?? descriptionQuality(incoming);
+      if (incomingQuality !== currentQuality) return take(incomingQuality > currentQuality ? incoming : current);
+      return take(incoming.length >= current.length ? incoming : current);
+    }
+
+    case 'preferHigherConfidence':
+      if (isEmpty(incoming)) return take(current);
+      if (isEmpty(current)) return take(incoming);
+      return take(incomingConfidence >= currentConfidence ? incoming : current);
+
+    case 'union': {
+      if (isEmpty(current)) return take(incoming);
+      // A failed classification only carries placeholder values
+      if (isEmpty(incoming) || incomingConfidence === 0) return take(current);
+      const union = [...new Set([...current, ...incoming])];
+      return union.length === current.length ? take(current) : { value: union, winner: 'union' };
+    }
+
+    case 'cleanName':
+      return take(preferredName(current, incoming));
+
+    case 'mergeKeys': {
+      if (isEmpty(incoming)) return take(current);
+      if (isEmpty(current)) return take(incoming);
+      const merged = {};
+      for (const key of new Set([...Object.keys(current), ...Object.keys(incoming)])) {
+        merged[key] = isEmpty(incoming[key]) ? (current[key] ?? null) : incoming[key];
+      }
+      if (valueHash(merged) === valueHash(current)) return take(current);
+      if (valueHash(merged) === valueHash(incoming)) return take(incoming);
+      return { value: merged, winner: 'union' };
+    }
+
+    case 'keepExisting':
+      return take(isEmpty(current) ? incoming : current);
+
+    default:
+      throw new Error(`invalid merge strategy "${strategy}"`);
+  }
+}
+
+/**
+ * Merge an incoming organisation into a stored one, field by field
+ *
+ * Usage example:
+ * ```javascript
+ * const context = { source: 'hub71', sourceUrl, runId, confidence: aiResult.confidence, extraction: orgData.extraction, quality: orgData.quality };
+ * const merge = mergeOrganisation(existing, orgData, context);
+ * applyMerge(existing, merge, context);
+ * // merge.decisions → { description: 'existing', twitter: 'manual', ... }
+ * ```
+ *
+ * @param {Object} existing - Stored document or object
+ * @param {Object} incoming - Newly scraped organisation
+ * @param {Object} context - { source, sourceUrl, runId, confidence, quality } of the incoming data,
+ *   where `quality` maps field → quality score
+ * @param {Object} policy - { field: strategy } (default DEFAULT_FIELD_POLICIES)
+ * @returns {{updates: Object, decisions: Object}} Changed values and, per field,
+ *   'incoming' | 'existing' | 'union' | 'manual'
+ */
+export function mergeOrganisation(existing, incoming, context = {}, policy = DEFAULT_FIELD_POLICIES) {
+  const updates = {};
+  const decisions = {};
+
+  for (const [field, strategy] of Object.entries(policy)) {
+    if (!(field in incoming)) continue;
+
+    const current = readField(existing, field);
+    const meta = getFieldMeta(existing, field);
+
+    if (isManualValue(current, meta)) {
+      decisions[field] = 'manual';
+      continue;
+    }
+
+    // An unchanged value keeps the provenance of the run that first set it
+    if (valueHash(incoming[field]) === valueHash(current)) {
+      decisions[field] = 'existing';
+      continue;
+    }
+
+    const { value, winner } = mergeField(strategy, current, incoming[field], {
+      current: meta?.confidence ?? existing.status?.confidence ?? 0,
+      incoming: context.confidence ?? 0
+    }, {
+      current: meta?.quality ?? null,
+      incoming: context.quality?.[field] ?? null
+    });
+
+    decisions[field] = winner;
+    if (valueHash(value) !== valueHash(current)) {
+      updates[field] = value;
+    }
+  }
+
+  return { updates, decisions };
+}
+
+/**
+ * Record who set the given fields, hashing the values as stored
+ * @param {Object} record - Document or object (values already set)
+ * @param {string[]} fields - Fields to stamp
+ * @param {Object} context - { source, sourceUrl, runId, confidence, extraction, quality, aiProvider, aiModel }
+ *   where `extraction` maps field → extractor strategy and `quality` field → quality score
+ * @param {Object} extra - Additional meta (e.g. { manual: true })
+ */
+export function stampFieldMeta(record, fields, context = {}, extra = {}) {
+  const setAt = new Date();
+  for (const field of fields) {
+    const classified = CLASSIFICATION_FIELDS.includes(field) && Boolean(context.aiProvider);
+    setFieldMeta(record, field, {
+      source: context.source || null,
+      sourceUrl: context.sourceUrl || null,
+      strategy: classified ? 'ai-classification' : (context.extraction?.[field] || null),
+      aiProvider: classified ? context.aiProvider : null,
+      aiModel: classified ? context.aiModel || null : null,
+      runId: context.runId || null,
+      setAt,
+      confidence: context.confidence ?? null,
+      quality: context.quality?.[field] ?? null,
+      manual: false,
+      ...extra,
+      hash: valueHash(readField(record, field))
+    });
+  }
+}
+
+/**
+ * Apply a merge result to a stored document
+ * Fields taken from the incoming data get fresh meta; fields found to be
+ * edited by hand are flagged `manual` so they stay protected
+ * @param {Object} record - Stored document or object
+ * @param {Object} merge - Result of mergeOrganisation
+ * @param {Object} context - { source, sourceUrl, runId, confidence }
+ */
+export function applyMerge(record, merge, context = {}) {
+  for (const [field, value] of Object.entries(merge.updates)) {
+    if (typeof record.set === 'function') {
+      record.set(field, value);
+    } else {
+      record[field] = value;
+    }
+  }
+
+  const taken = Object.keys(merge.decisions).filter(field => ['incoming', 'union'].includes(merge.decisions[field]));
+  stampFieldMeta(record, taken, context);
+
+  for (const field of Object.keys(merge.decisions).filter(field => merge.decisions[field] === 'manual')) {
+    if (!getFieldMeta(record, field)?.manual) {
+      stampFieldMeta(record, [field], { source: 'manual' }, { manual: true });
+    }
+  }
+}
+
+/**
+ * Record a manual edit so the bot never overwrites it
+ * @param {Object} record - Stored document or object
+ * @param {Object} values - { field: value } edits
+ * @param {string} editor - Who made the edit (stored as source "manual:<editor>")
+ */
+export function markManualEdit(record, values, editor = 'unknown') {
+  for (const [field, value] of Object.entries(values)) {
+    if (typeof record.set === 'function') {
+      record.set(field, value);
+    } else {
+      record[field] = value;
+    }
+  }
+  stampFieldMeta(record, Object.keys(values), { source: `manual:${editor}` }, { manual: true });
+}
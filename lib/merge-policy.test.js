@@ -0,0 +1,238 @@
+/**
+ * Unit Tests for Merge Policy
+ * Tests per-field strategies, manual-edit protection and field provenance
+ */
+
+import fc from 'fast-check';
+import { describe, it } from 'mocha';
+import { expect } from 'chai';
+import {
+  DEFAULT_FIELD_POLICIES,
+  normalizeMergePolicy,
+  valueHash,
+  isManualValue,
+  mergeField,
+  mergeOrganisation,
+  applyMerge,
+  stampFieldMeta,
+  markManualEdit,
+  getFieldMeta
+} from './merge-policy.js';
+
+const CONTEXT = { source: 'hub71', sourceUrl: 'https://www.hub71.com/partners', runId: 'run-2', confidence: 0.6 };
+
+/**
+ * Stored record as written by an earlier run
+ */
+function storedRecord(overrides = {}) {
+  const record = {
+    name: 'Hub71',
+    website: 'https://hub71.com/',
+    country: 'United Arab Emirates',
+    description: 'Abu Dhabi global tech ecosystem for startups',
+    twitter: '@Hub71ad',
+    categories: ['SUPPORT INFRASTRUCTURE'],
+    subcategories: ['Incubators/Accelerators'],
+    roles: ['Supports startups scaling from Abu Dhabi'],
+    status: { confidence: 0.9 },
+    ...overrides
+  };
+  stampFieldMeta(record, Object.keys(DEFAULT_FIELD_POLICIES), { source: 'hub71', runId: 'run-1', confidence: 0.9 });
+  return record;
+}
+
+describe('Merge Policy - normalizeMergePolicy', () => {
+  it('should apply overrides on top of the defaults', () => {
+    const policy = normalizeMergePolicy({ description: 'overwrite' });
+    expect(policy.description).to.equal('overwrite');
+    expect(policy.roles).to.equal('union');
+    expect(normalizeMergePolicy(null)).to.deep.equal(DEFAULT_FIELD_POLICIES);
+  });
+
+  it('should reject unknown fields and strategies', () => {
+    expect(() => normalizeMergePolicy({ favicon: 'overwrite' })).to.throw(/unknown field/);
+    expect(() => normalizeMergePolicy({ twitter: 'newest' })).to.throw(/invalid merge strategy/);
+  });
+});
+
+describe('Merge Policy - mergeField', () => {
+  it('should prefer non-null values', () => {
+    expect(mergeField('preferNonNull', '@a', null)).to.deep.equal({ value: '@a', winner: 'existing' });
+    expect(mergeField('preferNonNull', '@a', '@b')).to.deep.equal({ value: '@b', winner: 'incoming' });
+    expect(mergeField('preferNonNull', null, '  ').value).to.be.null;
+  });
+
+  it('should keep the longer text', () => {
+    expect(mergeField('preferLonger', 'A long description', 'Short').winner).to.equal('existing');
+    expect(mergeField('preferLonger', 'Short', 'A long description').winner).to.equal('incoming');
+  });
+
+  it('should keep the better description, not just the longer one', () => {
+    const description = 'Hub71 is Abu Dhabi\'s global tech ecosystem for startups scaling across the region.';
+    const notice = 'We use cookies to improve your experience on our website. By continuing to browse you accept all cookies and our privacy policy.';
+    expect(mergeField('preferHigherQuality', description, notice).winner).to.equal('existing');
+    expect(mergeField('preferHigherQuality', notice, description).winner).to.equal('incoming');
+    expect(mergeField('preferHigherQuality', description, notice, {}, { current: 0.4, incoming: 0.9 }).winner).to.equal('incoming');
+    expect(mergeField('preferHigherQuality', 'Old', 'Newer').winner).to.equal('incoming');
+  });
+
+  it('should only replace a classification with an equally or more confident one', () => {
+    expect(mergeField('preferHigherConfidence', ['A'], ['B'], { current: 0.9, incoming: 0.6 }).value).to.deep.equal(['A']);
+    expect(mergeField('preferHigherConfidence', ['A'], ['B'], { current: 0.6, incoming: 0.9 }).value).to.deep.equal(['B']);
+  });
+
+  it('should union lists but ignore placeholders from a failed classification', () => {
+    expect(mergeField('union', ['A'], ['A', 'B'], { incoming: 0.8 })).to.deep.equal({ value: ['A', 'B'], winner: 'union' });
+    expect(mergeField('union', ['A'], ['Organisation pending classification'], { incoming: 0 }).value).to.deep.equal(['A']);
+    expect(mergeField('union', [], ['B'], { incoming: 0 }).value).to.deep.equal(['B']);
+  });
+
+  it('should prefer a tagline-free name', () => {
+    expect(mergeField('cleanName', 'Hub71 | Home', 'Hub71').value).to.equal('Hub71');
+    expect(mergeField('cleanName', 'Hub71', 'Hub71 | Home').value).to.equal('Hub71');
+  });
+
+  it('should merge sub-documents key by key', () => {
+    const stored = { linkedin: 'https://www.linkedin.com/company/hub71', instagram: 'https://www.instagram.com/hub71ad', facebook: null };
+    const scraped = { facebook: 'https://www.facebook.com/hub71ad', instagram: null, linkedin: 'https://www.linkedin.com/company/hub71' };
+
+    expect(mergeField('mergeKeys', stored, scraped)).to.deep.equal({
+      value: { linkedin: 'https://www.linkedin.com/company/hub71', instagram: 'https://www.instagram.com/hub71ad', facebook: 'https://www.facebook.com/hub71ad' },
+      winner: 'union'
+    });
+    expect(mergeField('mergeKeys', stored, { ...stored, facebook: null, instagram: null }).winner).to.equal('existing');
+    expect(mergeField('mergeKeys', stored, { linkedin: null, instagram: null, facebook: null }).value).to.equal(stored);
+    expect(mergeField('mergeKeys', null, scraped).value).to.equal(scraped);
+  });
+
+  it('should hash sub-documents regardless of key order', () => {
+    expect(valueHash({ email: 'info@hub71.com', phone: null })).to.equal(valueHash({ phone: null, email: 'info@hub71.com' }));
+  });
+
+  it('should never turn a present value into an empty one (except overwrite)', () => {
+    const strategies = ['preferNonNull', 'preferLonger', 'preferHigherQuality', 'preferHigherConfidence', 'keepExisting'];
+    fc.assert(
+      fc.property(fc.constantFrom(...strategies), fc.string({ minLength: 1 }).filter(s => s.trim()), fc.constantFrom(null, '', undefined), (strategy, current, incoming) => {
+        expect(mergeField(strategy, current, incoming, { incoming: 1 }).value).to.equal(current);
+      }),
+      { numRuns: 50 }
+    );
+    expect(mergeField('overwrite', '@a', null).value).to.be.null;
+  });
+});
+
+describe('Merge Policy - manual edits', () => {
+  it('should detect values changed since the bot wrote them', () => {
+    const meta = { hash: valueHash('Original'), manual: false };
+    expect(isManualValue('Original', meta)).to.be.false;
+    expect(isManualValue('Edited by hand', meta)).to.be.true;
+    expect(isManualValue('Anything', { manual: true })).to.be.true;
+    expect(isManualValue('Legacy value', null)).to.be.false;
+  });
+
+  it('should never overwrite fields edited in the database', () => {
+    const record = storedRecord();
+    record.description = 'Curated description';
+
+    const merge = mergeOrganisation(record, { description: 'A much longer scraped description that would normally win' }, CONTEXT);
+    expect(merge.decisions.description).to.equal('manual');
+    expect(merge.updates).to.not.have.property('description');
+
+    applyMerge(record, merge, CONTEXT);
+    expect(getFieldMeta(record, 'description')).to.include({ manual: true, source: 'manual' });
+  });
+
+  it('should protect fields marked with markManualEdit', () => {
+    const record = storedRecord();
+    markManualEdit(record, { twitter: '@hub71_official' }, 'ops');
+    expect(getFieldMeta(record, 'twitter')).to.include({ manual: true, source: 'manual:ops' });
+
+    const merge = mergeOrganisation(record, { twitter: '@other' }, { ...CONTEXT, confidence: 1 });
+    expect(merge.decisions.twitter).to.equal('manual');
+    expect(merge.updates).to.deep.equal({});
+  });
+});
+
+describe('Merge Policy - mergeOrganisation', () => {
+  it('should keep good data when a worse scrape comes in', () => {
+    const record = storedRecord();
+    const merge = mergeOrganisation(record, {
+      name: 'Hub71 | Home',
+      twitter: null,
+      description: 'Tech hub',
+      categories: ['GROWTH & INNOVATION'],
+      roles: ['Organisation pending classification']
+    }, { ...CONTEXT, confidence: 0 });
+
+    expect(merge.updates).to.deep.equal({});
+    expect(merge.decisions).to.deep.equal({
+      name: 'existing',
+      description: 'existing',
+      twitter: 'existing',
+      categories: 'existing',
+      roles: 'existing'
+    });
+  });
+
+  it('should take better data and record who set it', () => {
+    const record = storedRecord({ twitter: null, status: { confidence: 0.5 } });
+    const merge = mergeOrganisation(record, {
+      twitter: '@Hub71ad',
+      categories: ['GROWTH & INNOVATION'],
+      roles: ['Runs the Hub71+ programmes']
+    }, { ...CONTEXT, confidence: 0.95 });
+
+    // Stored meta confidence (0.9) is compared, not the record status
+    expect(merge.updates).to.deep.equal({
+      twitter: '@Hub71ad',
+      categories: ['GROWTH & INNOVATION'],
+      roles: ['Supports startups scaling from Abu Dhabi', 'Runs the Hub71+ programmes']
+    });
+
+    applyMerge(record, merge, { ...CONTEXT, confidence: 0.95 });
+    expect(record.twitter).to.equal('@Hub71ad');
+    expect(getFieldMeta(record, 'twitter')).to.include({ source: 'hub71', runId: 'run-2', manual: false });
+    expect(getFieldMeta(record, 'categories').confidence).to.equal(0.95);
+    expect(getFieldMeta(record, 'description').runId).to.equal('run-1');
+    expect(isManualValue(record.roles, getFieldMeta(record, 'roles'))).to.be.false;
+  });
+
+  it('should compare description quality scores and store the one taken', () => {
+    const record = storedRecord();
+    getFieldMeta(record, 'description').quality = 0.95;
+    const longer = 'Hub71 is a global tech ecosystem in Abu Dhabi that supports startups with incentives and programmes.';
+
+    expect(mergeOrganisation(record, { description: longer }, { ...CONTEXT, quality: { description: 0.6 } }).decisions.description).to.equal('existing');
+
+    const merge = mergeOrganisation(record, { description: longer }, { ...CONTEXT, quality: { description: 0.98 } });
+    applyMerge(record, merge, { ...CONTEXT, quality: { description: 0.98 } });
+    expect(record.description).to.equal(longer);
+    expect(getFieldMeta(record, 'description')).to.include({ quality: 0.98, runId: 'run-2' });
+    expect(getFieldMeta(record, 'twitter').quality).to.be.null;
+  });
+
+  it('should leave unchanged values and their provenance alone', () => {
+    const record = storedRecord({ twitter: null });
+    const merge = mergeOrganisation(record, {
+      name: 'Hub71',
+      description: 'Abu Dhabi global tech ecosystem for startups',
+      twitter: null,
+      categories: ['SUPPORT INFRASTRUCTURE']
+    }, { ...CONTEXT, confidence: 0.95 });
+
+    expect(merge.updates).to.deep.equal({});
+    expect(Object.values(merge.decisions)).to.deep.equal(['existing', 'existing', 'existing', 'existing']);
+
+    applyMerge(record, merge, { ...CONTEXT, confidence: 0.95 });
+    expect(getFieldMeta(record, 'name').runId).to.equal('run-1');
+    expect(getFieldMeta(record, 'description').runId).to.equal('run-1');
+    expect(getFieldMeta(record, 'twitter').runId).to.equal('run-1');
+  });
+
+  it('should work with Map-based field meta', () => {
+    const record = { description: 'Old', fieldMeta: new Map() };
+    const merge = mergeOrganisation(record, { description: 'Newer and longer' }, CONTEXT);
+    applyMerge(record, merge, CONTEXT);
+    expect(record.fieldMeta.get('description').runId).to.equal('run-2');
+  });
+});
@@ -234,13 +234,23 @@ function initializeKeyPools() {
  * Build the classification prompt for AI providers
  * 
  * @param {Object} orgData - Organisation data with name, description, website
+ *   and, for Arabic pages, name_ar / description_ar
  * @returns {string} Formatted prompt for AI classification
  */
 function buildClassificationPrompt(orgData) {
+  // Arabic names/descriptions are passed alongside the English ones (see lib/language.js)
+  const arabicName = orgData.name_ar && orgData.name_ar !== orgData.name
+    ? `\nArabic name: "${orgData.name_ar}"` : '';
+  const arabicDescription = orgData.description_ar && orgData.description_ar !== orgData.description && orgData.description
+    ? `\nArabic description: "${orgData.description_ar}"` : '';
+  // Main content of the organisation's About pages (see lib/about-pages.js)
+  const aboutPages = orgData.about && orgData.about.text
+    ? `\nAbout pages (from the organisation's own website): "${orgData.about.text}"` : '';
+
   return `Analyze this organization for the UAE Startup Ecosystem.
-Name: "${orgData.name || 'Unknown'}"
-Description: "${orgData.description || 'No description available'}"
-Website: "${orgData.website || 'Unknown'}"
+Name: "${orgData.name || 'Unknown'}"${arabicName}
+Description: "${orgData.description || orgData.description_ar || 'No description available'}"${arabicDescription}
+Website: "${orgData.website || 'Unknown'}"${aboutPages}
 
 Task: Return ONLY valid JSON with these exact fields:
 {
@@ -261,10 +271,13 @@ Allowed subcategories by category:
 - POLICY & PUBLIC AGENCIES: National & Regional Enterprise Agencies, Local Government Authorities, Regulatory Bodies
 
 Rules:
-- Use ONLY information from the provided description
+- Use ONLY information from the provided description and About pages
 - Do NOT infer or generate missing data
 - Set confidence based on description quality
 - If description is unclear, set confidence < 0.7
+- The name and description may be in Arabic; read them as given, do not guess a translation of the name
+- Write role_summary in English
+- Use the exact English category and subcategory strings listed above
 - Return ONLY the JSON object, no additional text`;
 }
 
@@ -0,0 +1,213 @@
+/**
+ * Overlay Dismisser Module
+ *
+ * Many target sites open with a cookie-consent banner or a newsletter modal
+ * that covers the content and whose text ends up in the extracted
+ * description. After a page loads in the browser this step:
+ * 1. Accepts the banners of common consent frameworks (OneTrust, Cookiebot,
+ *    Didomi, CookieYes, Complianz, Osano, TrustArc, Quantcast, Cookie Notice)
+ * 2. Clicks a generic accept button ("Accept all", "Got it", "موافق", ...)
+ *    inside other cookie/consent banners
+ * 3. Closes modals and popups (close buttons, "No thanks", "إغلاق"), then
+ *    presses Escape if one is still open
+ *
+ * Pages where a blocking overlay is still visible afterwards are listed in
+ * ErrorSummary (overlaysNotCleared). Plain HTTP pages are left alone: they
+ * render no scripts, and lib/content-extractor.js drops banner markup.
+ *
+ * Usage example:
+ * ```javascript
+ * const response = await retryPageGoto(page, url, { waitUntil: 'networkidle', dismissOverlays: true }, errorSummary);
+ * // or on a loaded page
+ * await dismissOverlays(page, url, errorSummary);
+ * ```
+ */
+
+// Consent frameworks: the banner and its "accept" button
+export const CONSENT_FRAMEWORKS = [
+  { name: 'OneTrust', banner: '#onetrust-banner-sdk', accept: '#onetrust-accept-btn-handler' },
+  {
+    name: 'Cookiebot',
+    banner: '#CybotCookiebotDialog',
+    accept: '#CybotCookiebotDialogBodyLevelButtonLevelOptinAllowAll, #CybotCookiebotDialogBodyButtonAccept, #CybotCookiebotDialogBodyLevelButtonAccept'
+  },
+  { name: 'Didomi', banner: '#didomi-popup, #didomi-notice', accept: '#didomi-notice-agree-button' },
+  { name: 'CookieYes', banner: '.cky-consent-container', accept: '.cky-btn-accept' },
+  { name: 'Complianz', banner: '.cmplz-cookiebanner', accept: '.cmplz-accept' },
+  { name: 'Osano', banner: '.osano-cm-dialog', accept: '.osano-cm-accept-all' },
+  { name: 'TrustArc', banner: '#truste-consent-track', accept: '#truste-consent-button' },
+  { name: 'Quantcast', banner: '.qc-cmp2-container', accept: '.qc-cmp2-summary-buttons button[mode="primary"]' },
+  { name: 'Cookie Notice', banner: '#cookie-notice', accept: '#cn-accept-cookie' }
+];
+
+// Banners of other consent tools and hand-made cookie notices
+const CONSENT_CONTAINERS = [
+  '[id*="cookie" i]', '[class*="cookie" i]', '[id*="consent" i]', '[class*="consent" i]',
+  '[id*="gdpr" i]', '[class*="gdpr" i]', '[aria-label*="cookie" i]', '[aria-label*="consent" i]'
+].join(', ');
+
+// Accept buttons of consent banners, English and Arabic ("موافق" = agree, "قبول" = accept)
+export const ACCEPT_TEXT = /^(accept|accept all|accept all cookies|accept cookies|accept and close|allow all|allow all cookies|allow cookies|i accept|agree|i agree|agree and close|ok|okay|got it|understood|موافق|أوافق|قبول|قبول الكل|قبول الجميع|حسنا|حسناً|فهمت)[.!]?$/i;
+
+// Modals and popups (newsletter sign-ups, announcements)
+const OVERLAYS = [
+  '[role="dialog"][aria-modal="true"]', '[role="alertdialog"]', '.modal.show', '.modal.in', '.modal.is-open',
+  '[class*="popup" i]', '[id*="popup" i]', '[class*="newsletter" i][class*="modal" i]', '.mfp-wrap', '.fancybox-container'
+].join(', ');
+
+const CLOSE_BUTTONS = [
+  '[aria-label*="close" i]', '[aria-label*="dismiss" i]', '[title*="close" i]', '[data-dismiss="modal"]',
+  '[data-bs-dismiss="modal"]', '.close', '[class*="close-button" i]', '[class*="btn-close" i]', '.mfp-close'
+].join(', ');
+
+// Close buttons without a label ("إغلاق" = close, "لا شكرا" = no thanks)
+export const CLOSE_TEXT = /^(×|✕|✖|x|close|no thanks|no, thanks|not now|maybe later|skip|dismiss|إغلاق|اغلاق|لا شكرا|لا شكراً|ليس الآن)$/i;
+
+// Rounds of clicking (a newsletter modal often opens once the banner is gone)
+const MAX_ROUNDS = 3;
+
+// Time for banners and modals to animate out
+const SETTLE_DELAY = 500;
+
+const SELECTORS = {
+  frameworks: CONSENT_FRAMEWORKS,
+  consent: CONSENT_CONTAINERS,
+  overlays: OVERLAYS,
+  closeButtons: CLOSE_BUTTONS,
+  acceptPattern: ACCEPT_TEXT.source,
+  closePattern: CLOSE_TEXT.source
+};
+
+/**
+ * Click the accept and close buttons of visible banners and overlays
+ * Runs in the page (Playwright page.evaluate)
+ * @param {Object} selectors - SELECTORS
+ * @returns {string[]} What was dismissed, e.g. ['OneTrust', 'overlay']
+ */
+function clickDismissButtons({ frameworks, consent, overlays, closeButtons, acceptPattern, closePattern }) {
+  const isVisible = el => {
+    const style = window.getComputedStyle(el);
+    const rect = el.getBoundingClientRect();
+    return rect.width > 0 && rect.height > 0 && style.display !== 'none' && style.visibility !== 'hidden' && style.opacity !== '0';
+  };
+  const visible = (root, selector) => Array.from(root.querySelectorAll(selector)).filter(isVisible);
+  const labelled = (root, pattern) => visible(root, 'button, a, [role="button"], input[type="button"], input[type="submit"]')
+    .find(el => new RegExp(pattern, 'i').test((el.textContent || el.value || '').replace(/\s+/g, ' ').trim()));
+
+  const dismissed = [];
+  for (const { name, banner, accept } of frameworks) {
+    if (visible(document, banner).length === 0) continue;
+    const button = visible(document, accept)[0];
+    if (button) {
+      button.click();
+      dismissed.push(name);
+    }
+  }
+
+  if (dismissed.length === 0) {
+    for (const container of visible(document, consent)) {
+      const button = labelled(container, acceptPattern);
+      if (button) {
+        button.click();
+        dismissed.push('consent banner');
+        break;
+      }
+    }
+  }
+
+  for (const overlay of visible(document, overlays)) {
+    const button = visible(overlay, closeButtons)[0] || labelled(overlay, closePattern);
+    if (button) {
+      button.click();
+      dismissed.push('overlay');
+    }
+  }
+
+  return dismissed;
+}
+
+/**
+ * Describe the banners and overlays still covering the page
+ * Only fixed or sticky elements and modal dialogs count: an inline
+ * "cookie policy" link or a popup-styled card in the content is no overlay
+ * Runs in the page (Playwright page.evaluate)
+ * @param {Object} selectors - SELECTORS
+ * @returns {string[]} Labels such as 'OneTrust' or 'div#newsletter-popup'
+ */
+function findBlockingOverlays({ frameworks, consent, overlays }) {
+  const isVisible = el => {
+    const style = window.getComputedStyle(el);
+    const rect = el.getBoundingClientRect();
+    return rect.width > 0 && rect.height > 0 && style.display !== 'none' && style.visibility !== 'hidden' && style.opacity !== '0';
+  };
+  const isBlocking = el => {
+    if (el.getAttribute('aria-modal') === 'true') return true;
+    for (let node = el; node && node !== document.body; node = node.parentElement) {
+      if (['fixed', 'sticky'].includes(window.getComputedStyle(node).position)) return true;
+    }
+    return false;
+  };
+  const label = el => `${el.tagName.toLowerCase()}${el.id ? `#${el.id}` : ''}${typeof el.className === 'string' && el.className.trim() ? `.${el.className.trim().split(/\s+/)[0]}` : ''}`;
+
+  const remaining = new Set();
+  const claimed = [];
+  for (const { name, banner } of frameworks) {
+    const found = Array.from(document.querySelectorAll(banner)).filter(isVisible);
+    if (found.length > 0) {
+      remaining.add(name);
+      claimed.push(...found);
+    }
+  }
+  for (const el of document.querySelectorAll(`${consent}, ${overlays}`)) {
+    if (!isVisible(el) || !isBlocking(el)) continue;
+    // One label per overlay, not one per nested match
+    if (claimed.some(other => other.contains(el) || el.contains(other))) continue;
+    claimed.push(el);
+    remaining.add(label(el));
+  }
+  return [...remaining];
+}
+
+/**
+ * Dismiss consent banners and overlays on a loaded page
+ * Never throws: a failure is logged and the page is reported as not cleared
+ * @param {Page|StaticPage} page - Playwright page (StaticPages are skipped)
+ * @param {string} url - Page URL (for logs and the error summary)
+ * @param {ErrorSummary} errorSummary - Receives pages whose overlay couldn't be cleared (optional)
+ * @returns {Promise<{dismissed: string[], remaining: string[]}>} What was clicked away
+ *   and what still covers the page
+ */
+export async function dismissOverlays(page, url, errorSummary = null) {
+  if (page.isStatic) return { dismissed: [], remaining: [] };
+
+  try {
+    const dismissed = [];
+    for (let round = 0; round < MAX_ROUNDS; round++) {
+      const clicked = await page.evaluate(clickDismissButtons, SELECTORS);
+      if (clicked.length === 0) break;
+      dismissed.push(...clicked);
+      await page.waitForTimeout(SETTLE_DELAY);
+    }
+
+    let remaining = await page.evaluate(findBlockingOverlays, SELECTORS);
+    if (remaining.length > 0) {
+      await page.keyboard.press('Escape');
+      await page.waitForTimeout(SETTLE_DELAY);
+      remaining = await page.evaluate(findBlockingOverlays, SELECTORS);
+    }
+
+    if (dismissed.length > 0) {
+      console.log(`   🍪 Dismissed ${[...new Set(dismissed)].join(', ')} on ${url}`);
+    }
+    if (remaining.length > 0) {
+      console.warn(`   ⚠️  Overlay not cleared on ${url}: ${remaining.join(', ')}`);
+      if (errorSummary) errorSummary.addOverlayNotCleared(url, remaining.join(', '));
+    }
+    return { dismissed: [...new Set(dismissed)], remaining };
+
+  } catch (error) {
+    console.warn(`   ⚠️  Overlay dismissal failed on ${url}: ${error.message}`);
+    if (errorSummary) errorSummary.addOverlayNotCleared(url, `dismissal failed: ${error.message}`);
+    return { dismissed: [], remaining: [] };
+  }
+}
@@ -0,0 +1,105 @@
+/**
+ * Unit Tests for the Overlay Dismisser
+ * Tests the accept/close button texts and the dismissal loop with fake
+ * Playwright pages (the in-page functions need a browser)
+ */
+
+import { describe, it } from 'mocha';
+import { expect } from 'chai';
+import { ACCEPT_TEXT, CLOSE_TEXT, CONSENT_FRAMEWORKS, dismissOverlays } from './overlay-dismisser.js';
+import { ErrorSummary, retryPageGoto } from './enhanced-scraper.js';
+
+const PAGE_URL = 'https://www.example.ae/';
+
+/**
+ * Fake page answering each page.evaluate with the next scripted result
+ * (click rounds first, then the check for remaining overlays)
+ */
+function createFakePage(results) {
+  const state = { evaluations: 0, keys: [], gotos: [] };
+  return {
+    state,
+    goto: async (url, options) => {
+      state.gotos.push({ url, options });
+      return { status: () => 200 };
+    },
+    evaluate: async () => {
+      const result = results[state.evaluations++];
+      if (result instanceof Error) throw result;
+      return result ?? [];
+    },
+    waitForTimeout: async () => {},
+    keyboard: { press: async key => state.keys.push(key) }
+  };
+}
+
+describe('Overlay Dismisser - button texts', () => {
+  it('should recognise accept buttons in English and Arabic', () => {
+    for (const text of ['Accept all cookies', 'Got it!', 'I agree', 'OK', 'موافق', 'قبول الكل']) {
+      expect(ACCEPT_TEXT.test(text), text).to.be.true;
+    }
+    for (const text of ['Reject all', 'Cookie settings', 'Accept the terms of the programme']) {
+      expect(ACCEPT_TEXT.test(text), text).to.be.false;
+    }
+  });
+
+  it('should recognise close buttons and know the common consent frameworks', () => {
+    for (const text of ['×', 'Close', 'No thanks', 'إغلاق']) {
+      expect(CLOSE_TEXT.test(text), text).to.be.true;
+    }
+    expect(CLOSE_TEXT.test('Close the gap for founders')).to.be.false;
+    expect(CONSENT_FRAMEWORKS.map(framework => framework.name)).to.include.members(['OneTrust', 'Cookiebot']);
+  });
+});
+
+describe('Overlay Dismisser - dismissOverlays', () => {
+  it('should click until nothing is left and report what was dismissed', async () => {
+    const page = createFakePage([['OneTrust'], ['overlay'], [], []]);
+    const errorSummary = new ErrorSummary();
+
+    const result = await dismissOverlays(page, PAGE_URL, errorSummary);
+
+    expect(result).to.deep.equal({ dismissed: ['OneTrust', 'overlay'], remaining: [] });
+    expect(page.state.evaluations).to.equal(4);
+    expect(page.state.keys).to.deep.equal([]);
+    expect(errorSummary.overlaysNotCleared).to.deep.equal([]);
+  });
+
+  it('should press Escape and count pages whose overlay stays', async () => {
+    const escaped = createFakePage([[], ['div#newsletter-popup'], []]);
+    expect((await dismissOverlays(escaped, PAGE_URL)).remaining).to.deep.equal([]);
+    expect(escaped.state.keys).to.deep.equal(['Escape']);
+
+    const stuck = createFakePage([['consent banner'], [], ['Cookiebot'], ['Cookiebot']]);
+    const errorSummary = new ErrorSummary();
+    expect(await dismissOverlays(stuck, PAGE_URL, errorSummary)).to.deep.equal({ dismissed: ['consent banner'], remaining: ['Cookiebot'] });
+    expect(errorSummary.getSummary()).to.include({ totalOverlaysNotCleared: 1, totalErrors: 0 });
+    expect(errorSummary.overlaysNotCleared[0]).to.include({ url: PAGE_URL, overlay: 'Cookiebot' });
+  });
+
+  it('should stop after three rounds, survive page errors and skip static pages', async () => {
+    const endless = createFakePage([['overlay'], ['overlay'], ['overlay'], []]);
+    expect((await dismissOverlays(endless, PAGE_URL)).dismissed).to.deep.equal(['overlay']);
+    expect(endless.state.evaluations).to.equal(4);
+
+    const errorSummary = new ErrorSummary();
+    const navigated = createFakePage([new Error('Execution context was destroyed')]);
+    expect(await dismissOverlays(navigated, PAGE_URL, errorSummary)).to.deep.equal({ dismissed: [], remaining: [] });
+    expect(errorSummary.overlaysNotCleared[0].overlay).to.match(/dismissal failed/);
+
+    const staticPage = { isStatic: true, evaluate: async () => { throw new Error('not a browser'); } };
+    expect(await dismissOverlays(staticPage, PAGE_URL)).to.deep.equal({ dismissed: [], remaining: [] });
+  });
+
+  it('should run after retryPageGoto when asked to, without passing the option to goto', async () => {
+    const page = createFakePage([['OneTrust'], [], []]);
+
+    await retryPageGoto(page, PAGE_URL, { timeout: 1000, dismissOverlays: true });
+    expect(page.state.gotos).to.deep.equal([{ url: PAGE_URL, options: { timeout: 1000 } }]);
+    expect(page.state.evaluations).to.equal(3);
+
+    const untouched = createFakePage([]);
+    await retryPageGoto(untouched, PAGE_URL, { timeout: 1000 });
+    expect(untouched.state.evaluations).to.equal(0);
+  });
+});
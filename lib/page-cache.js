@@ -0,0 +1,193 @@
+/**
+ * Page Cache Module
+ *
+ * Most directory pages don't change between runs, yet every run used to
+ * extract and classify them again and bump `source.lastSyncedAt` on every
+ * organisation. The page cache keeps, per target URL, the validators of the
+ * last successful scrape (ETag, Last-Modified) and a hash of its normalised
+ * visible text:
+ *
+ * - Over plain HTTP the page is requested conditionally; 304 Not Modified
+ *   means unchanged without downloading it
+ * - Otherwise (browser, or servers without validators) the text is hashed
+ *   after the load; the same hash means unchanged
+ *
+ * An unchanged target is neither extracted nor classified and is recorded as
+ * "unchanged" in the run ledger. Only the target URL itself is compared, not
+ * the pages its pagination follows; use --refetch after changing a profile.
+ *
+ * Fingerprints are stored with save() once the run's candidates are kept, so
+ * an interrupted run never marks a page as seen before its records were saved.
+ * Pages whose records were cut off by --limit are not recorded at all, and
+ * rolling a run back deletes its fingerprints (see lib/rollback.js).
+ *
+ * Usage example:
+ * ```javascript
+ * const pageCache = new PageCache({ Model: PageFingerprint });
+ * await pageCache.load(targets.map(target => target.url));
+ * const response = await page.goto(url, { headers: pageCache.conditionalHeaders(url) });
+ * const fingerprint = fingerprintOf(response, await page.bodyText());
+ * if (pageCache.isUnchanged(url, fingerprint)) return;
+ * pageCache.record(url, fingerprint);
+ * await pageCache.save();
+ * ```
+ */
+
+import crypto from 'crypto';
+
+/**
+ * Hash of a page's visible text, ignoring whitespace and case differences
+ * @param {string} text - Visible text
+ * @returns {string|null} SHA-256 hex digest, or null without text
+ */
+export function contentHash(text) {
+  const normalised = String(text || '').replace(/\s+/g, ' ').trim().toLowerCase();
+  if (!normalised) return null;
+  return crypto.createHash('sha256').update(normalised).digest('hex');
+}
+
+/**
+ * Validators and content hash of a loaded page
+ * @param {Object} response - Playwright response or StaticPage response
+ * @param {string} text - Visible text of the page
+ * @returns {{status: number, etag: string|null, lastModified: string|null, contentHash: string|null}} Fingerprint
+ */
+export function fingerprintOf(response, text) {
+  const headers = response?.headers ? response.headers() : {};
+  const status = response?.status ? response.status() : 0;
+  return {
+    status,
+    etag: headers.etag || null,
+    lastModified: headers['last-modified'] || null,
+    // A 304 has no body; its content is the stored one
+    contentHash: status === 304 ? null : contentHash(text)
+  };
+}
+
+/**
+ * Per-URL fingerprints of the last successful scrapes
+ */
+export class PageCache {
+  /**
+   * @param {Object} options - Cache options
+   * @param {Model} options.Model - PageFingerprint model (optional; without it nothing is read or stored)
+   * @param {boolean} options.refetch - Treat every page as changed (fingerprints are still stored)
+   */
+  constructor(options = {}) {
+    this.Model = options.Model || null;
+    this.refetch = Boolean(options.refetch);
+    this.stored = new Map();  // url → stored fingerprint
+    this.pending = new Map(); // url → fingerprint to store
+    this.stats = { notModified: 0, sameContent: 0, changed: 0, new: 0 };
+  }
+
+  /**
+   * Read the stored fingerprints of the run's target URLs
+   * @param {string[]} urls - Target URLs
+   * @returns {Promise<number>} Fingerprints found
+   */
+  async load(urls) {
+    if (!this.Model || urls.length === 0) return 0;
+
+    try {
+      const docs = await this.Model.find({ url: { $in: urls } }).lean();
+      docs.forEach(doc => this.stored.set(doc.url, doc));
+      return docs.length;
+    } catch (error) {
+      console.warn(`   ⚠️  Could not read page fingerprints: ${error.message}`);
+      return 0;
+    }
+  }
+
+  /**
+   * Conditional request headers for a URL
+   * @param {string} url - Target URL
+   * @returns {Object} If-None-Match / If-Modified-Since headers (empty with --refetch or no fingerprint)
+   */
+  conditionalHeaders(url) {
+    const stored = this.stored.get(url);
+    if (this.refetch || !stored) return {};
+
+    const headers = {};
+    if (stored.etag) headers['if-none-match'] = stored.etag;
+    if (stored.lastModified) headers['if-modified-since'] = stored.lastModified;
+    return headers;
+  }
+
+  /**
+   * Whether a freshly loaded page is the one scraped last time
+   * @param {string} url - Target URL
+   * @param {Object} fingerprint - Result of fingerprintOf
+   * @returns {boolean} True when 304 Not Modified or the content hash is unchanged
+   */
+  isUnchanged(url, fingerprint) {
+    if (this.refetch || !fingerprint) return false;
+    const stored = this.stored.get(url);
+    if (!stored) return false;
+    return fingerprint.status === 304 || Boolean(fingerprint.contentHash && fingerprint.contentHash === stored.contentHash);
+  }
+
+  /**
+   * Count the final fingerprint of a target and remember it for save()
+   * Called once per target, for scraped and unchanged pages alike (refreshing
+   * the validators of a page whose ETag changed but whose text did not)
+   * @param {string} url - Target URL
+   * @param {Object} fingerprint - Result of fingerprintOf (null when the tier had none)
+   * @param {Object} details - { fetchMode, runId } (optional)
+   */
+  record(url, fingerprint, details = {}) {
+    if (!fingerprint) return;
+    const stored = this.stored.get(url);
+    if (fingerprint.status === 304) this.stats.notModified++;
+    else if (!stored) this.stats.new++;
+    else if (fingerprint.contentHash === stored.contentHash) this.stats.sameContent++;
+    else this.stats.changed++;
+
+    if (!fingerprint.contentHash) return;
+    // Unchanged content stays attributed to the run that scraped it, so rolling
+    // that run back still clears the fingerprint
+    const sameContent = stored && fingerprint.contentHash === stored.contentHash;
+    this.pending.set(url, {
+      etag: fingerprint.etag,
+      lastModified: fingerprint.lastModified,
+      contentHash: fingerprint.contentHash,
+      fetchMode: details.fetchMode || null,
+      runId: (sameContent ? stored.runId : details.runId) || null
+    });
+  }
+
+  /**
+   * Store the recorded fingerprints
+   * @returns {Promise<number>} Fingerprints stored
+   */
+  async save() {
+    if (!this.Model || this.pending.size === 0) return 0;
+
+    try {
+      await this.Model.bulkWrite([...this.pending].map(([url, fingerprint]) => ({
+        updateOne: { filter: { url }, update: { $set: fingerprint }, upsert: true }
+      })));
+      const saved = this.pending.size;
+      this.pending.clear();
+      return saved;
+    } catch (error) {
+      console.warn(`   ⚠️  Could not store page fingerprints: ${error.message}`);
+      return 0;
+    }
+  }
+
+  /**
+   * Print change detection statistics to console
+   */
+  printSummary() {
+    const { notModified, sameContent, changed } = this.stats;
+    if (notModified + sameContent + changed + this.stats.new === 0) return;
+
+    console.log('\n=== Page Changes ===');
+    console.log(`♻️  Unchanged: ${notModified + sameContent} (${notModified} not modified, ${sameContent} same content)`);
+    console.log(`✏️  Changed: ${changed}`);
+    console.log(`🆕 First seen: ${this.stats.new}`);
+    if (this.refetch) console.log('🔁 --refetch: unchanged pages were scraped again');
+    console.log('====================\n');
+  }
+}
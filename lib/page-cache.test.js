@@ -0,0 +1,128 @@
+/**
+ * Unit Tests for the Page Cache
+ * Tests content hashing, conditional request headers, change detection and
+ * storing fingerprints with a fake model
+ */
+
+import { describe, it } from 'mocha';
+import { expect } from 'chai';
+import fc from 'fast-check';
+import { PageCache, contentHash, fingerprintOf } from './page-cache.js';
+import PageFingerprint from '../models/PageFingerprint.js';
+
+const URL_A = 'https://www.hub71.com/partners';
+const URL_B = 'https://moet.gov.ae/en/startups';
+
+const response = (status = 200, headers = {}) => ({ status: () => status, headers: () => headers });
+
+/**
+ * Fake PageFingerprint model recording bulk writes
+ */
+function createFakeModel(docs = []) {
+  const writes = [];
+  return {
+    writes,
+    find: filter => ({ lean: async () => docs.filter(doc => filter.url.$in.includes(doc.url)) }),
+    bulkWrite: async operations => {
+      writes.push(...operations);
+      return { ok: 1 };
+    }
+  };
+}
+
+describe('Page Cache - contentHash', () => {
+  it('should ignore whitespace and case differences', () => {
+    expect(contentHash('Hub71  Partners\n\n Abu Dhabi')).to.equal(contentHash('hub71 partners abu dhabi'));
+    expect(contentHash('Hub71 Partners')).not.to.equal(contentHash('Hub71 Investors'));
+    expect(contentHash('  ')).to.be.null;
+  });
+
+  it('should not depend on surrounding whitespace (property)', () => {
+    fc.assert(fc.property(fc.string({ minLength: 1 }).filter(s => s.trim()), fc.string({ unit: fc.constantFrom(' ', '\n', '\t') }), (text, padding) => {
+      return contentHash(`${padding}${text}${padding}`) === contentHash(text);
+    }));
+  });
+});
+
+describe('Page Cache - fingerprintOf', () => {
+  it('should read validators and hash the text', () => {
+    const fingerprint = fingerprintOf(response(200, { etag: '"v1"', 'last-modified': 'Mon, 05 Oct 2026 10:00:00 GMT' }), 'Partners');
+    expect(fingerprint).to.deep.equal({
+      status: 200,
+      etag: '"v1"',
+      lastModified: 'Mon, 05 Oct 2026 10:00:00 GMT',
+      contentHash: contentHash('Partners')
+    });
+  });
+
+  it('should not hash the empty body of a 304', () => {
+    expect(fingerprintOf(response(304), '').contentHash).to.be.null;
+  });
+});
+
+describe('Page Cache - PageCache', () => {
+  const stored = [{ url: URL_A, etag: '"v1"', lastModified: null, contentHash: contentHash('Partners') }];
+
+  it('should send the stored validators as conditional headers', async () => {
+    const cache = new PageCache({ Model: createFakeModel(stored) });
+    expect(await cache.load([URL_A, URL_B])).to.equal(1);
+
+    expect(cache.conditionalHeaders(URL_A)).to.deep.equal({ 'if-none-match': '"v1"' });
+    expect(cache.conditionalHeaders(URL_B)).to.deep.equal({});
+  });
+
+  it('should treat 304 and the same content as unchanged', async () => {
+    const cache = new PageCache({ Model: createFakeModel(stored) });
+    await cache.load([URL_A, URL_B]);
+
+    expect(cache.isUnchanged(URL_A, fingerprintOf(response(304), ''))).to.be.true;
+    expect(cache.isUnchanged(URL_A, fingerprintOf(response(200, { etag: '"v2"' }), '  partners '))).to.be.true;
+    expect(cache.isUnchanged(URL_A, fingerprintOf(response(200), 'Partners and investors'))).to.be.false;
+    expect(cache.isUnchanged(URL_B, fingerprintOf(response(200), 'Startups'))).to.be.false;
+  });
+
+  it('should scrape everything again with refetch', async () => {
+    const cache = new PageCache({ Model: createFakeModel(stored), refetch: true });
+    await cache.load([URL_A]);
+
+    expect(cache.conditionalHeaders(URL_A)).to.deep.equal({});
+    expect(cache.isUnchanged(URL_A, fingerprintOf(response(200), 'Partners'))).to.be.false;
+  });
+
+  it('should count recorded fingerprints and store them in one bulk write', async () => {
+    const Model = createFakeModel(stored);
+    const cache = new PageCache({ Model });
+    await cache.load([URL_A, URL_B]);
+
+    cache.record(URL_A, fingerprintOf(response(304), ''));
+    cache.record(URL_B, fingerprintOf(response(200, { etag: '"b1"' }), 'Startups'), { fetchMode: 'http', runId: 'run-1' });
+    expect(cache.stats).to.deep.equal({ notModified: 1, sameContent: 0, changed: 0, new: 1 });
+
+    expect(await cache.save()).to.equal(1);
+    expect(Model.writes).to.deep.equal([{
+      updateOne: {
+        filter: { url: URL_B },
+        update: { $set: { etag: '"b1"', lastModified: null, contentHash: contentHash('Startups'), fetchMode: 'http', runId: 'run-1' } },
+        upsert: true
+      }
+    }]);
+    expect(await cache.save()).to.equal(0);
+  });
+
+  it('should keep unchanged content attributed to the run that scraped it', async () => {
+    const cache = new PageCache({ Model: createFakeModel([{ url: URL_A, contentHash: contentHash('Partners'), runId: 'run-1' }]) });
+    await cache.load([URL_A, URL_B]);
+
+    cache.record(URL_A, fingerprintOf(response(200, { etag: '"a2"' }), 'Partners'), { runId: 'run-2' });
+    cache.record(URL_B, fingerprintOf(response(200), 'Startups'), { runId: 'run-2' });
+    expect(cache.pending.get(URL_A)).to.include({ etag: '"a2"', runId: 'run-1' });
+    expect(cache.pending.get(URL_B).runId).to.equal('run-2');
+  });
+
+  it('should produce documents the PageFingerprint schema accepts', () => {
+    const cache = new PageCache();
+    cache.record(URL_B, fingerprintOf(response(200), 'Startups'), { fetchMode: 'browser' });
+    const doc = new PageFingerprint({ url: URL_B, ...cache.pending.get(URL_B) });
+    expect(doc.validateSync()).to.be.undefined;
+  });
+});
@@ -0,0 +1,373 @@
+/**
+ * Pagination Module
+ *
+ * Follows multi-page and lazy-loaded listings so the scraper sees more than
+ * page one. Supported strategies (profile "pagination.strategy"):
+ * - next-link:       <link rel="next">, <a rel="next">, "Next"/"›"/"التالي" links
+ * - numbered:        numbered pagers (current page + 1)
+ * - load-more:       click "Load more"/"Show more" buttons in place
+ * - infinite-scroll: scroll to the bottom and wait for more content
+ * - auto:            try the above in that order on every step
+ * - none:            page one only
+ *
+ * Items are deduplicated across pages before they reach the classifier, and
+ * collection stops at maxPages / maxItems or when a step adds nothing new.
+ *
+ * Load-more and infinite scroll need a live page. With "auto", a page fetched
+ * over plain HTTP that shows a load-more button or scroll sentinel is loaded
+ * in the browser instead (see findLazyLoading and lib/tiered-fetcher.js).
+ */
+
+import * as cheerio from 'cheerio';
+import { retryPageGoto } from './enhanced-scraper.js';
+import { resolveUrl, cleanText } from './listing-extractor.js';
+
+const VALID_STRATEGIES = ['auto', 'next-link', 'numbered', 'load-more', 'infinite-scroll', 'none'];
+
+export const DEFAULT_PAGINATION = {
+  strategy: 'auto',
+  nextSelector: null,
+  loadMoreSelector: null,
+  maxPages: 10,
+  maxItems: 500,
+  delay: 1500
+};
+
+// Text of "next page" links and "load more" buttons (English + Arabic)
+const NEXT_TEXT_PATTERN = /^(next|next page|›|»|>|→|التالي|الصفحة التالية)$/i;
+const LOAD_MORE_PATTERN = /^(load more|show more|view more|see more|more results|عرض المزيد|تحميل المزيد|المزيد)\b/i;
+
+const PAGER_CONTAINERS = '[class*="pagination"], [class*="pager"], [class*="paging"], nav[aria-label*="pag" i], ul.pages';
+
+// Elements that load the next batch when scrolled into view
+const SCROLL_SENTINELS = '[data-infinite-scroll], [class*="infinite" i], [id*="infinite" i], [class*="sentinel" i], [id*="sentinel" i]';
+
+/**
+ * Merge pagination settings with defaults and validate the strategy
+ * @param {Object|null} pagination - Profile pagination settings
+ * @returns {Object} Complete pagination settings
+ * @throws {Error} If the strategy is unknown
+ */
+export function normalizePagination(pagination) {
+  const config = { ...DEFAULT_PAGINATION, ...(pagination || {}) };
+  if (!VALID_STRATEGIES.includes(config.strategy)) {
+    throw new Error(`invalid pagination strategy "${config.strategy}" (expected ${VALID_STRATEGIES.join(', ')})`);
+  }
+  return config;
+}
+
+/**
+ * Build a deduplication key for a scraped record
+ * Uses the entry link (without hash, query tracking or trailing slash),
+ * falling back to the lower-cased name
+ * @param {Object} record - Organisation data object
+ * @returns {string} Key
+ */
+export function recordKey(record) {
+  if (record.website) {
+    try {
+      const url = new URL(record.website);
+      return `${url.hostname.replace(/^www\./, '')}${url.pathname.replace(/\/+$/, '')}`.toLowerCase();
+    } catch (error) {
+      // Fall through to name
+    }
+  }
+  return `name:${(record.name || '').toLowerCase().trim()}`;
+}
+
+/**
+ * Remove duplicate records, keeping the first occurrence
+ * @param {Object[]} records - Organisation data objects
+ * @returns {Object[]} Unique records in original order
+ */
+export function dedupeRecords(records) {
+  const seen = new Set();
+  return records.filter(record => {
+    const key = recordKey(record);
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+}
+
+/**
+ * Determine the current page number from the pager or the URL
+ * @param {CheerioAPI} $ - Loaded document
+ * @param {string} pageUrl - Current page URL
+ * @returns {number} Current page number (1 if unknown)
+ */
+function currentPageNumber($, pageUrl) {
+  const $active = $(PAGER_CONTAINERS)
+    .find('[aria-current="page"], .active, .current, .selected, [class*="is-active"]')
+    .first();
+  const activeNumber = parseInt(cleanText($active.text()), 10);
+  if (!isNaN(activeNumber)) return activeNumber;
+
+  try {
+    const url = new URL(pageUrl);
+    const param = url.searchParams.get('page') || url.searchParams.get('p') || url.searchParams.get('pg');
+    if (param && !isNaN(parseInt(param, 10))) return parseInt(param, 10);
+
+    const pathMatch = url.pathname.match(/\/page\/(\d+)/);
+    if (pathMatch) return parseInt(pathMatch[1], 10);
+  } catch (error) {
+    // Ignore malformed URLs
+  }
+
+  return 1;
+}
+
+/**
+ * Find the URL of the next page in page HTML
+ * @param {string} html - Page HTML
+ * @param {string} pageUrl - Current page URL
+ * @param {Object} options - Lookup options
+ * @param {string|null} options.nextSelector - Profile selector for the next link
+ * @param {boolean} options.nextLinks - Look for rel=next / "Next" links (default true)
+ * @param {boolean} options.numbered - Look for numbered pagers (default true)
+ * @returns {string|null} Absolute next-page URL or null
+ */
+export function findNextPageUrl(html, pageUrl, options = {}) {
+  const { nextSelector = null, nextLinks = true, numbered = true } = options;
+  const $ = cheerio.load(html);
+  const current = pageUrl.split('#')[0];
+
+  const accept = href => {
+    const resolved = resolveUrl(href, pageUrl);
+    return resolved && resolved.split('#')[0] !== current ? resolved : null;
+  };
+
+  if (nextSelector) {
+    const $match = $(nextSelector).first();
+    const found = accept($match.attr('href') || $match.find('a[href]').first().attr('href'));
+    if (found) return found;
+  }
+
+  if (nextLinks) {
+    const relNext = accept($('link[rel~="next"]').attr('href')) || accept($('a[rel~="next"]').attr('href'));
+    if (relNext) return relNext;
+
+    for (const a of $('a[href]').toArray()) {
+      const $a = $(a);
+      const label = cleanText($a.text()) || cleanText($a.attr('aria-label') || $a.attr('title') || '');
+      if (NEXT_TEXT_PATTERN.test(label) || /^next( page)?$/i.test($a.attr('aria-label') || '')) {
+        const found = accept($a.attr('href'));
+        if (found) return found;
+      }
+    }
+  }
+
+  if (numbered) {
+    const target = String(currentPageNumber($, pageUrl) + 1);
+    for (const a of $(PAGER_CONTAINERS).find('a[href]').toArray()) {
+      if (cleanText($(a).text()) === target) {
+        const found = accept($(a).attr('href'));
+        if (found) return found;
+      }
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Click a visible "load more" button in the live page
+ * @param {Page} page - Playwright page object
+ * @param {string|null} selector - Profile selector for the button
+ * @returns {Promise<boolean>} True if a button was clicked
+ */
+export async function clickLoadMore(page, selector = null) {
+  return page.evaluate(({ selector, pattern }) => {
+    const regex = new RegExp(pattern, 'i');
+    const candidates = selector
+      ? Array.from(document.querySelectorAll(selector))
+      : Array.from(document.querySelectorAll('button, a, [role="button"]'))
+        .filter(el => regex.test((el.textContent || '').replace(/\s+/g, ' ').trim()));
+
+    const button = candidates.find(el => {
+      const style = window.getComputedStyle(el);
+      return el.offsetParent !== null && style.visibility !== 'hidden' && !el.disabled;
+    });
+
+    if (!button) return false;
+    button.scrollIntoView();
+    button.click();
+    return true;
+  }, { selector, pattern: LOAD_MORE_PATTERN.source });
+}
+
+/**
+ * Find a load-more button or infinite-scroll sentinel in a page's HTML
+ * Only "auto" pagination is checked: declared load-more/infinite-scroll
+ * profiles always use the browser
+ * @param {string} html - Page HTML
+ * @param {Object} pagination - Profile pagination settings
+ * @returns {'load-more'|'infinite-scroll'|null} Lazy loading that needs a live page, or null
+ */
+export function findLazyLoading(html, pagination) {
+  const config = normalizePagination(pagination);
+  if (config.strategy !== 'auto' || !html) return null;
+
+  const $ = cheerio.load(html);
+  const buttons = config.loadMoreSelector
+    ? $(config.loadMoreSelector)
+    : $('button, a, [role="button"]').filter((_, el) => LOAD_MORE_PATTERN.test(cleanText($(el).text())));
+  if (buttons.length > 0) return 'load-more';
+  if ($(SCROLL_SENTINELS).length > 0) return 'infinite-scroll';
+  return null;
+}
+
+/**
+ * Scroll to the bottom of the page
+ * @param {Page} page - Playwright page object
+ * @returns {Promise<number>} Document height before scrolling
+ */
+async function scrollToBottom(page) {
+  return page.evaluate(() => {
+    const height = document.body.scrollHeight;
+    window.scrollTo(0, height);
+    return height;
+  });
+}
+
+/**
+ * Advance to the next page or batch of items
+ * @param {Page|StaticPage} page - Playwright page or StaticPage
+ * @param {string} currentUrl - Current page URL
+ * @param {Object} config - Normalised pagination settings
+ * @param {Set<string>} visited - Already visited page URLs
+ * @param {Object} context - { waitFor, errorSummary, canFetch, gotoOptions }
+ * @returns {Promise<{url: string, inPlace: boolean}|null>} Next step, or null when exhausted
+ */
+async function advance(page, currentUrl, config, visited, context) {
+  const { strategy } = config;
+  const auto = strategy === 'auto';
+
+  if (auto || strategy === 'next-link' || strategy === 'numbered') {
+    const html = await page.content();
+    const nextUrl = findNextPageUrl(html, currentUrl, {
+      nextSelector: config.nextSelector,
+      nextLinks: auto || strategy === 'next-link',
+      numbered: auto || strategy === 'numbered'
+    });
+
+    if (nextUrl && !visited.has(nextUrl.split('#')[0])) {
+      visited.add(nextUrl.split('#')[0]);
+      if (context.canFetch && !(await context.canFetch(nextUrl))) {
+        console.log(`   🚫 Next page disallowed by robots.txt: ${nextUrl}`);
+        return null;
+      }
+      console.log(`   📄 Following next page: ${nextUrl}`);
+
+      const response = await retryPageGoto(page, nextUrl, {
+        waitUntil: context.waitFor?.waitUntil || 'networkidle',
+        timeout: context.waitFor?.timeout || 45000,
+        ...context.gotoOptions
+      }, context.errorSummary);
+
+      if (!response) return null;
+      await page.waitForTimeout(config.delay);
+      return { url: nextUrl, inPlace: false };
+    }
+
+    if (!auto) return null;
+  }
+
+  // Clicking and scrolling need a live page (a StaticPage only has the fetched HTML)
+  if (page.isStatic) return null;
+
+  if (auto || strategy === 'load-more') {
+    if (await clickLoadMore(page, config.loadMoreSelector)) {
+      console.log(`   🔽 Clicked "load more" on ${currentUrl}`);
+      await page.waitForTimeout(config.delay);
+      return { url: currentUrl, inPlace: true };
+    }
+
+    if (!auto) return null;
+  }
+
+  if (auto || strategy === 'infinite-scroll') {
+    const before = await scrollToBottom(page);
+    await page.waitForTimeout(config.delay);
+    const after = await page.evaluate(() => document.body.scrollHeight);
+
+    if (after > before) {
+      console.log(`   🔽 Loaded more content by scrolling ${currentUrl}`);
+      return { url: currentUrl, inPlace: true };
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Collect records from every page of a paginated listing
+ *
+ * `extract(url)` is called once for the first page and again after every
+ * navigation, click or scroll; it should return all records currently
+ * visible. Records are deduplicated across steps (see recordKey).
+ * Pagination only continues when the first page produced a listing
+ * (more than one record).
+ *
+ * @param {Page|StaticPage} page - Playwright page or StaticPage (already on the first page)
+ * @param {string} url - First page URL
+ * @param {Object} options - Collection options
+ * @param {Function} options.extract - async (url) => Object[] records on the current page
+ * @param {Object} options.pagination - Profile pagination settings
+ * @param {Object} options.waitFor - Profile wait settings (for navigations)
+ * @param {ErrorSummary} options.errorSummary - Error summary tracker (optional)
+ * @param {Function} options.canFetch - async (url) => whether a next page may be loaded,
+ *   e.g. a robots.txt check (optional)
+ * @param {Object} options.gotoOptions - Extra retryPageGoto options for next pages:
+ *   { dismissOverlays, retry, breaker } (optional)
+ * @returns {Promise<Object[]>} Unique records, capped at maxItems
+ */
+export async function collectPaginated(page, url, options) {
+  const { extract, pagination = null, waitFor = null, errorSummary = null, canFetch = null, gotoOptions = {} } = options;
+  const config = normalizePagination(pagination);
+
+  const records = [];
+  const seen = new Set();
+  const addNew = pageRecords => {
+    let added = 0;
+    for (const record of pageRecords) {
+      const key = recordKey(record);
+      if (seen.has(key)) continue;
+      seen.add(key);
+      records.push(record);
+      added++;
+    }
+    return added;
+  };
+
+  const firstPage = await extract(url);
+  addNew(firstPage);
+
+  if (config.strategy === 'none' || firstPage.length <= 1) {
+    return records.slice(0, config.maxItems);
+  }
+
+  const visited = new Set([url.split('#')[0]]);
+  let currentUrl = url;
+  let steps = 1;
+
+  while (steps < config.maxPages && records.length < config.maxItems) {
+    const step = await advance(page, currentUrl, config, visited, { waitFor, errorSummary, canFetch, gotoOptions });
+    if (!step) break;
+
+    currentUrl = step.url;
+    steps++;
+
+    const added = addNew(await extract(currentUrl));
+    if (added === 0) {
+      console.log(`   ⏹️  No new items after step ${steps} on ${url}, stopping pagination`);
+      break;
+    }
+  }
+
+  if (records.length > config.maxItems) {
+    console.log(`   ⏹️  Item cap reached (${config.maxItems}) on ${url}`);
+  }
+
+  return records.slice(0, config.maxItems);
+}
@@ -0,0 +1,242 @@
+/**
+ * Unit Tests for Pagination
+ * Tests next-page discovery, cross-page deduplication and the collection
+ * loop with fake Playwright pages
+ */
+
+import { describe, it } from 'mocha';
+import { expect } from 'chai';
+import {
+  normalizePagination,
+  findNextPageUrl,
+  recordKey,
+  dedupeRecords,
+  collectPaginated,
+  findLazyLoading
+} from './pagination.js';
+
+const PAGE_URL = 'https://www.moet.gov.ae/en/entrepreneurship-support-entities';
+
+/**
+ * Fake page that serves a fixed HTML document per URL and records navigations
+ */
+function createFakePage(pages, options = {}) {
+  const state = { url: Object.keys(pages)[0], gotos: [], clicks: 0 };
+  return {
+    state,
+    content: async () => pages[state.url],
+    goto: async (url) => {
+      state.gotos.push(url);
+      state.url = url;
+      return { status: () => 200 };
+    },
+    waitForTimeout: async () => {},
+    evaluate: async () => {
+      if (options.onEvaluate) return options.onEvaluate(state);
+      return false;
+    }
+  };
+}
+
+function records(...names) {
+  return names.map(name => ({ name, website: `https://${name.toLowerCase()}.ae/` }));
+}
+
+describe('Pagination - normalizePagination', () => {
+  it('should apply defaults', () => {
+    expect(normalizePagination(null)).to.include({ strategy: 'auto', maxPages: 10, maxItems: 500 });
+  });
+
+  it('should keep profile overrides', () => {
+    expect(normalizePagination({ strategy: 'load-more', maxPages: 3 })).to.include({ strategy: 'load-more', maxPages: 3 });
+  });
+
+  it('should reject unknown strategies', () => {
+    expect(() => normalizePagination({ strategy: 'teleport' })).to.throw(/invalid pagination strategy/);
+  });
+});
+
+describe('Pagination - findNextPageUrl', () => {
+  it('should follow rel=next links', () => {
+    const html = '<html><head><link rel="next" href="?page=2"></head><body></body></html>';
+    expect(findNextPageUrl(html, PAGE_URL)).to.equal(`${PAGE_URL}?page=2`);
+  });
+
+  it('should follow "Next" and Arabic "التالي" links', () => {
+    expect(findNextPageUrl('<a href="/list/2">Next</a>', 'https://a.ae/list/1')).to.equal('https://a.ae/list/2');
+    expect(findNextPageUrl('<a href="/ar/list/2">التالي</a>', 'https://a.ae/ar/list/1')).to.equal('https://a.ae/ar/list/2');
+  });
+
+  it('should follow numbered pagers from the active page', () => {
+    const html = `
+      <ul class="pagination">
+        <li><a href="?page=1">1</a></li>
+        <li class="active"><a href="?page=2">2</a></li>
+        <li><a href="?page=3">3</a></li>
+      </ul>
+    `;
+    expect(findNextPageUrl(html, `${PAGE_URL}?page=2`)).to.equal(`${PAGE_URL}?page=3`);
+  });
+
+  it('should use the page number from the URL when the pager has no active marker', () => {
+    const html = '<nav aria-label="Pagination"><a href="/page/2">2</a><a href="/page/3">3</a></nav>';
+    expect(findNextPageUrl(html, 'https://a.ae/page/2')).to.equal('https://a.ae/page/3');
+  });
+
+  it('should prefer the profile nextSelector', () => {
+    const html = '<a class="older" href="/archive">Older entries</a><a rel="next" href="/other">x</a>';
+    expect(findNextPageUrl(html, 'https://a.ae/', { nextSelector: 'a.older' })).to.equal('https://a.ae/archive');
+  });
+
+  it('should return null on the last page or for self links', () => {
+    expect(findNextPageUrl('<a href="#">Next</a><link rel="next" href="">', 'https://a.ae/')).to.be.null;
+    expect(findNextPageUrl('<p>No pager</p>', 'https://a.ae/')).to.be.null;
+  });
+
+  it('should honour disabled lookups', () => {
+    const html = '<ul class="pagination"><li class="active"><a href="?page=1">1</a></li><li><a href="?page=2">2</a></li></ul>';
+    expect(findNextPageUrl(html, PAGE_URL, { numbered: false })).to.be.null;
+  });
+});
+
+describe('Pagination - findLazyLoading', () => {
+  it('should find load-more buttons and scroll sentinels for auto pagination', () => {
+    expect(findLazyLoading('<main><button class="btn">Load more</button></main>', null)).to.equal('load-more');
+    expect(findLazyLoading('<a role="button">Show more partners</a>', { strategy: 'auto' })).to.equal('load-more');
+    expect(findLazyLoading('<div class="more" id="x"></div>', { loadMoreSelector: '#x' })).to.equal('load-more');
+    expect(findLazyLoading('<ul></ul><div class="infinite-scroll-sentinel"></div>', null)).to.equal('infinite-scroll');
+  });
+
+  it('should ignore pages without them and declared strategies', () => {
+    expect(findLazyLoading('<a rel="next" href="?page=2">Next</a>', null)).to.be.null;
+    expect(findLazyLoading('<button>Load more</button>', { strategy: 'next-link' })).to.be.null;
+    expect(findLazyLoading('', null)).to.be.null;
+  });
+});
+
+describe('Pagination - deduplication', () => {
+  it('should treat www, trailing slashes and case as the same entry', () => {
+    expect(recordKey({ website: 'https://www.Hub71.com/' })).to.equal(recordKey({ website: 'https://hub71.com' }));
+  });
+
+  it('should fall back to the name when there is no link', () => {
+    expect(recordKey({ name: ' ADGM ', website: null })).to.equal('name:adgm');
+  });
+
+  it('should keep the first occurrence of duplicates', () => {
+    const input = [...records('Alpha', 'Beta'), { name: 'Alpha again', website: 'https://alpha.ae' }];
+    expect(dedupeRecords(input).map(r => r.name)).to.deep.equal(['Alpha', 'Beta']);
+  });
+});
+
+describe('Pagination - collectPaginated', () => {
+  it('should follow next links and merge unique records across pages', async () => {
+    const page = createFakePage({
+      [PAGE_URL]: '<a rel="next" href="?page=2">Next</a>',
+      [`${PAGE_URL}?page=2`]: '<a rel="next" href="?page=3">Next</a>',
+      [`${PAGE_URL}?page=3`]: '<p>last page</p>'
+    });
+    const perPage = {
+      [PAGE_URL]: records('Alpha', 'Beta'),
+      [`${PAGE_URL}?page=2`]: records('Beta', 'Gamma'),
+      [`${PAGE_URL}?page=3`]: records('Delta', 'Epsilon')
+    };
+
+    const result = await collectPaginated(page, PAGE_URL, {
+      extract: async url => perPage[url],
+      pagination: { strategy: 'next-link' }
+    });
+
+    expect(result.map(r => r.name)).to.deep.equal(['Alpha', 'Beta', 'Gamma', 'Delta', 'Epsilon']);
+    expect(page.state.gotos).to.deep.equal([`${PAGE_URL}?page=2`, `${PAGE_URL}?page=3`]);
+  });
+
+  it('should not follow next links canFetch refuses', async () => {
+    const page = createFakePage({
+      [PAGE_URL]: '<a rel="next" href="?page=2">Next</a>',
+      [`${PAGE_URL}?page=2`]: '<a rel="next" href="?page=3">Next</a>'
+    });
+    const checked = [];
+
+    const result = await collectPaginated(page, PAGE_URL, {
+      extract: async url => (url === PAGE_URL ? records('Alpha', 'Beta') : records('Gamma')),
+      pagination: { strategy: 'next-link' },
+      canFetch: async url => { checked.push(url); return !url.endsWith('page=3'); }
+    });
+
+    expect(result.map(r => r.name)).to.deep.equal(['Alpha', 'Beta', 'Gamma']);
+    expect(checked).to.deep.equal([`${PAGE_URL}?page=2`, `${PAGE_URL}?page=3`]);
+    expect(page.state.gotos).to.deep.equal([`${PAGE_URL}?page=2`]);
+  });
+
+  it('should stop at maxPages', async () => {
+    let n = 0;
+    const page = createFakePage({ [PAGE_URL]: '<a rel="next" href="?more">Next</a>' });
+    page.content = async () => `<a rel="next" href="?page=${n + 2}">Next</a>`;
+
+    const result = await collectPaginated(page, PAGE_URL, {
+      extract: async () => { n++; return records(`Org${n}a`, `Org${n}b`); },
+      pagination: { strategy: 'next-link', maxPages: 3 }
+    });
+
+    expect(n).to.equal(3);
+    expect(result).to.have.length(6);
+  });
+
+  it('should click load-more buttons until no new items appear, capped at maxItems', async () => {
+    let visible = 2;
+    const page = createFakePage({ [PAGE_URL]: '<button>Load more</button>' }, {
+      onEvaluate: () => { visible += 2; return true; }
+    });
+    const all = records('A1', 'A2', 'A3', 'A4', 'A5', 'A6', 'A7', 'A8');
+
+    const result = await collectPaginated(page, PAGE_URL, {
+      extract: async () => all.slice(0, visible),
+      pagination: { strategy: 'load-more', maxItems: 5 }
+    });
+
+    expect(result.map(r => r.name)).to.deep.equal(['A1', 'A2', 'A3', 'A4', 'A5']);
+  });
+
+  it('should click load-more buttons with the default auto strategy', async () => {
+    let visible = 2;
+    const page = createFakePage({ [PAGE_URL]: '<button>Load more</button>' }, {
+      onEvaluate: () => { visible += 2; return true; }
+    });
+    const all = records('A1', 'A2', 'A3', 'A4', 'A5', 'A6');
+
+    const result = await collectPaginated(page, PAGE_URL, { extract: async () => all.slice(0, visible), pagination: null });
+
+    expect(result.map(r => r.name)).to.deep.equal(['A1', 'A2', 'A3', 'A4', 'A5', 'A6']);
+  });
+
+  it('should stop load-more when a click adds nothing new', async () => {
+    let clicks = 0;
+    const page = createFakePage({ [PAGE_URL]: '' }, { onEvaluate: () => { clicks++; return true; } });
+
+    const result = await collectPaginated(page, PAGE_URL, {
+      extract: async () => records('Same', 'Items'),
+      pagination: { strategy: 'load-more' }
+    });
+
+    expect(clicks).to.equal(1);
+    expect(result).to.have.length(2);
+  });
+
+  it('should not paginate single-organisation pages or strategy none', async () => {
+    const page = createFakePage({ [PAGE_URL]: '<a rel="next" href="?page=2">Next</a>' });
+
+    const single = await collectPaginated(page, PAGE_URL, {
+      extract: async () => records('Only'),
+      pagination: null
+    });
+    const none = await collectPaginated(page, PAGE_URL, {
+      extract: async () => records('A', 'B'),
+      pagination: { strategy: 'none' }
+    });
+
+    expect(single).to.have.length(1);
+    expect(none).to.have.length(2);
+    expect(page.state.gotos).to.deep.equal([]);
+  });
+});
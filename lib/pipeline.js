@@ -0,0 +1,960 @@
+/**
+ * Pipeline Module
+ *
+ * The stages of a run, shared by the CLI commands in index.mjs:
+ * 1. selectTargets      - pick source profiles / URLs (--source, --url)
+ * 2. scrapeTargets      - load pages (concurrently, see lib/worker-pool.js; over
+ *                         HTTP or in the browser, see lib/tiered-fetcher.js;
+ *                         where robots.txt allows, see lib/crawl-policy.js;
+ *                         unless unchanged since the last run, see
+ *                         lib/page-cache.js), extract records, resolve
+ *                         websites, dedupe
+ * 3. classifyAndProcess - AI classification, validation, entity resolution,
+ *                         field-by-field merge and history (processOrganisation)
+ *
+ * With `dryRun` nothing is written to the database: matches and merges are
+ * computed as usual and logged as "would create"/"would update".
+ *
+ * Between 2 and 3 the scrape command stores pages and records as candidates
+ * (lib/raw-capture.js), so stage 3 can also run later on its own.
+ *
+ * Usage example:
+ * ```javascript
+ * const { targets } = selectTargets(await loadProfiles(), { sources: ['hub71'] });
+ * const records = await scrapeTargets(browser, targets, { errorSummary, selectorStats, ledger });
+ * const outcome = await classifyAndProcess(records, { runId, mergePolicies, ledger, aiStats: createAiStats() });
+ * ```
+ */
+
+import Organisation from '../models/Organisation.js';
+import OrganisationHistory from '../models/OrganisationHistory.js';
+import { retryPageGoto, ErrorSummary } from './enhanced-scraper.js';
+import { normalizeProfile, scrapeWithProfile, SelectorStats } from './source-profiles.js';
+import { collectPaginated, recordKey, findLazyLoading } from './pagination.js';
+import { annotateLanguage, mergeLanguageVariants, languageNeutralUrl } from './language.js';
+import { resolveWebsite, canonicalHomepage } from './website-resolver.js';
+import { findCandidates, resolveEntity } from './entity-resolver.js';
+import { DEFAULT_FIELD_POLICIES, mergeOrganisation, applyMerge, stampFieldMeta } from './merge-policy.js';
+import { snapshotFields, diffSnapshots, recordHistory, beforeImage } from './provenance.js';
+import { classifyWithAI } from './multi-provider-classifier.js';
+import { validateOrganisation, addToReviewQueue } from './validator.js';
+import { runPool, hostKey, DEFAULT_CONCURRENCY, DEFAULT_PER_HOST, DEFAULT_HOST_DELAY } from './worker-pool.js';
+import { browserRequirement, staticPageProblem, recordsProblem } from './tiered-fetcher.js';
+import { fingerprintOf } from './page-cache.js';
+import { captureLogos } from './logo-extractor.js';
+import { classifyStatus } from './retry-policy.js';
+import { blockedStatus } from './network-rotation.js';
+import { toDom } from './dom-adapter.js';
+
+/**
+ * Create AI classification counters
+ * @param {Object} previous - Counters to continue from, e.g. a resumed run's aiStats (optional)
+ * @returns {{total, successful, degraded, skipped, cached, byProvider}} Counters
+ */
+export function createAiStats(previous = {}) {
+  return {
+    total: 0,
+    successful: 0,
+    degraded: 0,
+    skipped: 0,
+    cached: 0,
+    ...previous,
+    byProvider: {
+      cerebras: 0,
+      openrouter: 0,
+      moonshot: 0,
+      ...(previous.byProvider || {})
+    }
+  };
+}
+
+/**
+ * Pick the source profiles and URLs to scrape
+ * @param {Object[]} profiles - Loaded source profiles
+ * @param {Object} options - Selection
+ * @param {string[]} options.sources - Profile ids or source names (default: all)
+ * @param {string} options.url - A single URL; uses the profile that lists it or
+ *   shares its host, else an ad-hoc auto-mode profile (optional)
+ * @returns {{profiles: Object[], targets: Array<{url, profile}>}} Selected profiles and targets
+ * @throws {Error} On an unknown source
+ */
+export function selectTargets(profiles, options = {}) {
+  const { sources = [], url = null } = options;
+  let selected = profiles;
+
+  if (sources.length > 0) {
+    const unknown = sources.filter(source => !profiles.some(p => p.id === source || p.sourceName === source));
+    if (unknown.length > 0) {
+      throw new Error(`unknown source "${unknown[0]}" (available: ${profiles.map(p => p.id).join(', ')})`);
+    }
+    selected = profiles.filter(p => sources.includes(p.id) || sources.includes(p.sourceName));
+  }
+
+  if (!url) {
+    return { profiles: selected, targets: selected.flatMap(profile => profile.urls.map(u => ({ url: u, profile }))) };
+  }
+
+  const host = new URL(url).hostname.replace(/^www\./, '');
+  const sameHost = p => p.urls.some(u => new URL(u).hostname.replace(/^www\./, '') === host);
+  const profile = selected.find(p => p.urls.includes(url))
+    || selected.find(sameHost)
+    || normalizeProfile({ url }, host);
+
+  return { profiles: [profile], targets: [{ url, profile }] };
+}
+
+/**
+ * Rebuild the targets of a stored run from its target URLs
+ * @param {Object[]} profiles - Loaded source profiles
+ * @param {string[]} urls - ScrapeRun.targetUrls
+ * @returns {{profiles: Object[], targets: Array<{url, profile}>}} Profiles and targets
+ */
+export function targetsForUrls(profiles, urls) {
+  const targets = urls.map(url => selectTargets(profiles, { url }).targets[0]);
+  return { profiles: [...new Set(targets.map(target => target.profile))], targets };
+}
+
+/**
+ * Turn a stored organisation back into a scraped record, for reclassifying it
+ * Extractor strategies come from its fieldMeta
+ * @param {Object} doc - Organisation document
+ * @returns {Object} Record for classifyAndProcess
+ */
+export function storedRecord(doc) {
+  const extraction = {};
+  for (const [field, meta] of doc.fieldMeta || []) {
+    if (meta?.strategy) extraction[field] = meta.strategy;
+  }
+  return {
+    name: doc.name,
+    name_ar: doc.name_ar,
+    website: doc.website,
+    country: doc.country,
+    description: doc.description,
+    description_ar: doc.description_ar,
+    twitter: doc.twitter,
+    socials: doc.socials,
+    contact: doc.contact,
+    logo: doc.logo,
+    about: doc.about,
+    sourceName: doc.source?.sourceName,
+    sourceUrl: doc.source?.sourceUrl,
+    extraction
+  };
+}
+
+/**
+ * Keep only records with a valid name, recording a warning for the others
+ * @param {Object[]} records - Extracted records
+ * @param {string} url - Target URL
+ * @param {ErrorSummary} errors - Error tracker of the target
+ * @returns {Object[]} Named records
+ */
+function namedRecords(records, url, errors) {
+  const named = records.filter(orgData => orgData.name);
+  if (named.length < records.length) {
+    console.log(`⚠️  No valid name found for ${records.length - named.length} record(s) on ${url}`);
+    records.filter(orgData => !orgData.name).forEach(() => errors.addExtractionWarning(url, 'name', 'No valid name extracted'));
+  }
+  return named;
+}
+
+/**
+ * robots.txt check for pages followed from a target (pagination)
+ * Disallowed pages are recorded in the target's errors; allowed ones wait out
+ * the host's Crawl-delay first, as the worker pool only spaces out targets
+ * @param {CrawlPolicy} crawlPolicy - Crawl policy (optional)
+ * @param {ErrorSummary} errors - Error tracker of the target
+ * @returns {Function|null} async (url) → whether the page may be loaded
+ */
+function crawlGate(crawlPolicy, errors) {
+  if (!crawlPolicy) return null;
+  return async url => {
+    const { allowed, rule, crawlDelay } = await crawlPolicy.check(url);
+    if (!allowed) {
+      errors.addRobotsDisallowed(url, rule);
+      return false;
+    }
+    if (crawlDelay) await new Promise(resolve => setTimeout(resolve, crawlDelay * 1000));
+    return true;
+  };
+}
+
+/**
+ * Scrape one target over plain HTTP (see lib/tiered-fetcher.js)
+ * Selector stats, errors and page captures are kept aside until the caller
+ * decides to keep the result, so a fallback to the browser doesn't count twice
+ * @param {HttpBrowser} http - StaticPage factory
+ * @param {{url, profile}} target - Target
+ * @param {Object} options - { rootCache, crawlPolicy, pageCache, breaker } (optional)
+ * @returns {Promise<{records, errors, selectorStats, pages, reason, fingerprint, unchanged}>} Result; `reason`
+ *   says why it is not good enough (records are null when the page itself was unusable or unchanged)
+ */
+async function scrapeOverHttp(http, { url, profile }, options = {}) {
+  const { rootCache = null, crawlPolicy = null, pageCache = null, breaker = null } = options;
+  const errors = new ErrorSummary();
+  const selectorStats = new SelectorStats();
+  const pages = [];
+  const { waitFor } = profile;
+  const result = (reason, fingerprint = null) => ({ records: null, errors, selectorStats, pages, reason, fingerprint, unchanged: false });
+
+  const context = await http.newContext(crawlPolicy?.contextOptions(profile));
+  const page = await context.newPage();
+  let response;
+  try {
+    response = await page.goto(url, { timeout: waitFor.timeout, headers: pageCache?.conditionalHeaders(url) });
+  } catch (error) {
+    breaker?.recordFailure(url);
+    return result(`fetch failed: ${error.message}`);
+  }
+
+  // Throttling and server errors count against the host; a 403 may only block plain HTTP
+  if (breaker) {
+    if (['throttled', 'server-error'].includes(classifyStatus(response.status()))) {
+      breaker.recordFailure(url);
+    } else {
+      breaker.recordSuccess(url);
+    }
+  }
+
+  // 304 Not Modified, or the same text as the last scrape: nothing to extract
+  const text = await page.bodyText();
+  const fingerprint = fingerprintOf(response, text);
+  if (pageCache?.isUnchanged(url, fingerprint)) return { ...result(null, fingerprint), unchanged: true };
+
+  const html = await page.content();
+  const problem = staticPageProblem(response, text, html);
+  if (problem) return result(problem);
+
+  if (waitFor.selector) {
+    try {
+      await page.waitForSelector(waitFor.selector);
+    } catch (error) {
+      return result('waitFor selector missing');
+    }
+  }
+
+  const records = await collectPaginated(page, url, {
+    extract: async pageUrl => {
+      pages.push(page.snapshot());
+      return scrapeWithProfile(pageUrl, page, context, profile, selectorStats, { rootCache });
+    },
+    pagination: profile.pagination,
+    waitFor,
+    errorSummary: errors,
+    canFetch: crawlGate(crawlPolicy, errors)
+  });
+
+  // A listing that loads more items on click or scroll only paginates in the browser
+  const lazyLoading = records.length > 1 ? findLazyLoading(html, profile.pagination) : null;
+  const reason = recordsProblem(records, url, profile) || (lazyLoading && `${lazyLoading} pagination`);
+  return { records, errors, selectorStats, pages, reason, fingerprint, unchanged: false };
+}
+
+/**
+ * Load a target's page in a new browser context
+ * With a network rotation and the profile's network settings, the page goes
+ * through the source's proxies, and a blocked page is loaded again in a fresh
+ * context with another identity (see lib/network-rotation.js)
+ * @param {Browser} browser - Playwright browser (shared by all tasks)
+ * @param {{url, profile}} target - Target
+ * @param {Object} options - { crawlPolicy, network, gotoOptions }
+ * @param {ErrorSummary} errors - Error tracker of the target (receives the errors of the last attempt)
+ * @returns {Promise<{context, page, response}>} Open context and page; `response` is null when
+ *   the page failed to load
+ */
+async function loadInBrowser(browser, { url, profile }, options, errors) {
+  const { crawlPolicy, network, gotoOptions } = options;
+  const settings = network ? profile.network : null;
+  const { waitFor } = profile;
+
+  for (let attempt = 0; ; attempt++) {
+    const contextOptions = network
+      ? network.contextOptions(settings, attempt, crawlPolicy?.contextOptions(profile))
+      : crawlPolicy?.contextOptions(profile);
+    const context = await browser.newContext(contextOptions);
+    const proxy = contextOptions?.proxy || null;
+
+    try {
+      const page = await context.newPage();
+      const attemptErrors = new ErrorSummary();
+
+      // Use retry logic with exponential backoff (Requirements 8.1, 8.2)
+      const response = await retryPageGoto(page, url, {
+        waitUntil: waitFor.waitUntil,
+        timeout: waitFor.timeout,
+        ...gotoOptions
+      }, attemptErrors);
+
+      if (response) {
+        network?.recordSuccess(proxy, attempt);
+      } else if (settings) {
+        const status = blockedStatus(attemptErrors);
+        const rotating = status !== null && attempt < settings.rotations;
+        if (status !== null) network.recordBlock(url, status, proxy, rotating);
+        if (status !== null || attemptErrors.pageLoadErrors.length > 0) {
+          network.recordFailure(proxy, status !== null ? `blocked (${status})` : attemptErrors.pageLoadErrors[0].reason);
+        }
+        if (rotating) {
+          await context.close().catch(() => {});
+          continue;
+        }
+      }
+
+      errors.merge(attemptErrors);
+      return { context, page, response };
+
+    } catch (error) {
+      await context.close().catch(() => {});
+      throw error;
+    }
+  }
+}
+
+/**
+ * Scrape one target in its own browser context
+ * @param {Browser} browser - Playwright browser (shared by all tasks)
+ * @param {{url, profile}} target - Target
+ * @param {Object} options - { selectorStats, capture, rootCache, crawlPolicy, pageCache, breaker, network }
+ * @param {ErrorSummary} errors - Error tracker of the target
+ * @returns {Promise<{records: Object[], fingerprint, unchanged: boolean}|null>} Records (empty when the
+ *   page is unchanged), or null when the page failed to load
+ */
+async function scrapeInBrowser(browser, target, options, errors) {
+  const { url, profile } = target;
+  const { selectorStats, capture, rootCache, crawlPolicy, pageCache, breaker = null, network = null } = options;
+  const gotoOptions = { dismissOverlays: profile.dismissOverlays, retry: profile.retry, breaker };
+  const { context, page, response } = await loadInBrowser(browser, target, { crawlPolicy, network, gotoOptions }, errors);
+
+  try {
+    if (!response) return null;
+    const { waitFor } = profile;
+
+    // Wait for the profile's content selector, then a bit more for dynamic content
+    if (waitFor.selector) {
+      try {
+        await page.waitForSelector(waitFor.selector, { timeout: waitFor.timeout });
+      } catch (error) {
+        errors.addExtractionWarning(url, 'waitFor', `Selector "${waitFor.selector}" did not appear`);
+      }
+    }
+    await page.waitForTimeout(waitFor.delay);
+
+    // The same text as the last scrape: nothing to extract
+    const fingerprint = pageCache ? fingerprintOf(response, await toDom(page).bodyText()) : null;
+    if (pageCache?.isUnchanged(url, fingerprint)) return { records: [], fingerprint, unchanged: true };
+
+    // Extract one record per listed organisation (following pagination), or the page itself.
+    // Root domain titles are fetched in the same context
+    const records = await collectPaginated(page, url, {
+      extract: async pageUrl => {
+        if (capture) await capture.capturePage(pageUrl, page, profile.sourceName);
+        return scrapeWithProfile(pageUrl, page, context, profile, selectorStats, { rootCache });
+      },
+      pagination: profile.pagination,
+      waitFor,
+      errorSummary: errors,
+      canFetch: crawlGate(crawlPolicy, errors),
+      gotoOptions
+    });
+    return { records, fingerprint, unchanged: false };
+
+  } finally {
+    await context.close().catch(() => {});
+  }
+}
+
+/**
+ * Scrape one target: over plain HTTP when that is good enough, otherwise in
+ * its own browser context
+ * @param {Browser} browser - Playwright browser (shared by all tasks, may be lazy)
+ * @param {{url, profile}} target - Target
+ * @param {Object} options - { selectorStats, ledger, capture, http, fetchMode, fetchStats, rootCache, crawlPolicy, pageCache, breaker, network }
+ * @returns {Promise<{records: Object[], errors: ErrorSummary, fingerprint?: Object, fetchMode?: string}>} Named
+ *   records and the task's errors; a scraped page also returns its fingerprint, which the caller
+ *   records once it knows the page's records were kept
+ */
+async function scrapeTarget(browser, target, options) {
+  const { url, profile } = target;
+  const { selectorStats, ledger, capture, http = null, fetchMode = null, fetchStats = null, rootCache = null, crawlPolicy = null, pageCache = null, breaker = null, network = null } = options;
+  let errors = new ErrorSummary();
+  let tier = 'browser';
+  let loadError = 'Failed to load';
+
+  const outcome = (status, fields = {}) => ledger?.recordUrl(url, { sourceName: profile.sourceName, status, fetchMode: tier, ...fields });
+
+  try {
+    const verdict = crawlPolicy ? await crawlPolicy.check(url) : null;
+    if (verdict && !verdict.allowed) {
+      console.log(`🚫 Skipping ${url} (robots.txt: ${verdict.rule})`);
+      errors.addRobotsDisallowed(url, verdict.rule);
+      outcome('disallowed', { error: verdict.rule, fetchMode: null });
+      return { records: [], errors };
+    }
+
+    // A host that keeps failing is left alone until its circuit closes (see lib/retry-policy.js)
+    if (breaker && !breaker.allows(url)) {
+      const message = 'circuit open after repeated failures on this host';
+      console.log(`🔌 Skipping ${url} (${message})`);
+      errors.addPageLoadError(url, message);
+      outcome('failed', { error: message, fetchMode: null });
+      return { records: [], errors };
+    }
+
+    let records = null;
+    let fingerprint = null;
+    let unchanged = false;
+    let fallback = http ? browserRequirement(profile, fetchMode) : null;
+
+    if (http && !fallback) {
+      const result = await scrapeOverHttp(http, target, { rootCache, crawlPolicy, pageCache, breaker });
+      if (!result.reason || (fetchMode || profile.fetch) === 'http') {
+        tier = 'http';
+        ({ records, fingerprint, unchanged } = result);
+        errors = result.errors;
+        selectorStats.merge(result.selectorStats);
+        if (capture) {
+          for (const page of result.pages) await capture.capturePage(page.url(), page, profile.sourceName);
+        }
+        if (result.reason) {
+          console.log(`⚠️  ${url}: ${result.reason} (HTTP only)`);
+          loadError = result.reason;
+          if (!result.records) errors.addPageLoadError(url, result.reason);
+        }
+      } else {
+        fallback = result.reason;
+        console.log(`   🌐 ${url}: ${fallback}, loading it in the browser`);
+      }
+    }
+
+    if (tier === 'browser') {
+      const loaded = await scrapeInBrowser(browser, target, { selectorStats, capture, rootCache, crawlPolicy, pageCache, breaker, network }, errors);
+      if (loaded) ({ records, fingerprint, unchanged } = loaded);
+    }
+    fetchStats?.record(tier, tier === 'browser' ? fallback : null);
+
+    if (unchanged) {
+      console.log(`♻️  Skipping ${url} (unchanged since the last scrape)`);
+      pageCache.record(url, fingerprint, { fetchMode: tier, runId: ledger?.runId });
+      outcome('unchanged');
+      return { records: [], errors };
+    }
+
+    if (!records) {
+      console.log(`⏭️  Skipping ${url} (failed to load)`);
+      outcome('failed', { error: loadError });
+      return { records: [], errors };
+    }
+
+    // Only process records with a valid name
+    const named = namedRecords(records, url, errors);
+    outcome(named.length > 0 ? 'scraped' : 'empty', { records: named.length });
+    return { records: named, errors, fingerprint, fetchMode: tier };
+
+  } catch (error) {
+    console.error(`❌ Error scraping ${url}: ${error.message}`);
+    errors.addPageLoadError(url, error.message);
+    outcome('failed', { error: error.message });
+    return { records: [], errors };
+
+  } finally {
+    // Checkpoint per URL so a resumed run can skip it
+    await ledger?.checkpoint();
+  }
+}
+
+/**
+ * Deduplication key of a record, shared by its language variants
+ * @param {Object} record - Scraped record
+ * @returns {string} Key (see mergeLanguageVariants)
+ */
+function variantKey(record) {
+  return recordKey({ ...record, website: record.website && languageNeutralUrl(record.website) });
+}
+
+/**
+ * Scrape targets into unique organisation records with resolved websites
+ * Targets run concurrently in a worker pool sharing one browser (one context
+ * per target); records and errors are collected in target order. With an
+ * HttpBrowser, targets are tried over plain HTTP first (see lib/tiered-fetcher.js)
+ * @param {Browser} browser - Playwright browser (or lazyBrowser)
+ * @param {Array<{url, profile}>} targets - Result of selectTargets
+ * @param {Object} options - Scrape options
+ * @param {ErrorSummary} options.errorSummary - Error tracker
+ * @param {SelectorStats} options.selectorStats - Selector hit-rate tracker
+ * @param {RunLedger} options.ledger - Run ledger (optional)
+ * @param {RawCapture} options.capture - Stores the HTML/text of every loaded page (optional)
+ * @param {number} options.limit - Stop starting targets, and resolving websites, after this many
+ *   organisations (optional)
+ * @param {number} options.concurrency - Targets scraped at once (default 4)
+ * @param {number} options.perHost - Targets scraped at once per host (default 1)
+ * @param {number} options.hostDelay - Minimum ms between page loads on the same host (default 1000)
+ * @param {HttpBrowser} options.http - Plain HTTP tier (optional; without it every target uses the browser)
+ * @param {string} options.fetchMode - Force 'http' or 'browser' for every profile (optional)
+ * @param {FetchStats} options.fetchStats - Fetch tier tracker (optional)
+ * @param {RootMetadataCache} options.rootCache - Loads each root domain once for the run (optional)
+ * @param {CrawlPolicy} options.crawlPolicy - Skips URLs robots.txt disallows and applies its
+ *   Crawl-delay per host (optional)
+ * @param {PageCache} options.pageCache - Skips targets unchanged since their last scrape; the
+ *   caller stores the new fingerprints with pageCache.save() (optional)
+ * @param {AboutPageDiscovery} options.aboutPages - Reads the About pages of organisations with
+ *   short descriptions once their website is resolved (optional)
+ * @param {AssetStore} options.assetStore - Downloads each organisation's logo once its website
+ *   is resolved (optional; without it records keep only their logo candidates)
+ * @param {CircuitBreaker} options.breaker - Skips hosts that keep failing (optional)
+ * @param {NetworkRotation} options.network - Sends pages of sources with network settings through
+ *   their proxies and rotates identities on blocks (optional)
+ * @param {Function} options.fetchImpl - fetch implementation for website resolution (default: global fetch)
+ * @returns {Promise<Object[]>} Unique records
+ */
+export async function scrapeTargets(browser, targets, options = {}) {
+  const {
+    errorSummary,
+    selectorStats,
+    ledger = null,
+    capture = null,
+    limit = null,
+    concurrency = DEFAULT_CONCURRENCY,
+    perHost = DEFAULT_PER_HOST,
+    hostDelay = DEFAULT_HOST_DELAY,
+    http = null,
+    fetchMode = null,
+    fetchStats = null,
+    rootCache = null,
+    crawlPolicy = null,
+    pageCache = null,
+    aboutPages = null,
+    assetStore = null,
+    breaker = null,
+    network = null,
+    fetchImpl = fetch
+  } = options;
+  let collected = 0;
+
+  if (pageCache) await pageCache.load(targets.map(target => target.url));
+
+  // Load every host's robots.txt up front, so its Crawl-delay spaces out the first targets too
+  if (crawlPolicy) await Promise.all(targets.map(target => crawlPolicy.policyFor(target.url).catch(() => null)));
+  const targetDelay = crawlPolicy
+    ? target => Math.max(hostDelay, crawlPolicy.crawlDelay(target.url) * 1000)
+    : hostDelay;
+
+  const results = await runPool(targets, async target => {
+    if (limit && collected >= limit) {
+      console.log(`⏭️  Limit of ${limit} organisations reached, skipping ${target.url}`);
+      return { records: [], errors: new ErrorSummary() };
+    }
+    const result = await scrapeTarget(browser, target, { selectorStats, ledger, capture, http, fetchMode, fetchStats, rootCache, crawlPolicy, pageCache, breaker, network });
+    collected += result.records.length;
+    return result;
+  }, { concurrency, perHost, hostDelay: targetDelay, keyOf: target => hostKey(target.url) });
+
+  const scrapedData = [];
+  const scrapedPages = [];
+  results.forEach(({ status, value, reason }, index) => {
+    // A task that threw past scrapeTarget's own handling (e.g. the ledger
+    // checkpoint) loses its page, not the run
+    if (status === 'rejected') {
+      console.error(`❌ Error scraping ${targets[index].url}: ${reason?.message || reason}`);
+      errorSummary.addPageLoadError(targets[index].url, reason?.message || String(reason));
+      return;
+    }
+    errorSummary.merge(value.errors);
+    for (const orgData of value.records) {
+      scrapedData.push(annotateLanguage(orgData));
+      console.log(`✅ Scraped: ${orgData.name}`);
+    }
+    if (value.fingerprint) {
+      scrapedPages.push({ url: targets[index].url, fingerprint: value.fingerprint, fetchMode: value.fetchMode, keys: value.records.map(variantKey) });
+    }
+  });
+
+  // The same organisation is often listed on several pages/sources, and in
+  // both languages on bilingual sites (the /ar/ variant supplies name_ar)
+  const listedData = mergeLanguageVariants(scrapedData, recordKey);
+  const listedKeys = listedData.map(variantKey);
+
+  // Resolve each organisation's own homepage: listing links may be detail pages,
+  // tracking wrappers or redirects; single-organisation pages use their own homepage
+  console.log(`\n🔗 Resolving websites for ${limit ? Math.min(limit, listedData.length) : listedData.length} organisations...`);
+  const websiteCache = new Map();
+  const websiteRequests = new Map();
+  const resolvedData = [];
+  const resolvedKeys = new Set();
+
+  for (const item of listedData) {
+    // Records past the limit would be dropped, so don't spend requests on them
+    if (limit && resolvedKeys.size >= limit) {
+      console.log(`⏭️  Limit of ${limit} organisations reached, not resolving ${listedData.length - resolvedData.length} more`);
+      break;
+    }
+
+    if (item.sourceUrl && item.website !== item.sourceUrl) {
+      const resolved = await resolveWebsite(item.website, {
+        sourceUrl: item.sourceUrl,
+        cache: websiteCache,
+        fetchImpl,
+        crawlPolicy,
+        errorSummary,
+        lastRequests: websiteRequests
+      });
+      if (!resolved) {
+        errorSummary.addExtractionWarning(item.sourceUrl, 'website', `Could not resolve website for ${item.name}`);
+      }
+      item.website = resolved;
+    } else {
+      item.website = canonicalHomepage(item.website);
+    }
+    resolvedData.push(item);
+    resolvedKeys.add(variantKey(item));
+  }
+
+  // A page is only fingerprinted when all its organisations were kept: one whose
+  // records were cut off by the limit must not be skipped as unchanged next run
+  if (pageCache) {
+    const droppedKeys = new Set(listedKeys.slice(resolvedData.length));
+    for (const page of scrapedPages) {
+      if (page.keys.some(key => droppedKeys.has(key))) {
+        console.log(`   ⏭️  Not fingerprinting ${page.url}: some of its organisations were left out by the limit`);
+        continue;
+      }
+      pageCache.record(page.url, page.fingerprint, { fetchMode: page.fetchMode, runId: ledger?.runId });
+    }
+  }
+
+  // Different listing links can resolve to the same homepage
+  const keptData = mergeLanguageVariants(resolvedData, recordKey);
+  const duplicates = scrapedData.length - (listedData.length - resolvedData.length) - keptData.length;
+  console.log(`\n📦 Scraped ${keptData.length} unique organisations (${duplicates} duplicates dropped) from ${targets.length} URLs.`);
+
+  // Short descriptions are enriched from the About pages of the organisation's own site
+  if (aboutPages) await aboutPages.enrichAll(keptData);
+
+  // Logos come from the page, the directory card or the resolved homepage's metadata
+  if (assetStore) await captureLogos(keptData, assetStore, rootCache);
+
+  return keptData;
+}
+
+/**
+ * Validate, resolve and save one organisation
+ * @param {Object} orgData - Scraped record
+ * @param {Object|null} aiResult - AI classification (null when skipped)
+ * @param {Object} options - Processing options
+ * @param {string} options.runId - Run id stamped on history, field meta and the record
+ * @param {Object} options.mergePolicy - Field merge policy of the record's source
+ * @param {RunLedger} options.ledger - Run ledger (optional)
+ * @param {boolean} options.dryRun - Compute and log the outcome without writing
+ * @param {Document} options.existing - Stored organisation to update, skipping
+ *   entity resolution (used when reclassifying)
+ * @returns {Promise<Document|null>} Saved (or, in a dry run, unsaved) organisation,
+ *   or null if it went to the review queue
+ */
+export async function processOrganisation(orgData, aiResult = null, options = {}) {
+  const { runId = null, mergePolicy = DEFAULT_FIELD_POLICIES, ledger = null, dryRun = false } = options;
+
+  // 1. Prepare the processed data fields
+  const finalCategory = aiResult?.category || 'GROWTH & INNOVATION';
+  const finalSubcategory = aiResult?.subcategory || 'General Entity';
+  const finalRole = aiResult?.role_summary || 'Organisation pending classification';
+
+  // Default Status
+  let publishTier = 'C';
+  let isActive = false;
+  let trustScore = 10;
+  let needsReview = true;
+
+  // AI-Driven Status
+  if (aiResult && !aiResult.degraded) {
+    needsReview = aiResult.needsReview || aiResult.confidence < 0.7;
+
+    if (aiResult.isEcosystemOrg) {
+      isActive = true;
+      if (aiResult.type === 'government' || aiResult.type === 'incubator') {
+        publishTier = 'A';
+        trustScore = 90;
+      } else if (aiResult.type === 'startup' || aiResult.type === 'vc') {
+        publishTier = 'B';
+        trustScore = 70;
+      }
+    }
+  }
+
+  // 2. Build organisation object for validation
+  const orgToValidate = {
+    name: orgData.name,
+    website: orgData.website,
+    country: orgData.country || 'United Arab Emirates',
+    description: orgData.description || null,
+    name_ar: orgData.name_ar || null,
+    description_ar: orgData.description_ar || null,
+    twitter: orgData.twitter || null,
+    socials: orgData.socials || null,
+    contact: orgData.contact || null,
+    logo: orgData.logo || null,
+    about: orgData.about || null,
+    categories: [finalCategory],
+    subcategories: [finalSubcategory],
+    roles: [finalRole]
+  };
+
+  // 3. Validate before saving (Requirements 5.6, 5.7)
+  const validationResult = validateOrganisation(orgToValidate);
+
+  if (!validationResult.valid) {
+    console.error(`❌ Validation failed for ${orgData.name}:`);
+    validationResult.errors.forEach(err => console.error(`   - ${err}`));
+
+    // Add to review queue (Requirement 5.7)
+    addToReviewQueue(orgToValidate, validationResult.errors);
+
+    // Do NOT save to database (Requirement 5.6)
+    return null;
+  }
+
+  // 4. Entity Resolution (Update, Review or Create)
+  let existing = options.existing || null;
+  if (!existing) {
+    const candidates = await findCandidates(Organisation, orgToValidate);
+    const resolution = resolveEntity(orgToValidate, candidates);
+
+    if (resolution.action === 'review') {
+      const { match } = resolution;
+      console.log(`🔍 Possible duplicate: ${orgData.name} ≈ ${match.name} (score ${resolution.score}) - sent to review`);
+      addToReviewQueue(orgToValidate, [`Possible duplicate of "${match.name}" (score ${resolution.score})`], {
+        type: 'possible_duplicate',
+        existing: {
+          _id: String(match._id),
+          name: match.name,
+          website: match.website,
+          description: match.description,
+          categories: match.categories,
+          source: match.source
+        },
+        match: { score: resolution.score, reasons: resolution.reasons }
+      });
+      return null;
+    }
+
+    existing = resolution.action === 'merge' ? resolution.match : null;
+    if (existing && existing.name !== orgToValidate.name) {
+      console.log(`🔗 Matched ${orgData.name} → ${existing.name} (${resolution.reasons.join(', ')})`);
+    }
+  }
+
+  // Who is setting these values (stored per field in fieldMeta)
+  const context = {
+    source: orgData.sourceName || 'enhanced_scraper',
+    sourceUrl: orgData.sourceUrl || orgData.website,
+    runId,
+    confidence: aiResult && !aiResult.degraded ? aiResult.confidence : 0,
+    extraction: orgData.extraction || {},
+    quality: orgData.quality || {},
+    aiProvider: aiResult?.provider || null,
+    aiModel: aiResult?.model || null
+  };
+
+  const status = {
+    isActive: isActive,
+    publishTier: publishTier,
+    trustScore: trustScore,
+    trustReasons: aiResult ? [`AI Classified as ${aiResult.type}`] : ['Manual/Scraper Entry'],
+    confidence: aiResult?.confidence || null,
+    needsReview: needsReview,
+    aiResult: aiResult
+  };
+
+  if (existing) {
+    console.log(`🔄 ${dryRun ? 'Would update' : 'Updating'}: ${orgData.name}`);
+    // Merge field by field: never clobber manual edits or better data
+    const before = snapshotFields(existing);
+    const image = beforeImage(existing);
+    const merge = mergeOrganisation(existing, orgToValidate, context, mergePolicy);
+    applyMerge(existing, merge, context);
+
+    const manualFields = Object.keys(merge.decisions).filter(field => merge.decisions[field] === 'manual');
+    if (manualFields.length > 0) {
+      console.log(`   🔒 Kept manual edits: ${manualFields.join(', ')}`);
+    }
+
+    // Status and AI provenance follow the classification that was kept
+    if (merge.decisions.categories === 'incoming') {
+      existing.status = status;
+      existing.source.aiProvider = aiResult?.provider || null;
+      existing.source.aiModel = aiResult?.model || null;
+    }
+
+    if (dryRun) {
+      const changes = diffSnapshots(before, snapshotFields(existing));
+      console.log(`   ${changes.length > 0 ? `Changes: ${changes.map(change => change.field).join(', ')}` : 'No changes'}`);
+      return existing;
+    }
+
+    existing.source.lastSyncedAt = new Date();
+    if (runId) existing.runIds.addToSet(runId);
+    const saved = await existing.save();
+
+    // Append the field diffs to the organisation's history
+    const changes = diffSnapshots(before, snapshotFields(saved));
+    await recordHistory(OrganisationHistory, saved, changes, {
+      action: 'update',
+      runId,
+      reason: `Scraped from ${context.sourceUrl}`,
+      before: image
+    });
+    if (ledger) ledger.recordOrganisation(saved._id, changes.length > 0 ? 'updated' : 'unchanged');
+    return saved;
+  }
+
+  // 5. Create New
+  console.log(`🆕 ${dryRun ? 'Would create' : 'Creating'}: ${orgData.name}`);
+  const newDoc = new Organisation({
+    name: orgToValidate.name,
+    website: orgToValidate.website,
+    country: orgToValidate.country,
+    description: orgToValidate.description,
+    name_ar: orgToValidate.name_ar,
+    description_ar: orgToValidate.description_ar,
+    twitter: orgToValidate.twitter,
+    socials: orgToValidate.socials || undefined,
+    contact: orgToValidate.contact || undefined,
+    logo: orgToValidate.logo || undefined,
+    about: orgToValidate.about || undefined,
+    categories: orgToValidate.categories,
+    subcategories: orgToValidate.subcategories,
+    roles: orgToValidate.roles,
+    source: {
+      sourceName: context.source,
+      sourceUrl: context.sourceUrl,
+      lastSyncedAt: new Date(),
+      aiProvider: aiResult?.provider || null,
+      aiModel: aiResult?.model || null
+    },
+    status: status,
+    runIds: runId ? [runId] : []
+  });
+  stampFieldMeta(newDoc, Object.keys(mergePolicy), context);
+
+  if (dryRun) return newDoc;
+
+  const saved = await newDoc.save();
+  await recordHistory(OrganisationHistory, saved, diffSnapshots({}, snapshotFields(saved)), {
+    action: 'create',
+    runId,
+    reason: `Scraped from ${context.sourceUrl}`
+  });
+  if (ledger) ledger.recordOrganisation(saved._id, 'created');
+  return saved;
+}
+
+/**
+ * Classify records with AI and process each one
+ * @param {Object[]} records - Scraped records (or stored organisations as records)
+ * @param {Object} options - Options
+ * @param {boolean} options.ai - Classify with AI (false: keep default/previous classification)
+ * @param {Object} options.aiStats - Counters from createAiStats, updated in place
+ * @param {Map} options.mergePolicies - sourceName → merge policy
+ * @param {Function} options.findExisting - record → stored organisation to update,
+ *   skipping entity resolution (optional)
+ * @param {string} options.runId - Run id
+ * @param {RunLedger} options.ledger - Run ledger (optional)
+ * @param {boolean} options.dryRun - Don't write to the database
+ * @param {Function} options.cachedClassification - record → AI result saved by an earlier
+ *   attempt, reused instead of calling the providers again (optional)
+ * @param {Function} options.onClassified - Called with (record, aiResult) right after AI
+ *   classification, to checkpoint the result (optional)
+ * @param {Function} options.onOutcome - Called with (record, { status: 'processed'|'rejected'|'failed',
+ *   organisation, aiResult, error }) after each record (optional, e.g. RawCapture#markOutcome)
+ * @returns {Promise<{processedResults: Document[], savedCount: number, validationFailures: number}>} Outcome
+ */
+export async function classifyAndProcess(records, options = {}) {
+  const { ai = true, aiStats = createAiStats(), mergePolicies = new Map(), findExisting = null, runId = null, ledger = null, dryRun = false, cachedClassification = null, onClassified = null, onOutcome = null } = options;
+  const processedResults = [];
+  let savedCount = 0;
+  let validationFailures = 0;
+
+  for (const item of records) {
+    let aiResult = null;
+    try {
+      // AI Classification (only if enabled and we have enough description)
+      const cached = ai && cachedClassification ? cachedClassification(item) : null;
+
+      if (!ai) {
+        aiStats.skipped++;
+      } else if (cached) {
+        console.log(`   ♻️  Reusing AI result for ${item.name}`);
+        aiStats.cached++;
+        aiResult = cached;
+      } else if ((item.description || item.description_ar || (item.about && item.about.text) || '').length > 10) {
+        console.log(`   🧠 AI Classifying: ${item.name}...`);
+        aiStats.total++;
+
+        aiResult = await classifyWithAI(item);
+        if (aiResult && onClassified) await onClassified(item, aiResult);
+
+        if (aiResult) {
+          aiStats.successful++;
+
+          if (aiResult.degraded) {
+            aiStats.degraded++;
+          } else if (aiResult.provider) {
+            aiStats.byProvider[aiResult.provider]++;
+          }
+        }
+      } else {
+        console.log(`   ⏩ Skipping AI for ${item.name} (Description too short)`);
+        aiStats.skipped++;
+      }
+
+      // Process with validation
+      const savedDoc = await processOrganisation(item, aiResult, {
+        runId,
+        mergePolicy: mergePolicies.get(item.sourceName),
+        ledger,
+        dryRun,
+        existing: findExisting ? findExisting(item) : null
+      });
+
+      if (savedDoc) {
+        processedResults.push(savedDoc);
+        savedCount++;
+      } else {
+        validationFailures++;
+      }
+      if (onOutcome) await onOutcome(item, { status: savedDoc ? 'processed' : 'rejected', organisation: savedDoc, aiResult });
+
+    } catch (e) {
+      console.error(`⚠️ Could not save ${item.name}:`, e.message);
+      if (onOutcome) await onOutcome(item, { status: 'failed', organisation: null, aiResult, error: e.message });
+    }
+  }
+
+  return { processedResults, savedCount, validationFailures };
+}
+
+/**
+ * Print AI classification and validation statistics
+ * @param {number} total - Organisations processed
+ * @param {Object} aiStats - Counters from createAiStats
+ * @param {Object} outcome - Result of classifyAndProcess
+ * @param {boolean} dryRun - Whether nothing was written
+ */
+export function printRunSummary(total, aiStats, outcome, dryRun = false) {
+  console.log('\n=== AI Classification Summary ===');
+  console.log(`Total organisations: ${total}`);
+  console.log(`AI classification attempts: ${aiStats.total}`);
+  console.log(`AI successful: ${aiStats.successful}`);
+  console.log(`AI degraded (default): ${aiStats.degraded}`);
+  console.log(`AI skipped (no description / --no-ai): ${aiStats.skipped}`);
+  console.log(`AI reused (resumed): ${aiStats.cached}`);
+  console.log('\nBy Provider:');
+  console.log(`  - Cerebras: ${aiStats.byProvider.cerebras}`);
+  console.log(`  - OpenRouter: ${aiStats.byProvider.openrouter}`);
+  console.log(`  - Moonshot: ${aiStats.byProvider.moonshot}`);
+  console.log('================================\n');
+
+  console.log('=== Validation Summary ===');
+  console.log(`Sent to review queue (validation failures / possible duplicates): ${outcome.validationFailures}`);
+  console.log(`${dryRun ? 'Would save (dry run)' : 'Successfully saved'}: ${outcome.savedCount}`);
+  console.log('==========================\n');
+}
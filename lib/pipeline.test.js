@@ -0,0 +1,506 @@
+/**
+ * Unit Tests for the Pipeline
+ * Tests target selection, fetch tiers and dry-run processing (no database,
+ * browser or AI calls)
+ */
+
+import { describe, it } from 'mocha';
+import { expect } from 'chai';
+import Organisation from '../models/Organisation.js';
+import { normalizeProfile, SelectorStats } from './source-profiles.js';
+import { stampFieldMeta } from './merge-policy.js';
+import { ErrorSummary } from './enhanced-scraper.js';
+import { StaticPage } from './dom-adapter.js';
+import { HttpBrowser, FetchStats } from './tiered-fetcher.js';
+import { RunLedger } from './run-ledger.js';
+import { CrawlPolicy } from './crawl-policy.js';
+import { PageCache, contentHash } from './page-cache.js';
+import { AboutPageDiscovery } from './about-pages.js';
+import { NetworkRotation } from './network-rotation.js';
+import { createAiStats, selectTargets, targetsForUrls, scrapeTargets, processOrganisation, classifyAndProcess, storedRecord } from './pipeline.js';
+
+const profiles = [
+  normalizeProfile({ sourceName: 'hub71', urls: ['https://www.hub71.com/investors', 'https://www.hub71.com/partners'], mode: 'listing' }, 'hub71'),
+  normalizeProfile({ sourceName: 'dubai_chamber', url: 'https://www.dubaichamber.com/', mode: 'single' }, 'dubai-chamber')
+];
+
+describe('Pipeline - selectTargets', () => {
+  it('should select every URL of every profile by default', () => {
+    const { targets } = selectTargets(profiles);
+    expect(targets.map(t => t.url)).to.deep.equal([
+      'https://www.hub71.com/investors',
+      'https://www.hub71.com/partners',
+      'https://www.dubaichamber.com/'
+    ]);
+  });
+
+  it('should filter by profile id or source name', () => {
+    expect(selectTargets(profiles, { sources: ['dubai-chamber'] }).profiles.map(p => p.id)).to.deep.equal(['dubai-chamber']);
+    expect(selectTargets(profiles, { sources: ['dubai_chamber', 'hub71'] }).targets).to.have.length(3);
+  });
+
+  it('should reject unknown sources and list the available ones', () => {
+    expect(() => selectTargets(profiles, { sources: ['hub72'] })).to.throw(/unknown source "hub72" \(available: hub71, dubai-chamber\)/);
+  });
+
+  it('should scrape a single URL with the profile that lists it or shares its host', () => {
+    const listed = selectTargets(profiles, { url: 'https://www.hub71.com/partners' });
+    expect(listed.targets).to.have.length(1);
+    expect(listed.targets[0].profile.id).to.equal('hub71');
+
+    const sameHost = selectTargets(profiles, { url: 'https://hub71.com/startups' });
+    expect(sameHost.targets[0].profile.mode).to.equal('listing');
+  });
+
+  it('should use an ad-hoc profile for unknown hosts', () => {
+    const { profiles: [profile], targets } = selectTargets(profiles, { url: 'https://www.adgm.com/' });
+    expect(profile).to.include({ id: 'adgm.com', sourceName: 'adgm.com', mode: 'auto' });
+    expect(targets).to.deep.equal([{ url: 'https://www.adgm.com/', profile }]);
+  });
+});
+
+describe('Pipeline - resume', () => {
+  it('should rebuild targets from the URLs of a stored run', () => {
+    const { profiles: used, targets } = targetsForUrls(profiles, ['https://www.hub71.com/partners', 'https://www.hub71.com/investors', 'https://www.adgm.com/']);
+    expect(targets.map(t => t.profile.id)).to.deep.equal(['hub71', 'hub71', 'adgm.com']);
+    expect(used.map(p => p.id)).to.deep.equal(['hub71', 'adgm.com']);
+  });
+
+  it('should continue the AI counters of a resumed run', () => {
+    const stats = createAiStats({ total: 4, successful: 3, byProvider: { cerebras: 3 } });
+    expect(stats).to.deep.equal({
+      total: 4, successful: 3, degraded: 0, skipped: 0, cached: 0,
+      byProvider: { cerebras: 3, openrouter: 0, moonshot: 0 }
+    });
+  });
+});
+
+describe('Pipeline - stored records', () => {
+  it('should rebuild the record with its Arabic fields and extractor strategies', () => {
+    const doc = new Organisation({
+      name: 'وزارة الاقتصاد',
+      name_ar: 'وزارة الاقتصاد',
+      description_ar: 'تدعم وزارة الاقتصاد الشركات الناشئة في دولة الإمارات',
+      source: { sourceName: 'moet', sourceUrl: 'https://www.moet.gov.ae/ar/' }
+    });
+    stampFieldMeta(doc, ['description_ar'], { source: 'moet', extraction: { description_ar: 'og:description' } });
+
+    const record = storedRecord(doc);
+
+    expect(record).to.include({ name_ar: 'وزارة الاقتصاد', description_ar: doc.description_ar, sourceName: 'moet' });
+    expect(record.extraction).to.deep.equal({ description_ar: 'og:description' });
+  });
+});
+
+describe('Pipeline - fetch tiers', () => {
+  const ROOT = 'https://www.example.ae/';
+  const target = raw => ({ url: ROOT, profile: normalizeProfile({ url: ROOT, mode: 'single', ...raw }, 'example') });
+  const SERVER_RENDERED = `<html><head><title>Example Hub</title>
+    <meta name="description" content="Example Hub supports founders across the UAE."></head>
+    <body><p>${'Programmes, partners and events for startups. '.repeat(10)}</p></body></html>`;
+  const JS_SHELL = '<html><head><title>Example Hub</title></head><body><div id="root"></div></body></html>';
+
+  const serve = html => async () => new Response(html, { headers: { 'content-type': 'text/html' } });
+
+  /**
+   * Browser whose pages render fixed HTML (StaticPages standing in for Chromium)
+   */
+  function createFakeBrowser(html) {
+    const browser = { contexts: 0 };
+    browser.newContext = async () => {
+      browser.contexts++;
+      return { newPage: async () => new StaticPage({ fetchImpl: serve(html) }), close: async () => {} };
+    };
+    return browser;
+  }
+
+  const scrape = (browser, targets, http, extra = {}) => {
+    const fetchStats = new FetchStats();
+    const errorSummary = new ErrorSummary();
+    return scrapeTargets(browser, targets, { errorSummary, selectorStats: new SelectorStats(), http, fetchStats, hostDelay: 0, ...extra })
+      .then(records => ({ records, fetchStats, errorSummary }));
+  };
+
+  it('should keep server-rendered pages on the HTTP tier without a browser', async () => {
+    const browser = createFakeBrowser(JS_SHELL);
+    const { records, fetchStats } = await scrape(browser, [target()], new HttpBrowser({ fetchImpl: serve(SERVER_RENDERED) }));
+
+    expect(records.map(r => r.name)).to.deep.equal(['Example Hub']);
+    expect(records[0].extraction.description).to.equal('meta-description');
+    expect(browser.contexts).to.equal(0);
+    expect(fetchStats).to.deep.include({ http: 1, browser: 0 });
+  });
+
+  it('should fall back to the browser for JavaScript-rendered pages', async () => {
+    const browser = createFakeBrowser(SERVER_RENDERED);
+    const { records, fetchStats } = await scrape(browser, [target()], new HttpBrowser({ fetchImpl: serve(JS_SHELL) }));
+
+    expect(records.map(r => r.name)).to.deep.equal(['Example Hub']);
+    expect(browser.contexts).to.equal(1);
+    expect(fetchStats).to.deep.include({ http: 0, browser: 1, fallbacks: { 'js-rendered': 1 } });
+  });
+
+  it('should skip the HTTP tier for browser-only profiles', async () => {
+    let fetched = 0;
+    const http = new HttpBrowser({ fetchImpl: async () => { fetched++; return new Response(SERVER_RENDERED); } });
+    const browser = createFakeBrowser(SERVER_RENDERED);
+    const { fetchStats } = await scrape(browser, [target({ fetch: 'browser' })], http);
+
+    expect(fetched).to.equal(0);
+    expect(fetchStats.fallbacks).to.deep.equal({ 'fetch: browser': 1 });
+  });
+
+  it('should load auto-paginated listings with a load-more button in the browser, where they can paginate', async () => {
+    const cards = ['Alpha', 'Beta', 'Gamma'].map(name => `<div class="card"><h3>${name} Ventures</h3>
+      <a href="https://${name.toLowerCase()}.example.ae/">Website</a><p>${name} Ventures invests in early-stage startups across the UAE.</p></div>`);
+    const listing = `<html><head><title>Partners</title></head><body><main>${cards.join('')}<button>Load more</button></main></body></html>`;
+    const partners = {
+      url: `${ROOT}partners`,
+      profile: normalizeProfile({ url: `${ROOT}partners`, mode: 'listing', selectors: { item: '.card', name: 'h3', link: 'a', description: 'p' } }, 'example')
+    };
+    const browser = createFakeBrowser(listing);
+
+    const { records, fetchStats } = await scrape(browser, [partners], new HttpBrowser({ fetchImpl: serve(listing) }), { fetchImpl: async url => ({ url, status: 200 }) });
+
+    expect(records).to.have.length(3);
+    expect(browser.contexts).to.equal(1);
+    expect(fetchStats.fallbacks).to.deep.equal({ 'load-more pagination': 1 });
+  });
+
+  it('should record a page whose task failed and keep the other pages', async () => {
+    const other = { url: `${ROOT}about`, profile: target().profile };
+    let checkpoints = 0;
+    const ledger = {
+      recordUrl: () => {},
+      checkpoint: async () => { if (checkpoints++ === 0) throw new Error('connection lost'); }
+    };
+
+    const { records, errorSummary } = await scrape(createFakeBrowser(JS_SHELL), [target(), other],
+      new HttpBrowser({ fetchImpl: serve(SERVER_RENDERED) }), { ledger, concurrency: 1 });
+
+    expect(records.map(r => r.name)).to.deep.equal(['Example Hub']);
+    expect(errorSummary.pageLoadErrors.map(({ url, reason }) => ({ url, reason }))).to.deep.equal([{ url: ROOT, reason: 'connection lost' }]);
+  });
+
+  it('should never use the browser for "fetch": "http" and record unusable pages as failed', async () => {
+    const browser = createFakeBrowser(SERVER_RENDERED);
+    const ledger = new RunLedger({ updateOne: async () => ({}) }, { targetUrls: [ROOT] });
+    const { records, fetchStats } = await scrape(browser, [target()], new HttpBrowser({ fetchImpl: serve(JS_SHELL) }), { fetchMode: 'http', ledger });
+
+    expect(records).to.have.length(0);
+    expect(browser.contexts).to.equal(0);
+    expect(fetchStats.http).to.equal(1);
+    expect(ledger.urlOutcomes[0]).to.include({ status: 'failed', error: 'js-rendered', fetchMode: 'http' });
+  });
+
+  describe('page cache', () => {
+    const stored = text => ({ find: () => ({ lean: async () => [{ url: ROOT, etag: '"v1"', lastModified: null, contentHash: contentHash(text) }] }) });
+
+    it('should skip targets answered with 304 Not Modified without extracting them', async () => {
+      const requests = [];
+      const fetchImpl = async (url, init) => {
+        requests.push(init.headers);
+        return new Response(null, { status: 304 });
+      };
+      const pageCache = new PageCache({ Model: stored('old text') });
+      const ledger = new RunLedger({ updateOne: async () => ({}) }, { targetUrls: [ROOT] });
+      const browser = createFakeBrowser(SERVER_RENDERED);
+
+      const { records } = await scrape(browser, [target()], new HttpBrowser({ fetchImpl }), { pageCache, ledger });
+
+      expect(records).to.have.length(0);
+      expect(requests[0]['if-none-match']).to.equal('"v1"');
+      expect(browser.contexts).to.equal(0);
+      expect(ledger.urlOutcomes[0]).to.include({ status: 'unchanged', fetchMode: 'http' });
+      expect(pageCache.stats.notModified).to.equal(1);
+    });
+
+    it('should skip browser pages whose text is unchanged and scrape changed ones', async () => {
+      const page = new StaticPage({ html: SERVER_RENDERED, url: ROOT });
+      const pageCache = new PageCache({ Model: stored(await page.bodyText()) });
+
+      const unchanged = await scrape(createFakeBrowser(SERVER_RENDERED), [target({ fetch: 'browser' })], null, { pageCache });
+      expect(unchanged.records).to.have.length(0);
+      expect(pageCache.stats.sameContent).to.equal(1);
+
+      const changed = SERVER_RENDERED.replace('Programmes', 'New programmes');
+      const { records } = await scrape(createFakeBrowser(changed), [target({ fetch: 'browser' })], null, { pageCache });
+      expect(records.map(r => r.name)).to.deep.equal(['Example Hub']);
+      expect(pageCache.stats.changed).to.equal(1);
+      expect(pageCache.pending.get(ROOT).fetchMode).to.equal('browser');
+    });
+  });
+
+  describe('Arabic pages', () => {
+    const ARABIC = `<html dir="rtl"><head><title>مركز المثال</title>
+      <meta name="description" content="مركز المثال يدعم رواد الأعمال في دولة الإمارات العربية المتحدة."></head>
+      <body><p>${'برامج وشركاء وفعاليات للشركات الناشئة. '.repeat(10)}</p></body></html>`;
+
+    it('should pair the /en/ and /ar/ variants of a site into one bilingual record', async () => {
+      const pages = { [ROOT]: SERVER_RENDERED, [`${ROOT}ar/`]: ARABIC, [`${ROOT}en/`]: SERVER_RENDERED };
+      const fetchImpl = async url => new Response(pages[url], { headers: { 'content-type': 'text/html' } });
+      const variants = ['ar/', 'en/'].map(path => ({ url: `${ROOT}${path}`, profile: target().profile }));
+
+      const { records } = await scrape(createFakeBrowser(JS_SHELL), variants, new HttpBrowser({ fetchImpl }), { concurrency: 1 });
+
+      expect(records).to.have.length(1);
+      expect(records[0]).to.include({
+        name: 'Example Hub',
+        language: 'en',
+        name_ar: 'مركز المثال',
+        description_ar: 'مركز المثال يدعم رواد الأعمال في دولة الإمارات العربية المتحدة.'
+      });
+    });
+  });
+
+  describe('limit', () => {
+    it('should stop resolving websites once the limit of unique organisations is kept', async () => {
+      const cards = ['Alpha', 'Beta', 'Gamma', 'Delta'].map(name => `<div class="card"><h3>${name} Ventures</h3>
+        <a href="https://${name.toLowerCase()}.example.ae/">Website</a><p>${name} Ventures invests in early-stage startups across the UAE.</p></div>`);
+      const listing = `<html><head><title>Partners</title></head><body><main>${cards.join('')}</main></body></html>`;
+      const resolved = [];
+      const fetchImpl = async url => {
+        resolved.push(url);
+        return { url, status: 200 };
+      };
+      const partners = {
+        url: `${ROOT}partners`,
+        profile: normalizeProfile({ url: `${ROOT}partners`, mode: 'listing', selectors: { item: '.card', name: 'h3', link: 'a', description: 'p' } }, 'example')
+      };
+
+      const { records } = await scrape(createFakeBrowser(JS_SHELL), [partners], new HttpBrowser({ fetchImpl: serve(listing) }), { limit: 2, fetchImpl });
+
+      expect(records.map(r => r.website)).to.deep.equal(['https://alpha.example.ae/', 'https://beta.example.ae/']);
+      expect(resolved).to.deep.equal(['https://alpha.example.ae/', 'https://beta.example.ae/']);
+    });
+
+    it('should scrape a page again next run when the limit cut off some of its organisations', async () => {
+      const cards = ['Alpha', 'Beta', 'Gamma'].map(name => `<div class="card"><h3>${name} Ventures</h3>
+        <a href="https://${name.toLowerCase()}.example.ae/">Website</a><p>${name} Ventures invests in early-stage startups across the UAE.</p></div>`);
+      const listing = `<html><head><title>Partners</title></head><body><main>${cards.join('')}</main></body></html>`;
+      const fetchImpl = async url => ({ url, status: 200 });
+      const partners = {
+        url: `${ROOT}partners`,
+        profile: normalizeProfile({ url: `${ROOT}partners`, mode: 'listing', selectors: { item: '.card', name: 'h3', link: 'a', description: 'p' } }, 'example')
+      };
+
+      // PageFingerprint stub keeping what bulkWrite stores
+      const docs = new Map();
+      const Model = {
+        find: () => ({ lean: async () => [...docs.values()] }),
+        bulkWrite: async ops => ops.forEach(({ updateOne }) => docs.set(updateOne.filter.url, { url: updateOne.filter.url, ...updateOne.update.$set }))
+      };
+      const run = async options => {
+        const pageCache = new PageCache({ Model });
+        const result = await scrape(createFakeBrowser(JS_SHELL), [partners], new HttpBrowser({ fetchImpl: serve(listing) }), { pageCache, fetchImpl, ...options });
+        await pageCache.save();
+        return result.records;
+      };
+
+      expect(await run({ limit: 2 })).to.have.length(2);
+      expect(docs.size).to.equal(0);
+
+      expect(await run({})).to.have.length(3);
+      expect(docs.size).to.equal(1);
+      expect(await run({})).to.have.length(0);
+    });
+  });
+
+  describe('About pages', () => {
+    it('should enrich short descriptions before the records are returned', async () => {
+      const homepage = SERVER_RENDERED.replace('<body>', '<body><nav><a href="/about-us">About us</a></nav>');
+      const about = `<html><body><main><p>${'Example Hub runs accelerator programmes for technology startups in Abu Dhabi. '.repeat(3)}</p></main></body></html>`;
+      const pages = { [ROOT]: homepage, [`${ROOT}about-us`]: about };
+      const fetchImpl = async url => new Response(pages[url] || '', { status: pages[url] ? 200 : 404, headers: { 'content-type': 'text/html' } });
+      const aboutPages = new AboutPageDiscovery({ http: new HttpBrowser({ fetchImpl }) });
+
+      const { records } = await scrape(createFakeBrowser(JS_SHELL), [target()], new HttpBrowser({ fetchImpl }), { aboutPages });
+
+      expect(records[0].about.pages).to.deep.equal([`${ROOT}about-us`]);
+      expect(records[0].description).to.match(/^Example Hub runs accelerator programmes/);
+      expect(records[0].extraction.description).to.equal('about-page');
+    });
+  });
+
+  describe('logos', () => {
+    it('should download the preferred logo once websites are resolved', async () => {
+      const page = SERVER_RENDERED.replace('</head>', `<meta property="og:image" content="/og.png">
+        <link rel="icon" href="/favicon.ico"></head>`);
+      const saved = [];
+      const assetStore = {
+        save: async url => {
+          saved.push(url);
+          return url.endsWith('/og.png') ? null : { hash: 'ab12', path: 'assets/ab/ab12.ico', mimeType: 'image/x-icon', width: 32, height: 32, bytes: 1150, sourceUrl: url };
+        }
+      };
+
+      const { records } = await scrape(createFakeBrowser(JS_SHELL), [target()], new HttpBrowser({ fetchImpl: serve(page) }), { assetStore });
+
+      expect(saved).to.deep.equal([`${ROOT}og.png`, `${ROOT}favicon.ico`]);
+      expect(records[0].logo).to.include({ path: 'assets/ab/ab12.ico', sourceUrl: `${ROOT}favicon.ico` });
+      expect(records[0].extraction.logo).to.equal('favicon');
+    });
+  });
+
+  describe('crawl policy', () => {
+    const ROBOTS = 'User-agent: *\nDisallow: /private\n';
+
+    /**
+     * fetch stub serving robots.txt and pages, recording the requests
+     */
+    function createSite(pages) {
+      const requests = [];
+      const fetchImpl = async (url, init) => {
+        requests.push({ url, userAgent: init.headers['user-agent'] });
+        if (url.endsWith('/robots.txt')) return new Response(ROBOTS, { headers: { 'content-type': 'text/plain' } });
+        return new Response(pages[url] || '', { status: pages[url] ? 200 : 404, headers: { 'content-type': 'text/html' } });
+      };
+      return { fetchImpl, requests };
+    }
+
+    it('should skip disallowed targets and record them in the ledger and error summary', async () => {
+      const { fetchImpl, requests } = createSite({ [ROOT]: SERVER_RENDERED });
+      const crawlPolicy = new CrawlPolicy({ fetchImpl, userAgent: 'TestBot/1.0' });
+      const ledger = new RunLedger({ updateOne: async () => ({}) }, { targetUrls: [`${ROOT}private`, ROOT] });
+      const privateTarget = { url: `${ROOT}private`, profile: target().profile };
+
+      const { records, errorSummary } = await scrape(createFakeBrowser(SERVER_RENDERED), [privateTarget, target()],
+        new HttpBrowser({ fetchImpl }), { crawlPolicy, ledger });
+
+      expect(records.map(r => r.name)).to.deep.equal(['Example Hub']);
+      expect(requests.map(r => r.url)).to.deep.equal([`${ROOT}robots.txt`, ROOT]);
+      expect(errorSummary.robotsDisallowed.map(skip => skip.rule)).to.deep.equal(['Disallow: /private']);
+      expect(ledger.urlOutcomes.map(o => o.status)).to.deep.equal(['disallowed', 'scraped']);
+      expect(ledger.completedUrls().has(`${ROOT}private`)).to.be.true;
+    });
+
+    it('should send the bot user agent unless the profile needs stealth', async () => {
+      const { fetchImpl, requests } = createSite({ [ROOT]: SERVER_RENDERED });
+      const crawlPolicy = new CrawlPolicy({ fetchImpl, userAgent: 'TestBot/1.0' });
+      const http = new HttpBrowser({ fetchImpl });
+
+      await scrape(createFakeBrowser(JS_SHELL), [target()], http, { crawlPolicy });
+      await scrape(createFakeBrowser(JS_SHELL), [target({ stealth: true })], http, { crawlPolicy });
+
+      const pageAgents = requests.filter(r => r.url === ROOT).map(r => r.userAgent);
+      expect(pageAgents[0]).to.equal('TestBot/1.0');
+      expect(pageAgents[1]).to.match(/Mozilla/);
+    });
+  });
+
+  describe('network rotation', () => {
+    const PROXIES = ['http://dc1.proxy.example:8080', 'socks5://10.0.0.5:1080'];
+
+    /**
+     * Browser whose contexts answer 403 until `blocked` contexts have been
+     * opened, recording the options of each context
+     */
+    function createBlockingBrowser(blocked) {
+      const browser = { options: [] };
+      browser.newContext = async options => {
+        browser.options.push(options);
+        const status = browser.options.length <= blocked ? 403 : 200;
+        const fetchImpl = async () => new Response(status === 200 ? SERVER_RENDERED : 'Access denied', { status, headers: { 'content-type': 'text/html' } });
+        return { newPage: async () => new StaticPage({ fetchImpl }), close: async () => {} };
+      };
+      return browser;
+    }
+
+    it('should load a blocked page again through the next proxy with another identity', async () => {
+      const browser = createBlockingBrowser(1);
+      const network = new NetworkRotation();
+      const { records, errorSummary } = await scrape(browser, [target({ fetch: 'browser', network: { proxies: PROXIES } })], null, { network });
+
+      expect(records.map(r => r.name)).to.deep.equal(['Example Hub']);
+      expect(browser.options.map(options => options.proxy.server)).to.deep.equal(['http://dc1.proxy.example:8080', 'socks5://10.0.0.5:1080']);
+      expect(browser.options[0].locale).to.be.undefined;
+      expect(browser.options[1]).to.include({ locale: 'en-AE', timezoneId: 'Asia/Dubai' });
+      expect(errorSummary.httpErrors).to.have.length(0);
+      expect(network.stats).to.deep.include({ blocked: 1, rotations: 1, recovered: 1 });
+    });
+
+    it('should give up after the configured rotations and keep sources without network settings as they were', async () => {
+      const browser = createBlockingBrowser(10);
+      const network = new NetworkRotation();
+      const { records, errorSummary } = await scrape(browser, [target({ fetch: 'browser', network: { rotations: 1 } })], null, { network });
+
+      expect(records).to.have.length(0);
+      expect(browser.options).to.have.length(2);
+      expect(browser.options[1].proxy).to.be.undefined;
+      expect(errorSummary.httpErrors.map(error => error.statusCode)).to.deep.equal([403]);
+      expect(network.stats).to.deep.include({ blocked: 2, rotations: 1 });
+
+      const plain = createBlockingBrowser(10);
+      await scrape(plain, [target({ fetch: 'browser' })], null, { network });
+      expect(plain.options).to.have.length(1);
+    });
+  });
+});
+
+describe('Pipeline - dry run', () => {
+  const scraped = {
+    name: 'Hub71',
+    website: 'https://hub71.com/',
+    description: 'Abu Dhabi global tech ecosystem supporting startups',
+    sourceName: 'hub71',
+    sourceUrl: 'https://www.hub71.com/partners'
+  };
+
+  function storedOrganisation() {
+    const doc = new Organisation({ ...scraped, description: 'Old description', categories: ['SUPPORT INFRASTRUCTURE'], subcategories: ['Incubators/Accelerators'], roles: ['Supports startups'] });
+    stampFieldMeta(doc, ['name', 'website', 'description'], { source: 'hub71' });
+    doc.save = async () => { throw new Error('dry run must not save'); };
+    return doc;
+  }
+
+  const aiResult = {
+    isEcosystemOrg: true,
+    type: 'incubator',
+    category: 'SUPPORT INFRASTRUCTURE',
+    subcategory: 'Generalist Incubators & Accelerators',
+    role_summary: 'Runs incubation programmes for tech startups',
+    confidence: 0.9,
+    provider: 'cerebras',
+    model: 'gpt-oss-120b'
+  };
+
+  it('should merge into the existing record without saving it', async () => {
+    const existing = storedOrganisation();
+    const ledger = { recordOrganisation: () => { throw new Error('dry run must not touch the ledger'); } };
+    const result = await processOrganisation(scraped, aiResult, { dryRun: true, existing, ledger, runId: 'run-1' });
+
+    expect(result).to.equal(existing);
+    expect(result.description).to.equal(scraped.description);
+    expect(result.roles).to.include('Runs incubation programmes for tech startups');
+    expect(result.runIds).to.have.length(0);
+  });
+
+  it('should reuse a cached AI result instead of calling the providers', async () => {
+    const aiStats = createAiStats();
+    const classified = [];
+    const outcome = await classifyAndProcess([scraped], {
+      aiStats,
+      dryRun: true,
+      findExisting: () => storedOrganisation(),
+      cachedClassification: () => aiResult,
+      onClassified: (item, result) => classified.push(result)
+    });
+
+    expect(outcome.savedCount).to.equal(1);
+    expect(aiStats).to.include({ cached: 1, total: 0 });
+    expect(classified).to.be.empty;
+  });
+
+  it('should skip AI with --no-ai and send unclassified records to review', async () => {
+    const aiStats = createAiStats();
+    const outcome = await classifyAndProcess([scraped, { ...scraped, name: 'Hub71 Partners' }], {
+      ai: false,
+      aiStats,
+      dryRun: true,
+      findExisting: () => storedOrganisation()
+    });
+
+    expect(aiStats).to.deep.equal({ ...createAiStats(), skipped: 2 });
+    expect(outcome).to.include({ savedCount: 0, validationFailures: 2 });
+  });
+});
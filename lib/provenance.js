@@ -0,0 +1,209 @@
+/**
+ * Provenance Module
+ *
+ * Answers "where did this value come from" and "when did it change and why".
+ *
+ * - Current provenance lives on the organisation in `fieldMeta` (see
+ *   lib/merge-policy.js): source URL, extractor strategy, AI provider/model,
+ *   run id and timestamp per field.
+ * - Every create/update/merge/revert appends one OrganisationHistory document
+ *   with the field diffs and the provenance of each new value. Updates also
+ *   keep a before-image of the whole document (used by lib/rollback.js).
+ *
+ * Usage example:
+ * ```javascript
+ * const timeline = await getTimeline(OrganisationHistory, org._id, { field: 'description' });
+ * // → [{ at, action, field, from, to, provenance: { sourceUrl, strategy: 'og:description', ... } }, ...]
+ *
+ * await revertField({ Organisation, OrganisationHistory }, org._id, 'description', { editor: 'ops' });
+ * ```
+ */
+
+import { DEFAULT_FIELD_POLICIES, getFieldMeta, valueHash, markManualEdit } from './merge-policy.js';
+
+// Fields whose changes are recorded
+export const TRACKED_FIELDS = Object.keys(DEFAULT_FIELD_POLICIES);
+
+/**
+ * Copy the tracked field values of a record
+ * @param {Object} record - Document or object
+ * @param {string[]} fields - Fields to copy
+ * @returns {Object} Plain { field: value } snapshot
+ */
+export function snapshotFields(record, fields = TRACKED_FIELDS) {
+  const snapshot = {};
+  for (const field of fields) {
+    const value = typeof record.get === 'function' ? record.get(field) : record[field];
+    snapshot[field] = Array.isArray(value) ? [...value] : (value ?? null);
+  }
+  return snapshot;
+}
+
+/**
+ * Capture a full plain copy of a document before it is changed
+ * @param {Object} record - Mongoose document or plain object
+ * @returns {Object} Plain copy (Maps flattened)
+ */
+export function beforeImage(record) {
+  const plain = typeof record.toObject === 'function'
+    ? record.toObject({ flattenMaps: true, depopulate: true })
+    : { ...record };
+  return JSON.parse(JSON.stringify(plain));
+}
+
+/**
+ * List the fields that differ between two snapshots
+ * @param {Object} before - Snapshot before the change ({} for a new record)
+ * @param {Object} after - Snapshot after the change
+ * @param {string[]} fields - Fields to compare
+ * @returns {Array<{field: string, from: *, to: *}>} Changes
+ */
+export function diffSnapshots(before, after, fields = TRACKED_FIELDS) {
+  const changes = [];
+  for (const field of fields) {
+    const from = before[field] ?? null;
+    const to = after[field] ?? null;
+    if (valueHash(from) !== valueHash(to)) {
+      changes.push({ field, from, to });
+    }
+  }
+  return changes;
+}
+
+/**
+ * Pick the provenance of a field from its meta
+ * @param {Object|null} meta - Field meta
+ * @returns {Object} Provenance subset stored with history changes
+ */
+function provenanceOf(meta) {
+  return {
+    source: meta?.source ?? null,
+    sourceUrl: meta?.sourceUrl ?? null,
+    strategy: meta?.strategy ?? null,
+    aiProvider: meta?.aiProvider ?? null,
+    aiModel: meta?.aiModel ?? null,
+    confidence: meta?.confidence ?? null,
+    manual: Boolean(meta?.manual)
+  };
+}
+
+/**
+ * Append a history entry for changes to an organisation
+ * An update without tracked field changes is only skipped outside a run: a
+ * save under a run can still change status, source or runIds, and rollback
+ * needs its before-image
+ * Failures are logged and never stop the scrape
+ * @param {Model} History - OrganisationHistory model
+ * @param {Object} record - Organisation (after the change, with fieldMeta)
+ * @param {Array} changes - Result of diffSnapshots
+ * @param {Object} details - { action, runId, actor, reason, before }
+ *   where `before` is the full document before the change (see beforeImage)
+ * @returns {Promise<Object|null>} Created entry, or null if skipped or the write failed
+ */
+export async function recordHistory(History, record, changes, details = {}) {
+  const { action = 'update', runId = null, actor = 'scraper', reason = null, before = null } = details;
+  if (changes.length === 0 && action === 'update' && !runId) return null;
+
+  try {
+    return await History.create({
+      organisationId: record._id,
+      organisationName: record.name,
+      action,
+      runId,
+      actor,
+      reason,
+      changes: changes.map(change => ({ ...change, provenance: provenanceOf(getFieldMeta(record, change.field)) })),
+      before
+    });
+  } catch (error) {
+    console.warn(`   ⚠️  Could not record history for ${record.name}: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * Fetch the change timeline of one organisation, oldest first
+ * @param {Model} History - OrganisationHistory model
+ * @param {ObjectId|string} organisationId - Organisation id
+ * @param {Object} options - Query options
+ * @param {string} options.field - Only changes to this field (optional)
+ * @param {Date} options.since - Only changes at or after this time (optional)
+ * @returns {Promise<Array<{historyId, at, action, runId, actor, reason, field, from, to, provenance}>>} One event per field change
+ */
+export async function getTimeline(History, organisationId, options = {}) {
+  const { field = null, since = null } = options;
+  const query = { organisationId };
+  if (since) query.createdAt = { $gte: since };
+
+  const entries = await History.find(query).sort({ createdAt: 1 }).lean();
+
+  const events = [];
+  for (const entry of entries) {
+    for (const change of entry.changes || []) {
+      if (field && change.field !== field) continue;
+      events.push({
+        historyId: String(entry._id),
+        at: entry.createdAt,
+        action: entry.action,
+        runId: entry.runId,
+        actor: entry.actor,
+        reason: entry.reason,
+        field: change.field,
+        from: change.from,
+        to: change.to,
+        provenance: change.provenance
+      });
+    }
+  }
+  return events;
+}
+
+/**
+ * Revert a field to the value it had before a recorded change
+ * The reverted value is stored as a manual edit so the bot won't overwrite it,
+ * and the revert itself is appended to the history
+ * @param {Object} models - { Organisation, OrganisationHistory }
+ * @param {ObjectId|string} organisationId - Organisation id
+ * @param {string} field - Field to revert
+ * @param {Object} options - Revert options
+ * @param {string} options.historyId - Change to undo (default: the latest change of the field)
+ * @param {string} options.editor - Who reverted (stored as "manual:<editor>")
+ * @param {string} options.reason - Why (optional)
+ * @returns {Promise<Document|null>} Updated organisation or null if nothing to revert
+ */
+export async function revertField(models, organisationId, field, options = {}) {
+  const { Organisation, OrganisationHistory } = models;
+  const { historyId = null, editor = 'unknown', reason = null } = options;
+
+  if (!TRACKED_FIELDS.includes(field)) {
+    throw new Error(`cannot revert untracked field "${field}" (expected ${TRACKED_FIELDS.join(', ')})`);
+  }
+
+  const timeline = await getTimeline(OrganisationHistory, organisationId, { field });
+  const event = historyId
+    ? timeline.find(e => e.historyId === String(historyId))
+    : timeline[timeline.length - 1];
+
+  if (!event) {
+    console.warn(`No recorded change of "${field}" to revert for organisation ${organisationId}`);
+    return null;
+  }
+
+  const organisation = await Organisation.findById(organisationId);
+  if (!organisation) {
+    console.warn(`Organisation ${organisationId} not found`);
+    return null;
+  }
+
+  const before = snapshotFields(organisation, [field]);
+  markManualEdit(organisation, { [field]: event.from }, editor);
+  const saved = await organisation.save();
+
+  await recordHistory(OrganisationHistory, saved, diffSnapshots(before, snapshotFields(saved, [field]), [field]), {
+    action: 'revert',
+    actor: `manual:${editor}`,
+    reason: reason || `Reverted change from ${new Date(event.at).toISOString()}`
+  });
+
+  return saved;
+}
@@ -0,0 +1,204 @@
+/**
+ * Unit Tests for Provenance
+ * Tests field diffs, history entries, timelines and field reverts against
+ * in-memory models
+ */
+
+import { describe, it } from 'mocha';
+import { expect } from 'chai';
+import { stampFieldMeta, getFieldMeta, isManualValue } from './merge-policy.js';
+import {
+  TRACKED_FIELDS,
+  snapshotFields,
+  diffSnapshots,
+  recordHistory,
+  getTimeline,
+  revertField
+} from './provenance.js';
+
+/**
+ * In-memory stand-in for the OrganisationHistory model
+ */
+function createFakeHistory() {
+  const entries = [];
+  let clock = Date.parse('2026-03-01T00:00:00Z');
+  return {
+    entries,
+    create: async (doc) => {
+      const entry = { _id: `h${entries.length + 1}`, createdAt: new Date(clock += 60000), ...doc };
+      entries.push(entry);
+      return entry;
+    },
+    find: (query) => ({
+      sort: () => ({
+        lean: async () => entries.filter(e => e.organisationId === query.organisationId
+          && (!query.createdAt || e.createdAt >= query.createdAt.$gte))
+      })
+    })
+  };
+}
+
+/**
+ * In-memory stand-in for the Organisation model holding one record
+ */
+function createFakeOrganisations(record) {
+  record.save = async () => record;
+  return { findById: async (id) => (id === record._id ? record : null) };
+}
+
+function storedOrganisation() {
+  const record = {
+    _id: 'org1',
+    name: 'Hub71',
+    website: 'https://hub71.com/',
+    country: 'United Arab Emirates',
+    description: 'Tech hub',
+    name_ar: 'حب 71',
+    description_ar: 'مركز تقني',
+    twitter: null,
+    socials: { linkedin: 'https://www.linkedin.com/company/hub71', instagram: null, facebook: null, youtube: null },
+    contact: { email: 'info@hub71.com', phone: null, address: null, emirate: 'Abu Dhabi' },
+    about: { text: 'Hub71 is a global tech ecosystem based in Abu Dhabi.', pages: ['https://hub71.com/about-us'] },
+    logo: { hash: 'ab12', path: 'assets/ab/ab12.png', mimeType: 'image/png', width: 180, height: 180, bytes: 4096, sourceUrl: 'https://hub71.com/apple-touch-icon.png' },
+    categories: ['SUPPORT INFRASTRUCTURE'],
+    subcategories: ['Incubators/Accelerators'],
+    roles: ['Supports startups']
+  };
+  stampFieldMeta(record, TRACKED_FIELDS, {
+    source: 'hub71',
+    sourceUrl: 'https://www.hub71.com/partners',
+    extraction: { name: 'listing-card', description: 'og:description' },
+    aiProvider: 'cerebras',
+    aiModel: 'llama-3.3-70b',
+    confidence: 0.9
+  });
+  return record;
+}
+
+describe('Provenance - field meta', () => {
+  it('should record extractor strategies and AI provenance per field', () => {
+    const record = storedOrganisation();
+    expect(getFieldMeta(record, 'description')).to.include({ strategy: 'og:description', aiProvider: null });
+    expect(getFieldMeta(record, 'categories')).to.include({
+      strategy: 'ai-classification',
+      aiProvider: 'cerebras',
+      aiModel: 'llama-3.3-70b'
+    });
+    expect(getFieldMeta(record, 'twitter').strategy).to.be.null;
+  });
+});
+
+describe('Provenance - diffs', () => {
+  it('should list only changed fields', () => {
+    const before = snapshotFields(storedOrganisation());
+    const after = { ...before, description: 'Global tech ecosystem', roles: ['Supports startups', 'Runs Hub71+'] };
+
+    expect(diffSnapshots(before, after)).to.deep.equal([
+      { field: 'description', from: 'Tech hub', to: 'Global tech ecosystem' },
+      { field: 'roles', from: ['Supports startups'], to: ['Supports startups', 'Runs Hub71+'] }
+    ]);
+  });
+
+  it('should treat every non-empty field of a new record as a change', () => {
+    const changes = diffSnapshots({}, snapshotFields(storedOrganisation()));
+    expect(changes.map(c => c.field)).to.deep.equal(TRACKED_FIELDS.filter(f => f !== 'twitter'));
+  });
+});
+
+describe('Provenance - history', () => {
+  it('should append entries with the provenance of each new value', async () => {
+    const History = createFakeHistory();
+    const record = storedOrganisation();
+    const changes = [{ field: 'description', from: null, to: 'Tech hub' }];
+
+    const entry = await recordHistory(History, record, changes, { action: 'create', runId: 'run-1' });
+
+    expect(entry).to.include({ organisationId: 'org1', organisationName: 'Hub71', action: 'create', runId: 'run-1', actor: 'scraper' });
+    expect(entry.changes[0].provenance).to.include({ sourceUrl: 'https://www.hub71.com/partners', strategy: 'og:description' });
+  });
+
+  it('should skip updates without changes and survive write failures', async () => {
+    const History = createFakeHistory();
+    expect(await recordHistory(History, storedOrganisation(), [])).to.be.null;
+
+    const failing = { create: async () => { throw new Error('connection lost'); } };
+    expect(await recordHistory(failing, storedOrganisation(), [{ field: 'name', from: null, to: 'Hub71' }])).to.be.null;
+  });
+
+  it('should record updates under a run without field changes, with their before-image', async () => {
+    const History = createFakeHistory();
+    const before = { name: 'Hub71', status: { publishTier: 'B' }, runIds: [] };
+
+    const entry = await recordHistory(History, storedOrganisation(), [], { runId: 'run-2', before });
+
+    expect(entry).to.include({ action: 'update', runId: 'run-2' });
+    expect(entry.changes).to.deep.equal([]);
+    expect(entry.before).to.deep.equal(before);
+  });
+
+  it('should build a per-field timeline, oldest first', async () => {
+    const History = createFakeHistory();
+    const record = storedOrganisation();
+    await recordHistory(History, record, [{ field: 'description', from: null, to: 'Tech hub' }, { field: 'name', from: null, to: 'Hub71' }], { action: 'create' });
+    await recordHistory(History, record, [{ field: 'description', from: 'Tech hub', to: 'Global tech ecosystem' }], { runId: 'run-2' });
+
+    const timeline = await getTimeline(History, 'org1', { field: 'description' });
+
+    expect(timeline.map(e => [e.action, e.from, e.to])).to.deep.equal([
+      ['create', null, 'Tech hub'],
+      ['update', 'Tech hub', 'Global tech ecosystem']
+    ]);
+    expect(timeline[1]).to.include({ runId: 'run-2', historyId: 'h2' });
+    expect(await getTimeline(History, 'org1')).to.have.length(3);
+  });
+});
+
+describe('Provenance - revertField', () => {
+  it('should restore the previous value as a manual edit and log the revert', async () => {
+    const History = createFakeHistory();
+    const record = storedOrganisation();
+    const models = { Organisation: createFakeOrganisations(record), OrganisationHistory: History };
+
+    await recordHistory(History, record, [{ field: 'description', from: 'Curated text', to: 'Tech hub' }], { runId: 'run-2' });
+
+    const saved = await revertField(models, 'org1', 'description', { editor: 'ops' });
+
+    expect(saved.description).to.equal('Curated text');
+    expect(getFieldMeta(saved, 'description')).to.include({ manual: true, source: 'manual:ops' });
+    expect(isManualValue(saved.description, getFieldMeta(saved, 'description'))).to.be.true;
+
+    const last = History.entries[History.entries.length - 1];
+    expect(last).to.include({ action: 'revert', actor: 'manual:ops' });
+    expect(last.changes).to.deep.include({
+      field: 'description',
+      from: 'Tech hub',
+      to: 'Curated text',
+      provenance: { source: 'manual:ops', sourceUrl: null, strategy: null, aiProvider: null, aiModel: null, confidence: null, manual: true }
+    });
+  });
+
+  it('should revert a specific change by history id', async () => {
+    const History = createFakeHistory();
+    const record = storedOrganisation();
+    const models = { Organisation: createFakeOrganisations(record), OrganisationHistory: History };
+
+    await recordHistory(History, record, [{ field: 'twitter', from: null, to: '@first' }]);
+    await recordHistory(History, record, [{ field: 'twitter', from: '@first', to: '@second' }]);
+
+    const saved = await revertField(models, 'org1', 'twitter', { historyId: 'h2' });
+    expect(saved.twitter).to.equal('@first');
+  });
+
+  it('should return null when there is nothing to revert and reject untracked fields', async () => {
+    const History = createFakeHistory();
+    const models = { Organisation: createFakeOrganisations(storedOrganisation()), OrganisationHistory: History };
+
+    expect(await revertField(models, 'org1', 'description')).to.be.null;
+    try {
+      await revertField(models, 'org1', 'status');
+      expect.fail('should have thrown');
+    } catch (error) {
+      expect(error.message).to.match(/untracked field/);
+    }
+  });
+});
@@ -0,0 +1,224 @@
+/**
+ * Raw Capture Module
+ *
+ * Separates scraping from classification. A scrape run stores:
+ * - every loaded page (HTML and visible text) as a RawPage
+ * - every unique extracted record as a pending ScrapedCandidate
+ *
+ * The classify stage then consumes candidates and marks each one processed
+ * (saved/updated), rejected (review queue) or failed. A crash or an AI outage
+ * leaves candidates pending instead of losing the browser work, and any run
+ * can be re-classified against exactly the same inputs. AI results are saved
+ * on the candidate as soon as they arrive, so finishing an interrupted run
+ * reuses them instead of spending provider quota again.
+ *
+ * Capture writes never stop a run: failures are logged and the run goes on.
+ *
+ * Usage example:
+ * ```javascript
+ * const capture = new RawCapture({ RawPage, ScrapedCandidate }, { runId });
+ * await capture.capturePage(url, page, 'hub71');
+ * await capture.saveCandidates(records);
+ * // ... later, in the classify stage
+ * const records = capture.track(await loadCandidates(ScrapedCandidate, { unfinished: true }));
+ * await classifyAndProcess(records, { onOutcome: (record, outcome) => capture.markOutcome(record, outcome) });
+ * ```
+ */
+
+import { toDom } from './dom-adapter.js';
+
+// Larger pages are truncated (MongoDB documents are limited to 16MB)
+export const MAX_HTML_LENGTH = 4 * 1024 * 1024;
+
+/**
+ * Build the candidate query
+ * @param {Object} options - Selection
+ * @param {string} options.runId - Only candidates captured by this run
+ * @param {boolean} options.unfinished - Only candidates still pending or failed
+ * @param {string[]} options.sourceNames - Only these sources
+ * @returns {Object} MongoDB filter
+ */
+export function candidateFilter(options = {}) {
+  const { runId = null, unfinished = false, sourceNames = [] } = options;
+  const filter = {};
+  if (runId) filter.runId = runId;
+  if (unfinished) filter.status = { $in: ['pending', 'failed'] };
+  if (sourceNames.length > 0) filter.sourceName = { $in: sourceNames };
+  return filter;
+}
+
+/**
+ * Load candidates, oldest first
+ * @param {Model} Model - ScrapedCandidate model
+ * @param {Object} options - candidateFilter options plus `limit`
+ * @returns {Promise<Object[]>} Candidates (plain objects)
+ */
+export async function loadCandidates(Model, options = {}) {
+  let query = Model.find(candidateFilter(options)).sort({ createdAt: 1 });
+  if (options.limit) query = query.limit(options.limit);
+  return query.lean();
+}
+
+/**
+ * Turn a candidate back into the record the scrape stage produced
+ * @param {Object} candidate - ScrapedCandidate
+ * @returns {Object} Record for classifyAndProcess
+ */
+export function candidateToRecord(candidate) {
+  return structuredClone(candidate.record);
+}
+
+/**
+ * Raw capture store for one run
+ */
+export class RawCapture {
+  /**
+   * @param {Object} models - { RawPage, ScrapedCandidate }
+   * @param {Object} options - { runId }
+   */
+  constructor(models, options = {}) {
+    this.RawPage = models.RawPage;
+    this.ScrapedCandidate = models.ScrapedCandidate;
+    this.runId = options.runId;
+    this.candidateIds = new Map(); // record → candidate id
+    this.classifications = new Map(); // record → AI result saved on the candidate
+    this.stats = { pages: 0, candidates: 0, processed: 0, rejected: 0, failed: 0 };
+  }
+
+  /**
+   * Store the HTML and visible text of a loaded page
+   * Loading more pages of the same URL (load-more, infinite scroll) replaces the capture
+   * @param {string} url - Page URL
+   * @param {Page|StaticPage} page - Playwright page or StaticPage (already navigated)
+   * @param {string} sourceName - Source the page belongs to
+   * @returns {Promise<boolean>} Whether the page was stored
+   */
+  async capturePage(url, page, sourceName = null) {
+    try {
+      const html = await page.content();
+      const text = await toDom(page).bodyText();
+
+      await this.RawPage.updateOne(
+        { runId: this.runId, url },
+        {
+          $set: {
+            sourceName,
+            html: html.slice(0, MAX_HTML_LENGTH),
+            text: text.slice(0, MAX_HTML_LENGTH),
+            htmlLength: html.length,
+            truncated: html.length > MAX_HTML_LENGTH
+          }
+        },
+        { upsert: true }
+      );
+      this.stats.pages++;
+      return true;
+    } catch (error) {
+      console.warn(`   ⚠️  Could not capture page ${url}: ${error.message}`);
+      return false;
+    }
+  }
+
+  /**
+   * Store records as pending candidates
+   * @param {Object[]} records - Unique records from the scrape stage
+   * @returns {Promise<number>} Number of candidates stored
+   */
+  async saveCandidates(records) {
+    if (records.length === 0) return 0;
+
+    try {
+      const docs = await this.ScrapedCandidate.insertMany(records.map(record => ({
+        runId: this.runId,
+        name: record.name,
+        website: record.website || null,
+        sourceName: record.sourceName || null,
+        pageUrl: record.sourceUrl || null,
+        record: structuredClone(record),
+        status: 'pending'
+      })));
+
+      docs.forEach((doc, index) => this.candidateIds.set(records[index], doc._id));
+      this.stats.candidates += docs.length;
+      console.log(`💾 Captured ${docs.length} candidates for run ${this.runId}`);
+      return docs.length;
+    } catch (error) {
+      console.warn(`   ⚠️  Could not save candidates: ${error.message}`);
+      return 0;
+    }
+  }
+
+  /**
+   * Turn loaded candidates into records and remember which is which
+   * @param {Object[]} candidates - Result of loadCandidates
+   * @returns {Object[]} Records for classifyAndProcess
+   */
+  track(candidates) {
+    return candidates.map(candidate => {
+      const record = candidateToRecord(candidate);
+      this.candidateIds.set(record, candidate._id);
+      if (candidate.classification) this.classifications.set(record, candidate.classification);
+      return record;
+    });
+  }
+
+  /**
+   * AI result an earlier attempt saved for a record
+   * Degraded (default) results are not reused so the providers are tried again
+   * @param {Object} record - Record from track()
+   * @returns {Object|null} AI result or null
+   */
+  cachedClassification(record) {
+    const classification = this.classifications.get(record);
+    return classification && !classification.degraded ? classification : null;
+  }
+
+  /**
+   * Save an AI result on the candidate as soon as it arrives
+   * @param {Object} record - Record passed to classifyAndProcess
+   * @param {Object} aiResult - AI classification
+   * @returns {Promise<boolean>} Whether the candidate was updated
+   */
+  async saveClassification(record, aiResult) {
+    const candidateId = this.candidateIds.get(record);
+    if (!candidateId) return false;
+
+    try {
+      await this.ScrapedCandidate.updateOne({ _id: candidateId }, { $set: { classification: aiResult } });
+      return true;
+    } catch (error) {
+      console.warn(`   ⚠️  Could not save AI result for ${record.name}: ${error.message}`);
+      return false;
+    }
+  }
+
+  /**
+   * Store the classify outcome of a record on its candidate
+   * @param {Object} record - Record passed to classifyAndProcess
+   * @param {Object} outcome - { status: 'processed'|'rejected'|'failed', organisation, aiResult, error }
+   * @returns {Promise<boolean>} Whether the candidate was updated
+   */
+  async markOutcome(record, outcome) {
+    const candidateId = this.candidateIds.get(record);
+    if (!candidateId) return false;
+
+    try {
+      await this.ScrapedCandidate.updateOne({ _id: candidateId }, {
+        $set: {
+          status: outcome.status,
+          processedAt: new Date(),
+          processedRunId: this.runId,
+          organisationId: outcome.organisation?._id || null,
+          classification: outcome.aiResult || null,
+          error: outcome.error || null
+        },
+        $inc: { attempts: 1 }
+      });
+      this.stats[outcome.status]++;
+      return true;
+    } catch (error) {
+      console.warn(`   ⚠️  Could not update candidate ${record.name}: ${error.message}`);
+      return false;
+    }
+  }
+}
@@ -0,0 +1,182 @@
+/**
+ * Unit Tests for Raw Capture
+ * Tests page capture, candidate storage and outcome bookkeeping with fake
+ * models, and replaying candidates through the classify stage
+ */
+
+import { describe, it } from 'mocha';
+import { expect } from 'chai';
+import { RawCapture, MAX_HTML_LENGTH, candidateFilter, loadCandidates, candidateToRecord } from './raw-capture.js';
+import { classifyAndProcess } from './pipeline.js';
+import ScrapedCandidate from '../models/ScrapedCandidate.js';
+import RawPage from '../models/RawPage.js';
+
+/**
+ * Fake RawPage / ScrapedCandidate models recording their writes
+ */
+function createFakeModels(options = {}) {
+  const pages = [];
+  const candidates = [];
+  const updates = [];
+
+  const RawPageModel = {
+    pages,
+    updateOne: async (filter, update, opts) => {
+      if (options.throws) throw new Error(options.throws);
+      pages.push({ filter, update, opts });
+    }
+  };
+
+  const ScrapedCandidateModel = {
+    candidates,
+    updates,
+    insertMany: async (docs) => {
+      if (options.throws) throw new Error(options.throws);
+      const inserted = docs.map((doc, i) => ({ _id: `c${candidates.length + i + 1}`, ...doc }));
+      candidates.push(...inserted);
+      return inserted;
+    },
+    updateOne: async (filter, update) => { updates.push({ filter, update }); },
+    find: (filter) => {
+      const chain = {
+        sort: () => chain,
+        limit: (n) => { chain.max = n; return chain; },
+        lean: async () => candidates
+          .filter(c => (!filter.runId || c.runId === filter.runId) && (!filter.status || c.status === filter.status))
+          .slice(0, chain.max)
+      };
+      return chain;
+    }
+  };
+
+  return { RawPage: RawPageModel, ScrapedCandidate: ScrapedCandidateModel };
+}
+
+/**
+ * Fake Playwright page
+ */
+function createFakePage(html, text = 'Visible text') {
+  return { content: async () => html, evaluate: async () => text };
+}
+
+const record = {
+  name: 'Hub71',
+  website: 'https://hub71.com/',
+  sourceName: 'hub71',
+  sourceUrl: 'https://www.hub71.com/partners',
+  description: 'Abu Dhabi global tech ecosystem',
+  extraction: { name: 'listing-card' }
+};
+
+describe('Raw Capture - pages', () => {
+  it('should upsert page HTML and text per run and URL', async () => {
+    const models = createFakeModels();
+    const capture = new RawCapture(models, { runId: 'run-1' });
+
+    expect(await capture.capturePage('https://www.hub71.com/partners', createFakePage('<html></html>'), 'hub71')).to.be.true;
+
+    const [{ filter, update, opts }] = models.RawPage.pages;
+    expect(filter).to.deep.equal({ runId: 'run-1', url: 'https://www.hub71.com/partners' });
+    expect(update.$set).to.include({ sourceName: 'hub71', html: '<html></html>', text: 'Visible text', truncated: false });
+    expect(opts).to.deep.equal({ upsert: true });
+    expect(capture.stats.pages).to.equal(1);
+  });
+
+  it('should truncate very large pages', async () => {
+    const models = createFakeModels();
+    await new RawCapture(models, { runId: 'run-1' }).capturePage('https://a.ae/', createFakePage('x'.repeat(MAX_HTML_LENGTH + 10)));
+
+    const { $set } = models.RawPage.pages[0].update;
+    expect($set.html).to.have.length(MAX_HTML_LENGTH);
+    expect($set).to.include({ htmlLength: MAX_HTML_LENGTH + 10, truncated: true });
+  });
+
+  it('should not throw when a page cannot be stored', async () => {
+    const capture = new RawCapture(createFakeModels({ throws: 'not connected' }), { runId: 'run-1' });
+    expect(await capture.capturePage('https://a.ae/', createFakePage('<html></html>'))).to.be.false;
+    expect(await capture.saveCandidates([record])).to.equal(0);
+  });
+});
+
+describe('Raw Capture - candidates', () => {
+  it('should store records as pending candidates with a copy of the record', async () => {
+    const models = createFakeModels();
+    const capture = new RawCapture(models, { runId: 'run-1' });
+
+    expect(await capture.saveCandidates([record])).to.equal(1);
+    const [candidate] = models.ScrapedCandidate.candidates;
+    expect(candidate).to.include({ runId: 'run-1', name: 'Hub71', sourceName: 'hub71', pageUrl: record.sourceUrl, status: 'pending' });
+    expect(candidate.record).to.deep.equal(record);
+    expect(candidate.record).to.not.equal(record);
+  });
+
+  it('should mark the outcome on the candidate of a record', async () => {
+    const models = createFakeModels();
+    const capture = new RawCapture(models, { runId: 'run-1' });
+    await capture.saveCandidates([record]);
+
+    await capture.markOutcome(record, { status: 'processed', organisation: { _id: 'org-1' }, aiResult: { category: 'FUNDING & FINANCE' } });
+    expect(await capture.markOutcome({ ...record }, { status: 'failed' })).to.be.false;
+
+    const [{ filter, update }] = models.ScrapedCandidate.updates;
+    expect(filter).to.deep.equal({ _id: 'c1' });
+    expect(update.$set).to.include({ status: 'processed', processedRunId: 'run-1', organisationId: 'org-1', error: null });
+    expect(update.$set.classification).to.deep.equal({ category: 'FUNDING & FINANCE' });
+    expect(update.$inc).to.deep.equal({ attempts: 1 });
+    expect(capture.stats.processed).to.equal(1);
+  });
+
+  it('should reuse saved AI results except degraded ones', async () => {
+    const models = createFakeModels();
+    const capture = new RawCapture(models, { runId: 'run-1' });
+    const [classified, degraded, fresh] = capture.track([
+      { _id: 'c1', record, classification: { category: 'FUNDING & FINANCE', confidence: 0.9 } },
+      { _id: 'c2', record, classification: { category: 'GROWTH & INNOVATION', degraded: true } },
+      { _id: 'c3', record, classification: null }
+    ]);
+
+    expect(capture.cachedClassification(classified)).to.deep.equal({ category: 'FUNDING & FINANCE', confidence: 0.9 });
+    expect(capture.cachedClassification(degraded)).to.be.null;
+    expect(capture.cachedClassification(fresh)).to.be.null;
+
+    await capture.saveClassification(fresh, { category: 'TALENT & EDUCATION' });
+    expect(models.ScrapedCandidate.updates[0]).to.deep.equal({ filter: { _id: 'c3' }, update: { $set: { classification: { category: 'TALENT & EDUCATION' } } } });
+  });
+
+  it('should build candidate filters', () => {
+    expect(candidateFilter()).to.deep.equal({});
+    expect(candidateFilter({ unfinished: true, sourceNames: ['hub71'] })).to.deep.equal({ status: { $in: ['pending', 'failed'] }, sourceName: { $in: ['hub71'] } });
+    expect(candidateFilter({ runId: 'run-1' })).to.deep.equal({ runId: 'run-1' });
+  });
+
+  it('should replay captured candidates through the classify stage', async () => {
+    const models = createFakeModels();
+    await new RawCapture(models, { runId: 'run-1' }).saveCandidates([record, { ...record, name: 'Hub71 Partners' }]);
+
+    const candidates = await loadCandidates(models.ScrapedCandidate, { runId: 'run-1', limit: 1 });
+    expect(candidates).to.have.length(1);
+    expect(candidateToRecord(candidates[0])).to.deep.equal(record);
+
+    const replay = new RawCapture(models, { runId: 'run-2' });
+    const records = replay.track(candidates);
+    await classifyAndProcess(records, {
+      ai: false,
+      dryRun: true,
+      findExisting: () => null,
+      onOutcome: (item, outcome) => replay.markOutcome(item, outcome)
+    });
+
+    // Unclassified records fail taxonomy validation and go to the review queue
+    const [{ update }] = models.ScrapedCandidate.updates;
+    expect(update.$set).to.include({ status: 'rejected', processedRunId: 'run-2' });
+  });
+});
+
+describe('Raw Capture - schemas', () => {
+  it('should accept captured pages and candidates', () => {
+    expect(new RawPage({ runId: 'run-1', url: 'https://a.ae/', html: '<html></html>' }).validateSync()).to.be.undefined;
+    const candidate = new ScrapedCandidate({ runId: 'run-1', name: 'Hub71', record });
+    expect(candidate.validateSync()).to.be.undefined;
+    expect(candidate.status).to.equal('pending');
+  });
+});
@@ -1,13 +1,15 @@
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { formatOrganisations } from './exporter.js';
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 
-export function generateReport(results, targetUrls = []) {
+export function generateReport(results, targetUrls = [], options = {}) {
+    const { format = 'md' } = options;
     const timestamp = new Date().toISOString().replace(/[:.]/g, '-').slice(0, 16);
     const reportDir = path.join(__dirname, '../reports');
-    const filename = path.join(reportDir, `Scrape_Report_${timestamp}.md`);
+    const filename = path.join(reportDir, `Scrape_Report_${timestamp}.${format}`);
 
     // Ensure directory exists
     if (!fs.existsSync(reportDir)) fs.mkdirSync(reportDir);
@@ -17,9 +19,31 @@ export function generateReport(results, targetUrls = []) {
     const tiers = { A: 0, B: 0, C: 0 };
     results.forEach(r => tiers[r.status.publishTier]++);
 
+    // Machine-readable reports: one row per organisation (see lib/exporter.js)
+    if (format === 'csv') {
+        fs.writeFileSync(filename, formatOrganisations(results, 'csv'));
+        console.log(`\n📄 CSV report generated: /reports/Scrape_Report_${timestamp}.csv`);
+        return filename;
+    }
+    if (format === 'json') {
+        const report = {
+            date: new Date().toISOString(),
+            runId: options.runId || null,
+            summary: { total, tiers },
+            targetUrls,
+            selectorRates: options.selectorStats ? options.selectorStats.getRates() : {},
+            organisations: JSON.parse(formatOrganisations(results, 'json'))
+        };
+        fs.writeFileSync(filename, JSON.stringify(report, null, 2));
+        console.log(`\n📄 JSON report generated: /reports/Scrape_Report_${timestamp}.json`);
+        return filename;
+    }
+
     // Build Markdown Content
     let md = `# 🤖 Scrape Run Report\n`;
-    md += `**Date:** ${new Date().toLocaleString()}\n\n`;
+    md += `**Date:** ${new Date().toLocaleString()}\n`;
+    if (options.runId) md += `**Run ID:** ${options.runId}\n`;
+    md += `\n`;
     md += `## 📊 Executive Summary\n`;
     md += `| Metric | Value |\n| :--- | :--- |\n`;
     md += `| Total Processed | ${total} |\n`;
@@ -40,6 +64,21 @@ export function generateReport(results, targetUrls = []) {
         md += `\n`;
     }
 
+    // Add selector hit rates per source profile
+    const selectorRates = options.selectorStats ? options.selectorStats.getRates() : {};
+    if (Object.keys(selectorRates).length > 0) {
+        md += `## 🧭 Selector Hit Rates\n`;
+        md += `| Profile | Field | Hits | Rate |\n`;
+        md += `| :--- | :--- | :--- | :--- |\n`;
+        for (const [profileId, fields] of Object.entries(selectorRates)) {
+            for (const [field, { attempts, hits, rate }] of Object.entries(fields)) {
+                const flag = rate < 0.5 ? ' ⚠️' : '';
+                md += `| ${profileId} | ${field} | ${hits}/${attempts} | ${(rate * 100).toFixed(0)}%${flag} |\n`;
+            }
+        }
+        md += `\n`;
+    }
+
     md += `## 📂 Detailed Logs\n`;
     md += `| Name | Category | Tier | Status |\n`;
     md += `| :--- | :--- | :--- | :--- |\n`;
@@ -50,4 +89,5 @@ export function generateReport(results, targetUrls = []) {
 
     fs.writeFileSync(filename, md);
     console.log(`\n📄 Markdown report generated: /reports/Scrape_Report_${timestamp}.md`);
+    return filename;
 }
\ No newline at end of file
@@ -75,7 +75,7 @@ describe('Property-Based Tests - Retry Logic', () => {
           };
           
           const url = 'https://test-url.test';
-          const response = await retryPageGoto(page, url);
+          const response = await retryPageGoto(page, url, { random: () => 0 }); // No jitter
           
           // Property 1: Should attempt exactly the right number of times
           if (failureCount < 3) {
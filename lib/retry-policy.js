@@ -0,0 +1,204 @@
+/**
+ * Retry Policy Module
+ *
+ * Decides what `retryPageGoto` does with each response or failure:
+ *
+ * - 2xx/3xx (and other 4xx):  done
+ * - 404/410 not found:        give up at once; the host is healthy
+ * - 403 forbidden:            give up at once; counts against the host
+ * - 429/503 throttled:        retry after the server's Retry-After (seconds or
+ *                             an HTTP date), or with backoff when it sends none;
+ *                             a Retry-After longer than maxRetryAfter gives up
+ * - other 5xx, network errors: retry with exponential backoff
+ *
+ * Backoff doubles from baseDelay (capped at maxDelay) and adds up to
+ * `jitter` × delay at random, so concurrent tasks don't retry in lockstep.
+ * A source profile can override any parameter:
+ *
+ *   "retry": { "attempts": 5, "baseDelay": 2000, "maxDelay": 30000, "jitter": 0.2, "maxRetryAfter": 120000 }
+ *
+ * A per-host circuit breaker stops hammering a host that keeps failing: after
+ * `threshold` failed attempts in a row its pages are skipped for `cooldown`
+ * ms; after that a success closes the circuit and a failure opens it again.
+ *
+ * Usage example:
+ * ```javascript
+ * const breaker = new CircuitBreaker();
+ * const response = await retryPageGoto(page, url, { retry: profile.retry, breaker }, errorSummary);
+ * breaker.printSummary();
+ * ```
+ */
+
+import { hostKey } from './worker-pool.js';
+
+export const DEFAULT_RETRY_POLICY = {
+  attempts: 3,
+  baseDelay: 1000,
+  maxDelay: 30000,
+  jitter: 0.1,
+  maxRetryAfter: 60000
+};
+
+// Failed attempts in a row before a host's circuit opens
+const DEFAULT_THRESHOLD = 5;
+
+// How long an open circuit skips the host
+const DEFAULT_COOLDOWN = 5 * 60 * 1000;
+
+/**
+ * Merge retry settings with defaults and validate them
+ * @param {Object|null} retry - Profile retry settings
+ * @returns {Object} Complete retry policy
+ * @throws {Error} If a setting is unknown or out of range
+ */
+export function normalizeRetryPolicy(retry) {
+  const policy = { ...DEFAULT_RETRY_POLICY, ...(retry || {}) };
+
+  for (const [key, value] of Object.entries(policy)) {
+    if (!(key in DEFAULT_RETRY_POLICY)) {
+      throw new Error(`unknown retry setting "${key}" (expected ${Object.keys(DEFAULT_RETRY_POLICY).join(', ')})`);
+    }
+    if (typeof value !== 'number' || !Number.isFinite(value) || value < 0) {
+      throw new Error(`retry setting "${key}" must be a non-negative number`);
+    }
+  }
+  if (!Number.isInteger(policy.attempts) || policy.attempts < 1) {
+    throw new Error('retry setting "attempts" must be a whole number of at least 1');
+  }
+
+  return policy;
+}
+
+/**
+ * Classify an HTTP status for retrying
+ * @param {number|null} status - Response status (null when the page loaded without a response)
+ * @returns {'ok'|'not-found'|'forbidden'|'throttled'|'server-error'} Outcome
+ */
+export function classifyStatus(status) {
+  if (status === 404 || status === 410) return 'not-found';
+  if (status === 403) return 'forbidden';
+  if (status === 429 || status === 503) return 'throttled';
+  if (status >= 500) return 'server-error';
+  return 'ok';
+}
+
+/**
+ * Parse a Retry-After header
+ * @param {string|null} value - Header value: delay in seconds or an HTTP date
+ * @param {number} now - Current time in ms (for dates)
+ * @returns {number|null} Delay in ms, or null if missing or invalid
+ */
+export function parseRetryAfter(value, now = Date.now()) {
+  if (value === null || value === undefined) return null;
+  const text = String(value).trim();
+  if (/^\d+$/.test(text)) return Number(text) * 1000;
+
+  const date = Date.parse(text);
+  return Number.isNaN(date) ? null : Math.max(0, date - now);
+}
+
+/**
+ * Delay before the next attempt
+ * @param {Object} policy - Normalised retry policy
+ * @param {number} attempt - Attempt that just failed (1-based)
+ * @param {number|null} retryAfter - Server's Retry-After in ms (optional)
+ * @param {Function} random - Returns [0, 1) (default Math.random)
+ * @returns {number|null} Delay in ms, or null when the server asks to wait
+ *   longer than maxRetryAfter
+ */
+export function retryDelay(policy, attempt, retryAfter = null, random = Math.random) {
+  if (retryAfter !== null) {
+    return retryAfter <= policy.maxRetryAfter ? retryAfter : null;
+  }
+  const backoff = Math.min(policy.maxDelay, policy.baseDelay * 2 ** (attempt - 1));
+  return Math.round(backoff * (1 + policy.jitter * random()));
+}
+
+/**
+ * Per-host circuit breaker for one run
+ */
+export class CircuitBreaker {
+  /**
+   * @param {Object} options - Breaker options
+   * @param {number} options.threshold - Failed attempts in a row that open a host's circuit (default 5)
+   * @param {number} options.cooldown - Ms an open circuit skips the host (default 5 minutes)
+   * @param {Function} options.now - Clock in ms (default Date.now)
+   */
+  constructor(options = {}) {
+    this.threshold = options.threshold || DEFAULT_THRESHOLD;
+    this.cooldown = options.cooldown ?? DEFAULT_COOLDOWN;
+    this.now = options.now || Date.now;
+    this.hosts = new Map(); // host → { failures, openedAt }
+    this.stats = { opened: 0, skipped: 0 };
+  }
+
+  /**
+   * Check whether a host's circuit is open
+   * After the cooldown it is half-open: requests go through, and the next
+   * failure opens it again straight away
+   * @param {string} url - URL on the host
+   * @returns {boolean} True while the host is being skipped
+   */
+  isOpen(url) {
+    const state = this.hosts.get(hostKey(url) || url);
+    return Boolean(state && state.openedAt !== null && this.now() - state.openedAt < this.cooldown);
+  }
+
+  /**
+   * Check whether a URL may be requested, counting skipped requests
+   * @param {string} url - URL
+   * @returns {boolean} False while the host's circuit is open
+   */
+  allows(url) {
+    if (!this.isOpen(url)) return true;
+    this.stats.skipped++;
+    return false;
+  }
+
+  /**
+   * Record a request that reached a healthy host (closes its circuit)
+   * @param {string} url - URL
+   */
+  recordSuccess(url) {
+    this.hosts.delete(hostKey(url) || url);
+  }
+
+  /**
+   * Record a failed attempt
+   * Failures while the circuit is already open (requests that were in
+   * flight when it opened) neither count again nor extend the cooldown
+   * @param {string} url - URL
+   * @returns {boolean} True if this failure opened the circuit
+   */
+  recordFailure(url) {
+    if (this.isOpen(url)) return false;
+
+    const host = hostKey(url) || url;
+    const state = this.hosts.get(host) || { failures: 0, openedAt: null };
+    state.failures++;
+    this.hosts.set(host, state);
+
+    if (state.openedAt === null && state.failures < this.threshold) return false;
+
+    const reopened = state.openedAt !== null;
+    state.openedAt = this.now();
+    this.stats.opened++;
+    console.warn(`🔌 Circuit ${reopened ? 'reopened' : 'open'} for ${host} after ${state.failures} failed attempts, skipping it for ${Math.round(this.cooldown / 1000)}s`);
+    return true;
+  }
+
+  /**
+   * Print breaker statistics to console
+   */
+  printSummary() {
+    const { opened, skipped } = this.stats;
+    if (opened === 0) return;
+
+    console.log('\n=== Circuit Breaker ===');
+    console.log(`🔌 Circuits opened: ${opened}`);
+    console.log(`⏭️  Requests skipped: ${skipped}`);
+    const open = [...this.hosts.entries()].filter(([, state]) => state.openedAt !== null).map(([host]) => host);
+    if (open.length > 0) console.log(`   Failing hosts: ${open.join(', ')}`);
+    console.log('=======================\n');
+  }
+}
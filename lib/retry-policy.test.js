@@ -0,0 +1,246 @@
+/**
+ * Unit Tests for the Retry Policy
+ * Tests status classification, Retry-After parsing, backoff with jitter, the
+ * per-host circuit breaker and retryPageGoto with fake pages (no browser,
+ * no real waiting)
+ */
+
+import { describe, it } from 'mocha';
+import { expect } from 'chai';
+import {
+  DEFAULT_RETRY_POLICY,
+  normalizeRetryPolicy,
+  classifyStatus,
+  parseRetryAfter,
+  retryDelay,
+  CircuitBreaker
+} from './retry-policy.js';
+import { ErrorSummary, retryPageGoto } from './enhanced-scraper.js';
+
+const PAGE_URL = 'https://www.example.ae/startups';
+
+/**
+ * Fake page answering each page.goto with the next scripted outcome:
+ * a status, [status, headers], or an Error to throw
+ */
+function createFakePage(outcomes) {
+  const state = { gotos: 0 };
+  return {
+    state,
+    goto: async () => {
+      const outcome = outcomes[Math.min(state.gotos++, outcomes.length - 1)];
+      if (outcome instanceof Error) throw outcome;
+      const [status, headers = {}] = Array.isArray(outcome) ? outcome : [outcome];
+      return { status: () => status, headers: () => headers };
+    }
+  };
+}
+
+/**
+ * sleep stub recording the requested delays
+ */
+function createSleep() {
+  const sleep = async ms => { sleep.delays.push(ms); };
+  sleep.delays = [];
+  return sleep;
+}
+
+describe('Retry Policy - settings', () => {
+  it('should merge overrides with the defaults', () => {
+    expect(normalizeRetryPolicy(null)).to.deep.equal(DEFAULT_RETRY_POLICY);
+    expect(normalizeRetryPolicy({ attempts: 5, jitter: 0 })).to.include({ attempts: 5, jitter: 0, baseDelay: 1000 });
+  });
+
+  it('should reject unknown and invalid settings', () => {
+    expect(() => normalizeRetryPolicy({ delay: 100 })).to.throw(/unknown retry setting "delay"/);
+    expect(() => normalizeRetryPolicy({ baseDelay: '1s' })).to.throw(/non-negative number/);
+    expect(() => normalizeRetryPolicy({ maxDelay: -1 })).to.throw(/non-negative number/);
+    expect(() => normalizeRetryPolicy({ attempts: 1.5 })).to.throw(/whole number/);
+  });
+});
+
+describe('Retry Policy - statuses and delays', () => {
+  it('should classify statuses', () => {
+    expect(classifyStatus(200)).to.equal('ok');
+    expect(classifyStatus(301)).to.equal('ok');
+    expect(classifyStatus(null)).to.equal('ok');
+    expect(classifyStatus(401)).to.equal('ok');
+    expect(classifyStatus(404)).to.equal('not-found');
+    expect(classifyStatus(410)).to.equal('not-found');
+    expect(classifyStatus(403)).to.equal('forbidden');
+    expect(classifyStatus(429)).to.equal('throttled');
+    expect(classifyStatus(503)).to.equal('throttled');
+    expect(classifyStatus(500)).to.equal('server-error');
+    expect(classifyStatus(502)).to.equal('server-error');
+  });
+
+  it('should parse Retry-After in seconds and as an HTTP date', () => {
+    const now = Date.parse('2026-03-01T12:00:00Z');
+    expect(parseRetryAfter('120', now)).to.equal(120000);
+    expect(parseRetryAfter(' 0 ', now)).to.equal(0);
+    expect(parseRetryAfter('Sun, 01 Mar 2026 12:00:30 GMT', now)).to.equal(30000);
+    expect(parseRetryAfter('Sun, 01 Mar 2026 11:00:00 GMT', now)).to.equal(0);
+    expect(parseRetryAfter('soon', now)).to.be.null;
+    expect(parseRetryAfter(undefined, now)).to.be.null;
+  });
+
+  it('should back off exponentially with jitter, up to maxDelay', () => {
+    const policy = normalizeRetryPolicy({ baseDelay: 1000, maxDelay: 5000, jitter: 0.5 });
+    expect(retryDelay(policy, 1, null, () => 0)).to.equal(1000);
+    expect(retryDelay(policy, 2, null, () => 0)).to.equal(2000);
+    expect(retryDelay(policy, 2, null, () => 0.5)).to.equal(2500);
+    expect(retryDelay(policy, 5, null, () => 0)).to.equal(5000);
+    expect(retryDelay(policy, 5, null, () => 0.99)).to.be.below(7500);
+  });
+
+  it('should honour Retry-After unless it is longer than maxRetryAfter', () => {
+    const policy = normalizeRetryPolicy({ maxRetryAfter: 10000 });
+    expect(retryDelay(policy, 1, 7000, () => 0.5)).to.equal(7000);
+    expect(retryDelay(policy, 1, 0)).to.equal(0);
+    expect(retryDelay(policy, 1, 60000)).to.be.null;
+  });
+});
+
+describe('Retry Policy - CircuitBreaker', () => {
+  it('should open after the threshold and skip the host until the cooldown ends', () => {
+    let now = 0;
+    const breaker = new CircuitBreaker({ threshold: 3, cooldown: 1000, now: () => now });
+
+    expect(breaker.recordFailure(PAGE_URL)).to.be.false;
+    expect(breaker.recordFailure('https://example.ae/other')).to.be.false;
+    expect(breaker.allows(PAGE_URL)).to.be.true;
+    expect(breaker.recordFailure(PAGE_URL)).to.be.true;
+
+    expect(breaker.allows('https://example.ae/contact')).to.be.false;
+    expect(breaker.allows('https://other.ae/')).to.be.true;
+    expect(breaker.stats).to.deep.equal({ opened: 1, skipped: 1 });
+
+    now = 1000;
+    expect(breaker.allows(PAGE_URL)).to.be.true;
+  });
+
+  it('should reopen on a failure after the cooldown and close on a success', () => {
+    let now = 0;
+    const breaker = new CircuitBreaker({ threshold: 2, cooldown: 1000, now: () => now });
+    breaker.recordFailure(PAGE_URL);
+    breaker.recordFailure(PAGE_URL);
+
+    now = 1500;
+    expect(breaker.recordFailure(PAGE_URL)).to.be.true;
+    expect(breaker.isOpen(PAGE_URL)).to.be.true;
+
+    now = 3000;
+    breaker.recordSuccess(PAGE_URL);
+    expect(breaker.recordFailure(PAGE_URL)).to.be.false;
+    expect(breaker.isOpen(PAGE_URL)).to.be.false;
+  });
+
+  it('should ignore failures that arrive while the circuit is open', () => {
+    let now = 0;
+    const breaker = new CircuitBreaker({ threshold: 2, cooldown: 1000, now: () => now });
+    breaker.recordFailure(PAGE_URL);
+    expect(breaker.recordFailure(PAGE_URL)).to.be.true;
+
+    now = 500;
+    expect(breaker.recordFailure(PAGE_URL)).to.be.false;
+    expect(breaker.recordFailure(PAGE_URL)).to.be.false;
+    expect(breaker.stats.opened).to.equal(1);
+
+    now = 1000;
+    expect(breaker.isOpen(PAGE_URL)).to.be.false;
+  });
+
+  it('should reset the count of a host on success', () => {
+    const breaker = new CircuitBreaker({ threshold: 2 });
+    breaker.recordFailure(PAGE_URL);
+    breaker.recordSuccess(PAGE_URL);
+    expect(breaker.recordFailure(PAGE_URL)).to.be.false;
+  });
+});
+
+describe('Retry Policy - retryPageGoto', () => {
+  it('should wait for Retry-After on 429 and succeed on the next attempt', async () => {
+    const page = createFakePage([[429, { 'retry-after': '7' }], 200]);
+    const sleep = createSleep();
+    const errors = new ErrorSummary();
+
+    const response = await retryPageGoto(page, PAGE_URL, { sleep }, errors);
+
+    expect(response.status()).to.equal(200);
+    expect(sleep.delays).to.deep.equal([7000]);
+    expect(errors.httpErrors).to.have.length(0);
+  });
+
+  it('should give up on 503 when Retry-After is longer than maxRetryAfter', async () => {
+    const page = createFakePage([[503, { 'retry-after': '3600' }]]);
+    const sleep = createSleep();
+    const errors = new ErrorSummary();
+
+    expect(await retryPageGoto(page, PAGE_URL, { sleep }, errors)).to.be.null;
+    expect(page.state.gotos).to.equal(1);
+    expect(sleep.delays).to.deep.equal([]);
+    expect(errors.httpErrors).to.have.length(1);
+    expect(errors.httpErrors[0].statusCode).to.equal(503);
+  });
+
+  it('should retry other 5xx with jittered backoff and report the status once', async () => {
+    const page = createFakePage([500]);
+    const sleep = createSleep();
+    const errors = new ErrorSummary();
+
+    const response = await retryPageGoto(page, PAGE_URL, { retry: { attempts: 4, jitter: 0.5 }, sleep, random: () => 0.5 }, errors);
+
+    expect(response).to.be.null;
+    expect(page.state.gotos).to.equal(4);
+    expect(sleep.delays).to.deep.equal([1250, 2500, 5000]);
+    expect(errors.httpErrors).to.have.length(1);
+    expect(errors.httpErrors[0].statusCode).to.equal(500);
+  });
+
+  it('should not retry 404 or 403', async () => {
+    for (const status of [404, 403]) {
+      const page = createFakePage([status]);
+      const sleep = createSleep();
+      const errors = new ErrorSummary();
+
+      expect(await retryPageGoto(page, PAGE_URL, { sleep }, errors)).to.be.null;
+      expect(page.state.gotos).to.equal(1);
+      expect(sleep.delays).to.deep.equal([]);
+      expect(errors.httpErrors[0].statusCode).to.equal(status);
+    }
+  });
+
+  it('should retry thrown errors and report the last one', async () => {
+    const page = createFakePage([new Error('net::ERR_CONNECTION_RESET')]);
+    const sleep = createSleep();
+    const errors = new ErrorSummary();
+
+    expect(await retryPageGoto(page, PAGE_URL, { retry: { attempts: 2 }, sleep, random: () => 0 }, errors)).to.be.null;
+    expect(sleep.delays).to.deep.equal([1000]);
+    expect(errors.pageLoadErrors[0].reason).to.equal('Failed after 2 attempts: net::ERR_CONNECTION_RESET');
+  });
+
+  it('should stop retrying once the host circuit opens and skip the host afterwards', async () => {
+    const breaker = new CircuitBreaker({ threshold: 2 });
+    const page = createFakePage([502]);
+    const sleep = createSleep();
+    const errors = new ErrorSummary();
+
+    expect(await retryPageGoto(page, PAGE_URL, { breaker, sleep }, errors)).to.be.null;
+    expect(page.state.gotos).to.equal(2);
+    expect(sleep.delays).to.have.length(1);
+
+    expect(await retryPageGoto(page, 'https://example.ae/about', { breaker, sleep }, errors)).to.be.null;
+    expect(page.state.gotos).to.equal(2);
+    expect(errors.pageLoadErrors[0].reason).to.match(/circuit open/);
+    expect(breaker.stats).to.deep.equal({ opened: 1, skipped: 1 });
+  });
+
+  it('should not count 404s against the host', async () => {
+    const breaker = new CircuitBreaker({ threshold: 1 });
+    const page = createFakePage([404]);
+
+    await retryPageGoto(page, PAGE_URL, { breaker, sleep: createSleep() });
+    expect(breaker.isOpen(PAGE_URL)).to.be.false;
+  });
+});
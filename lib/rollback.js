@@ -0,0 +1,231 @@
+/**
+ * Run Rollback Module
+ *
+ * Undoes everything a single run wrote, using the OrganisationHistory
+ * entries stamped with its run id:
+ * - organisations the run created are deleted
+ * - organisations the run updated are restored to the before-image stored
+ *   with the run's first update (fields, status, source, field meta, runIds);
+ *   entries without a before-image fall back to the per-field `from` values
+ * - the run's page fingerprints are deleted, so the next run scrapes its
+ *   pages again instead of skipping them as unchanged (see lib/page-cache.js)
+ *
+ * An organisation changed again by a later run or by hand is a conflict:
+ * rolling it back would also discard the later change, so it is skipped
+ * unless `force` is set. Every rollback write is itself appended to history.
+ *
+ * Usage example:
+ * ```javascript
+ * const models = { Organisation, OrganisationHistory, ScrapeRun, PageFingerprint };
+ * const plan = await buildRollbackPlan(models, runId);
+ * printRollbackPlan(plan);                    // dry run
+ * const outcome = await applyRollback(models, plan);
+ * ```
+ */
+
+import { TRACKED_FIELDS, snapshotFields, diffSnapshots, recordHistory, beforeImage } from './provenance.js';
+
+// Fields restored from a before-image
+export const RESTORE_FIELDS = [...TRACKED_FIELDS, 'status', 'source', 'fieldMeta', 'runIds'];
+
+/**
+ * Work out how to roll back one organisation
+ * @param {string} runId - Run being rolled back
+ * @param {Object[]} entries - The run's history entries for the organisation, oldest first
+ * @param {Object|null} current - Current organisation (plain object) or null if gone
+ * @param {Object[]} laterEntries - History entries of the organisation written after the run
+ * @returns {{organisationId, name, action: 'delete'|'restore'|'skip', restore, changes, conflict, laterChanges, reason}}
+ */
+export function planOrganisationRollback(runId, entries, current, laterEntries = []) {
+  const first = entries[0];
+  const item = {
+    organisationId: String(first.organisationId),
+    name: current?.name || first.organisationName,
+    action: 'restore',
+    restore: {},
+    changes: [],
+    conflict: laterEntries.length > 0,
+    laterChanges: laterEntries.map(e => `${e.action} by ${e.runId ? `run ${e.runId}` : e.actor} at ${new Date(e.createdAt).toISOString()}`),
+    reason: null
+  };
+
+  if (!current) {
+    return { ...item, action: 'skip', conflict: false, reason: 'organisation no longer exists' };
+  }
+
+  if (entries.some(e => e.action === 'create')) {
+    item.action = 'delete';
+    item.changes = diffSnapshots(snapshotFields(current), {});
+    return item;
+  }
+
+  const withImage = entries.find(e => e.before);
+  if (withImage) {
+    for (const field of RESTORE_FIELDS) {
+      if (field in withImage.before) item.restore[field] = withImage.before[field];
+    }
+  } else {
+    // No before-image: undo each field's first change in the run
+    for (const entry of entries) {
+      for (const change of entry.changes || []) {
+        if (!(change.field in item.restore)) item.restore[change.field] = change.from;
+      }
+    }
+    item.restore.runIds = (current.runIds || []).filter(id => id !== runId);
+  }
+
+  item.changes = diffSnapshots(snapshotFields(current), { ...snapshotFields(current), ...item.restore });
+  if (item.changes.length === 0 && !item.conflict) {
+    item.reason = 'no tracked field changes to undo';
+  }
+  return item;
+}
+
+/**
+ * Build the rollback plan for a run
+ * @param {Object} models - { Organisation, OrganisationHistory }
+ * @param {string} runId - Run id
+ * @returns {Promise<{runId: string, items: Object[]}>} Plan (nothing is written)
+ */
+export async function buildRollbackPlan(models, runId) {
+  const { Organisation, OrganisationHistory } = models;
+  const entries = await OrganisationHistory.find({ runId }).sort({ createdAt: 1 }).lean();
+
+  const byOrganisation = new Map();
+  for (const entry of entries) {
+    const key = String(entry.organisationId);
+    if (!byOrganisation.has(key)) byOrganisation.set(key, []);
+    byOrganisation.get(key).push(entry);
+  }
+
+  const items = [];
+  for (const [organisationId, orgEntries] of byOrganisation) {
+    const last = orgEntries[orgEntries.length - 1];
+    const current = await Organisation.findById(organisationId).lean();
+    const later = (await OrganisationHistory
+      .find({ organisationId: last.organisationId, createdAt: { $gt: last.createdAt } })
+      .sort({ createdAt: 1 })
+      .lean())
+      .filter(e => e.runId !== runId);
+
+    items.push(planOrganisationRollback(runId, orgEntries, current, later));
+  }
+
+  return { runId, items };
+}
+
+/**
+ * Format a value for the dry-run diff
+ * @param {*} value - Field value
+ * @returns {string} Short printable value
+ */
+function formatValue(value) {
+  const text = JSON.stringify(value ?? null);
+  return text.length > 80 ? `${text.slice(0, 77)}...` : text;
+}
+
+/**
+ * Print a rollback plan as a diff
+ * @param {Object} plan - Result of buildRollbackPlan
+ */
+export function printRollbackPlan(plan) {
+  const count = action => plan.items.filter(i => i.action === action).length;
+
+  console.log(`\n=== Rollback Plan: run ${plan.runId} ===`);
+  console.log(`Delete (created by the run): ${count('delete')}`);
+  console.log(`Restore (updated by the run): ${count('restore')}`);
+  console.log(`Skip: ${count('skip')}`);
+  console.log(`Conflicts (changed again later): ${plan.items.filter(i => i.conflict).length}`);
+
+  for (const item of plan.items) {
+    const flag = item.conflict ? ' ⚠️  CONFLICT' : '';
+    if (item.action === 'skip') {
+      console.log(`\n⏭️  ${item.name}: ${item.reason}`);
+      continue;
+    }
+
+    console.log(`\n${item.action === 'delete' ? '🗑️  DELETE' : '↩️  RESTORE'} ${item.name} (${item.organisationId})${flag}`);
+    if (item.action === 'restore') {
+      item.changes.forEach(change => {
+        console.log(`   ${change.field}: ${formatValue(change.from)} → ${formatValue(change.to)}`);
+      });
+      if (item.reason) console.log(`   (${item.reason})`);
+    }
+    item.laterChanges.forEach(change => console.log(`   later: ${change}`));
+  }
+  console.log('\n====================================\n');
+}
+
+/**
+ * Apply a rollback plan
+ * @param {Object} models - { Organisation, OrganisationHistory, ScrapeRun (optional), PageFingerprint (optional) }
+ * @param {Object} plan - Result of buildRollbackPlan
+ * @param {Object} options - { force: also roll back conflicting organisations }
+ * @returns {Promise<{deleted: number, restored: number, skipped: number, fingerprints: number, errors: Array}>} Outcome
+ */
+export async function applyRollback(models, plan, options = {}) {
+  const { Organisation, OrganisationHistory, ScrapeRun = null, PageFingerprint = null } = models;
+  const { force = false } = options;
+  const outcome = { deleted: 0, restored: 0, skipped: 0, fingerprints: 0, errors: [] };
+  const reason = `Rolled back run ${plan.runId}`;
+
+  for (const item of plan.items) {
+    if (item.action === 'skip' || (item.conflict && !force)) {
+      console.log(`  ⏭️  Skipping ${item.name}${item.conflict ? ' (changed again later, use --force)' : ''}`);
+      outcome.skipped++;
+      continue;
+    }
+
+    try {
+      const organisation = await Organisation.findById(item.organisationId);
+      if (!organisation) {
+        console.log(`  ⏭️  Skipping ${item.name} (no longer exists)`);
+        outcome.skipped++;
+        continue;
+      }
+
+      const image = beforeImage(organisation);
+      const before = snapshotFields(organisation);
+
+      if (item.action === 'delete') {
+        await Organisation.deleteOne({ _id: organisation._id });
+        await recordHistory(OrganisationHistory, organisation, diffSnapshots(before, {}), {
+          action: 'delete', actor: 'rollback', reason, before: image
+        });
+        console.log(`  🗑️  Deleted ${item.name}`);
+        outcome.deleted++;
+        continue;
+      }
+
+      for (const [field, value] of Object.entries(item.restore)) {
+        organisation.set(field, value);
+      }
+      const saved = await organisation.save();
+      await recordHistory(OrganisationHistory, saved, diffSnapshots(before, snapshotFields(saved)), {
+        action: 'rollback', actor: 'rollback', reason, before: image
+      });
+      console.log(`  ↩️  Restored ${item.name}`);
+      outcome.restored++;
+    } catch (error) {
+      console.error(`  ✗ Failed to roll back ${item.name}: ${error.message}`);
+      outcome.errors.push({ organisationId: item.organisationId, error: error.message });
+    }
+  }
+
+  // Left in place, the run's fingerprints would make the next run skip its pages as unchanged
+  if (PageFingerprint) {
+    try {
+      const { deletedCount = 0 } = await PageFingerprint.deleteMany({ runId: plan.runId });
+      outcome.fingerprints = deletedCount;
+    } catch (error) {
+      console.error(`  ✗ Failed to delete the page fingerprints of run ${plan.runId}: ${error.message}`);
+      outcome.errors.push({ organisationId: null, error: error.message });
+    }
+  }
+
+  if (ScrapeRun && outcome.deleted + outcome.restored > 0) {
+    await ScrapeRun.updateOne({ runId: plan.runId }, { $set: { status: 'rolled_back', rolledBackAt: new Date() } });
+  }
+
+  return outcome;
+}
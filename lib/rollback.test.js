@@ -0,0 +1,220 @@
+/**
+ * Unit Tests for Run Rollback
+ * Tests rollback planning (delete/restore/conflicts) and applying plans
+ * against in-memory models
+ */
+
+import { describe, it } from 'mocha';
+import { expect } from 'chai';
+import { planOrganisationRollback, buildRollbackPlan, applyRollback } from './rollback.js';
+import { PageCache, fingerprintOf, contentHash } from './page-cache.js';
+
+const RUN = 'run-bad';
+
+/**
+ * In-memory Organisation model: findById(id) is awaitable (document with
+ * get/set/save/toObject) and supports .lean()
+ */
+function createFakeOrganisations(records) {
+  const store = new Map(records.map(r => [r._id, structuredClone(r)]));
+
+  const asDocument = (id) => {
+    const data = store.get(id);
+    if (!data) return null;
+    const doc = structuredClone(data);
+    Object.defineProperties(doc, {
+      get: { value: field => doc[field] },
+      set: { value: (field, value) => { doc[field] = value; } },
+      toObject: { value: () => structuredClone(store.get(id)) },
+      save: { value: async () => { store.set(id, structuredClone(doc)); return doc; } }
+    });
+    return doc;
+  };
+
+  return {
+    store,
+    findById: (id) => ({
+      lean: async () => (store.has(id) ? structuredClone(store.get(id)) : null),
+      then: (resolve, reject) => Promise.resolve(asDocument(id)).then(resolve, reject)
+    }),
+    deleteOne: async ({ _id }) => { store.delete(_id); }
+  };
+}
+
+/**
+ * In-memory OrganisationHistory model
+ */
+function createFakeHistory(entries) {
+  const all = entries.map((e, i) => ({ _id: `h${i + 1}`, ...e }));
+  const matches = (e, q) => (!q.runId || e.runId === q.runId)
+    && (!q.organisationId || e.organisationId === q.organisationId)
+    && (!q.createdAt || e.createdAt > q.createdAt.$gt);
+
+  return {
+    entries: all,
+    find: (query) => ({ sort: () => ({ lean: async () => all.filter(e => matches(e, query)) }) }),
+    create: async (doc) => { const entry = { _id: `h${all.length + 1}`, createdAt: new Date(), ...doc }; all.push(entry); return entry; }
+  };
+}
+
+const at = minutes => new Date(Date.parse('2026-04-01T10:00:00Z') + minutes * 60000);
+
+const stored = {
+  _id: 'org-updated',
+  name: 'Hub71',
+  website: 'https://hub71.com/',
+  country: 'United Arab Emirates',
+  description: 'Broken prompt output',
+  twitter: null,
+  categories: ['FUNDING'],
+  subcategories: ['Venture Capital'],
+  roles: ['Wrong'],
+  status: { publishTier: 'C', confidence: 0.2 },
+  runIds: ['run-good', RUN]
+};
+
+const beforeRun = {
+  ...stored,
+  description: 'Abu Dhabi global tech ecosystem',
+  twitter: '@Hub71ad',
+  categories: ['SUPPORT INFRASTRUCTURE'],
+  subcategories: ['Incubators/Accelerators'],
+  roles: ['Supports startups'],
+  status: { publishTier: 'A', confidence: 0.9 },
+  runIds: ['run-good']
+};
+
+const created = { ...stored, _id: 'org-created', name: 'Made Up Org', runIds: [RUN] };
+
+function history(extra = []) {
+  return createFakeHistory([
+    { organisationId: 'org-updated', organisationName: 'Hub71', runId: RUN, action: 'update', createdAt: at(1), before: beforeRun,
+      changes: [{ field: 'description', from: beforeRun.description, to: stored.description }] },
+    { organisationId: 'org-created', organisationName: 'Made Up Org', runId: RUN, action: 'create', createdAt: at(2), changes: [] },
+    ...extra
+  ]);
+}
+
+describe('Rollback - planOrganisationRollback', () => {
+  it('should delete organisations the run created', () => {
+    const item = planOrganisationRollback(RUN, [{ organisationId: 'org-created', action: 'create' }], created);
+    expect(item.action).to.equal('delete');
+    expect(item.conflict).to.be.false;
+  });
+
+  it('should restore the before-image of the first update', () => {
+    const entries = [
+      { organisationId: 'org-updated', action: 'update', before: beforeRun, changes: [] },
+      { organisationId: 'org-updated', action: 'update', before: { ...beforeRun, description: 'Intermediate' }, changes: [] }
+    ];
+    const item = planOrganisationRollback(RUN, entries, stored);
+
+    expect(item.action).to.equal('restore');
+    expect(item.restore.description).to.equal('Abu Dhabi global tech ecosystem');
+    expect(item.restore.status).to.deep.equal({ publishTier: 'A', confidence: 0.9 });
+    expect(item.restore.runIds).to.deep.equal(['run-good']);
+    expect(item.changes.map(c => c.field)).to.deep.equal(['description', 'twitter', 'categories', 'subcategories', 'roles']);
+  });
+
+  it('should fall back to per-field values without a before-image', () => {
+    const entries = [
+      { organisationId: 'org-updated', action: 'update', changes: [{ field: 'twitter', from: '@Hub71ad', to: null }] },
+      { organisationId: 'org-updated', action: 'update', changes: [{ field: 'twitter', from: null, to: '@x' }] }
+    ];
+    const item = planOrganisationRollback(RUN, entries, stored);
+    expect(item.restore).to.deep.equal({ twitter: '@Hub71ad', runIds: ['run-good'] });
+  });
+
+  it('should flag organisations changed after the run', () => {
+    const later = [{ action: 'update', runId: 'run-next', createdAt: at(30) }];
+    const item = planOrganisationRollback(RUN, [{ organisationId: 'org-updated', action: 'update', before: beforeRun }], stored, later);
+    expect(item.conflict).to.be.true;
+    expect(item.laterChanges[0]).to.match(/^update by run run-next/);
+  });
+
+  it('should skip organisations that no longer exist', () => {
+    const item = planOrganisationRollback(RUN, [{ organisationId: 'gone', organisationName: 'Gone', action: 'update' }], null);
+    expect(item).to.include({ action: 'skip', name: 'Gone' });
+  });
+});
+
+describe('Rollback - build and apply', () => {
+  it('should plan one item per organisation touched by the run', async () => {
+    const models = { Organisation: createFakeOrganisations([stored, created]), OrganisationHistory: history() };
+    const plan = await buildRollbackPlan(models, RUN);
+
+    expect(plan.items.map(i => [i.organisationId, i.action, i.conflict])).to.deep.equal([
+      ['org-updated', 'restore', false],
+      ['org-created', 'delete', false]
+    ]);
+  });
+
+  it('should restore, delete, log history and mark the run rolled back', async () => {
+    const Organisation = createFakeOrganisations([stored, created]);
+    const OrganisationHistory = history();
+    const runUpdates = [];
+    const ScrapeRun = { updateOne: async (filter, update) => runUpdates.push({ filter, update }) };
+    const models = { Organisation, OrganisationHistory, ScrapeRun };
+
+    const outcome = await applyRollback(models, await buildRollbackPlan(models, RUN));
+
+    expect(outcome).to.deep.equal({ deleted: 1, restored: 1, skipped: 0, fingerprints: 0, errors: [] });
+    expect(Organisation.store.has('org-created')).to.be.false;
+    expect(Organisation.store.get('org-updated')).to.deep.include({
+      description: 'Abu Dhabi global tech ecosystem',
+      twitter: '@Hub71ad',
+      runIds: ['run-good']
+    });
+
+    const logged = OrganisationHistory.entries.slice(2);
+    expect(logged.map(e => [e.action, e.actor])).to.deep.equal([['rollback', 'rollback'], ['delete', 'rollback']]);
+    expect(logged[0].before.description).to.equal('Broken prompt output');
+    expect(runUpdates[0].filter).to.deep.equal({ runId: RUN });
+    expect(runUpdates[0].update.$set.status).to.equal('rolled_back');
+  });
+
+  it('should skip conflicts unless forced', async () => {
+    const later = { organisationId: 'org-updated', runId: 'run-next', action: 'update', createdAt: at(60), changes: [] };
+    const Organisation = createFakeOrganisations([stored, created]);
+    const models = { Organisation, OrganisationHistory: history([later]) };
+    const plan = await buildRollbackPlan(models, RUN);
+
+    const outcome = await applyRollback(models, plan);
+    expect(outcome).to.include({ restored: 0, deleted: 1, skipped: 1 });
+    expect(Organisation.store.get('org-updated').description).to.equal('Broken prompt output');
+
+    const forced = await applyRollback(models, plan, { force: true });
+    expect(forced.restored).to.equal(1);
+    expect(Organisation.store.get('org-updated').description).to.equal('Abu Dhabi global tech ecosystem');
+  });
+
+  it('should delete the run\'s page fingerprints so the next run scrapes its pages again', async () => {
+    const url = 'https://www.hub71.com/partners';
+    const docs = [
+      { url, contentHash: contentHash('Partners'), runId: RUN },
+      { url: 'https://www.hub71.com/investors', contentHash: 'def', runId: 'run-good' }
+    ];
+    const PageFingerprint = {
+      find: ({ url: { $in: urls } }) => ({ lean: async () => docs.filter(doc => urls.includes(doc.url)) }),
+      deleteMany: async ({ runId }) => {
+        const before = docs.length;
+        docs.splice(0, docs.length, ...docs.filter(doc => doc.runId !== runId));
+        return { deletedCount: before - docs.length };
+      }
+    };
+    const models = { Organisation: createFakeOrganisations([stored, created]), OrganisationHistory: history(), PageFingerprint };
+    const response = { status: () => 200, headers: () => ({}) };
+
+    const beforeRollback = new PageCache({ Model: PageFingerprint });
+    await beforeRollback.load([url]);
+    expect(beforeRollback.isUnchanged(url, fingerprintOf(response, 'Partners'))).to.be.true;
+
+    const outcome = await applyRollback(models, await buildRollbackPlan(models, RUN));
+    expect(outcome.fingerprints).to.equal(1);
+    expect(docs.map(doc => doc.runId)).to.deep.equal(['run-good']);
+
+    const rescrape = new PageCache({ Model: PageFingerprint });
+    await rescrape.load([url]);
+    expect(rescrape.isUnchanged(url, fingerprintOf(response, 'Partners'))).to.be.false;
+  });
+});
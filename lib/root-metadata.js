@@ -0,0 +1,178 @@
+/**
+ * Root Metadata Module
+ *
+ * Names come from the root domain title, so every non-root URL used to load
+ * its homepage again (networkidle + 2s): four startupemirates.ae URLs meant
+ * four identical homepage visits. The cache loads each host's homepage once
+ * per run and keeps its metadata (title, og tags, JSON-LD, icons) for every
+ * extractor. Concurrent lookups of the same host share one load.
+ *
+ * With a RootMetadata model and a TTL, entries are also kept between runs
+ * until they expire (MongoDB TTL index on expiresAt).
+ *
+ * A failed load over plain HTTP is not cached, so a later browser page on the
+ * same host can still try; failed browser loads are cached for the run.
+ * With a crawl policy, homepages robots.txt disallows are never loaded.
+ *
+ * Usage example:
+ * ```javascript
+ * const rootCache = new RootMetadataCache({ Model: RootMetadata, ttl: 24 * 60 * 60 * 1000, crawlPolicy });
+ * const name = await extractName(page, url, browser, trace, rootCache);
+ * rootCache.printSummary();
+ * ```
+ */
+
+import { fetchRootMetadata } from './enhanced-scraper.js';
+import { HttpBrowser } from './tiered-fetcher.js';
+
+const METADATA_FIELDS = ['rootUrl', 'title', 'ogTitle', 'ogDescription', 'ogImage', 'siteName', 'favicon', 'appleTouchIcon', 'structuredData', 'fetchMode'];
+
+/**
+ * Cache key of a URL
+ * @param {string} url - Any URL on the host
+ * @returns {string|null} Hostname, or null for invalid URLs
+ */
+function hostOf(url) {
+  try {
+    return new URL(url).hostname;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Root domain metadata cache for one run
+ */
+export class RootMetadataCache {
+  /**
+   * @param {Object} options - Cache options
+   * @param {Model} options.Model - RootMetadata model for entries kept between runs (optional)
+   * @param {number} options.ttl - How long stored entries stay valid, in ms (0 = this run only)
+   * @param {Function} options.load - async (rootUrl, browser, { crawlPolicy }) → metadata (default: fetchRootMetadata)
+   * @param {CrawlPolicy} options.crawlPolicy - Skips homepages robots.txt disallows (optional)
+   */
+  constructor(options = {}) {
+    this.Model = options.ttl > 0 ? options.Model || null : null;
+    this.ttl = options.ttl || 0;
+    this.load = options.load || fetchRootMetadata;
+    this.crawlPolicy = options.crawlPolicy || null;
+    this.pending = new Map(); // host → Promise<metadata|null>
+    this.entries = new Map(); // host → metadata (loaded)
+    this.stats = { hits: 0, stored: 0, loads: 0, failures: 0 };
+  }
+
+  /**
+   * Metadata of a URL's root domain, loading the homepage on a miss
+   * @param {string} rootUrl - Root domain URL (https://host/)
+   * @param {Browser|BrowserContext|HttpBrowser} browser - Opens the root domain page on a miss
+   * @returns {Promise<Object|null>} Metadata or null when the homepage could not be read
+   */
+  async get(rootUrl, browser) {
+    const host = hostOf(rootUrl);
+    if (!host) return null;
+
+    if (this.pending.has(host)) {
+      this.stats.hits++;
+      return this.pending.get(host);
+    }
+
+    const loading = this.resolve(host, rootUrl, browser);
+    this.pending.set(host, loading);
+    const metadata = await loading;
+
+    if (metadata) {
+      this.entries.set(host, metadata);
+    } else if (browser instanceof HttpBrowser) {
+      // Failed over plain HTTP: let the browser tier try again
+      this.pending.delete(host);
+    }
+    return metadata;
+  }
+
+  /**
+   * Metadata already loaded for a URL's host (never loads)
+   * @param {string} url - Any URL on the host
+   * @returns {Object|null} Metadata or null
+   */
+  peek(url) {
+    return this.entries.get(hostOf(url)) || null;
+  }
+
+  /**
+   * Read a stored entry, or load the homepage and store it
+   * @param {string} host - Hostname
+   * @param {string} rootUrl - Root domain URL
+   * @param {Object} browser - Opens the root domain page
+   * @returns {Promise<Object|null>} Metadata or null
+   */
+  async resolve(host, rootUrl, browser) {
+    const stored = await this.read(host);
+    if (stored) {
+      this.stats.stored++;
+      return stored;
+    }
+
+    this.stats.loads++;
+    const metadata = await this.load(rootUrl, browser, { crawlPolicy: this.crawlPolicy });
+    if (!metadata) {
+      this.stats.failures++;
+      return null;
+    }
+
+    await this.write(host, metadata);
+    return metadata;
+  }
+
+  /**
+   * Unexpired stored entry for a host
+   * @param {string} host - Hostname
+   * @returns {Promise<Object|null>} Metadata or null
+   */
+  async read(host) {
+    if (!this.Model) return null;
+
+    try {
+      const doc = await this.Model.findOne({ host, expiresAt: { $gt: new Date() } }).lean();
+      return doc ? Object.fromEntries(METADATA_FIELDS.map(field => [field, doc[field] ?? null])) : null;
+    } catch (error) {
+      console.warn(`   ⚠️  Could not read root metadata for ${host}: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Store an entry until the TTL runs out
+   * @param {string} host - Hostname
+   * @param {Object} metadata - Loaded metadata
+   * @returns {Promise<boolean>} Whether the entry was stored
+   */
+  async write(host, metadata) {
+    if (!this.Model) return false;
+
+    try {
+      await this.Model.updateOne(
+        { host },
+        { $set: { ...metadata, expiresAt: new Date(Date.now() + this.ttl) } },
+        { upsert: true }
+      );
+      return true;
+    } catch (error) {
+      console.warn(`   ⚠️  Could not store root metadata for ${host}: ${error.message}`);
+      return false;
+    }
+  }
+
+  /**
+   * Print cache statistics to console
+   */
+  printSummary() {
+    const { hits, stored, loads, failures } = this.stats;
+    if (hits + stored + loads === 0) return;
+
+    console.log('\n=== Root Domain Cache ===');
+    console.log(`🏠 Homepages loaded: ${loads} (${failures} failed)`);
+    console.log(`♻️  Reused this run: ${hits}`);
+    if (this.Model) console.log(`💾 Reused from earlier runs: ${stored}`);
+    console.log('=========================\n');
+  }
+}
@@ -0,0 +1,185 @@
+/**
+ * Unit Tests for the Root Metadata Cache
+ * Tests one homepage load per host, persistence with a fake model and the
+ * extractors reading cached metadata (plain HTTP pages, no browser)
+ */
+
+import { describe, it } from 'mocha';
+import { expect } from 'chai';
+import { RootMetadataCache } from './root-metadata.js';
+import { fetchRootMetadata, extractName, scrapeOrganisation } from './enhanced-scraper.js';
+import { StaticPage } from './dom-adapter.js';
+import { HttpBrowser } from './tiered-fetcher.js';
+import { CrawlPolicy } from './crawl-policy.js';
+import RootMetadata from '../models/RootMetadata.js';
+
+const ROOT = 'https://www.startupemirates.ae/';
+
+const HOMEPAGE = `<html><head>
+  <title>Startup Emirates</title>
+  <meta property="og:title" content="Startup Emirates | Home">
+  <meta property="og:site_name" content="Startup Emirates">
+  <meta property="og:image" content="/og.png">
+  <link rel="icon" href="/favicon.png">
+  <script type="application/ld+json">{"@type": "Organization", "name": "Startup Emirates", "sameAs": ["https://twitter.com/startupemirates"]}</script>
+</head><body><p>${'The UAE national startup platform. '.repeat(10)}</p></body></html>`;
+
+/**
+ * fetch stub serving fixed HTML per URL and counting requests
+ */
+function createFetch(pages) {
+  const fetchImpl = async url => {
+    fetchImpl.calls.push(url);
+    const page = pages[url];
+    if (!page) return new Response('<title>404 Not Found</title>', { status: 404, headers: { 'content-type': 'text/html' } });
+    return new Response(page.body ?? page, { status: page.status || 200, headers: { 'content-type': 'text/html' } });
+  };
+  fetchImpl.calls = [];
+  return fetchImpl;
+}
+
+/**
+ * Fake RootMetadata model recording writes
+ */
+function createFakeModel(docs = []) {
+  const writes = [];
+  return {
+    writes,
+    findOne: filter => ({
+      lean: async () => docs.find(doc => doc.host === filter.host && doc.expiresAt > filter.expiresAt.$gt) || null
+    }),
+    updateOne: async (filter, update, options) => {
+      writes.push({ filter, update, options });
+      return { acknowledged: true };
+    }
+  };
+}
+
+const delay = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+describe('Root Metadata - fetchRootMetadata', () => {
+  it('should read the title, og tags, favicon and JSON-LD of a homepage', async () => {
+    const http = new HttpBrowser({ fetchImpl: createFetch({ [ROOT]: HOMEPAGE }) });
+    expect(await fetchRootMetadata(ROOT, http)).to.deep.equal({
+      rootUrl: ROOT,
+      title: 'Startup Emirates',
+      ogTitle: 'Startup Emirates | Home',
+      ogDescription: null,
+      ogImage: '/og.png',
+      siteName: 'Startup Emirates',
+      favicon: 'https://www.startupemirates.ae/favicon.png',
+      appleTouchIcon: null,
+      structuredData: { name: 'Startup Emirates', description: null, sameAs: ['https://twitter.com/startupemirates'], url: null, logo: null },
+      fetchMode: 'http'
+    });
+  });
+
+  it('should not trust blocked or bot check pages fetched over HTTP', async () => {
+    const http = new HttpBrowser({ fetchImpl: createFetch({
+      [ROOT]: { status: 403, body: '<title>Attention Required! | Cloudflare</title>' }
+    }) });
+    expect(await fetchRootMetadata(ROOT, http)).to.be.null;
+  });
+
+  it('should not load homepages robots.txt disallows', async () => {
+    const fetchImpl = createFetch({ [ROOT]: HOMEPAGE });
+    const crawlPolicy = new CrawlPolicy({ fetchImpl: async () => new Response('User-agent: *\nDisallow: /\n') });
+    const rootCache = new RootMetadataCache({ crawlPolicy });
+
+    expect(await rootCache.get(ROOT, new HttpBrowser({ fetchImpl }))).to.be.null;
+    expect(fetchImpl.calls).to.have.length(0);
+    expect(crawlPolicy.stats.disallowed).to.equal(1);
+  });
+});
+
+describe('Root Metadata - RootMetadataCache', () => {
+  it('should load each host once, even for concurrent lookups', async () => {
+    let loads = 0;
+    const cache = new RootMetadataCache({
+      load: async rootUrl => {
+        loads++;
+        await delay(5);
+        return { rootUrl, title: 'Startup Emirates' };
+      }
+    });
+
+    const results = await Promise.all([cache.get(ROOT, {}), cache.get(ROOT, {}), cache.get(ROOT, {})]);
+    await cache.get('https://hub71.ae/', {});
+
+    expect(results.map(r => r.title)).to.deep.equal(['Startup Emirates', 'Startup Emirates', 'Startup Emirates']);
+    expect(loads).to.equal(2);
+    expect(cache.stats).to.include({ hits: 2, loads: 2 });
+    expect(cache.peek('https://www.startupemirates.ae/programs')).to.include({ title: 'Startup Emirates' });
+    expect(cache.peek('https://moet.gov.ae/')).to.be.null;
+  });
+
+  it('should retry hosts that failed over HTTP but not in the browser', async () => {
+    let loads = 0;
+    const cache = new RootMetadataCache({ load: async () => { loads++; return null; } });
+
+    await cache.get(ROOT, new HttpBrowser());
+    await cache.get(ROOT, new HttpBrowser());
+    expect(loads).to.equal(2);
+
+    await cache.get('https://hub71.ae/', {});
+    await cache.get('https://hub71.ae/', {});
+    expect(loads).to.equal(3);
+  });
+
+  it('should reuse unexpired stored entries and store new ones with the TTL', async () => {
+    const Model = createFakeModel([
+      { host: 'hub71.ae', rootUrl: 'https://hub71.ae/', title: 'Hub71', expiresAt: new Date(Date.now() + 60000), _id: 'x' }
+    ]);
+    let loads = 0;
+    const cache = new RootMetadataCache({ Model, ttl: 3600000, load: async rootUrl => { loads++; return { rootUrl, title: 'Fresh' }; } });
+
+    expect((await cache.get('https://hub71.ae/', {})).title).to.equal('Hub71');
+    expect((await cache.get(ROOT, {})).title).to.equal('Fresh');
+    expect(loads).to.equal(1);
+    expect(cache.stats.stored).to.equal(1);
+
+    expect(Model.writes).to.have.length(1);
+    const { filter, update, options } = Model.writes[0];
+    expect(filter).to.deep.equal({ host: 'www.startupemirates.ae' });
+    expect(options).to.deep.equal({ upsert: true });
+    expect(update.$set.expiresAt.getTime()).to.be.closeTo(Date.now() + 3600000, 1000);
+  });
+
+  it('should keep entries for this run only without a TTL', async () => {
+    const Model = createFakeModel();
+    const cache = new RootMetadataCache({ Model, load: async rootUrl => ({ rootUrl, title: 'T' }) });
+    await cache.get(ROOT, {});
+    expect(cache.Model).to.be.null;
+    expect(Model.writes).to.have.length(0);
+  });
+
+  it('should produce documents the RootMetadata schema accepts', async () => {
+    const http = new HttpBrowser({ fetchImpl: createFetch({ [ROOT]: HOMEPAGE }) });
+    const metadata = await fetchRootMetadata(ROOT, http);
+    const doc = new RootMetadata({ host: 'www.startupemirates.ae', ...metadata, expiresAt: new Date() });
+    expect(doc.validateSync()).to.be.undefined;
+  });
+});
+
+describe('Root Metadata - extractors', () => {
+  it('should name every page of a host from one homepage load', async () => {
+    const fetchImpl = createFetch({ [ROOT]: HOMEPAGE });
+    const http = new HttpBrowser({ fetchImpl });
+    const rootCache = new RootMetadataCache();
+
+    for (const path of ['programs', 'partners', 'events', 'about']) {
+      const page = new StaticPage({ html: `<h1>${path}</h1>`, url: `${ROOT}${path}` });
+      expect(await extractName(page, `${ROOT}${path}`, http, null, rootCache)).to.equal('Startup Emirates');
+    }
+    expect(fetchImpl.calls).to.deep.equal([ROOT]);
+  });
+
+  it('should fall back to the Twitter handle in the homepage JSON-LD', async () => {
+    const http = new HttpBrowser({ fetchImpl: createFetch({ [ROOT]: HOMEPAGE }) });
+    const page = new StaticPage({ html: '<h1>Programs</h1>', url: `${ROOT}programs` });
+
+    const data = await scrapeOrganisation(`${ROOT}programs`, page, http, { rootCache: new RootMetadataCache() });
+    expect(data.twitter).to.equal('@startupemirates');
+    expect(data.extraction).to.include({ name: 'root-title', twitter: 'root-json-ld' });
+  });
+});
@@ -0,0 +1,206 @@
+/**
+ * Run Ledger Module
+ *
+ * Persists what happened in every scrape/classify run to the ScrapeRun
+ * collection instead of only printing it: target URLs and their outcome,
+ * AI classification counts per provider, validation failures, the ids of
+ * created/updated/unchanged organisations and the error summary.
+ *
+ * The run document is written as soon as the run starts (status "running"),
+ * checkpointed after every URL and organisation, and written again when the
+ * run completes or fails. A crashed run is still visible and can be resumed
+ * from its last checkpoint (RunLedger.resume).
+ * Ledger writes never stop a run: failures are logged and the run goes on.
+ *
+ * Usage example:
+ * ```javascript
+ * const ledger = new RunLedger(ScrapeRun, { targetUrls });
+ * await ledger.start();
+ * ledger.recordUrl(url, { sourceName: 'hub71', status: 'scraped', records: 24 });
+ * ledger.recordOrganisation(doc._id, 'created');
+ * await ledger.finish({ aiStats, validationFailures, errorSummary });
+ * ```
+ */
+
+import crypto from 'crypto';
+
+const RECORD_ACTIONS = ['created', 'updated', 'unchanged'];
+
+/**
+ * Run ledger tracker
+ * Collects the outcome of one run and saves it as a ScrapeRun document
+ */
+export class RunLedger {
+  /**
+   * @param {Model} Model - ScrapeRun model
+   * @param {Object} options - Run options
+   * @param {string} options.runId - Run id (default: random UUID)
+   * @param {string[]} options.targetUrls - URLs the run will scrape
+   */
+  constructor(Model, options = {}) {
+    this.Model = Model;
+    this.runId = options.runId || crypto.randomUUID();
+    this.startedAt = new Date();
+    this.targetUrls = options.targetUrls || [];
+    this.urlOutcomes = [];
+    this.records = { created: [], updated: [], unchanged: [] };
+  }
+
+  /**
+   * Continue a run from its stored ScrapeRun document
+   * @param {Model} Model - ScrapeRun model
+   * @param {Object} run - ScrapeRun document (plain object)
+   * @returns {RunLedger} Ledger with the run's URL outcomes and records restored
+   */
+  static resume(Model, run) {
+    const ledger = new RunLedger(Model, { runId: run.runId, targetUrls: run.targetUrls || [] });
+    ledger.startedAt = new Date(run.startedAt);
+    ledger.urlOutcomes = (run.urlOutcomes || []).map(outcome => ({ ...outcome }));
+    for (const action of RECORD_ACTIONS) {
+      ledger.records[action] = [...(run.records?.[action] || [])];
+    }
+    return ledger;
+  }
+
+  /**
+   * URLs already scraped (found empty or unchanged, or disallowed by robots.txt) by the run
+   * @returns {Set<string>} URLs a resumed run can skip
+   */
+  completedUrls() {
+    return new Set(this.urlOutcomes.filter(o => o.status !== 'failed').map(o => o.url));
+  }
+
+  /**
+   * Record the outcome of one target URL
+   * A URL retried on resume replaces its earlier outcome. Outcomes are kept in
+   * target URL order, whatever order concurrent scrapes finish in
+   * @param {string} url - Target URL
+   * @param {Object} outcome - { sourceName, status: 'scraped'|'empty'|'unchanged'|'failed'|'disallowed', records, error, fetchMode: 'http'|'browser' }
+   */
+  recordUrl(url, outcome = {}) {
+    this.urlOutcomes = this.urlOutcomes.filter(o => o.url !== url);
+    this.urlOutcomes.push({
+      url,
+      sourceName: outcome.sourceName || null,
+      status: outcome.status || 'scraped',
+      records: outcome.records || 0,
+      error: outcome.error || null,
+      fetchMode: outcome.fetchMode || null
+    });
+
+    const position = o => {
+      const index = this.targetUrls.indexOf(o.url);
+      return index === -1 ? this.targetUrls.length : index;
+    };
+    this.urlOutcomes.sort((a, b) => position(a) - position(b));
+  }
+
+  /**
+   * Record an organisation touched by the run
+   * An organisation hit several times keeps its strongest action
+   * (created > updated > unchanged)
+   * @param {ObjectId|string} id - Organisation id
+   * @param {string} action - 'created' | 'updated' | 'unchanged'
+   */
+  recordOrganisation(id, action) {
+    if (!RECORD_ACTIONS.includes(action)) {
+      throw new Error(`invalid record action "${action}" (expected ${RECORD_ACTIONS.join(', ')})`);
+    }
+
+    const key = String(id);
+    const current = RECORD_ACTIONS.find(a => this.records[a].some(existing => String(existing) === key));
+    if (current && RECORD_ACTIONS.indexOf(current) <= RECORD_ACTIONS.indexOf(action)) return;
+
+    if (current) {
+      this.records[current] = this.records[current].filter(existing => String(existing) !== key);
+    }
+    this.records[action].push(id);
+  }
+
+  /**
+   * Get the run summary as stored in ScrapeRun
+   * @param {Object} details - { aiStats, validationFailures, errorSummary }
+   * @returns {Object} ScrapeRun fields
+   */
+  getSummary(details = {}) {
+    return {
+      runId: this.runId,
+      startedAt: this.startedAt,
+      targetUrls: this.targetUrls,
+      urlOutcomes: this.urlOutcomes,
+      records: this.records,
+      ...(details.aiStats ? { aiStats: details.aiStats } : {}),
+      ...(details.validationFailures !== undefined ? { validationFailures: details.validationFailures } : {}),
+      ...(details.errorSummary ? { errorSummary: details.errorSummary.getSummary() } : {})
+    };
+  }
+
+  /**
+   * Upsert the run document
+   * @param {Object} fields - Fields to set
+   * @returns {Promise<boolean>} True if saved
+   */
+  async save(fields) {
+    try {
+      await this.Model.updateOne({ runId: this.runId }, { $set: fields }, { upsert: true });
+      return true;
+    } catch (error) {
+      console.warn(`⚠️  Could not save run ledger ${this.runId}: ${error.message}`);
+      return false;
+    }
+  }
+
+  /**
+   * Write the run as started (or restarted when resumed)
+   * @returns {Promise<boolean>} True if saved
+   */
+  async start() {
+    return this.save({ ...this.getSummary(), status: 'running', finishedAt: null, error: null });
+  }
+
+  /**
+   * Save progress of a running run
+   * @param {Object} details - { aiStats, validationFailures } collected so far
+   * @returns {Promise<boolean>} True if saved
+   */
+  async checkpoint(details = {}) {
+    return this.save({ ...this.getSummary(details), status: 'running' });
+  }
+
+  /**
+   * Write the completed run
+   * @param {Object} details - { aiStats, validationFailures, errorSummary }
+   * @returns {Promise<boolean>} True if saved
+   */
+  async finish(details = {}) {
+    return this.save({ ...this.getSummary(details), status: 'completed', finishedAt: new Date() });
+  }
+
+  /**
+   * Write the run as failed
+   * @param {Error} error - Critical error that aborted the run
+   * @param {Object} details - Whatever was collected ({ aiStats, validationFailures, errorSummary })
+   * @returns {Promise<boolean>} True if saved
+   */
+  async fail(error, details = {}) {
+    return this.save({ ...this.getSummary(details), status: 'failed', finishedAt: new Date(), error: error.message });
+  }
+
+  /**
+   * Print summary to console
+   */
+  printSummary() {
+    const failedUrls = this.urlOutcomes.filter(o => o.status === 'failed');
+    const disallowedUrls = this.urlOutcomes.filter(o => o.status === 'disallowed');
+    const unchangedUrls = this.urlOutcomes.filter(o => o.status === 'unchanged');
+
+    console.log('\n=== Run Ledger ===');
+    console.log(`Run ID: ${this.runId}`);
+    console.log(`URLs: ${this.urlOutcomes.length}/${this.targetUrls.length} attempted, ${failedUrls.length} failed, ${disallowedUrls.length} disallowed by robots.txt`);
+    console.log(`URLs unchanged since their last scrape: ${unchangedUrls.length}`);
+    console.log(`Organisations created: ${this.records.created.length}`);
+    console.log(`Organisations updated: ${this.records.updated.length}`);
+    console.log(`Organisations unchanged: ${this.records.unchanged.length}`);
+    console.log('==================\n');
+  }
+}
@@ -0,0 +1,160 @@
+/**
+ * Unit Tests for Run Ledger
+ * Tests URL outcomes, record bookkeeping and ScrapeRun persistence with a
+ * fake model
+ */
+
+import { describe, it } from 'mocha';
+import { expect } from 'chai';
+import { RunLedger } from './run-ledger.js';
+import { ErrorSummary } from './enhanced-scraper.js';
+import ScrapeRun from '../models/ScrapeRun.js';
+
+/**
+ * Fake ScrapeRun model recording updateOne calls
+ */
+function createFakeModel(options = {}) {
+  const calls = [];
+  return {
+    calls,
+    updateOne: async (filter, update, opts) => {
+      if (options.throws) throw new Error(options.throws);
+      calls.push({ filter, update, opts });
+      return { acknowledged: true };
+    }
+  };
+}
+
+describe('Run Ledger - bookkeeping', () => {
+  it('should generate a run id and record URL outcomes', () => {
+    const ledger = new RunLedger(createFakeModel(), { targetUrls: ['https://a.ae/', 'https://b.ae/'] });
+    ledger.recordUrl('https://a.ae/', { sourceName: 'a', status: 'scraped', records: 12 });
+    ledger.recordUrl('https://b.ae/', { sourceName: 'b', status: 'failed', error: 'Failed to load' });
+
+    expect(ledger.runId).to.match(/^[0-9a-f-]{36}$/);
+    expect(ledger.urlOutcomes).to.deep.equal([
+      { url: 'https://a.ae/', sourceName: 'a', status: 'scraped', records: 12, error: null, fetchMode: null },
+      { url: 'https://b.ae/', sourceName: 'b', status: 'failed', records: 0, error: 'Failed to load', fetchMode: null }
+    ]);
+  });
+
+  it('should keep URL outcomes in target order when scrapes finish out of order', () => {
+    const ledger = new RunLedger(createFakeModel(), { targetUrls: ['https://a.ae/', 'https://b.ae/', 'https://c.ae/'] });
+    ledger.recordUrl('https://c.ae/', { status: 'empty' });
+    ledger.recordUrl('https://x.ae/', { status: 'scraped' });
+    ledger.recordUrl('https://a.ae/', { status: 'scraped' });
+    ledger.recordUrl('https://b.ae/', { status: 'failed' });
+
+    expect(ledger.urlOutcomes.map(o => o.url)).to.deep.equal(['https://a.ae/', 'https://b.ae/', 'https://c.ae/', 'https://x.ae/']);
+  });
+
+  it('should keep each organisation once under its strongest action', () => {
+    const ledger = new RunLedger(createFakeModel());
+    ledger.recordOrganisation('o1', 'unchanged');
+    ledger.recordOrganisation('o1', 'updated');
+    ledger.recordOrganisation('o2', 'created');
+    ledger.recordOrganisation('o2', 'updated');
+    ledger.recordOrganisation('o3', 'unchanged');
+
+    expect(ledger.records).to.deep.equal({ created: ['o2'], updated: ['o1'], unchanged: ['o3'] });
+  });
+
+  it('should reject unknown record actions', () => {
+    expect(() => new RunLedger(createFakeModel()).recordOrganisation('o1', 'deleted')).to.throw(/invalid record action/);
+  });
+});
+
+describe('Run Ledger - resume', () => {
+  const stored = {
+    runId: 'run-3',
+    startedAt: new Date('2026-04-01T10:00:00Z'),
+    status: 'failed',
+    targetUrls: ['https://a.ae/', 'https://b.ae/', 'https://c.ae/'],
+    urlOutcomes: [
+      { url: 'https://a.ae/', sourceName: 'a', status: 'scraped', records: 3, error: null },
+      { url: 'https://b.ae/', sourceName: 'b', status: 'failed', records: 0, error: 'timeout' }
+    ],
+    records: { created: ['o1'], updated: [], unchanged: ['o2'] }
+  };
+
+  it('should restore outcomes and records of a stored run', () => {
+    const ledger = RunLedger.resume(createFakeModel(), stored);
+    expect(ledger.runId).to.equal('run-3');
+    expect(ledger.startedAt.toISOString()).to.equal('2026-04-01T10:00:00.000Z');
+    expect(ledger.records).to.deep.equal({ created: ['o1'], updated: [], unchanged: ['o2'] });
+    expect([...ledger.completedUrls()]).to.deep.equal(['https://a.ae/']);
+  });
+
+  it('should replace the outcome of a retried URL', () => {
+    const ledger = RunLedger.resume(createFakeModel(), stored);
+    ledger.recordUrl('https://b.ae/', { sourceName: 'b', status: 'scraped', records: 2 });
+    expect(ledger.urlOutcomes.map(o => [o.url, o.status])).to.deep.equal([['https://a.ae/', 'scraped'], ['https://b.ae/', 'scraped']]);
+    expect(stored.urlOutcomes[1].status).to.equal('failed');
+  });
+
+  it('should restart and checkpoint a resumed run as running', async () => {
+    const Model = createFakeModel();
+    const ledger = RunLedger.resume(Model, stored);
+    await ledger.start();
+    await ledger.checkpoint({ validationFailures: 4 });
+
+    expect(Model.calls[0].update.$set).to.include({ status: 'running', finishedAt: null, error: null });
+    expect(Model.calls[1].update.$set).to.include({ status: 'running', validationFailures: 4 });
+    expect(Model.calls[1].update.$set).to.not.have.property('finishedAt');
+  });
+});
+
+describe('Run Ledger - persistence', () => {
+  it('should upsert the run when it starts and completes', async () => {
+    const Model = createFakeModel();
+    const ledger = new RunLedger(Model, { runId: 'run-1', targetUrls: ['https://a.ae/'] });
+    const errorSummary = new ErrorSummary();
+    errorSummary.addHttpError('https://a.ae/', 403, 'Forbidden');
+
+    await ledger.start();
+    ledger.recordOrganisation('o1', 'created');
+    await ledger.finish({
+      aiStats: { total: 1, successful: 1, degraded: 0, skipped: 0, byProvider: { cerebras: 1 } },
+      validationFailures: 2,
+      errorSummary
+    });
+
+    expect(Model.calls).to.have.length(2);
+    expect(Model.calls[0].filter).to.deep.equal({ runId: 'run-1' });
+    expect(Model.calls[0].opts).to.deep.equal({ upsert: true });
+    expect(Model.calls[0].update.$set).to.include({ status: 'running' });
+
+    const finished = Model.calls[1].update.$set;
+    expect(finished).to.include({ status: 'completed', validationFailures: 2 });
+    expect(finished.finishedAt).to.be.an.instanceOf(Date);
+    expect(finished.records.created).to.deep.equal(['o1']);
+    expect(finished.aiStats.byProvider).to.deep.equal({ cerebras: 1 });
+    expect(finished.errorSummary.httpErrors).to.have.length(1);
+  });
+
+  it('should record the error of a failed run', async () => {
+    const Model = createFakeModel();
+    const ledger = new RunLedger(Model, { runId: 'run-2' });
+    await ledger.fail(new Error('browser crashed'));
+
+    expect(Model.calls[0].update.$set).to.include({ status: 'failed', error: 'browser crashed' });
+    expect(Model.calls[0].update.$set).to.not.have.property('aiStats');
+  });
+
+  it('should not throw when the ledger cannot be saved', async () => {
+    const ledger = new RunLedger(createFakeModel({ throws: 'not connected' }));
+    expect(await ledger.start()).to.be.false;
+  });
+
+  it('should produce documents the ScrapeRun schema accepts', async () => {
+    const Model = createFakeModel();
+    const ledger = new RunLedger(Model, { targetUrls: ['https://a.ae/'] });
+    ledger.recordUrl('https://a.ae/', { status: 'empty' });
+    ledger.recordOrganisation('65a000000000000000000001', 'updated');
+    await ledger.finish({ aiStats: { total: 0, successful: 0, degraded: 0, skipped: 0, byProvider: { cerebras: 0 } } });
+
+    const doc = new ScrapeRun(Model.calls[0].update.$set);
+    expect(doc.validateSync()).to.be.undefined;
+    expect(doc.records.updated).to.have.length(1);
+  });
+});
@@ -0,0 +1,498 @@
+/**
+ * Source Profiles Module
+ *
+ * Declarative per-site extraction profiles. Each file in `sources/` (JSON or
+ * a JS module with a default export) describes one source:
+ *
+ * {
+ *   "sourceName": "hub71",                       // stamped on source.sourceName
+ *   "urls": ["https://www.hub71.com/partners"],  // or "url": "..."
+ *   "mode": "auto" | "listing" | "single",
+ *   "fetch": "auto" | "http" | "browser",        // see lib/tiered-fetcher.js
+ *   "stealth": false,                            // true: keep the browser identity (see lib/crawl-policy.js)
+ *   "dismissOverlays": true,                     // false: leave consent banners and popups (see lib/overlay-dismisser.js)
+ *   "waitFor": { "waitUntil": "networkidle", "selector": ".grid", "timeout": 45000, "delay": 2000 },
+ *   "retry": { "attempts": 3, "baseDelay": 1000, "jitter": 0.1 },  // see lib/retry-policy.js
+ *   "network": { "proxies": ["http://proxy.example:8080"], "rotations": 2 },  // see lib/network-rotation.js
+ *   "selectors": {
+ *     "item": ".partner-card",                   // listing mode: one element per organisation
+ *     "name": "h3", "link": "a", "logo": "img", "description": "p",
+ *     "twitter": "a.twitter"                     // single mode only
+ *   },
+ *   "pagination": { ... },                       // see lib/pagination.js
+ *   "mergePolicy": { "website": "overwrite" }    // see lib/merge-policy.js
+ * }
+ *
+ * Selectors are CSS by default; prefix with "xpath=" for XPath. A selector
+ * that matches nothing falls back to the generic heuristics, and every
+ * attempt is recorded in SelectorStats so a site redesign shows up as a
+ * dropping hit rate.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
+import * as cheerio from 'cheerio';
+import { extractEntry, extractListingEntries, isRootUrl, cleanText, resolveUrl, LISTING_EXTRACTION } from './listing-extractor.js';
+import { scrapeOrganisation } from './enhanced-scraper.js';
+import { normalizePagination } from './pagination.js';
+import { normalizeMergePolicy } from './merge-policy.js';
+import { normalizeRetryPolicy } from './retry-policy.js';
+import { normalizeNetwork } from './network-rotation.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+export const DEFAULT_PROFILES_DIR = path.join(__dirname, '../sources');
+
+const VALID_MODES = ['auto', 'listing', 'single'];
+const VALID_FETCH = ['auto', 'http', 'browser'];
+const LISTING_FIELDS = ['name', 'link', 'logo', 'description'];
+const SINGLE_FIELDS = ['name', 'description', 'twitter'];
+
+const DEFAULT_WAIT = {
+  waitUntil: 'networkidle',
+  selector: null,
+  timeout: 45000,
+  delay: 2000
+};
+
+// Hit rate below which a profile's selector is flagged as probably broken
+const LOW_HIT_RATE = 0.5;
+
+/**
+ * Selector hit-rate tracker
+ * Counts, per profile and field, how often a declared selector matched
+ */
+export class SelectorStats {
+  constructor() {
+    this.stats = {};
+  }
+
+  /**
+   * Record one selector attempt
+   * @param {string} profileId - Profile identifier
+   * @param {string} field - Field name (item, name, link, ...)
+   * @param {boolean} hit - Whether the selector matched
+   */
+  record(profileId, field, hit) {
+    if (!this.stats[profileId]) this.stats[profileId] = {};
+    if (!this.stats[profileId][field]) this.stats[profileId][field] = { attempts: 0, hits: 0 };
+
+    this.stats[profileId][field].attempts++;
+    if (hit) this.stats[profileId][field].hits++;
+  }
+
+  /**
+   * Get hit rates for every profile and field
+   * @returns {Object} { [profileId]: { [field]: { attempts, hits, rate } } }
+   */
+  getRates() {
+    const rates = {};
+    for (const [profileId, fields] of Object.entries(this.stats)) {
+      rates[profileId] = {};
+      for (const [field, { attempts, hits }] of Object.entries(fields)) {
+        rates[profileId][field] = { attempts, hits, rate: attempts > 0 ? hits / attempts : 0 };
+      }
+    }
+    return rates;
+  }
+
+  /**
+   * List selectors whose hit rate fell below the threshold
+   * @param {number} threshold - Minimum acceptable hit rate
+   * @returns {Array<{profileId: string, field: string, rate: number}>}
+   */
+  getLowHitRates(threshold = LOW_HIT_RATE) {
+    const low = [];
+    for (const [profileId, fields] of Object.entries(this.getRates())) {
+      for (const [field, { rate }] of Object.entries(fields)) {
+        if (rate < threshold) low.push({ profileId, field, rate });
+      }
+    }
+    return low;
+  }
+
+  /**
+   * Add the attempts recorded by another tracker
+   * @param {SelectorStats} other - Tracker to merge
+   * @returns {SelectorStats} This tracker
+   */
+  merge(other) {
+    for (const [profileId, fields] of Object.entries(other.stats)) {
+      for (const [field, { attempts, hits }] of Object.entries(fields)) {
+        if (!this.stats[profileId]) this.stats[profileId] = {};
+        const current = this.stats[profileId][field] || { attempts: 0, hits: 0 };
+        this.stats[profileId][field] = { attempts: current.attempts + attempts, hits: current.hits + hits };
+      }
+    }
+    return this;
+  }
+
+  /**
+   * Print hit rates to console
+   */
+  printSummary() {
+    const rates = this.getRates();
+    if (Object.keys(rates).length === 0) return;
+
+    console.log('\n=== Selector Hit Rates ===');
+    for (const [profileId, fields] of Object.entries(rates)) {
+      console.log(`${profileId}:`);
+      for (const [field, { attempts, hits, rate }] of Object.entries(fields)) {
+        const flag = rate < LOW_HIT_RATE ? ' ⚠️  selector may be broken' : '';
+        console.log(`  - ${field}: ${hits}/${attempts} (${(rate * 100).toFixed(0)}%)${flag}`);
+      }
+    }
+    console.log('==========================\n');
+  }
+}
+
+/**
+ * Normalise and validate a raw profile definition
+ * @param {Object} raw - Profile as loaded from disk
+ * @param {string} id - Profile identifier (file name without extension)
+ * @returns {Object} Normalised profile
+ * @throws {Error} If the profile is invalid
+ */
+export function normalizeProfile(raw, id) {
+  if (!raw || typeof raw !== 'object') {
+    throw new Error('profile must be an object');
+  }
+
+  const urls = raw.urls || (raw.url ? [raw.url] : []);
+  if (!Array.isArray(urls) || urls.length === 0) {
+    throw new Error('profile must declare "url" or a non-empty "urls" array');
+  }
+  for (const url of urls) {
+    if (typeof url !== 'string' || !/^https?:\/\/.+\..+/.test(url)) {
+      throw new Error(`invalid URL: ${url}`);
+    }
+  }
+
+  const mode = raw.mode || 'auto';
+  if (!VALID_MODES.includes(mode)) {
+    throw new Error(`invalid mode "${mode}" (expected ${VALID_MODES.join(', ')})`);
+  }
+
+  const fetch = raw.fetch || 'auto';
+  if (!VALID_FETCH.includes(fetch)) {
+    throw new Error(`invalid fetch "${fetch}" (expected ${VALID_FETCH.join(', ')})`);
+  }
+
+  if (raw.stealth !== undefined && typeof raw.stealth !== 'boolean') {
+    throw new Error('stealth must be true or false');
+  }
+
+  if (raw.dismissOverlays !== undefined && typeof raw.dismissOverlays !== 'boolean') {
+    throw new Error('dismissOverlays must be true or false');
+  }
+
+  const selectors = raw.selectors || {};
+  for (const [field, selector] of Object.entries(selectors)) {
+    if (selector !== null && typeof selector !== 'string') {
+      throw new Error(`selector for "${field}" must be a string`);
+    }
+  }
+  if (fetch === 'http' && Object.values(selectors).some(s => s && s.startsWith('xpath='))) {
+    throw new Error('XPath selectors need a browser, use "fetch": "auto" or "browser"');
+  }
+
+  const network = normalizeNetwork(raw.network);
+  if (fetch === 'http' && network?.proxies.length > 0) {
+    throw new Error('proxies are only used by the browser, use "fetch": "auto" or "browser"');
+  }
+
+  return {
+    id,
+    sourceName: raw.sourceName || id,
+    urls,
+    mode,
+    fetch,
+    stealth: raw.stealth || false,
+    dismissOverlays: raw.dismissOverlays !== false,
+    waitFor: { ...DEFAULT_WAIT, ...(raw.waitFor || {}) },
+    retry: normalizeRetryPolicy(raw.retry),
+    network,
+    selectors,
+    pagination: normalizePagination(mode === 'single' ? { strategy: 'none' } : raw.pagination),
+    mergePolicy: normalizeMergePolicy(raw.mergePolicy)
+  };
+}
+
+/**
+ * Load all source profiles from a directory
+ * Invalid profiles are logged and skipped so one broken file doesn't stop the run
+ * @param {string} dir - Profiles directory (default: sources/)
+ * @returns {Promise<Object[]>} Normalised profiles sorted by file name
+ */
+export async function loadProfiles(dir = DEFAULT_PROFILES_DIR) {
+  if (!fs.existsSync(dir)) {
+    console.warn(`Source profile directory not found: ${dir}`);
+    return [];
+  }
+
+  const files = fs.readdirSync(dir)
+    .filter(file => /\.(json|js|mjs)$/.test(file))
+    .sort();
+
+  const profiles = [];
+  for (const file of files) {
+    const id = file.replace(/\.(json|js|mjs)$/, '');
+    const fullPath = path.join(dir, file);
+
+    try {
+      const raw = file.endsWith('.json')
+        ? JSON.parse(fs.readFileSync(fullPath, 'utf8'))
+        : (await import(pathToFileURL(fullPath).href)).default;
+
+      profiles.push(normalizeProfile(raw, id));
+    } catch (error) {
+      console.error(`❌ Invalid source profile ${file}: ${error.message}`);
+    }
+  }
+
+  return profiles;
+}
+
+/**
+ * Translate a profile selector into one cheerio understands
+ * XPath selectors are resolved in the browser first (see markXPathSelectors)
+ * and replaced by the data attribute they were tagged with
+ * @param {string} field - Field name
+ * @param {string} selector - Declared selector
+ * @returns {string} CSS selector
+ */
+function toCssSelector(field, selector) {
+  if (!selector.startsWith('xpath=')) return selector;
+  return field === 'item' ? '[data-profile-item]' : `[data-profile-field~="${field}"]`;
+}
+
+/**
+ * Resolve XPath selectors in the live page by tagging matched nodes with
+ * data attributes, so the HTML handed to cheerio can be queried with CSS.
+ * Field XPaths are evaluated relative to each item in listing mode.
+ * @param {Page} page - Playwright page object
+ * @param {Object} profile - Normalised profile
+ * @returns {Promise<void>}
+ */
+export async function markXPathSelectors(page, profile) {
+  const selectors = profile.selectors;
+  const hasXPath = Object.values(selectors).some(s => typeof s === 'string' && s.startsWith('xpath='));
+  if (!hasXPath) return;
+
+  await page.evaluate(({ selectors, listing }) => {
+    const evaluateAll = (expression, context) => {
+      const result = document.evaluate(expression, context, null, XPathResult.ORDERED_NODE_SNAPSHOT_TYPE, null);
+      const nodes = [];
+      for (let i = 0; i < result.snapshotLength; i++) {
+        if (result.snapshotItem(i).nodeType === Node.ELEMENT_NODE) nodes.push(result.snapshotItem(i));
+      }
+      return nodes;
+    };
+
+    const tagField = (el, field) => {
+      const existing = el.getAttribute('data-profile-field') || '';
+      el.setAttribute('data-profile-field', `${existing} ${field}`.trim());
+    };
+
+    let contexts = [document];
+    if (listing && selectors.item) {
+      contexts = selectors.item.startsWith('xpath=')
+        ? evaluateAll(selectors.item.slice(6), document)
+        : Array.from(document.querySelectorAll(selectors.item));
+      contexts.forEach(el => el.setAttribute('data-profile-item', ''));
+    }
+
+    for (const [field, selector] of Object.entries(selectors)) {
+      if (field === 'item' || !selector || !selector.startsWith('xpath=')) continue;
+      for (const context of contexts) {
+        const [match] = evaluateAll(selector.slice(6), context);
+        if (match) tagField(match, field);
+      }
+    }
+  }, { selectors, listing: profile.mode !== 'single' });
+}
+
+/**
+ * Read one field from an element matched by a profile selector
+ * @param {CheerioAPI} $ - Loaded document
+ * @param {Cheerio} $el - Matched element
+ * @param {string} field - Field name
+ * @param {string} pageUrl - Page URL (to resolve links)
+ * @returns {string|null} Field value
+ */
+function readField($, $el, field, pageUrl) {
+  if (field === 'link' || field === 'twitter') {
+    const href = $el.attr('href') || $el.find('a[href]').first().attr('href');
+    return resolveUrl(href, pageUrl);
+  }
+
+  if (field === 'logo') {
+    const $img = $el.is('img') ? $el : $el.find('img').first();
+    return resolveUrl($img.attr('data-src') || $img.attr('src'), pageUrl);
+  }
+
+  const text = cleanText($el.text());
+  return text.length > 0 ? text : null;
+}
+
+/**
+ * Extract one field with a profile selector, recording the hit/miss
+ * @param {CheerioAPI} $ - Loaded document
+ * @param {Cheerio|null} $scope - Element to search within (null = whole document)
+ * @param {Object} profile - Normalised profile
+ * @param {string} field - Field name
+ * @param {string} pageUrl - Page URL
+ * @param {SelectorStats} stats - Hit-rate tracker (optional)
+ * @returns {string|null|undefined} Value, null on a miss, undefined if no selector declared
+ */
+function selectField($, $scope, profile, field, pageUrl, stats) {
+  const selector = profile.selectors[field];
+  if (!selector) return undefined;
+
+  const css = toCssSelector(field, selector);
+  const $match = ($scope ? $scope.find(css) : $(css)).first();
+  const value = $match.length > 0 ? readField($, $match, field, pageUrl) : null;
+
+  if (stats) stats.record(profile.id, field, value !== null);
+  return value;
+}
+
+/**
+ * Extract listing entries using a profile, falling back per field (and for
+ * the whole item list) to the generic listing heuristics
+ * @param {string} html - Rendered page HTML (after markXPathSelectors)
+ * @param {string} pageUrl - Page URL
+ * @param {Object} profile - Normalised profile
+ * @param {SelectorStats} stats - Hit-rate tracker (optional)
+ * @returns {Array<{name, link, logo, description, extraction}>} Listing entries
+ *   (`extraction` marks fields taken from a profile selector)
+ */
+export function extractListingWithProfile(html, pageUrl, profile, stats = null) {
+  if (!profile.selectors.item) {
+    return extractListingEntries(html, pageUrl);
+  }
+
+  const $ = cheerio.load(html);
+  const items = $(toCssSelector('item', profile.selectors.item)).toArray();
+  if (stats) stats.record(profile.id, 'item', items.length > 0);
+
+  if (items.length === 0) {
+    console.warn(`   ⚠️  [${profile.id}] item selector matched nothing, using generic listing detection`);
+    return extractListingEntries(html, pageUrl);
+  }
+
+  const entries = [];
+  const seen = new Set();
+
+  for (const item of items) {
+    const $item = $(item);
+    const generic = extractEntry($, $item, pageUrl);
+    const entry = { extraction: {} };
+
+    for (const field of LISTING_FIELDS) {
+      const value = selectField($, $item, profile, field, pageUrl, stats);
+      entry[field] = value || generic[field];
+      if (value) entry.extraction[field === 'link' ? 'website' : field] = 'selector';
+    }
+
+    if (!entry.name) continue;
+    const key = `${entry.name.toLowerCase()}|${entry.link || ''}`;
+    if (seen.has(key)) continue;
+    seen.add(key);
+
+    entries.push(entry);
+  }
+
+  return entries;
+}
+
+/**
+ * Extract single-organisation fields declared by the profile
+ * @param {string} html - Rendered page HTML (after markXPathSelectors)
+ * @param {string} pageUrl - Page URL
+ * @param {Object} profile - Normalised profile
+ * @param {SelectorStats} stats - Hit-rate tracker (optional)
+ * @returns {Object} Field values that matched (missed fields are omitted)
+ */
+export function extractSingleWithProfile(html, pageUrl, profile, stats = null) {
+  const $ = cheerio.load(html);
+  const fields = {};
+
+  for (const field of SINGLE_FIELDS) {
+    const value = selectField($, null, profile, field, pageUrl, stats);
+    if (!value) continue;
+
+    if (field === 'twitter') {
+      const match = value.match(/(?:twitter\.com|x\.com)\/([A-Za-z0-9_]{1,15})(?:\/|$|\?)/);
+      if (match) fields.twitter = `@${match[1]}`;
+    } else {
+      fields[field] = value;
+    }
+  }
+
+  return fields;
+}
+
+/**
+ * Scrape a page according to its source profile
+ *
+ * Listing mode (or auto mode on a non-root URL with a detected listing)
+ * returns one record per entry; otherwise the page is scraped as a single
+ * organisation with the generic extractors filling any missed selectors.
+ * Every record is stamped with the profile's sourceName and the page URL.
+ *
+ * @param {string} url - Page URL
+ * @param {Page|StaticPage} page - Playwright page or StaticPage (already navigated)
+ * @param {Browser|BrowserContext|HttpBrowser} browser - Opens the root domain page (optional)
+ * @param {Object} profile - Normalised profile
+ * @param {SelectorStats} stats - Hit-rate tracker (optional)
+ * @param {Object} options - { rootCache } root domain metadata shared by the run (optional)
+ * @returns {Promise<Object[]>} Organisation data objects
+ */
+export async function scrapeWithProfile(url, page, browser, profile, stats = null, options = {}) {
+  await markXPathSelectors(page, profile);
+  const html = await page.content();
+
+  const tryListing = profile.mode === 'listing' || (profile.mode === 'auto' && !isRootUrl(url));
+  if (tryListing) {
+    const entries = extractListingWithProfile(html, url, profile, stats);
+
+    if (entries.length > 0) {
+      return entries.map(entry => ({
+        name: entry.name,
+        website: entry.link,
+        sourceUrl: url,
+        sourceName: profile.sourceName,
+        description: entry.description,
+        twitter: null,
+        socials: null,
+        contact: null,
+        logo: null,
+        logoCandidates: entry.logo ? [{ url: entry.logo, strategy: (entry.extraction && entry.extraction.logo) || 'listing-card' }] : [],
+        country: "United Arab Emirates",
+        structuredData: null,
+        extraction: { ...LISTING_EXTRACTION, ...entry.extraction }
+      }));
+    }
+
+    if (profile.mode === 'listing') {
+      console.warn(`   ⚠️  [${profile.id}] no listing entries found on ${url}, scraping as a single organisation`);
+    }
+  }
+
+  const orgData = await scrapeOrganisation(url, page, browser, options);
+  const overrides = extractSingleWithProfile(html, url, profile, stats);
+
+  const selected = Object.fromEntries(Object.keys(overrides).map(field => [field, 'selector']));
+
+  return [{
+    ...orgData,
+    ...overrides,
+    extraction: { ...orgData.extraction, ...selected },
+    // Scores of replaced fields no longer apply
+    quality: Object.fromEntries(Object.entries(orgData.quality || {}).filter(([field]) => !(field in overrides))),
+    sourceUrl: url,
+    sourceName: profile.sourceName
+  }];
+}
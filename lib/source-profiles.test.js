@@ -0,0 +1,213 @@
+/**
+ * Unit Tests for Source Profiles
+ * Tests profile loading/validation, selector extraction with generic
+ * fallback, and selector hit-rate tracking
+ */
+
+import { describe, it, before, after } from 'mocha';
+import { expect } from 'chai';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import {
+  SelectorStats,
+  normalizeProfile,
+  loadProfiles,
+  extractListingWithProfile,
+  extractSingleWithProfile,
+  scrapeWithProfile
+} from './source-profiles.js';
+
+const PAGE_URL = 'https://www.example.ae/directory';
+
+const LISTING_HTML = `
+  <html><body>
+    <ul class="orgs">
+      <li class="org"><span class="org-name">Alpha Ventures</span><a class="site" href="https://alpha.ae">Site</a><p>Early stage fund for GCC founders.</p></li>
+      <li class="org"><span class="org-name">Beta Labs</span><a class="site" href="https://beta.ae">Site</a><p>Deep tech incubator in Abu Dhabi.</p></li>
+      <li class="org"><h3>Gamma Hub</h3><a class="site" href="https://gamma.ae">Site</a><p>Community space for Dubai startups.</p></li>
+    </ul>
+  </body></html>
+`;
+
+function profile(overrides = {}) {
+  return normalizeProfile({ url: PAGE_URL, ...overrides }, 'example');
+}
+
+describe('Source Profiles - normalizeProfile', () => {
+  it('should apply defaults and accept a single url', () => {
+    const result = profile();
+    expect(result.urls).to.deep.equal([PAGE_URL]);
+    expect(result.mode).to.equal('auto');
+    expect(result.sourceName).to.equal('example');
+    expect(result.waitFor).to.deep.equal({ waitUntil: 'networkidle', selector: null, timeout: 45000, delay: 2000 });
+    expect(result.dismissOverlays).to.be.true;
+  });
+
+  it('should merge partial waitFor settings', () => {
+    const result = profile({ waitFor: { selector: '.grid', delay: 500 } });
+    expect(result.waitFor.selector).to.equal('.grid');
+    expect(result.waitFor.delay).to.equal(500);
+    expect(result.waitFor.timeout).to.equal(45000);
+  });
+
+  it('should reject profiles without URLs', () => {
+    expect(() => normalizeProfile({ sourceName: 'x' }, 'x')).to.throw(/url/);
+  });
+
+  it('should reject invalid URLs, modes and selectors', () => {
+    expect(() => normalizeProfile({ url: 'ftp://nope' }, 'x')).to.throw(/invalid URL/);
+    expect(() => profile({ mode: 'crawl' })).to.throw(/invalid mode/);
+    expect(() => profile({ selectors: { name: 42 } })).to.throw(/must be a string/);
+    expect(() => profile({ dismissOverlays: 'no' })).to.throw(/dismissOverlays must be true or false/);
+    expect(profile({ dismissOverlays: false }).dismissOverlays).to.be.false;
+  });
+
+  it('should merge merge-policy overrides with the defaults', () => {
+    const result = profile({ mergePolicy: { website: 'overwrite' } });
+    expect(result.mergePolicy.website).to.equal('overwrite');
+    expect(result.mergePolicy.description).to.equal('preferHigherQuality');
+    expect(() => profile({ mergePolicy: { website: 'newest' } })).to.throw(/invalid merge strategy/);
+  });
+
+  it('should merge retry overrides with the defaults', () => {
+    const result = profile({ retry: { attempts: 5, baseDelay: 2000 } });
+    expect(result.retry).to.deep.equal({ attempts: 5, baseDelay: 2000, maxDelay: 30000, jitter: 0.1, maxRetryAfter: 60000 });
+    expect(profile().retry.attempts).to.equal(3);
+    expect(() => profile({ retry: { retries: 5 } })).to.throw(/unknown retry setting "retries"/);
+    expect(() => profile({ retry: { attempts: 0 } })).to.throw(/attempts/);
+  });
+
+  it('should parse network settings and keep proxies off the HTTP tier', () => {
+    expect(profile().network).to.be.null;
+    expect(profile({ network: { proxies: ['socks5://10.0.0.5:1080'] } }).network).to.deep.equal({
+      proxies: [{ server: 'socks5://10.0.0.5:1080' }], rotations: 2
+    });
+    expect(() => profile({ network: { proxies: ['10.0.0.5'] } })).to.throw(/invalid proxy/);
+    expect(() => profile({ fetch: 'http', network: { proxies: ['http://proxy.example:8080'] } })).to.throw(/only used by the browser/);
+  });
+});
+
+describe('Source Profiles - loadProfiles', () => {
+  let dir;
+
+  before(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'profiles-'));
+    fs.writeFileSync(path.join(dir, 'b-json.json'), JSON.stringify({ sourceName: 'json_source', url: 'https://json.ae/' }));
+    fs.writeFileSync(path.join(dir, 'a-module.mjs'), 'export default { sourceName: "js_source", urls: ["https://js.ae/list"], mode: "listing" };');
+    fs.writeFileSync(path.join(dir, 'c-broken.json'), '{ not json');
+    fs.writeFileSync(path.join(dir, 'notes.txt'), 'ignored');
+  });
+
+  after(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('should load JSON and JS module profiles and skip invalid ones', async () => {
+    const profiles = await loadProfiles(dir);
+    expect(profiles.map(p => p.id)).to.deep.equal(['a-module', 'b-json']);
+    expect(profiles[0].sourceName).to.equal('js_source');
+    expect(profiles[0].mode).to.equal('listing');
+  });
+
+  it('should return an empty list for a missing directory', async () => {
+    expect(await loadProfiles(path.join(dir, 'missing'))).to.deep.equal([]);
+  });
+
+  it('should load the bundled sources directory', async () => {
+    const profiles = await loadProfiles();
+    const urls = profiles.flatMap(p => p.urls);
+    expect(urls).to.have.length(13);
+    expect(urls).to.include('https://www.hub71.com/partners');
+  });
+});
+
+describe('Source Profiles - extractListingWithProfile', () => {
+  it('should use declared selectors and fall back per field', () => {
+    const stats = new SelectorStats();
+    const entries = extractListingWithProfile(LISTING_HTML, PAGE_URL, profile({
+      selectors: { item: 'li.org', name: '.org-name', link: 'a.site' }
+    }), stats);
+
+    expect(entries.map(e => e.name)).to.deep.equal(['Alpha Ventures', 'Beta Labs', 'Gamma Hub']);
+    expect(entries[1].link).to.equal('https://beta.ae/');
+    expect(entries[0].description).to.equal('Early stage fund for GCC founders.');
+
+    const rates = stats.getRates().example;
+    expect(rates.item).to.deep.equal({ attempts: 1, hits: 1, rate: 1 });
+    expect(rates.name.hits).to.equal(2);
+    expect(rates.name.attempts).to.equal(3);
+    expect(rates.link.rate).to.equal(1);
+  });
+
+  it('should fall back to generic detection when the item selector misses', () => {
+    const stats = new SelectorStats();
+    const entries = extractListingWithProfile(LISTING_HTML, PAGE_URL, profile({
+      selectors: { item: '.removed-in-redesign' }
+    }), stats);
+
+    expect(entries).to.have.length(3);
+    expect(stats.getLowHitRates()).to.deep.equal([{ profileId: 'example', field: 'item', rate: 0 }]);
+  });
+
+  it('should use XPath-tagged nodes', () => {
+    const tagged = LISTING_HTML
+      .replace(/<li class="org">/g, '<li class="org" data-profile-item>')
+      .replace(/class="site"/g, 'class="site" data-profile-field="link"');
+    const entries = extractListingWithProfile(tagged, PAGE_URL, profile({
+      selectors: { item: 'xpath=//li', link: 'xpath=.//a' }
+    }));
+
+    expect(entries.map(e => e.link)).to.deep.equal(['https://alpha.ae/', 'https://beta.ae/', 'https://gamma.ae/']);
+  });
+});
+
+describe('Source Profiles - extractSingleWithProfile', () => {
+  it('should extract matched fields and omit misses', () => {
+    const html = `
+      <html><body>
+        <h2 class="brand">Female Fusion Network</h2>
+        <div class="social"><a class="tw" href="https://twitter.com/femalefusion">X</a></div>
+      </body></html>
+    `;
+    const stats = new SelectorStats();
+    const fields = extractSingleWithProfile(html, PAGE_URL, profile({
+      selectors: { name: '.brand', description: '.about', twitter: 'a.tw' }
+    }), stats);
+
+    expect(fields).to.deep.equal({ name: 'Female Fusion Network', twitter: '@femalefusion' });
+    expect(stats.getRates().example.description.rate).to.equal(0);
+  });
+});
+
+describe('Source Profiles - scrapeWithProfile', () => {
+  it('should stamp sourceName and sourceUrl on every listed organisation', async () => {
+    const page = { content: async () => LISTING_HTML, evaluate: async () => {} };
+    const records = await scrapeWithProfile(PAGE_URL, page, null, profile({
+      sourceName: 'example_directory',
+      mode: 'listing'
+    }));
+
+    expect(records).to.have.length(3);
+    for (const record of records) {
+      expect(record.sourceName).to.equal('example_directory');
+      expect(record.sourceUrl).to.equal(PAGE_URL);
+    }
+    expect(records[0].website).to.equal('https://alpha.ae/');
+  });
+});
+
+describe('Source Profiles - SelectorStats', () => {
+  it('should compute hit rates per profile and field', () => {
+    const stats = new SelectorStats();
+    stats.record('hub71', 'name', true);
+    stats.record('hub71', 'name', false);
+    stats.record('moet', 'item', true);
+
+    expect(stats.getRates()).to.deep.equal({
+      hub71: { name: { attempts: 2, hits: 1, rate: 0.5 } },
+      moet: { item: { attempts: 1, hits: 1, rate: 1 } }
+    });
+    expect(stats.getLowHitRates(0.6)).to.deep.equal([{ profileId: 'hub71', field: 'name', rate: 0.5 }]);
+  });
+});
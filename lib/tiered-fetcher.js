@@ -0,0 +1,185 @@
+/**
+ * Tiered Fetcher Module
+ *
+ * Most directory pages are server-rendered, so headless Chromium (with the
+ * stealth plugin) is usually more than a page needs. Each target is first
+ * fetched over plain HTTP and parsed with cheerio (StaticPage, see
+ * lib/dom-adapter.js); the browser is only used when that is not good enough:
+ *
+ * 1. Before extraction - the profile needs a live page (XPath selectors,
+ *    load-more / infinite-scroll pagination, "fetch": "browser")
+ * 2. After the fetch   - blocked (403/429/503), bot check page, non-HTML
+ *    response, almost no visible text (JS-rendered), waitFor selector missing
+ * 3. After extraction  - no named records, a single record where a listing
+ *    was expected, a single organisation without a description, or a listing
+ *    with "auto" pagination that shows a load-more button or scroll sentinel
+ *
+ * Profiles choose with "fetch": "auto" (tiered, default), "http" (never
+ * launch a browser) or "browser" (always). The browser itself is launched
+ * lazily, so a run where every page works over HTTP never starts Chromium.
+ *
+ * Usage example:
+ * ```javascript
+ * const browser = lazyBrowser(() => chromium.launch({ headless: true }));
+ * const http = new HttpBrowser();
+ * const page = await http.newPage();
+ * const response = await page.goto(url);
+ * const reason = staticPageProblem(response, await page.bodyText(), await page.content());
+ * // → null, or why the browser is needed ('blocked', 'js-rendered', ...)
+ * ```
+ */
+
+import { StaticPage } from './dom-adapter.js';
+import { isRootUrl } from './listing-extractor.js';
+
+// Pages with less visible text than this are assumed to be rendered by JavaScript
+export const MIN_STATIC_TEXT = 200;
+
+// Markers of bot protection / challenge pages
+const BOT_CHECK_PATTERN = /(just a moment\.\.\.|checking your browser|cf-browser-verification|cf-chl-|attention required|ddos protection|captcha|enable javascript and cookies)/i;
+
+// Pagination strategies that click or scroll a live page
+const BROWSER_PAGINATION = ['load-more', 'infinite-scroll'];
+
+/**
+ * Browser-like factory of StaticPages
+ * Has the newContext/newPage/close calls the scrape code makes on a
+ * Playwright browser, so the same code runs on either tier
+ */
+export class HttpBrowser {
+  /**
+   * @param {Object} options - { fetchImpl, userAgent } (default: global fetch, HTTP_USER_AGENT)
+   */
+  constructor(options = {}) {
+    this.fetchImpl = options.fetchImpl || fetch;
+    this.userAgent = options.userAgent || null;
+  }
+
+  /**
+   * Like browser.newContext: a userAgent option gives pages their own identity
+   * @param {Object} options - { userAgent } (optional)
+   * @returns {Promise<HttpBrowser>} This factory, or one sending that user agent
+   */
+  async newContext(options = {}) {
+    if (!options.userAgent) return this;
+    return new HttpBrowser({ fetchImpl: this.fetchImpl, userAgent: options.userAgent });
+  }
+
+  async newPage() {
+    return new StaticPage({ fetchImpl: this.fetchImpl, userAgent: this.userAgent });
+  }
+
+  async close() {}
+}
+
+/**
+ * Browser that is only launched when the first context or page is opened
+ * @param {Function} launch - async () → Playwright browser
+ * @returns {Object} { newContext(), newPage(), close(), launched }
+ */
+export function lazyBrowser(launch) {
+  let browser = null;
+  const get = () => {
+    if (!browser) browser = launch();
+    return browser;
+  };
+
+  return {
+    newContext: async (...args) => (await get()).newContext(...args),
+    newPage: async (...args) => (await get()).newPage(...args),
+    close: async () => {
+      if (browser) await (await browser).close();
+    },
+    get launched() {
+      return browser !== null;
+    }
+  };
+}
+
+/**
+ * Why a profile must be scraped in the browser
+ * @param {Object} profile - Normalised source profile
+ * @param {string} override - Fetch mode forced for the run (optional)
+ * @returns {string|null} Reason, or null when the HTTP tier may be tried
+ */
+export function browserRequirement(profile, override = null) {
+  const mode = override || profile.fetch || 'auto';
+  if (mode === 'browser') return 'fetch: browser';
+  if (mode === 'http') return null;
+
+  const hasXPath = Object.values(profile.selectors || {}).some(s => typeof s === 'string' && s.startsWith('xpath='));
+  if (hasXPath) return 'xpath selectors';
+  if (BROWSER_PAGINATION.includes(profile.pagination?.strategy)) return `${profile.pagination.strategy} pagination`;
+  return null;
+}
+
+/**
+ * Why a page fetched over HTTP is not usable as is
+ * @param {Object} response - StaticPage.goto response
+ * @param {string} text - Visible text of the page
+ * @param {string} html - Page HTML
+ * @returns {string|null} Reason, or null when the page looks complete
+ */
+export function staticPageProblem(response, text, html) {
+  const status = response.status();
+  if ([403, 429, 503].includes(status)) return 'blocked';
+  if (!response.ok()) return `HTTP ${status}`;
+  if (!html) return 'not HTML';
+  if (BOT_CHECK_PATTERN.test(text) && text.length < MIN_STATIC_TEXT * 5) return 'bot check';
+  if (text.length < MIN_STATIC_TEXT) return 'js-rendered';
+  return null;
+}
+
+/**
+ * Why records extracted over HTTP are not good enough
+ * @param {Object[]} records - Records from the StaticPage
+ * @param {string} url - Target URL
+ * @param {Object} profile - Normalised source profile
+ * @returns {string|null} Reason, or null when the records can be kept
+ */
+export function recordsProblem(records, url, profile) {
+  const named = records.filter(record => record.name);
+  if (named.length === 0) return 'no records';
+
+  const expectsListing = profile.mode === 'listing' || (profile.mode === 'auto' && !isRootUrl(url));
+  if (expectsListing && named.length < 2) return 'no listing';
+  if (!expectsListing && !named[0].description) return 'no description';
+  return null;
+}
+
+/**
+ * Fetch tier tracker
+ * Counts pages scraped per tier and why pages fell back to the browser
+ */
+export class FetchStats {
+  constructor() {
+    this.http = 0;
+    this.browser = 0;
+    this.fallbacks = {}; // reason → count
+  }
+
+  /**
+   * Record how one target was scraped
+   * @param {string} tier - 'http' or 'browser'
+   * @param {string|null} fallback - Why the HTTP tier was not used (optional)
+   */
+  record(tier, fallback = null) {
+    this[tier]++;
+    if (fallback) this.fallbacks[fallback] = (this.fallbacks[fallback] || 0) + 1;
+  }
+
+  /**
+   * Print tier counts to console
+   */
+  printSummary() {
+    if (this.http + this.browser === 0) return;
+
+    console.log('\n=== Fetch Tiers ===');
+    console.log(`⚡ HTTP: ${this.http}`);
+    console.log(`🌐 Browser: ${this.browser}`);
+    for (const [reason, count] of Object.entries(this.fallbacks)) {
+      console.log(`  - ${reason}: ${count}`);
+    }
+    console.log('===================\n');
+  }
+}
@@ -0,0 +1,118 @@
+/**
+ * Unit Tests for the Tiered Fetcher
+ * Tests when a page may stay on the HTTP tier, the lazy browser and fetch
+ * tier bookkeeping
+ */
+
+import { describe, it } from 'mocha';
+import { expect } from 'chai';
+import { normalizeProfile } from './source-profiles.js';
+import { StaticPage } from './dom-adapter.js';
+import { HttpBrowser, lazyBrowser, browserRequirement, staticPageProblem, recordsProblem, FetchStats, MIN_STATIC_TEXT } from './tiered-fetcher.js';
+
+const profile = (raw = {}) => normalizeProfile({ url: 'https://www.example.ae/directory', ...raw }, 'example');
+
+const response = (status = 200) => ({ status: () => status, ok: () => status >= 200 && status < 300 });
+
+const TEXT = 'Example text. '.repeat(MIN_STATIC_TEXT / 10);
+
+describe('Tiered Fetcher - browserRequirement', () => {
+  it('should allow the HTTP tier for plain CSS profiles', () => {
+    expect(browserRequirement(profile())).to.be.null;
+    expect(browserRequirement(profile({ selectors: { item: '.card' }, pagination: { strategy: 'next-link' } }))).to.be.null;
+  });
+
+  it('should require the browser for XPath, clicking or scrolling pagination and "fetch": "browser"', () => {
+    expect(browserRequirement(profile({ selectors: { item: 'xpath=//li' } }))).to.equal('xpath selectors');
+    expect(browserRequirement(profile({ pagination: { strategy: 'load-more' } }))).to.equal('load-more pagination');
+    expect(browserRequirement(profile({ fetch: 'browser' }))).to.equal('fetch: browser');
+  });
+
+  it('should let the run override the profile', () => {
+    expect(browserRequirement(profile(), 'browser')).to.equal('fetch: browser');
+    expect(browserRequirement(profile({ pagination: { strategy: 'infinite-scroll' } }), 'http')).to.be.null;
+  });
+
+  it('should reject unknown fetch modes and XPath on the HTTP tier in profiles', () => {
+    expect(() => profile({ fetch: 'curl' })).to.throw(/invalid fetch "curl"/);
+    expect(() => profile({ fetch: 'http', selectors: { name: 'xpath=//h1' } })).to.throw(/XPath selectors need a browser/);
+  });
+});
+
+describe('Tiered Fetcher - staticPageProblem', () => {
+  it('should accept a complete server-rendered page', () => {
+    expect(staticPageProblem(response(200), TEXT, '<html>...</html>')).to.be.null;
+  });
+
+  it('should detect blocked, failed and non-HTML responses', () => {
+    expect(staticPageProblem(response(403), TEXT, '<html></html>')).to.equal('blocked');
+    expect(staticPageProblem(response(429), TEXT, '<html></html>')).to.equal('blocked');
+    expect(staticPageProblem(response(404), TEXT, '<html></html>')).to.equal('HTTP 404');
+    expect(staticPageProblem(response(200), '', '')).to.equal('not HTML');
+  });
+
+  it('should detect bot checks and JavaScript shells', () => {
+    expect(staticPageProblem(response(200), `Just a moment... ${TEXT}`, '<html></html>')).to.equal('bot check');
+    expect(staticPageProblem(response(200), 'You need to enable JavaScript to run this app.', '<div id="root"></div>')).to.equal('js-rendered');
+  });
+});
+
+describe('Tiered Fetcher - recordsProblem', () => {
+  const listing = profile({ mode: 'listing' });
+  const single = normalizeProfile({ url: 'https://www.example.ae/', mode: 'single' }, 'single');
+
+  it('should require named records', () => {
+    expect(recordsProblem([], listing.urls[0], listing)).to.equal('no records');
+    expect(recordsProblem([{ name: null }], listing.urls[0], listing)).to.equal('no records');
+  });
+
+  it('should require a listing where one is expected', () => {
+    expect(recordsProblem([{ name: 'Directory' }], listing.urls[0], listing)).to.equal('no listing');
+    expect(recordsProblem([{ name: 'Directory' }], 'https://www.example.ae/directory', profile())).to.equal('no listing');
+    expect(recordsProblem([{ name: 'A' }, { name: 'B' }], listing.urls[0], listing)).to.be.null;
+  });
+
+  it('should require a description for a single organisation', () => {
+    expect(recordsProblem([{ name: 'Example' }], single.urls[0], single)).to.equal('no description');
+    expect(recordsProblem([{ name: 'Example', description: 'About us' }], single.urls[0], single)).to.be.null;
+  });
+});
+
+describe('Tiered Fetcher - browsers', () => {
+  it('should open StaticPages from an HttpBrowser', async () => {
+    const http = new HttpBrowser({ fetchImpl: async () => new Response('<title>T</title>') });
+    const context = await http.newContext();
+    expect(context).to.equal(http);
+    expect(await context.newPage()).to.be.instanceOf(StaticPage);
+  });
+
+  it('should launch the browser once, and only when a page needs it', async () => {
+    let launches = 0;
+    let closed = 0;
+    const browser = lazyBrowser(async () => {
+      launches++;
+      return { newContext: async () => 'context', close: async () => { closed++; } };
+    });
+
+    await browser.close();
+    expect(browser.launched).to.be.false;
+    expect(closed).to.equal(0);
+
+    expect(await Promise.all([browser.newContext(), browser.newContext()])).to.deep.equal(['context', 'context']);
+    await browser.close();
+    expect(launches).to.equal(1);
+    expect(closed).to.equal(1);
+  });
+});
+
+describe('Tiered Fetcher - FetchStats', () => {
+  it('should count pages per tier and fallback reasons', () => {
+    const stats = new FetchStats();
+    stats.record('http');
+    stats.record('browser', 'js-rendered');
+    stats.record('browser', 'js-rendered');
+    stats.record('browser');
+
+    expect(stats).to.deep.include({ http: 1, browser: 3, fallbacks: { 'js-rendered': 2 } });
+  });
+});
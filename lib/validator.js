@@ -5,6 +5,9 @@
  * Implements validation rules from Requirements 5.1-5.5.
  */
 
+import { isArabic } from './language.js';
+import { SOCIAL_NETWORKS, EMIRATES, canonicalSocialUrl, normalizeEmail, normalizePhone } from './contact-extractor.js';
+
 // Taxonomy of allowed categories and subcategories
 const TAXONOMY = {
   "NETWORKING & COMMUNITY": [
@@ -66,6 +69,41 @@ function isValidTwitterHandle(handle) {
   return twitterPattern.test(handle);
 }
 
+/**
+ * Validates a social profile URL (must be in canonical form)
+ * @param {string} network - 'linkedin', 'instagram', 'facebook' or 'youtube'
+ * @param {string} url - Profile URL to validate
+ * @returns {boolean} - True if url is the network's canonical profile URL
+ */
+function isValidSocialUrl(network, url) {
+  if (!url || typeof url !== 'string') return false;
+  return canonicalSocialUrl(network, url) === url;
+}
+
+/**
+ * Validates the contact sub-document (every field optional)
+ * @param {Object} contact - { email, phone, address, emirate }
+ * @returns {string[]} - Error messages (empty if valid)
+ */
+function validateContact(contact) {
+  const errors = [];
+  
+  if (contact.email && normalizeEmail(contact.email) !== contact.email) {
+    errors.push('contact.email has invalid format (must be a lower-case email address)');
+  }
+  if (contact.phone && normalizePhone(contact.phone) !== contact.phone) {
+    errors.push('contact.phone has invalid format (must be E.164, e.g. +97141234567, or a UAE 800/600 number)');
+  }
+  if (contact.address !== null && contact.address !== undefined && typeof contact.address !== 'string') {
+    errors.push('contact.address must be a string');
+  }
+  if (contact.emirate && !EMIRATES.includes(contact.emirate)) {
+    errors.push(`contact.emirate must be one of: ${EMIRATES.join(', ')}`);
+  }
+  
+  return errors;
+}
+
 /**
  * Validates a category against the TAXONOMY
  * @param {string} category - Category to validate
@@ -122,6 +160,13 @@ function validateOrganisation(org) {
     errors.push('country is required');
   }
   
+  // Validate Arabic name (optional, but if present must be Arabic text)
+  if (org.name_ar !== null && org.name_ar !== undefined) {
+    if (!isArabic(org.name_ar)) {
+      errors.push('name_ar must be Arabic text');
+    }
+  }
+  
   // Validate twitter (optional, but if present must be valid format)
   if (org.twitter !== null && org.twitter !== undefined) {
     if (!isValidTwitterHandle(org.twitter)) {
@@ -129,6 +174,20 @@ function validateOrganisation(org) {
     }
   }
   
+  // Validate social profiles (optional, but if present must be canonical URLs)
+  if (org.socials) {
+    for (const network of SOCIAL_NETWORKS) {
+      if (org.socials[network] && !isValidSocialUrl(network, org.socials[network])) {
+        errors.push(`socials.${network} has invalid format (must be a canonical ${network} profile URL)`);
+      }
+    }
+  }
+  
+  // Validate contact details (optional)
+  if (org.contact) {
+    errors.push(...validateContact(org.contact));
+  }
+  
   // Validate categories (required, must be array with at least one valid category)
   if (!Array.isArray(org.categories)) {
     errors.push('categories must be an array');
@@ -180,11 +239,14 @@ let reviewQueue = [];
  * Adds an organisation to the review queue
  * @param {Object} org - Organisation object that failed validation
  * @param {Array<string>} validationErrors - Array of validation error messages
+ * @param {Object} details - Extra context for the reviewer (optional),
+ *   e.g. { type: 'possible_duplicate', existing, match } to show both records side by side
  */
-function addToReviewQueue(org, validationErrors) {
+function addToReviewQueue(org, validationErrors, details = {}) {
   reviewQueue.push({
     organisation: org,
     errors: validationErrors,
+    ...details,
     timestamp: new Date(),
     status: "pending_review"
   });
@@ -233,6 +295,8 @@ export {
   validateOrganisation,
   isValidURL,
   isValidTwitterHandle,
+  isValidSocialUrl,
+  validateContact,
   isValidCategory,
   isValidSubcategory,
   addToReviewQueue,
@@ -435,6 +435,59 @@ describe('Validator - Organisation Validation', () => {
       assert.ok(result.errors.some(e => e.includes('twitter') && e.includes('invalid format')));
     });
 
+    it('should reject organisation with a non-Arabic name_ar', () => {
+      const org = {
+        name: 'Ministry of Economy',
+        website: 'https://moet.gov.ae',
+        country: 'United Arab Emirates',
+        categories: ['NETWORKING & COMMUNITY'],
+        subcategories: ['General Business Community & Membership'],
+        roles: ['Test role'],
+        name_ar: 'Ministry of Economy'
+      };
+      
+      assert.ok(validateOrganisation(org).errors.includes('name_ar must be Arabic text'));
+      assert.strictEqual(validateOrganisation({ ...org, name_ar: 'وزارة الاقتصاد' }).valid, true);
+    });
+
+    it('should accept canonical social profiles and contact details', () => {
+      const org = {
+        name: 'Hub71',
+        website: 'https://hub71.com',
+        country: 'United Arab Emirates',
+        categories: ['NETWORKING & COMMUNITY'],
+        subcategories: ['General Business Community & Membership'],
+        roles: ['Test role'],
+        socials: { linkedin: 'https://www.linkedin.com/company/hub71', instagram: null, facebook: null, youtube: 'https://www.youtube.com/@hub71' },
+        contact: { email: 'info@hub71.com', phone: '+97125551234', address: 'Al Maryah Island, Abu Dhabi', emirate: 'Abu Dhabi' }
+      };
+      
+      const result = validateOrganisation(org);
+      assert.strictEqual(result.valid, true);
+      assert.deepStrictEqual(result.errors, []);
+    });
+
+    it('should reject non-canonical social profiles and invalid contact details', () => {
+      const org = {
+        name: 'Hub71',
+        website: 'https://hub71.com',
+        country: 'United Arab Emirates',
+        categories: ['NETWORKING & COMMUNITY'],
+        subcategories: ['General Business Community & Membership'],
+        roles: ['Test role'],
+        socials: { linkedin: 'https://ae.linkedin.com/company/Hub71/', facebook: 'https://www.facebook.com/sharer/sharer.php' },
+        contact: { email: 'Info@Hub71', phone: '04 123 4567', emirate: 'Doha' }
+      };
+      
+      const result = validateOrganisation(org);
+      assert.strictEqual(result.valid, false);
+      assert.ok(result.errors.includes('socials.linkedin has invalid format (must be a canonical linkedin profile URL)'));
+      assert.ok(result.errors.includes('socials.facebook has invalid format (must be a canonical facebook profile URL)'));
+      assert.ok(result.errors.some(e => e.startsWith('contact.email has invalid format')));
+      assert.ok(result.errors.some(e => e.startsWith('contact.phone has invalid format')));
+      assert.ok(result.errors.some(e => e.startsWith('contact.emirate must be one of')));
+    });
+
     it('should reject organisation with invalid category', () => {
       const org = {
         name: 'Test Organisation',
@@ -1782,6 +1835,26 @@ describe('Validator - Review Queue Mechanism', () => {
       const queue = getReviewQueue();
       assert.strictEqual(queue[0].status, 'pending_review');
     });
+
+    it('should include reviewer details such as a possible duplicate', () => {
+      clearReviewQueue();
+      
+      const org = { name: 'Hub71 | Abu Dhabi', website: 'https://hub71.com/' };
+      const existing = { _id: 'abc', name: 'Hub 71', website: null };
+      
+      addToReviewQueue(org, ['Possible duplicate of "Hub 71" (score 0.8)'], {
+        type: 'possible_duplicate',
+        existing,
+        match: { score: 0.8, reasons: ['name similarity 0.84'] }
+      });
+      
+      const queue = getReviewQueue();
+      assert.strictEqual(queue[0].type, 'possible_duplicate');
+      assert.deepStrictEqual(queue[0].organisation, org);
+      assert.deepStrictEqual(queue[0].existing, existing);
+      assert.strictEqual(queue[0].match.score, 0.8);
+      assert.strictEqual(queue[0].status, 'pending_review');
+    });
   });
 
   describe('getReviewQueue', () => {
@@ -0,0 +1,331 @@
+/**
+ * Website Resolver Module
+ *
+ * Turns the link found on a listing card into the organisation's own
+ * homepage, so `website` identifies the organisation (and deduplicates
+ * correctly) instead of pointing at the page we scraped.
+ *
+ * Resolution steps:
+ * 1. Unwrap tracking wrappers (google.com/url?q=, l.facebook.com/l.php?u=, ...)
+ *    and strip tracking parameters (utm_*, gclid, fbclid, ...)
+ * 2. Internal detail pages on the source site are fetched and their
+ *    outbound "visit website" link is used instead
+ * 3. Social profiles and app/map links are rejected (not a homepage)
+ * 4. Redirects are followed (bit.ly, t.co, lnkd.in, http → https, ...)
+ * 5. The final URL is canonicalised to the homepage: https://host/
+ *
+ * With a crawl policy, every request is checked against robots.txt first
+ * (disallowed URLs are not fetched), sent with the bot user agent and spaced
+ * out by the host's Crawl-delay (see lib/crawl-policy.js).
+ */
+
+import * as cheerio from 'cheerio';
+import { resolveUrl, cleanText } from './listing-extractor.js';
+import { BOT_USER_AGENT } from './crawl-policy.js';
+import { hostKey } from './worker-pool.js';
+
+// Query parameters that carry the real destination of a redirect wrapper
+const WRAPPER_PARAMS = ['url', 'u', 'q', 'target', 'dest', 'destination', 'redirect', 'redirect_url', 'redirect_uri', 'to', 'link', 'goto'];
+
+// Query parameters that only carry tracking information
+const TRACKING_PARAM_PATTERN = /^(utm_.+|gclid|fbclid|dclid|msclkid|mc_cid|mc_eid|_hsenc|_hsmi|ref|ref_src|source|trk)$/i;
+
+// Hosts that are never an organisation's own website: social profiles, stores
+// and maps, and hosts shared by many organisations (link-in-bio pages, site
+// builders, government portals), whose homepage would match unrelated records
+const NON_HOMEPAGE_HOSTS = [
+  'linkedin.com', 'twitter.com', 'x.com', 'facebook.com', 'instagram.com',
+  'youtube.com', 'youtu.be', 'tiktok.com', 'wa.me', 'whatsapp.com', 't.me',
+  'apps.apple.com', 'play.google.com', 'maps.google.com', 'maps.app.goo.gl',
+  'google.com', 'bing.com', 'wikipedia.org',
+  'linktr.ee', 'bio.link', 'beacons.ai', 'carrd.co', 'notion.site', 'wixsite.com',
+  'webflow.io', 'github.io', 'wordpress.com', 'blogspot.com', 'medium.com', 'u.ae'
+];
+
+// Link text of "visit website" buttons on detail pages (English + Arabic)
+const WEBSITE_LINK_PATTERN = /(website|visit|homepage|www\.|الموقع)/i;
+
+const DEFAULT_TIMEOUT = 10000;
+
+/**
+ * Check whether a hostname equals or is a subdomain of a domain
+ * @param {string} hostname - Hostname to test
+ * @param {string} domain - Domain to match
+ * @returns {boolean} True on match
+ */
+function hostMatches(hostname, domain) {
+  return hostname === domain || hostname.endsWith(`.${domain}`);
+}
+
+/**
+ * Strip "www." and lower-case a hostname
+ * @param {string} hostname - Hostname
+ * @returns {string} Bare hostname
+ */
+function bareHost(hostname) {
+  return hostname.toLowerCase().replace(/^www\./, '');
+}
+
+/**
+ * Unwrap redirect/tracking wrappers and strip tracking parameters
+ * @param {string} url - Raw link
+ * @returns {string|null} Unwrapped URL or null if invalid
+ */
+export function unwrapTrackingUrl(url) {
+  let current;
+  try {
+    current = new URL(url);
+  } catch (error) {
+    return null;
+  }
+
+  // Wrappers can be nested (e.g. Outlook safe link around a Google redirect)
+  for (let depth = 0; depth < 5; depth++) {
+    const wrapped = WRAPPER_PARAMS
+      .map(param => current.searchParams.get(param))
+      .find(value => value && /^https?:\/\//i.test(value));
+
+    if (!wrapped) break;
+    try {
+      current = new URL(wrapped);
+    } catch (error) {
+      break;
+    }
+  }
+
+  for (const param of [...current.searchParams.keys()]) {
+    if (TRACKING_PARAM_PATTERN.test(param)) {
+      current.searchParams.delete(param);
+    }
+  }
+
+  return current.href;
+}
+
+/**
+ * Check whether a URL is a social profile, store or map link, or on a shared host
+ * @param {string} url - URL to check
+ * @returns {boolean} True if the URL can't be an organisation homepage
+ */
+export function isNonHomepageUrl(url) {
+  try {
+    const hostname = bareHost(new URL(url).hostname);
+    return NON_HOMEPAGE_HOSTS.some(domain => hostMatches(hostname, domain));
+  } catch (error) {
+    return true;
+  }
+}
+
+/**
+ * Canonicalise a URL to its homepage
+ * @param {string} url - Any URL on the site
+ * @returns {string|null} Homepage URL (e.g. https://www.hub71.com/), or null if invalid or
+ *   not an organisation homepage (see isNonHomepageUrl)
+ */
+export function canonicalHomepage(url) {
+  try {
+    const { protocol, hostname } = new URL(url);
+    if (protocol !== 'http:' && protocol !== 'https:') return null;
+    if (isNonHomepageUrl(url)) return null;
+    return `${protocol}//${hostname.toLowerCase()}/`;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Check whether two URLs belong to the same site (ignoring www.)
+ * @param {string} a - First URL
+ * @param {string} b - Second URL
+ * @returns {boolean} True if both are on the same host
+ */
+export function isSameSite(a, b) {
+  try {
+    return bareHost(new URL(a).hostname) === bareHost(new URL(b).hostname);
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Find the organisation's outbound website link on a detail page
+ * Prefers links labelled "Website"/"Visit", skips header/footer/nav links,
+ * social profiles and links back to the source site
+ * @param {string} html - Detail page HTML
+ * @param {string} pageUrl - Detail page URL
+ * @returns {string|null} Absolute outbound URL or null
+ */
+export function findOutboundLink(html, pageUrl) {
+  const $ = cheerio.load(html);
+  $('header, nav, footer, [class*="cookie"], [class*="share"]').remove();
+
+  const candidates = [];
+  $('a[href]').each((_, a) => {
+    const href = resolveUrl($(a).attr('href'), pageUrl);
+    if (!href || isSameSite(href, pageUrl) || isNonHomepageUrl(href)) return;
+
+    const label = `${cleanText($(a).text())} ${$(a).attr('title') || ''} ${$(a).attr('aria-label') || ''}`;
+    candidates.push({ href, labelled: WEBSITE_LINK_PATTERN.test(label) });
+  });
+
+  const labelled = candidates.find(c => c.labelled);
+  return (labelled || candidates[0])?.href || null;
+}
+
+/**
+ * Check a URL against the crawl policy and wait out its host's Crawl-delay
+ * Disallowed URLs are recorded in the error summary
+ * @param {string} url - URL about to be requested
+ * @param {Object} options - Request options
+ * @param {CrawlPolicy} options.crawlPolicy - Crawl policy (optional; without it every URL is allowed)
+ * @param {ErrorSummary} options.errorSummary - Error tracker (optional)
+ * @param {Map} options.lastRequests - Host → time of the last request (optional)
+ * @param {Function} options.sleep - async (ms) → void (default: setTimeout)
+ * @returns {Promise<boolean>} Whether the URL may be requested
+ */
+async function mayRequest(url, options) {
+  const {
+    crawlPolicy = null,
+    errorSummary = null,
+    lastRequests = null,
+    sleep = ms => new Promise(resolve => setTimeout(resolve, ms))
+  } = options;
+  if (!crawlPolicy) return true;
+
+  const { allowed, rule } = await crawlPolicy.check(url);
+  if (!allowed) {
+    console.log(`   🚫 Disallowed by robots.txt: ${url}`);
+    if (errorSummary) errorSummary.addRobotsDisallowed(url, rule);
+    return false;
+  }
+
+  if (lastRequests) {
+    const host = hostKey(url);
+    const wait = lastRequests.has(host) ? lastRequests.get(host) + crawlPolicy.crawlDelay(url) * 1000 - Date.now() : 0;
+    if (wait > 0) await sleep(wait);
+    lastRequests.set(host, Date.now());
+  }
+  return true;
+}
+
+/**
+ * Headers of resolver requests
+ * @param {Object} options - Request options (crawlPolicy)
+ * @returns {Object} Request headers
+ */
+function requestHeaders(options) {
+  return { 'user-agent': options.crawlPolicy?.userAgent || process.env.CRAWLER_USER_AGENT || BOT_USER_AGENT };
+}
+
+/**
+ * Follow redirects and return the final URL
+ * Tries HEAD first and falls back to GET for servers that reject HEAD
+ * @param {string} url - Starting URL
+ * @param {Object} options - Request options
+ * @param {Function} options.fetchImpl - fetch implementation (default: global fetch)
+ * @param {number} options.timeout - Request timeout in ms
+ * @param {CrawlPolicy} options.crawlPolicy - robots.txt checks, user agent and Crawl-delay (optional)
+ * @param {ErrorSummary} options.errorSummary - Records URLs robots.txt disallows (optional)
+ * @param {Map} options.lastRequests - Host → time of the last request, for Crawl-delay (optional)
+ * @returns {Promise<string>} Final URL (the input URL if the request fails or is disallowed)
+ */
+export async function followRedirects(url, options = {}) {
+  const { fetchImpl = fetch, timeout = DEFAULT_TIMEOUT } = options;
+
+  for (const method of ['HEAD', 'GET']) {
+    if (!(await mayRequest(url, options))) return url;
+    try {
+      const response = await fetchImpl(url, {
+        method,
+        redirect: 'follow',
+        headers: requestHeaders(options),
+        signal: AbortSignal.timeout(timeout)
+      });
+
+      if (method === 'HEAD' && (response.status === 405 || response.status === 501)) {
+        continue;
+      }
+      return response.url || url;
+    } catch (error) {
+      if (method === 'GET') {
+        console.warn(`   ⚠️  Could not follow redirects for ${url}: ${error.message}`);
+      }
+    }
+  }
+
+  return url;
+}
+
+/**
+ * Fetch a page's HTML over plain HTTP
+ * @param {string} url - Page URL
+ * @param {Object} options - Request options (fetchImpl, timeout, crawlPolicy, errorSummary, lastRequests)
+ * @returns {Promise<string|null>} HTML or null on failure or when disallowed
+ */
+async function fetchHtml(url, options = {}) {
+  const { fetchImpl = fetch, timeout = DEFAULT_TIMEOUT } = options;
+  if (!(await mayRequest(url, options))) return null;
+
+  try {
+    const response = await fetchImpl(url, { redirect: 'follow', headers: requestHeaders(options), signal: AbortSignal.timeout(timeout) });
+    if (!response.ok) return null;
+    return await response.text();
+  } catch (error) {
+    console.warn(`   ⚠️  Could not fetch detail page ${url}: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * Resolve an organisation's homepage from a listing link
+ *
+ * Usage example:
+ * ```javascript
+ * const cache = new Map();
+ * const website = await resolveWebsite('https://www.hub71.com/partners/m42', {
+ *   sourceUrl: 'https://www.hub71.com/partners',
+ *   cache,
+ *   crawlPolicy,
+ *   errorSummary
+ * });
+ * // → 'https://m42.ae/'
+ * ```
+ *
+ * @param {string|null} link - Link found on the listing card
+ * @param {Object} options - Resolution options
+ * @param {string} options.sourceUrl - Listing page the link was found on
+ * @param {boolean} options.followDetailPages - Fetch internal detail pages for their outbound link (default true)
+ * @param {Map} options.cache - Per-run cache of link → resolved website (optional)
+ * @param {Function} options.fetchImpl - fetch implementation (default: global fetch)
+ * @param {number} options.timeout - Request timeout in ms
+ * @param {CrawlPolicy} options.crawlPolicy - robots.txt checks, user agent and Crawl-delay (optional)
+ * @param {ErrorSummary} options.errorSummary - Records URLs robots.txt disallows (optional)
+ * @param {Map} options.lastRequests - Host → time of the last request; share one per run so
+ *   Crawl-delay also spaces out requests of different links (optional)
+ * @returns {Promise<string|null>} Canonical homepage URL or null if unresolvable
+ */
+export async function resolveWebsite(link, options = {}) {
+  const { sourceUrl = null, followDetailPages = true, cache = null } = options;
+  if (!link) return null;
+  if (cache && cache.has(link)) return cache.get(link);
+  const requestOptions = { ...options, lastRequests: options.lastRequests || new Map() };
+
+  let target = unwrapTrackingUrl(link);
+
+  // Internal detail page: the organisation's own link lives on that page
+  if (target && sourceUrl && isSameSite(target, sourceUrl)) {
+    const html = followDetailPages ? await fetchHtml(target, requestOptions) : null;
+    target = html ? findOutboundLink(html, target) : null;
+  }
+
+  let website = null;
+  if (target && !isNonHomepageUrl(target)) {
+    const finalUrl = unwrapTrackingUrl(await followRedirects(target, requestOptions));
+    if (finalUrl && !isNonHomepageUrl(finalUrl) && !(sourceUrl && isSameSite(finalUrl, sourceUrl))) {
+      website = canonicalHomepage(finalUrl);
+    }
+  }
+
+  if (cache) cache.set(link, website);
+  return website;
+}
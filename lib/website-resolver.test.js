@@ -0,0 +1,210 @@
+/**
+ * Unit Tests for Website Resolver
+ * Tests tracking-wrapper unwrapping, homepage canonicalisation and
+ * resolution of listing links with a fake fetch
+ */
+
+import { describe, it } from 'mocha';
+import { expect } from 'chai';
+import {
+  unwrapTrackingUrl,
+  isNonHomepageUrl,
+  canonicalHomepage,
+  isSameSite,
+  findOutboundLink,
+  resolveWebsite
+} from './website-resolver.js';
+import { CrawlPolicy } from './crawl-policy.js';
+import { ErrorSummary } from './enhanced-scraper.js';
+
+const SOURCE_URL = 'https://www.hub71.com/partners';
+
+/**
+ * Fake fetch: `routes` maps a URL to { redirectTo, status, body }
+ */
+function createFakeFetch(routes = {}) {
+  const calls = [];
+  const fakeFetch = async (url, options = {}) => {
+    calls.push({ url, method: options.method || 'GET', userAgent: options.headers?.['user-agent'] });
+    const route = routes[url] || {};
+    if (route.throws) throw new Error(route.throws);
+    const status = route.status || 200;
+    return {
+      url: route.redirectTo || url,
+      status,
+      ok: status >= 200 && status < 300,
+      text: async () => route.body || ''
+    };
+  };
+  fakeFetch.calls = calls;
+  return fakeFetch;
+}
+
+describe('Website Resolver - unwrapTrackingUrl', () => {
+  it('should unwrap Google and Facebook redirect wrappers', () => {
+    expect(unwrapTrackingUrl('https://www.google.com/url?q=https%3A%2F%2Fm42.ae%2Fabout&sa=D'))
+      .to.equal('https://m42.ae/about');
+    expect(unwrapTrackingUrl('https://l.facebook.com/l.php?u=https%3A%2F%2Fadgm.com%2F&h=AT0'))
+      .to.equal('https://adgm.com/');
+  });
+
+  it('should unwrap nested wrappers', () => {
+    const inner = encodeURIComponent('https://www.google.com/url?q=https://mubadala.com/');
+    expect(unwrapTrackingUrl(`https://eur01.safelinks.protection.outlook.com/?url=${inner}`))
+      .to.equal('https://mubadala.com/');
+  });
+
+  it('should strip tracking parameters but keep others', () => {
+    expect(unwrapTrackingUrl('https://a.ae/path?utm_source=hub71&utm_medium=web&id=7&fbclid=x'))
+      .to.equal('https://a.ae/path?id=7');
+  });
+
+  it('should return null for invalid URLs', () => {
+    expect(unwrapTrackingUrl('not a url')).to.be.null;
+  });
+});
+
+describe('Website Resolver - helpers', () => {
+  it('should reject social, store and map links as homepages', () => {
+    expect(isNonHomepageUrl('https://www.linkedin.com/company/hub71')).to.be.true;
+    expect(isNonHomepageUrl('https://x.com/hub71')).to.be.true;
+    expect(isNonHomepageUrl('https://apps.apple.com/ae/app/x/id1')).to.be.true;
+    expect(isNonHomepageUrl('https://www.hub71.com/')).to.be.false;
+    expect(isNonHomepageUrl('https://box.com/')).to.be.false;
+  });
+
+  it('should canonicalise to the homepage', () => {
+    expect(canonicalHomepage('https://WWW.Hub71.com/en/partners?x=1#top')).to.equal('https://www.hub71.com/');
+    expect(canonicalHomepage('mailto:hi@hub71.com')).to.be.null;
+    expect(canonicalHomepage('https://linktr.ee/acmerobotics')).to.be.null;
+    expect(canonicalHomepage('https://u.ae/en/about-the-uae')).to.be.null;
+  });
+
+  it('should compare sites ignoring www', () => {
+    expect(isSameSite('https://www.hub71.com/a', 'https://hub71.com/b')).to.be.true;
+    expect(isSameSite('https://hub71.com/', 'https://adgm.com/')).to.be.false;
+  });
+});
+
+describe('Website Resolver - findOutboundLink', () => {
+  it('should prefer labelled website links outside header and footer', () => {
+    const html = `
+      <header><a href="https://sponsor.ae">Sponsor</a></header>
+      <main>
+        <a href="https://news.ae/article">Press coverage</a>
+        <a href="https://www.linkedin.com/company/m42">LinkedIn</a>
+        <a href="https://m42.ae/?utm_source=hub71">Visit website</a>
+        <a href="/partners">Back</a>
+      </main>
+      <footer><a href="https://gov.ae">Gov</a></footer>
+    `;
+    expect(findOutboundLink(html, 'https://www.hub71.com/partners/m42')).to.equal('https://m42.ae/?utm_source=hub71');
+  });
+
+  it('should fall back to the first external link', () => {
+    const html = '<main><a href="https://adgm.com/en">ADGM</a></main>';
+    expect(findOutboundLink(html, 'https://www.hub71.com/partners/adgm')).to.equal('https://adgm.com/en');
+  });
+
+  it('should return null when there are no outbound links', () => {
+    expect(findOutboundLink('<a href="/x">x</a>', 'https://www.hub71.com/p')).to.be.null;
+  });
+});
+
+describe('Website Resolver - resolveWebsite', () => {
+  it('should follow redirects and canonicalise to the homepage', async () => {
+    const fetchImpl = createFakeFetch({
+      'https://bit.ly/m42': { redirectTo: 'https://www.m42.ae/en/home' }
+    });
+    expect(await resolveWebsite('https://bit.ly/m42', { sourceUrl: SOURCE_URL, fetchImpl }))
+      .to.equal('https://www.m42.ae/');
+  });
+
+  it('should fall back to GET when HEAD is rejected', async () => {
+    const fetchImpl = async (url, options) => options.method === 'HEAD'
+      ? { url, status: 405, ok: false }
+      : { url: 'https://adgm.com/', status: 200, ok: true };
+    expect(await resolveWebsite('https://t.co/abc', { sourceUrl: SOURCE_URL, fetchImpl }))
+      .to.equal('https://adgm.com/');
+  });
+
+  it('should follow internal detail pages to the outbound link', async () => {
+    const detail = 'https://www.hub71.com/partners/m42';
+    const fetchImpl = createFakeFetch({
+      [detail]: { body: '<main><a href="https://m42.ae/about">Website</a></main>' }
+    });
+    expect(await resolveWebsite(detail, { sourceUrl: SOURCE_URL, fetchImpl })).to.equal('https://m42.ae/');
+  });
+
+  it('should return null for internal links without an outbound link', async () => {
+    const detail = 'https://www.hub71.com/partners/unknown';
+    const fetchImpl = createFakeFetch({ [detail]: { body: '<main>No links</main>' } });
+    expect(await resolveWebsite(detail, { sourceUrl: SOURCE_URL, fetchImpl })).to.be.null;
+    expect(await resolveWebsite(detail, { sourceUrl: SOURCE_URL, followDetailPages: false, fetchImpl })).to.be.null;
+  });
+
+  it('should return null for social links and missing links', async () => {
+    const fetchImpl = createFakeFetch();
+    expect(await resolveWebsite('https://www.linkedin.com/company/x', { sourceUrl: SOURCE_URL, fetchImpl })).to.be.null;
+    expect(await resolveWebsite(null, { sourceUrl: SOURCE_URL, fetchImpl })).to.be.null;
+    expect(fetchImpl.calls).to.have.length(0);
+  });
+
+  it('should keep the original link when redirects cannot be followed', async () => {
+    const fetchImpl = createFakeFetch({ 'https://offline.ae/en': { throws: 'ENOTFOUND' } });
+    expect(await resolveWebsite('https://offline.ae/en', { sourceUrl: SOURCE_URL, fetchImpl }))
+      .to.equal('https://offline.ae/');
+  });
+
+  it('should cache resolutions per link', async () => {
+    const fetchImpl = createFakeFetch();
+    const cache = new Map();
+    await resolveWebsite('https://adgm.com/en', { sourceUrl: SOURCE_URL, fetchImpl, cache });
+    await resolveWebsite('https://adgm.com/en', { sourceUrl: SOURCE_URL, fetchImpl, cache });
+    expect(fetchImpl.calls).to.have.length(1);
+    expect(cache.get('https://adgm.com/en')).to.equal('https://adgm.com/');
+  });
+});
+
+describe('Website Resolver - crawl policy', () => {
+  /**
+   * Crawl policy whose robots.txt disallows /private on every host and asks for a 5s Crawl-delay
+   */
+  const createPolicy = () => new CrawlPolicy({
+    userAgent: 'TestBot/1.0',
+    fetchImpl: async () => new Response('User-agent: *\nDisallow: /private\nCrawl-delay: 5\n', { headers: { 'content-type': 'text/plain' } })
+  });
+
+  it('should skip disallowed detail pages and record them in the error summary', async () => {
+    const detail = 'https://www.hub71.com/private/m42';
+    const fetchImpl = createFakeFetch({ [detail]: { body: '<main><a href="https://m42.ae/">Website</a></main>' } });
+    const errorSummary = new ErrorSummary();
+
+    expect(await resolveWebsite(detail, { sourceUrl: SOURCE_URL, fetchImpl, crawlPolicy: createPolicy(), errorSummary })).to.be.null;
+    expect(fetchImpl.calls).to.have.length(0);
+    expect(errorSummary.robotsDisallowed[0]).to.include({ url: detail, rule: 'Disallow: /private' });
+  });
+
+  it('should keep disallowed links without following their redirects', async () => {
+    const fetchImpl = createFakeFetch({ 'https://adgm.com/private/en': { redirectTo: 'https://elsewhere.ae/' } });
+    const crawlPolicy = createPolicy();
+    expect(await resolveWebsite('https://adgm.com/private/en', { sourceUrl: SOURCE_URL, fetchImpl, crawlPolicy })).to.equal('https://adgm.com/');
+    expect(fetchImpl.calls).to.have.length(0);
+  });
+
+  it('should send the bot user agent and wait out the Crawl-delay between requests to a host', async () => {
+    const detail = 'https://www.hub71.com/partners/m42';
+    const fetchImpl = createFakeFetch({ [detail]: { body: '<main><a href="https://m42.ae/">Website</a></main>' } });
+    const crawlPolicy = createPolicy();
+    const lastRequests = new Map();
+    const delays = [];
+    const sleep = async ms => { delays.push(ms); };
+
+    await resolveWebsite(detail, { sourceUrl: SOURCE_URL, fetchImpl, crawlPolicy, lastRequests, sleep });
+    await resolveWebsite('https://www.hub71.com/partners/adgm', { sourceUrl: SOURCE_URL, fetchImpl, crawlPolicy, lastRequests, sleep });
+
+    expect(fetchImpl.calls.map(call => call.userAgent)).to.deep.equal(['TestBot/1.0', 'TestBot/1.0', 'TestBot/1.0']);
+    expect(delays).to.have.length(1);
+    expect(delays[0]).to.be.within(4900, 5000);
+  });
+});
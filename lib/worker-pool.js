@@ -0,0 +1,116 @@
+/**
+ * Worker Pool Module
+ *
+ * Runs async tasks with bounded concurrency, a per-host concurrency limit
+ * and a politeness delay between task starts on the same host. Results are
+ * returned in input order (like Promise.allSettled), whatever order the
+ * tasks finish in, so reports and error summaries stay deterministic.
+ *
+ * Usage example:
+ * ```javascript
+ * const results = await runPool(targets, target => scrapeTarget(target), {
+ *   concurrency: 4,
+ *   perHost: 1,
+ *   hostDelay: 1000,
+ *   keyOf: target => hostKey(target.url)
+ * });
+ * // → [{ status: 'fulfilled', value }, { status: 'rejected', reason }, ...]
+ * ```
+ */
+
+export const DEFAULT_CONCURRENCY = 4;
+export const DEFAULT_PER_HOST = 1;
+export const DEFAULT_HOST_DELAY = 1000; // ms between task starts on the same host
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Host key used for per-host limits
+ * @param {string} url - URL
+ * @returns {string|null} Hostname without "www.", or null for invalid URLs
+ */
+export function hostKey(url) {
+  try {
+    return new URL(url).hostname.replace(/^www\./, '');
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Run tasks with bounded concurrency
+ * @param {Array} items - Task inputs
+ * @param {Function} worker - async (item, index) → result
+ * @param {Object} options - Pool options
+ * @param {number} options.concurrency - Maximum tasks running at once
+ * @param {number} options.perHost - Maximum tasks running at once per key
+ * @param {number|Function} options.hostDelay - Minimum ms between task starts per key, or
+ *   item → ms (e.g. raised by a host's robots.txt Crawl-delay)
+ * @param {Function} options.keyOf - item → key (e.g. hostKey); null keys are unlimited
+ * @param {Function} options.sleep - Delay function (for tests)
+ * @returns {Promise<Array<{status: 'fulfilled', value}|{status: 'rejected', reason}>>} Results in input order
+ */
+export async function runPool(items, worker, options = {}) {
+  const {
+    concurrency = DEFAULT_CONCURRENCY,
+    perHost = DEFAULT_PER_HOST,
+    hostDelay = DEFAULT_HOST_DELAY,
+    keyOf = () => null,
+    sleep: wait = sleep
+  } = options;
+
+  const delayOf = typeof hostDelay === 'function' ? hostDelay : () => hostDelay;
+  const results = new Array(items.length);
+  const queue = items.map((item, index) => index);
+  const running = new Map();   // key → tasks running
+  const nextStart = new Map(); // key → earliest start of the next task
+  let waiting = [];
+
+  // Wake workers blocked on a busy host
+  const wake = () => {
+    const resolvers = waiting;
+    waiting = [];
+    resolvers.forEach(resolve => resolve());
+  };
+
+  // Next queued task whose host has a free slot (queue order otherwise)
+  const take = () => {
+    const position = queue.findIndex(index => {
+      const key = keyOf(items[index]);
+      return key === null || (running.get(key) || 0) < perHost;
+    });
+    return position === -1 ? null : queue.splice(position, 1)[0];
+  };
+
+  const runWorker = async () => {
+    while (queue.length > 0) {
+      const index = take();
+      if (index === null) {
+        // Every queued task is on a busy host: wait for a task to finish
+        await new Promise(resolve => waiting.push(resolve));
+        continue;
+      }
+
+      const key = keyOf(items[index]);
+      if (key !== null) {
+        running.set(key, (running.get(key) || 0) + 1);
+        const startAt = Math.max(Date.now(), nextStart.get(key) || 0);
+        nextStart.set(key, startAt + delayOf(items[index]));
+        if (startAt > Date.now()) await wait(startAt - Date.now());
+      }
+
+      try {
+        results[index] = { status: 'fulfilled', value: await worker(items[index], index) };
+      } catch (error) {
+        results[index] = { status: 'rejected', reason: error };
+      } finally {
+        if (key !== null) running.set(key, running.get(key) - 1);
+        wake();
+      }
+    }
+  };
+
+  const workers = Math.max(1, Math.min(concurrency, items.length));
+  await Promise.all(Array.from({ length: workers }, runWorker));
+  return results;
+}
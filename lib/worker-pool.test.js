@@ -0,0 +1,128 @@
+/**
+ * Unit Tests for Worker Pool
+ * Tests result ordering, global and per-host concurrency bounds, host
+ * politeness delays and error capture
+ */
+
+import { describe, it } from 'mocha';
+import { expect } from 'chai';
+import fc from 'fast-check';
+import { runPool, hostKey } from './worker-pool.js';
+
+const delay = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Worker tracking how many tasks run at once, overall and per key
+ */
+function createTracker(keyOf = item => item.host) {
+  const running = new Map();
+  const stats = { active: 0, maxActive: 0, maxPerKey: {} };
+  const worker = async item => {
+    const key = keyOf(item);
+    stats.active++;
+    stats.maxActive = Math.max(stats.maxActive, stats.active);
+    running.set(key, (running.get(key) || 0) + 1);
+    stats.maxPerKey[key] = Math.max(stats.maxPerKey[key] || 0, running.get(key));
+    await delay(item.ms);
+    running.set(key, running.get(key) - 1);
+    stats.active--;
+    return item.id;
+  };
+  return { stats, worker };
+}
+
+describe('Worker Pool - ordering', () => {
+  it('should return results in input order whatever order tasks finish in', async () => {
+    await fc.assert(
+      fc.asyncProperty(
+        fc.array(fc.integer({ min: 0, max: 5 }), { maxLength: 12 }),
+        fc.integer({ min: 1, max: 5 }),
+        async (delays, concurrency) => {
+          const results = await runPool(delays, async (ms, index) => {
+            await delay(ms);
+            return index;
+          }, { concurrency, hostDelay: 0 });
+
+          expect(results.map(r => r.value)).to.deep.equal(delays.map((ms, index) => index));
+        }
+      ),
+      { numRuns: 20 }
+    );
+  });
+
+  it('should capture failed tasks without stopping the others', async () => {
+    const results = await runPool([1, 2, 3], async n => {
+      if (n === 2) throw new Error('boom');
+      return n * 10;
+    }, { hostDelay: 0 });
+
+    expect(results[0]).to.deep.equal({ status: 'fulfilled', value: 10 });
+    expect(results[1].status).to.equal('rejected');
+    expect(results[1].reason.message).to.equal('boom');
+    expect(results[2]).to.deep.equal({ status: 'fulfilled', value: 30 });
+  });
+
+  it('should handle an empty list', async () => {
+    expect(await runPool([], async () => 1)).to.deep.equal([]);
+  });
+});
+
+describe('Worker Pool - limits', () => {
+  it('should never run more tasks than the concurrency', async () => {
+    const items = Array.from({ length: 10 }, (_, id) => ({ id, host: `h${id}`, ms: 5 }));
+    const { stats, worker } = createTracker();
+
+    await runPool(items, worker, { concurrency: 3, keyOf: item => item.host, hostDelay: 0 });
+    expect(stats.maxActive).to.equal(3);
+  });
+
+  it('should never run more tasks per host than perHost', async () => {
+    const items = Array.from({ length: 9 }, (_, id) => ({ id, host: `h${id % 2}`, ms: 5 }));
+    const { stats, worker } = createTracker();
+
+    const results = await runPool(items, worker, { concurrency: 4, perHost: 1, keyOf: item => item.host, hostDelay: 0 });
+    expect(stats.maxPerKey).to.deep.equal({ h0: 1, h1: 1 });
+    expect(stats.maxActive).to.equal(2);
+    expect(results.map(r => r.value)).to.deep.equal(items.map(item => item.id));
+  });
+
+  it('should not limit tasks without a host key', async () => {
+    const items = Array.from({ length: 4 }, (_, id) => ({ id, host: null, ms: 5 }));
+    const { stats, worker } = createTracker();
+
+    await runPool(items, worker, { concurrency: 4, perHost: 1, keyOf: item => item.host, hostDelay: 0 });
+    expect(stats.maxActive).to.equal(4);
+  });
+
+  it('should space task starts on the same host by the host delay', async () => {
+    const waits = [];
+    const sleep = async ms => { waits.push(ms); };
+    const items = ['https://a.ae/1', 'https://b.ae/1', 'https://a.ae/2', 'https://www.a.ae/3'];
+
+    await runPool(items, async url => url, { concurrency: 2, perHost: 2, hostDelay: 1000, keyOf: hostKey, sleep });
+
+    // First a.ae and b.ae tasks start at once, the two later a.ae tasks wait their turn
+    expect(waits).to.have.length(2);
+    waits.forEach(ms => expect(ms).to.be.above(900).and.at.most(2000));
+  });
+
+  it('should take a per-item host delay from a function', async () => {
+    const waits = [];
+    const sleep = async ms => { waits.push(ms); };
+    const items = ['https://slow.ae/1', 'https://slow.ae/2', 'https://fast.ae/1', 'https://fast.ae/2'];
+    const hostDelay = url => (hostKey(url) === 'slow.ae' ? 10000 : 0);
+
+    await runPool(items, async url => url, { concurrency: 4, perHost: 2, hostDelay, keyOf: hostKey, sleep });
+
+    expect(waits).to.have.length(1);
+    expect(waits[0]).to.be.above(9000).and.at.most(10000);
+  });
+});
+
+describe('Worker Pool - hostKey', () => {
+  it('should key URLs by hostname without www', () => {
+    expect(hostKey('https://www.hub71.ae/startups')).to.equal('hub71.ae');
+    expect(hostKey('http://in5.ae')).to.equal('in5.ae');
+    expect(hostKey('not a url')).to.be.null;
+  });
+});
@@ -13,6 +13,10 @@ const OrganisationSchema = new mongoose.Schema({
   
   // METADATA (For the Bot to manage quality)
   description: { type: String, default: null },    // Raw scraped text
+
+  // ARABIC (see lib/language.js)
+  name_ar: { type: String, default: null, trim: true }, // e.g. "وزارة الاقتصاد"
+  description_ar: { type: String, default: null },
   source: {
     sourceName: { type: String, default: null },   // e.g. "hub71", "universal_scraper"
     sourceUrl: { type: String, default: null },    // Where we found it
@@ -30,7 +34,64 @@ const OrganisationSchema = new mongoose.Schema({
   },
   
   // SOCIALS
-  twitter: { type: String, default: null }
+  twitter: { type: String, default: null },
+  socials: {                                      // Canonical profile URLs (see lib/contact-extractor.js)
+    linkedin: { type: String, default: null },    // e.g. "https://www.linkedin.com/company/hub71"
+    instagram: { type: String, default: null },
+    facebook: { type: String, default: null },
+    youtube: { type: String, default: null }
+  },
+
+  // CONTACT
+  contact: {
+    email: { type: String, default: null },
+    phone: { type: String, default: null },       // E.164, e.g. "+97125551234"
+    address: { type: String, default: null },
+    emirate: {
+      type: String,
+      enum: ['Abu Dhabi', 'Dubai', 'Sharjah', 'Ajman', 'Umm Al Quwain', 'Ras Al Khaimah', 'Fujairah', null],
+      default: null
+    }
+  },
+
+  // ABOUT PAGES read for classification (see lib/about-pages.js)
+  about: {
+    text: { type: String, default: null },        // Main content of the pages, capped at 3000 characters
+    pages: { type: [String], default: undefined } // URLs that contributed, e.g. ["https://hub71.com/about-us"]
+  },
+
+  // LOGO: file in the content-addressed asset store (see lib/asset-store.js)
+  logo: {
+    hash: { type: String, default: null },        // SHA-256 of the image bytes
+    path: { type: String, default: null },        // e.g. "assets/3f/3f9a...c1.png"
+    mimeType: { type: String, default: null },    // e.g. "image/png"
+    width: { type: Number, default: null },       // Pixels (null for SVGs without a size)
+    height: { type: Number, default: null },
+    bytes: { type: Number, default: null },
+    sourceUrl: { type: String, default: null }    // Where the image was downloaded from
+  },
+
+  // RUNS that created or updated this record (see models/ScrapeRun.js)
+  runIds: { type: [String], default: [] },
+
+  // FIELD PROVENANCE (see lib/merge-policy.js)
+  fieldMeta: {
+    type: Map,
+    of: new mongoose.Schema({
+      source: { type: String, default: null },     // sourceName, or "manual"/"manual:<editor>"
+      sourceUrl: { type: String, default: null },
+      strategy: { type: String, default: null },   // Extractor strategy, e.g. "og:title", "json-ld", "selector"
+      aiProvider: { type: String, default: null }, // Classification fields only
+      aiModel: { type: String, default: null },
+      runId: { type: String, default: null },      // Scrape run that last set the field
+      setAt: { type: Date, default: null },
+      confidence: { type: Number, default: null }, // AI confidence of classification fields
+      quality: { type: Number, default: null },    // Quality score of descriptions (0-1)
+      manual: { type: Boolean, default: false },   // Manual edits are never overwritten
+      hash: { type: String, default: null }        // Hash of the value as last written
+    }, { _id: false }),
+    default: {}
+  }
 }, { 
   timestamps: true // Adds createdAt, updatedAt automatically
 });
@@ -40,5 +101,6 @@ OrganisationSchema.index({ website: 1 });
 OrganisationSchema.index({ "source.sourceUrl": 1 });
 OrganisationSchema.index({ country: 1 });
 OrganisationSchema.index({ "status.needsReview": 1 });
+OrganisationSchema.index({ runIds: 1 });
 
 export default mongoose.models.Organisation || mongoose.model("Organisation", OrganisationSchema);
\ No newline at end of file
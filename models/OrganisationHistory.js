@@ -0,0 +1,43 @@
+import mongoose from "mongoose";
+
+// Append-only change log: one document per create/update/merge/revert of an organisation
+const FieldChangeSchema = new mongoose.Schema({
+  field: { type: String, required: true },
+  from: { type: mongoose.Schema.Types.Mixed, default: null },
+  to: { type: mongoose.Schema.Types.Mixed, default: null },
+  provenance: {                                    // Field meta after the change (see lib/merge-policy.js)
+    source: { type: String, default: null },
+    sourceUrl: { type: String, default: null },
+    strategy: { type: String, default: null },
+    aiProvider: { type: String, default: null },
+    aiModel: { type: String, default: null },
+    confidence: { type: Number, default: null },
+    manual: { type: Boolean, default: false }
+  }
+}, { _id: false });
+
+const OrganisationHistorySchema = new mongoose.Schema({
+  organisationId: { type: mongoose.Schema.Types.ObjectId, ref: "Organisation", required: true },
+  organisationName: { type: String, default: null },
+  action: { type: String, enum: ['create', 'update', 'merge', 'revert', 'rollback', 'delete'], required: true },
+  runId: { type: String, default: null },          // Scrape run that made the change
+  actor: { type: String, default: "scraper" },     // "scraper", "resolve_duplicates", "manual:<editor>"
+  reason: { type: String, default: null },
+  changes: [FieldChangeSchema],
+  before: { type: mongoose.Schema.Types.Mixed, default: null } // Full document before the change (for run rollback)
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+OrganisationHistorySchema.index({ organisationId: 1, createdAt: 1 });
+OrganisationHistorySchema.index({ runId: 1 });
+
+// History is append-only
+OrganisationHistorySchema.pre('save', function () {
+  if (!this.isNew) throw new Error('OrganisationHistory is append-only');
+});
+OrganisationHistorySchema.pre(['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace'], function () {
+  throw new Error('OrganisationHistory is append-only');
+});
+
+export default mongoose.models.OrganisationHistory || mongoose.model("OrganisationHistory", OrganisationHistorySchema);
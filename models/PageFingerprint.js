@@ -0,0 +1,16 @@
+import mongoose from "mongoose";
+
+// Validators and content hash of each target URL's last successful scrape (see lib/page-cache.js)
+// An unchanged page is skipped by later runs
+const PageFingerprintSchema = new mongoose.Schema({
+  url: { type: String, required: true, unique: true },
+  etag: { type: String, default: null },
+  lastModified: { type: String, default: null },   // Last-Modified header, sent back as If-Modified-Since
+  contentHash: { type: String, required: true },   // SHA-256 of the normalised visible text
+  fetchMode: { type: String, enum: ['http', 'browser'], default: null },
+  runId: { type: String, default: null }           // Run that scraped this version
+}, {
+  timestamps: { createdAt: false, updatedAt: 'fetchedAt' }
+});
+
+export default mongoose.models.PageFingerprint || mongoose.model("PageFingerprint", PageFingerprintSchema);
@@ -0,0 +1,19 @@
+import mongoose from "mongoose";
+
+// Page HTML/text as loaded by a scrape run, kept so extraction can be audited
+// and candidates re-processed without hitting the site again (see lib/raw-capture.js)
+const RawPageSchema = new mongoose.Schema({
+  runId: { type: String, required: true },         // Scrape run that loaded the page
+  url: { type: String, required: true },
+  sourceName: { type: String, default: null },
+  html: { type: String, default: null },
+  text: { type: String, default: null },           // Visible text (document.body.innerText)
+  htmlLength: { type: Number, default: 0 },        // Length before truncation
+  truncated: { type: Boolean, default: false }     // HTML cut at MAX_HTML_LENGTH
+}, {
+  timestamps: { createdAt: 'capturedAt', updatedAt: false }
+});
+
+RawPageSchema.index({ runId: 1, url: 1 }, { unique: true });
+
+export default mongoose.models.RawPage || mongoose.model("RawPage", RawPageSchema);
@@ -0,0 +1,24 @@
+import mongoose from "mongoose";
+
+// Root domain metadata kept between runs (see lib/root-metadata.js)
+// Documents expire at expiresAt (TTL index), so homepages are re-read periodically
+const RootMetadataSchema = new mongoose.Schema({
+  host: { type: String, required: true, unique: true }, // Hostname, e.g. www.startupemirates.ae
+  rootUrl: { type: String, required: true },
+  title: { type: String, default: null },
+  ogTitle: { type: String, default: null },
+  ogDescription: { type: String, default: null },
+  ogImage: { type: String, default: null },
+  siteName: { type: String, default: null },
+  favicon: { type: String, default: null },
+  appleTouchIcon: { type: String, default: null },
+  structuredData: { type: mongoose.Schema.Types.Mixed, default: null }, // JSON-LD / microdata Organization (name, sameAs, logo, ...)
+  fetchMode: { type: String, enum: ['http', 'browser'], default: null },
+  expiresAt: { type: Date, required: true }
+}, {
+  timestamps: { createdAt: false, updatedAt: 'fetchedAt' }
+});
+
+RootMetadataSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export default mongoose.models.RootMetadata || mongoose.model("RootMetadata", RootMetadataSchema);
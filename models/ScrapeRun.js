@@ -0,0 +1,51 @@
+import mongoose from "mongoose";
+
+// One document per scrape/classify run (see lib/run-ledger.js)
+const UrlOutcomeSchema = new mongoose.Schema({
+  url: { type: String, required: true },
+  sourceName: { type: String, default: null },
+  status: { type: String, enum: ['scraped', 'empty', 'unchanged', 'failed', 'disallowed'], required: true },
+  records: { type: Number, default: 0 },           // Organisations extracted from the URL
+  error: { type: String, default: null },
+  fetchMode: { type: String, enum: ['http', 'browser'], default: null } // Tier that scraped it (lib/tiered-fetcher.js)
+}, { _id: false });
+
+const ScrapeRunSchema = new mongoose.Schema({
+  runId: { type: String, required: true, unique: true },
+  status: { type: String, enum: ['running', 'completed', 'failed', 'rolled_back'], default: 'running' },
+  startedAt: { type: Date, required: true },
+  finishedAt: { type: Date, default: null },
+  error: { type: String, default: null },          // Critical error that aborted the run
+  rolledBackAt: { type: Date, default: null },      // Set by scripts/rollback-run.js
+
+  // SCRAPING
+  targetUrls: [String],
+  urlOutcomes: [UrlOutcomeSchema],
+
+  // CLASSIFICATION (aiStats from index.mjs)
+  aiStats: {
+    total: { type: Number, default: 0 },
+    successful: { type: Number, default: 0 },
+    degraded: { type: Number, default: 0 },
+    skipped: { type: Number, default: 0 },
+    cached: { type: Number, default: 0 },            // AI results reused when resuming
+    byProvider: { type: Map, of: Number, default: {} }
+  },
+
+  // VALIDATION & PERSISTENCE
+  validationFailures: { type: Number, default: 0 }, // Sent to the review queue
+  records: {
+    created: [{ type: mongoose.Schema.Types.ObjectId, ref: "Organisation" }],
+    updated: [{ type: mongoose.Schema.Types.ObjectId, ref: "Organisation" }],
+    unchanged: [{ type: mongoose.Schema.Types.ObjectId, ref: "Organisation" }]
+  },
+
+  errorSummary: { type: mongoose.Schema.Types.Mixed, default: null } // ErrorSummary.getSummary()
+}, {
+  timestamps: true
+});
+
+ScrapeRunSchema.index({ startedAt: -1 });
+ScrapeRunSchema.index({ status: 1 });
+
+export default mongoose.models.ScrapeRun || mongoose.model("ScrapeRun", ScrapeRunSchema);
@@ -0,0 +1,28 @@
+import mongoose from "mongoose";
+
+// One extracted organisation record waiting for (or done with) classification.
+// `record` is exactly what the classify stage receives (see lib/raw-capture.js)
+const ScrapedCandidateSchema = new mongoose.Schema({
+  runId: { type: String, required: true },         // Scrape run that captured the record
+  name: { type: String, required: true },
+  website: { type: String, default: null },
+  sourceName: { type: String, default: null },
+  pageUrl: { type: String, default: null },        // Page it was extracted from (RawPage.url)
+  record: { type: mongoose.Schema.Types.Mixed, required: true },
+
+  // PROCESSING
+  status: { type: String, enum: ['pending', 'processed', 'rejected', 'failed'], default: 'pending' },
+  attempts: { type: Number, default: 0 },
+  processedAt: { type: Date, default: null },
+  processedRunId: { type: String, default: null }, // Run that last classified the record
+  organisationId: { type: mongoose.Schema.Types.ObjectId, ref: "Organisation", default: null },
+  classification: { type: mongoose.Schema.Types.Mixed, default: null }, // Last AI result
+  error: { type: String, default: null }
+}, {
+  timestamps: true
+});
+
+ScrapedCandidateSchema.index({ status: 1, createdAt: 1 });
+ScrapedCandidateSchema.index({ runId: 1 });
+
+export default mongoose.models.ScrapedCandidate || mongoose.model("ScrapedCandidate", ScrapedCandidateSchema);
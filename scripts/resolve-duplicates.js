@@ -0,0 +1,261 @@
+/**
+ * Duplicate Resolution Script
+ *
+ * Runs the entity resolver over the whole Organisation collection.
+ *
+ * Step 1 (default): build a merge plan and write it to
+ *   reports/merge_plan_[timestamp].json - nothing in the database changes.
+ *   Near-matches are written to the review queue with both records.
+ * Step 2: review the plan, then apply exactly that plan:
+ *   node scripts/resolve-duplicates.js --apply reports/merge_plan_[timestamp].json
+ *
+ * Each merge fills missing fields of the older (primary) record from the
+ * duplicate, unions categories/subcategories/roles, saves the primary and
+ * only then deletes the duplicate. Manually edited fields of the primary are left alone. The
+ * plan file keeps a full snapshot of every duplicate.
+ *
+ * A duplicate whose name the primary takes over is renamed to
+ * "<name> [merging into <primary id>]" until it is deleted. Both steps first
+ * finish merges left halfway by a crash: the duplicate is deleted if the
+ * primary was saved with its name, and gets its name back otherwise.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import Organisation from '../models/Organisation.js';
+import OrganisationHistory from '../models/OrganisationHistory.js';
+import { buildMergePlan, mergeRecords } from '../lib/entity-resolver.js';
+import { getFieldMeta, isManualValue, stampFieldMeta } from '../lib/merge-policy.js';
+import { snapshotFields, diffSnapshots, recordHistory, beforeImage } from '../lib/provenance.js';
+import { addToReviewQueue, saveReviewQueue } from '../lib/validator.js';
+
+dotenv.config();
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const REPORT_DIR = path.join(__dirname, '../reports');
+
+// Name suffix of a duplicate while the primary takes over its name
+const MERGING_SUFFIX = / \[merging into ([0-9a-f]{24})\]$/;
+
+/**
+ * Write a merge plan to the reports directory
+ * @param {Object} plan - { merges, reviews }
+ * @returns {string} Path of the written plan
+ */
+function writePlan(plan) {
+  if (!fs.existsSync(REPORT_DIR)) fs.mkdirSync(REPORT_DIR);
+
+  const timestamp = new Date().toISOString().replace(/[:.]/g, '-').slice(0, 16);
+  const filepath = path.join(REPORT_DIR, `merge_plan_${timestamp}.json`);
+  fs.writeFileSync(filepath, JSON.stringify({ createdAt: new Date(), ...plan }, null, 2));
+  return filepath;
+}
+
+/**
+ * Print a human-readable plan summary
+ * @param {Object} plan - { merges, reviews }
+ */
+function printPlan(plan) {
+  console.log('\n=== Merge Plan ===');
+  console.log(`Auto-merges: ${plan.merges.length}`);
+  plan.merges.forEach(m => {
+    console.log(`  - "${m.duplicate.name}" → "${m.primary.name}" (${m.score}: ${m.reasons.join(', ')})`);
+  });
+  console.log(`Needs review: ${plan.reviews.length}`);
+  plan.reviews.forEach(r => {
+    console.log(`  - "${r.candidate.name}" ≈ "${r.existing.name}" (${r.score}: ${r.reasons.join(', ')})`);
+  });
+  console.log('==================\n');
+}
+
+/**
+ * Finish or undo merges interrupted between renaming the duplicate and deleting it
+ * @returns {Promise<{deleted: number, restored: number}>} Duplicates deleted (their primary
+ *   was saved) and duplicates given their name back
+ */
+async function recoverInterruptedMerges() {
+  const outcome = { deleted: 0, restored: 0 };
+  const leftovers = await Organisation.find({ name: MERGING_SUFFIX });
+
+  for (const duplicate of leftovers) {
+    const [, primaryId] = duplicate.name.match(MERGING_SUFFIX);
+    const name = duplicate.name.replace(MERGING_SUFFIX, '');
+    const primary = await Organisation.findById(primaryId);
+
+    if (primary && primary.name === name) {
+      duplicate.name = name;
+      await Organisation.deleteOne({ _id: duplicate._id });
+      await recordHistory(OrganisationHistory, duplicate, diffSnapshots(snapshotFields(duplicate), {}), {
+        action: 'delete',
+        actor: 'resolve_duplicates',
+        reason: `Finished interrupted merge into "${primary.name}"`,
+        before: beforeImage(duplicate)
+      });
+      console.log(`  ✓ Finished interrupted merge of "${name}" into ${primaryId}`);
+      outcome.deleted++;
+    } else {
+      await Organisation.updateOne({ _id: duplicate._id }, { $set: { name } });
+      console.log(`  ↩️  Restored the name of "${name}" after an interrupted merge`);
+      outcome.restored++;
+    }
+  }
+
+  return outcome;
+}
+
+/**
+ * Build a merge plan for the current collection
+ * @returns {Promise<Object>} Plan with merges and reviews
+ */
+async function createPlan() {
+  const records = await Organisation.find({}).lean();
+  console.log(`Loaded ${records.length} organisations`);
+
+  const plan = buildMergePlan(records);
+
+  for (const review of plan.reviews) {
+    const candidate = records.find(r => String(r._id) === review.candidate._id);
+    const existing = records.find(r => String(r._id) === review.existing._id);
+    addToReviewQueue(candidate, [`Possible duplicate of "${existing.name}" (score ${review.score})`], {
+      type: 'possible_duplicate',
+      existing,
+      match: { score: review.score, reasons: review.reasons }
+    });
+  }
+
+  return plan;
+}
+
+/**
+ * Apply the merges of a previously written plan
+ * Merges whose records no longer exist are skipped
+ * @param {Object} plan - Plan loaded from disk
+ * @returns {Promise<{merged: number, skipped: number, errors: Array}>} Outcome
+ */
+async function applyPlan(plan) {
+  const outcome = { merged: 0, skipped: 0, errors: [] };
+
+  for (const merge of plan.merges) {
+    try {
+      const primary = await Organisation.findById(merge.primary._id);
+      const duplicate = await Organisation.findById(merge.duplicate._id);
+
+      if (!primary || !duplicate) {
+        console.log(`  ⏭️  Skipping "${merge.duplicate.name}" → "${merge.primary.name}" (record no longer exists)`);
+        outcome.skipped++;
+        continue;
+      }
+
+      const updates = mergeRecords(primary.toObject(), duplicate.toObject());
+
+      // Manual edits on the primary record are never overwritten
+      for (const field of Object.keys(updates)) {
+        if (isManualValue(primary.get(field), getFieldMeta(primary, field))) {
+          delete updates[field];
+        }
+      }
+
+      const before = snapshotFields(primary);
+      const image = beforeImage(primary);
+      const reason = `Merged duplicate "${duplicate.name}" (score ${merge.score})`;
+
+      // Save the primary before deleting anything, so a failed save loses no data. When it
+      // takes over the duplicate's (unique) name, the duplicate is renamed out of the way first
+      // and gets its name back if the save fails
+      const takesName = updates.name !== undefined;
+      if (takesName) {
+        await Organisation.updateOne({ _id: duplicate._id }, { $set: { name: `${duplicate.name} [merging into ${primary._id}]` } });
+      }
+      try {
+        primary.set(updates);
+        stampFieldMeta(primary, Object.keys(updates), {
+          source: duplicate.source?.sourceName || 'resolve_duplicates',
+          sourceUrl: duplicate.source?.sourceUrl || null
+        });
+        await primary.save();
+      } catch (error) {
+        if (takesName) await Organisation.updateOne({ _id: duplicate._id }, { $set: { name: duplicate.name } });
+        throw error;
+      }
+      await recordHistory(OrganisationHistory, primary, diffSnapshots(before, snapshotFields(primary)), {
+        action: 'merge',
+        actor: 'resolve_duplicates',
+        reason,
+        before: image
+      });
+
+      await Organisation.deleteOne({ _id: duplicate._id });
+      await recordHistory(OrganisationHistory, duplicate, diffSnapshots(snapshotFields(duplicate), {}), {
+        action: 'delete',
+        actor: 'resolve_duplicates',
+        reason: `${reason} into "${primary.name}"`,
+        before: beforeImage(duplicate)
+      });
+
+      console.log(`  ✓ Merged "${merge.duplicate.name}" into "${primary.name}"`);
+      outcome.merged++;
+    } catch (error) {
+      console.error(`  ✗ Failed to merge "${merge.duplicate.name}": ${error.message}`);
+      outcome.errors.push({ duplicateId: merge.duplicate._id, error: error.message });
+    }
+  }
+
+  return outcome;
+}
+
+/**
+ * Main entry point
+ * @param {string[]} args - Command line arguments
+ */
+async function run(args) {
+  if (!process.env.MONGO_URI) {
+    throw new Error('MONGO_URI is not configured in .env');
+  }
+
+  const applyIndex = args.indexOf('--apply');
+  const planPath = applyIndex >= 0 ? args[applyIndex + 1] : null;
+  if (applyIndex >= 0 && !planPath) {
+    throw new Error('--apply requires the path of a merge plan file');
+  }
+
+  await mongoose.connect(process.env.MONGO_URI, { dbName: 'uae_ecosystem_db' });
+  console.log('✅ Connected to MongoDB\n');
+
+  try {
+    await recoverInterruptedMerges();
+
+    if (planPath) {
+      const plan = JSON.parse(fs.readFileSync(planPath, 'utf8'));
+      console.log(`Applying ${plan.merges.length} merges from ${planPath}...\n`);
+      const outcome = await applyPlan(plan);
+      console.log(`\n✅ Merged ${outcome.merged}, skipped ${outcome.skipped}, errors ${outcome.errors.length}`);
+      return outcome;
+    }
+
+    const plan = await createPlan();
+    printPlan(plan);
+    const filepath = writePlan(plan);
+    if (plan.reviews.length > 0) await saveReviewQueue();
+
+    console.log(`📄 Merge plan written: ${filepath}`);
+    console.log(`   Review it, then run: node scripts/resolve-duplicates.js --apply ${path.relative(process.cwd(), filepath)}`);
+    return plan;
+  } finally {
+    await mongoose.disconnect();
+  }
+}
+
+// Run if executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  run(process.argv.slice(2))
+    .then(result => process.exit(result.errors && result.errors.length > 0 ? 1 : 0))
+    .catch(error => {
+      console.error('❌ Duplicate resolution failed:', error.message);
+      process.exit(1);
+    });
+}
+
+export { run, createPlan, applyPlan, recoverInterruptedMerges };
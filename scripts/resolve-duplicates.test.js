@@ -0,0 +1,112 @@
+/**
+ * Unit Tests for Duplicate Resolution
+ * Tests that applying a merge plan never deletes a duplicate before the
+ * primary record is saved, and that interrupted merges are recovered
+ * (stubbed models, no database)
+ */
+
+import { describe, it, beforeEach, afterEach } from 'mocha';
+import { expect } from 'chai';
+import Organisation from '../models/Organisation.js';
+import OrganisationHistory from '../models/OrganisationHistory.js';
+import { applyPlan, recoverInterruptedMerges } from './resolve-duplicates.js';
+
+const BASE = {
+  country: 'United Arab Emirates',
+  categories: ['Government Entity'],
+  subcategories: ['Innovation Hub'],
+  roles: ['Enabler']
+};
+
+describe('Duplicate Resolution - applyPlan', () => {
+  const originals = {};
+  let calls;
+  let primary;
+  let duplicate;
+
+  beforeEach(() => {
+    calls = [];
+    primary = new Organisation({ ...BASE, name: "Hub71 | Abu Dhabi's Global Tech Ecosystem", website: 'https://www.hub71.com/' });
+    duplicate = new Organisation({ ...BASE, name: 'Hub71', website: 'https://hub71.com/', description: 'Abu Dhabi tech ecosystem.' });
+
+    Object.assign(originals, {
+      find: Organisation.find,
+      findById: Organisation.findById,
+      updateOne: Organisation.updateOne,
+      deleteOne: Organisation.deleteOne,
+      create: OrganisationHistory.create
+    });
+    Organisation.findById = async id => [primary, duplicate].find(doc => String(doc._id) === String(id)) || null;
+    Organisation.updateOne = async (filter, update) => { calls.push(['rename', update.$set.name]); };
+    Organisation.deleteOne = async () => { calls.push(['delete']); };
+    OrganisationHistory.create = async entry => { calls.push(['history', entry.action]); return entry; };
+  });
+
+  afterEach(() => {
+    Organisation.find = originals.find;
+    Organisation.findById = originals.findById;
+    Organisation.updateOne = originals.updateOne;
+    Organisation.deleteOne = originals.deleteOne;
+    OrganisationHistory.create = originals.create;
+  });
+
+  const plan = () => ({
+    merges: [{
+      primary: { _id: String(primary._id), name: primary.name },
+      duplicate: { _id: String(duplicate._id), name: duplicate.name },
+      score: 0.95,
+      reasons: ['same registrable domain']
+    }]
+  });
+
+  it('should save the primary before deleting the duplicate', async () => {
+    primary.save = async () => { calls.push(['save', primary.name]); return primary; };
+
+    const outcome = await applyPlan(plan());
+
+    expect(outcome.merged).to.equal(1);
+    expect(calls.map(call => call[0])).to.deep.equal(['rename', 'save', 'history', 'delete', 'history']);
+    expect(calls[1]).to.deep.equal(['save', 'Hub71']);
+    expect(primary.description).to.equal('Abu Dhabi tech ecosystem.');
+  });
+
+  it('should keep the duplicate and give its name back when the save fails', async () => {
+    primary.save = async () => { throw new Error('connection lost'); };
+
+    const outcome = await applyPlan(plan());
+
+    expect(outcome.merged).to.equal(0);
+    expect(outcome.errors.map(error => error.error)).to.deep.equal(['connection lost']);
+    expect(calls).to.deep.equal([['rename', `Hub71 [merging into ${primary._id}]`], ['rename', 'Hub71']]);
+  });
+
+  describe('interrupted merges', () => {
+    beforeEach(() => {
+      duplicate.name = `Hub71 [merging into ${primary._id}]`;
+      Organisation.find = async filter => [duplicate].filter(doc => filter.name.test(doc.name));
+    });
+
+    it('should give the duplicate its name back when the primary was not saved', async () => {
+      const outcome = await recoverInterruptedMerges();
+
+      expect(outcome).to.deep.equal({ deleted: 0, restored: 1 });
+      expect(calls).to.deep.equal([['rename', 'Hub71']]);
+    });
+
+    it('should delete the duplicate when the primary was saved with its name', async () => {
+      primary.name = 'Hub71';
+
+      const outcome = await recoverInterruptedMerges();
+
+      expect(outcome).to.deep.equal({ deleted: 1, restored: 0 });
+      expect(calls).to.deep.equal([['delete'], ['history', 'delete']]);
+    });
+
+    it('should leave other records alone', async () => {
+      duplicate.name = 'Hub71 [merging soon]';
+
+      expect(await recoverInterruptedMerges()).to.deep.equal({ deleted: 0, restored: 0 });
+      expect(calls).to.be.empty;
+    });
+  });
+});
@@ -0,0 +1,86 @@
+/**
+ * Run Rollback Script
+ *
+ * Undoes every change a scrape run made: organisations it created are
+ * deleted, organisations it updated are restored to their pre-run state.
+ *
+ * Usage:
+ *   node scripts/rollback-run.js <runId> --dry-run   # print the diff, change nothing
+ *   node scripts/rollback-run.js <runId>             # apply
+ *   node scripts/rollback-run.js <runId> --force     # also roll back records changed again later
+ *
+ * Run ids are printed at the start of every run, in the scrape report and
+ * in the scraperuns collection.
+ */
+
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import Organisation from '../models/Organisation.js';
+import OrganisationHistory from '../models/OrganisationHistory.js';
+import ScrapeRun from '../models/ScrapeRun.js';
+import PageFingerprint from '../models/PageFingerprint.js';
+import { buildRollbackPlan, printRollbackPlan, applyRollback } from '../lib/rollback.js';
+
+dotenv.config();
+
+/**
+ * Main entry point
+ * @param {string[]} args - Command line arguments
+ * @returns {Promise<Object>} Plan (dry run) or rollback outcome
+ */
+async function run(args) {
+  if (!process.env.MONGO_URI) {
+    throw new Error('MONGO_URI is not configured in .env');
+  }
+
+  const runId = args.find(arg => !arg.startsWith('--'));
+  if (!runId) {
+    throw new Error('Usage: node scripts/rollback-run.js <runId> [--dry-run] [--force]');
+  }
+  const dryRun = args.includes('--dry-run');
+  const force = args.includes('--force');
+
+  await mongoose.connect(process.env.MONGO_URI, { dbName: 'uae_ecosystem_db' });
+  console.log('✅ Connected to MongoDB\n');
+
+  try {
+    const models = { Organisation, OrganisationHistory, ScrapeRun, PageFingerprint };
+    const scrapeRun = await ScrapeRun.findOne({ runId }).lean();
+    if (!scrapeRun) {
+      console.warn(`⚠️  Run ${runId} is not in the ledger, using its history entries only`);
+    } else if (scrapeRun.status === 'rolled_back') {
+      console.warn(`⚠️  Run ${runId} was already rolled back at ${scrapeRun.rolledBackAt.toISOString()}`);
+    }
+
+    const plan = await buildRollbackPlan(models, runId);
+    if (plan.items.length === 0) {
+      console.log(`Nothing to roll back: run ${runId} has no recorded changes`);
+      return plan;
+    }
+
+    printRollbackPlan(plan);
+    if (dryRun) {
+      console.log('🔎 Dry run - nothing was changed');
+      return plan;
+    }
+
+    console.log(`Rolling back run ${runId}...\n`);
+    const outcome = await applyRollback(models, plan, { force });
+    console.log(`\n✅ Deleted ${outcome.deleted}, restored ${outcome.restored}, skipped ${outcome.skipped}, page fingerprints cleared ${outcome.fingerprints}, errors ${outcome.errors.length}`);
+    return outcome;
+  } finally {
+    await mongoose.disconnect();
+  }
+}
+
+// Run if executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  run(process.argv.slice(2))
+    .then(result => process.exit(result.errors && result.errors.length > 0 ? 1 : 0))
+    .catch(error => {
+      console.error('❌ Rollback failed:', error.message);
+      process.exit(1);
+    });
+}
+
+export { run };